@@ -0,0 +1,60 @@
+/**
+ * Session level advisory locks of database, shared by all clients. Locks are reentrant:
+ * owner takes the same lock several times and releases it as many times
+ */
+class AdvisoryLocks {
+    /**
+     * Key = lock key, value = owner and number of times it took the lock
+     * @type {Map<string, {owner: any, count: number}>}
+     */
+    #locks = new Map();
+
+    /**
+     * Takes lock unless other owner holds it
+     * @param key {string}
+     * @param owner {any} - client taking the lock
+     * @returns {boolean} - false if lock is held by other owner
+     */
+    try_lock(key, owner) {
+        const lock = this.#locks.get(key);
+        if (lock && lock.owner !== owner)
+            return false;
+
+        if (lock)
+            lock.count++;
+        else
+            this.#locks.set(key, {owner, count: 1});
+        return true;
+    }
+
+    /**
+     * Releases lock once
+     * @param key {string}
+     * @param owner {any}
+     * @returns {boolean} - false if owner doesn't hold the lock
+     */
+    unlock(key, owner) {
+        const lock = this.#locks.get(key);
+        if (!lock || lock.owner !== owner)
+            return false;
+
+        if (!--lock.count)
+            this.#locks.delete(key);
+        return true;
+    }
+
+    /**
+     * Releases all locks of owner, e.g. on disconnect
+     * @param owner {any}
+     */
+    release(owner) {
+        for (let [key, lock] of this.#locks) {
+            if (lock.owner === owner)
+                this.#locks.delete(key);
+        }
+    }
+}
+
+module.exports = {
+    AdvisoryLocks,
+};
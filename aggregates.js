@@ -0,0 +1,131 @@
+const {pg_error} = require('./errors.js');
+const {normalize_json} = require('./types.js');
+const {Numeric, integer_value, numeric_compare, numeric_operator} = require('./numeric.js');
+const {Interval, datetime_operator} = require('./datetime.js');
+
+/**
+ * Aggregate functions. Each one receives argument values of the group rows, arrays of values
+ * for functions with several arguments (already filtered by FILTER clause, deduplicated by DISTINCT and sorted by ORDER BY).
+ * Key = lower cased function name
+ * @type {{[key: string]: (values: any[], options: {separator?: string}) => any}}
+ */
+const AGGREGATES = {
+    count: values => values.filter(x => x != null).length,
+    sum: values => {
+        values = values.filter(x => x != null);
+        return values.length ? sum(values) : null;
+    },
+    avg: values => {
+        values = values.filter(x => x != null);
+        if (!values.length)
+            return null;
+        if (values[0] instanceof Interval)
+            return datetime_operator(sum(values), values.length, '/');
+        // average of integers and numerics is numeric
+        return is_float(values) ? sum(values) / values.length : numeric_operator(sum(values), values.length, '/');
+    },
+    min: values => extremum(values, -1),
+    max: values => extremum(values, 1),
+    bool_and: values => {
+        values = values.filter(x => x != null);
+        return values.length ? values.every(Boolean) : null;
+    },
+    bool_or: values => {
+        values = values.filter(x => x != null);
+        return values.length ? values.some(Boolean) : null;
+    },
+    string_agg: (values, {separator = ''}) => {
+        values = values.filter(x => x != null);
+        return values.length ? values.join(separator) : null;
+    },
+    array_agg: values => values.length ? values : null,
+    json_agg: values => values.length ? normalize_json(values, false) : null,
+    jsonb_agg: values => values.length ? normalize_json(values, true) : null,
+    // receives [key, value] pairs
+    json_object_agg: values => {
+        if (values.some(([key]) => key == null))
+            throw pg_error('22004', 'field name must not be null');
+        return values.length ? Object.fromEntries(values) : null;
+    },
+    jsonb_object_agg: values => {
+        const object = AGGREGATES.json_object_agg(values);
+        return object && normalize_json(object, true);
+    },
+};
+AGGREGATES.every = AGGREGATES.bool_and;
+
+/**
+ * Checks if function is aggregate one
+ * @param name {string}
+ * @returns {boolean}
+ */
+function is_aggregate(name) {
+    return AGGREGATES.hasOwnProperty(name?.toLowerCase());
+}
+
+/**
+ * Calculates aggregate function
+ * @param name {string} - aggregate function name
+ * @param values {any[]} - argument values of group rows
+ * @param options {{separator?: string}}
+ * @returns {any}
+ */
+function aggregate(name, values, options = {}) {
+    return AGGREGATES[name.toLowerCase()](values, options);
+}
+
+/**
+ * Returns min or max value ignoring NULLs
+ * @param values {any[]}
+ * @param sign {1 | -1} - 1 for max, -1 for min
+ * @returns {any}
+ */
+function extremum(values, sign) {
+    let result = null;
+    for (let value of values) {
+        if (value == null)
+            continue;
+        if (result == null || (greater(value, result) ? 1 : -1) == sign)
+            result = value;
+    }
+    return result;
+}
+
+/**
+ * Compares values, numerics exactly
+ * @param a {any}
+ * @param b {any}
+ * @returns {boolean}
+ */
+function greater(a, b) {
+    return a instanceof Numeric || b instanceof Numeric ? numeric_compare(a, b) > 0 : a > b;
+}
+
+/**
+ * Checks if values are real or double precision ones, the others are integers and numerics
+ * @param values {(number | Numeric)[]}
+ * @returns {boolean}
+ */
+function is_float(values) {
+    return values.some(x => typeof x == 'number' && !Number.isInteger(x));
+}
+
+/**
+ * Sums numbers: integers give bigint, numerics are summed exactly, floats as JavaScript numbers.
+ * Intervals give interval
+ * @param values {(number | Numeric | Interval)[]}
+ * @returns {number | Numeric | Interval}
+ */
+function sum(values) {
+    if (values[0] instanceof Interval)
+        return values.reduce((acc, x) => datetime_operator(acc, x, '+'));
+    if (is_float(values))
+        return values.reduce((acc, x) => acc + +x, 0);
+    const total = values.reduce((acc, x) => numeric_operator(acc, x, '+'), new Numeric(0n));
+    return values.some(x => x instanceof Numeric) ? total : integer_value(total.mantissa, 'bigint');
+}
+
+module.exports = {
+    is_aggregate,
+    aggregate,
+};
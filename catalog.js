@@ -0,0 +1,194 @@
+const {pg_error} = require('./errors.js');
+const {expression, guess_schema} = require('./dump.js');
+
+/**
+ * Names information_schema reports for canonical type names differing from them
+ * @type {{[key: string]: string}}
+ */
+const DATA_TYPES = {
+    varchar: 'character varying',
+    char: 'character',
+    timestamp: 'timestamp without time zone',
+    timestamptz: 'timestamp with time zone',
+    time: 'time without time zone',
+    timetz: 'time with time zone',
+};
+
+/**
+ * Bits of integer types, reported as their numeric precision
+ * @type {{[key: string]: number}}
+ */
+const INTEGER_PRECISION = {smallint: 16, integer: 32, bigint: 64};
+
+/**
+ * Returns schemas of all tables, tables without schema get column types guessed from values
+ * @param session {Session}
+ * @returns {TableSchema[]}
+ */
+function table_schemas(session) {
+    return [...session.tables.keys()].map(name => session.schemas.get(name) || guess_schema(name, session.tables.get(name)));
+}
+
+/**
+ * Returns table constraints except unique indexes, they are not constraints in postgres
+ * @param session {Session}
+ * @returns {{schema: TableSchema, constraint: Constraint}[]}
+ */
+function table_constraints(session) {
+    return table_schemas(session).flatMap(schema => schema.constraints
+        .filter(x => !x.index)
+        .map(constraint => ({schema, constraint})));
+}
+
+/**
+ * Common columns of relation rows
+ * @param name {string} - relation name
+ * @returns {{[key: string]: string}}
+ */
+function relation(name) {
+    return {table_catalog: 'postgres', table_schema: 'public', table_name: name};
+}
+
+/**
+ * Views of information_schema the mock provides, built from current tables, schemas and sequences.
+ * Key = view name
+ * @type {{[key: string]: {columns: {name: string, type: string}[], rows: (session: Session) => {}[]}}}
+ */
+const VIEWS = {
+    schemata: {
+        columns: [
+            {name: 'catalog_name', type: 'text'},
+            {name: 'schema_name', type: 'text'},
+            {name: 'schema_owner', type: 'text'},
+        ],
+        rows: () => ['pg_catalog', 'public', 'information_schema']
+            .map(x => ({catalog_name: 'postgres', schema_name: x, schema_owner: 'postgres'})),
+    },
+    tables: {
+        columns: [
+            {name: 'table_catalog', type: 'text'},
+            {name: 'table_schema', type: 'text'},
+            {name: 'table_name', type: 'text'},
+            {name: 'table_type', type: 'text'},
+        ],
+        rows: session => [...session.tables.keys()].map(name => ({...relation(name), table_type: 'BASE TABLE'})),
+    },
+    columns: {
+        columns: [
+            {name: 'table_catalog', type: 'text'},
+            {name: 'table_schema', type: 'text'},
+            {name: 'table_name', type: 'text'},
+            {name: 'column_name', type: 'text'},
+            {name: 'ordinal_position', type: 'integer'},
+            {name: 'column_default', type: 'text'},
+            {name: 'is_nullable', type: 'text'},
+            {name: 'data_type', type: 'text'},
+            {name: 'character_maximum_length', type: 'integer'},
+            {name: 'numeric_precision', type: 'integer'},
+            {name: 'numeric_scale', type: 'integer'},
+            {name: 'is_identity', type: 'text'},
+            {name: 'identity_generation', type: 'text'},
+        ],
+        rows: session => table_schemas(session).flatMap(schema => schema.columns.map((column, i) => {
+            const {type, length, scale} = column;
+            return {
+                ...relation(schema.name),
+                column_name: column.name,
+                ordinal_position: i + 1,
+                // identity is not a default in postgres
+                column_default: column.default != null && !column.identity ? expression(column.default) : null,
+                is_nullable: column.not_null ? 'NO' : 'YES',
+                data_type: type.endsWith('[]') ? 'ARRAY' : DATA_TYPES[type] || type,
+                character_maximum_length: ['varchar', 'char'].includes(type) ? length ?? null : null,
+                numeric_precision: INTEGER_PRECISION[type] ?? (type == 'numeric' ? length ?? null : null),
+                numeric_scale: INTEGER_PRECISION[type] ? 0 : (type == 'numeric' ? scale ?? null : null),
+                is_identity: column.identity ? 'YES' : 'NO',
+                identity_generation: column.identity?.toUpperCase() ?? null,
+            };
+        })),
+    },
+    table_constraints: {
+        columns: [
+            {name: 'constraint_catalog', type: 'text'},
+            {name: 'constraint_schema', type: 'text'},
+            {name: 'constraint_name', type: 'text'},
+            {name: 'table_catalog', type: 'text'},
+            {name: 'table_schema', type: 'text'},
+            {name: 'table_name', type: 'text'},
+            {name: 'constraint_type', type: 'text'},
+            {name: 'is_deferrable', type: 'text'},
+            {name: 'initially_deferred', type: 'text'},
+        ],
+        rows: session => table_constraints(session).map(({schema, constraint}) => ({
+            constraint_catalog: 'postgres',
+            constraint_schema: 'public',
+            constraint_name: constraint.name,
+            ...relation(schema.name),
+            constraint_type: constraint.type.toUpperCase(),
+            is_deferrable: 'NO',
+            initially_deferred: 'NO',
+        })),
+    },
+    key_column_usage: {
+        columns: [
+            {name: 'constraint_catalog', type: 'text'},
+            {name: 'constraint_schema', type: 'text'},
+            {name: 'constraint_name', type: 'text'},
+            {name: 'table_catalog', type: 'text'},
+            {name: 'table_schema', type: 'text'},
+            {name: 'table_name', type: 'text'},
+            {name: 'column_name', type: 'text'},
+            {name: 'ordinal_position', type: 'integer'},
+        ],
+        rows: session => table_constraints(session)
+            .filter(({constraint}) => constraint.type != 'check')
+            .flatMap(({schema, constraint}) => constraint.columns.map((column, i) => ({
+                constraint_catalog: 'postgres',
+                constraint_schema: 'public',
+                constraint_name: constraint.name,
+                ...relation(schema.name),
+                column_name: column,
+                ordinal_position: i + 1,
+            }))),
+    },
+    sequences: {
+        columns: [
+            {name: 'sequence_catalog', type: 'text'},
+            {name: 'sequence_schema', type: 'text'},
+            {name: 'sequence_name', type: 'text'},
+            {name: 'data_type', type: 'text'},
+            {name: 'start_value', type: 'text'},
+            {name: 'minimum_value', type: 'text'},
+            {name: 'maximum_value', type: 'text'},
+            {name: 'increment', type: 'text'},
+            {name: 'cycle_option', type: 'text'},
+        ],
+        rows: session => [...session.sequences.values()].map(({name, options}) => ({
+            sequence_catalog: 'postgres',
+            sequence_schema: 'public',
+            sequence_name: name,
+            data_type: options.type,
+            start_value: String(options.start),
+            minimum_value: String(options.min),
+            maximum_value: String(options.max),
+            increment: String(options.increment),
+            cycle_option: options.cycle ? 'YES' : 'NO',
+        })),
+    },
+};
+
+/**
+ * Returns view of information_schema, used by migration tools and ORMs to inspect database
+ * @param name {string} - view name
+ * @returns {{columns: {name: string, type: string}[], rows: (session: Session) => {}[]}}
+ */
+function information_schema_view(name) {
+    const view = VIEWS[name];
+    if (!view)
+        throw pg_error('42P01', `relation "information_schema.${name}" does not exist`);
+    return view;
+}
+
+module.exports = {
+    information_schema_view,
+};
@@ -0,0 +1,374 @@
+const {Parser, AST} = require('node-sql-parser');
+const {pg_error} = require('./errors.js');
+
+/**
+ * Rewrites SQL syntax unsupported by node-sql-parser into equivalent supported one.
+ * Pairs of regular expression and replacement
+ * @type {[RegExp, string | ((substring: string, ...args: any[]) => string)][]}
+ */
+const REWRITES = [
+    // GENERATED { ALWAYS | BY DEFAULT } AS IDENTITY [ ( sequence options ) ]
+    // becomes marker function resolved by schema.js
+    [
+        /\bgenerated\s+(always|by\s+default)\s+as\s+identity(?:\s*\(([^)]*)\))?/gi,
+        (match, kind, options = '') => `default pg_mock_identity('${kind.replace(/\s+/, ' ').toLowerCase()}', '${options.trim()}')`,
+    ],
+    // parser takes NATURAL and CROSS as table alias.
+    // CROSS JOIN is the same as comma, join without condition is treated as NATURAL by session.js
+    [/\bcross\s+join\b/gi, ','],
+    [/\bnatural\s+((?:inner|left|right|full)\s+)?(?:outer\s+)?join\b/gi, '$1join'],
+    // parser casts parameters only in select list, but accepts cast of parenthesized one anywhere
+    [/(\$\d+)(?=\s*::)/g, '($1)'],
+    // parser accepts any expression after IS, executor_utils.js treats "IS [NOT]" as "IS [NOT] DISTINCT FROM"
+    [/\bis\s+(not\s+)?distinct\s+from\b/gi, (match, not) => not ? 'is' : 'is not'],
+    // parser supports arrays of some types only, but accepts quoted type name in column definition
+    [/(?<!::\s*)\b(uuid|bool|boolean|date|time|timetz|timestamp|timestamptz|interval|json|jsonb|bytea)\s*((?:\[\])+)/gi, '"$1$2"'],
+    // parser supports typed literals of some types only, "timestamptz '2024-01-01'" becomes cast
+    [/\b(timestamptz|timetz)\s+('(?:[^']|'')*')/gi, '$2::$1'],
+    // parser takes LOCALTIME and LOCALTIMESTAMP without parentheses as column names
+    [/\b(localtime|localtimestamp)\b(?!\s*\()/gi, '$1()'],
+    // foreign key without column list references primary key. Marker column is resolved by session.js
+    [/\b(references\s+(?:(?:public|"public")\.)?(?:"[^"]*"|[\w$]+))(?![\w$"])(?!\s*\()/gi, '$1 ("pg_mock_primary_key")'],
+    // row locking clause is ignored, rows are locked only when changed, see database.js
+    [/\s+for\s+(?:update|no\s+key\s+update|share|key\s+share)(?:\s+of\s+[^;]*?)?(?:\s+nowait|\s+skip\s+locked)?(?=\s*;?\s*$)/gi, ''],
+];
+
+/**
+ * Quoted literals, identifiers, comments and dollar-quoted strings, query text inside them is kept as is
+ * @type {RegExp}
+ */
+const QUOTED = /'(?:[^']|'')*'|"(?:[^"]|"")*"|--[^\n]*|\/\*[\s\S]*?\*\/|(\$(?:[a-z_]\w*)?\$)[\s\S]*?\1/gi;
+
+/**
+ * Statements node-sql-parser can't parse at all. Each returns AST in the same shape parser does
+ * @type {{regex: RegExp, ast: (match: RegExpMatchArray) => AST}[]}
+ */
+const STATEMENTS = [
+    {
+        // parser takes CASCADE of "DROP TABLE" as table alias
+        regex: /^\s*drop\s+(table|sequence|index)\s+(?:concurrently\s+)?(if\s+exists\s+)?(.+?)(?:\s+(cascade|restrict))?\s*;?\s*$/i,
+        ast: match => ({
+            type: 'drop',
+            keyword: match[1].toLowerCase(),
+            prefix: match[2] ? 'IF EXISTS' : null,
+            name: match[3].split(',').map(x => {
+                const [, db, table] = x.trim().match(/^(?:("(?:[^"]|"")*"|[\w$]+)\.)?(.*)$/s);
+                return {db: db ? unquote(db) : null, table: unquote(table), as: null};
+            }),
+            cascade: /cascade/i.test(match[4] || ''),
+        }),
+    },
+    {
+        regex: /^\s*alter\s+table\s+(if\s+exists\s+)?(?:only\s+)?(?:(?:public|"public")\.)?("(?:[^"]|"")*"|[\w$]+)\s+rename\s+(column\s+|constraint\s+)?("(?:[^"]|"")*"|[\w$]+)\s+to\s+("(?:[^"]|"")*"|[\w$]+)\s*;?\s*$/i,
+        ast: match => ({
+            type: 'alter',
+            keyword: 'table',
+            if_exists: match[1] ? 'IF EXISTS' : null,
+            table: [{db: null, table: unquote(match[2]), as: null}],
+            expr: [{
+                action: 'rename',
+                resource: /constraint/i.test(match[3] || '') ? 'constraint' : 'column',
+                old_name: unquote(match[4]),
+                new_name: unquote(match[5]),
+            }],
+        }),
+    },
+];
+
+/**
+ * Dropped column or constraint of ALTER TABLE, "DROP DEFAULT", "DROP NOT NULL" and others of ALTER COLUMN are skipped
+ * @type {RegExp}
+ */
+const ALTER_DROP = /\bdrop\s+(?!(?:default|not|identity|expression)\b)(column\s+|constraint\s+)?(if\s+exists\s+)?("(?:[^"]|"")*"|[\w$]+)(\s+(?:cascade|restrict)\b)?/gi;
+
+/**
+ * Transaction control statements. Parser doesn't support savepoints, "END" and "ABORT",
+ * so all of them are handled here in the same way
+ * @type {{regex: RegExp, statement: (match: RegExpMatchArray) => TransactionStatement}[]}
+ */
+const TRANSACTION_STATEMENTS = [
+    {
+        regex: /^\s*(?:begin|start)(?:\s+(?:work|transaction))?(?:\s+([^;]*?))?\s*;?\s*$/i,
+        statement: match => ({action: 'begin', modes: match[1] || ''}),
+    },
+    {
+        regex: /^\s*(commit|end|rollback|abort)(?:\s+(?:work|transaction))?(?:\s+and\s+(?:no\s+)?chain)?\s*;?\s*$/i,
+        statement: match => ({action: /^(commit|end)$/i.test(match[1]) ? 'commit' : 'rollback'}),
+    },
+    {
+        regex: /^\s*rollback(?:\s+(?:work|transaction))?\s+to(?:\s+savepoint)?\s+(\S+?)\s*;?\s*$/i,
+        statement: match => ({action: 'rollback to', savepoint: unquote(match[1])}),
+    },
+    {
+        regex: /^\s*(savepoint|release(?:\s+savepoint)?)\s+(\S+?)\s*;?\s*$/i,
+        statement: match => ({action: match[1].split(/\s/)[0].toLowerCase(), savepoint: unquote(match[2])}),
+    },
+];
+
+/**
+ * @typedef {object} TransactionStatement
+ * @property action {'begin' | 'commit' | 'rollback' | 'savepoint' | 'rollback to' | 'release'}
+ * @property modes {string | undefined} - transaction modes of "BEGIN", e.g. "isolation level serializable"
+ * @property savepoint {string | undefined} - savepoint name
+ */
+
+/**
+ * Parses transaction control statement
+ * @param sql {string}
+ * @returns {TransactionStatement | null} - null for other statements
+ */
+function parse_transaction(sql) {
+    for (let {regex, statement} of TRANSACTION_STATEMENTS) {
+        const match = sql.match(regex);
+        if (match)
+            return statement(match);
+    }
+    return null;
+}
+
+/**
+ * Run-time parameter statements: "SET", "RESET" and "SHOW"
+ * @type {{regex: RegExp, statement: (match: RegExpMatchArray) => SettingStatement}[]}
+ */
+const SETTING_STATEMENTS = [
+    {
+        regex: /^\s*set\s+(?:(session|local)\s+)?time\s+zone\s+([\s\S]+?)\s*;?\s*$/i,
+        statement: match => ({action: 'set', local: /local/i.test(match[1]), name: 'timezone', value: setting_value(match[2])}),
+    },
+    {
+        regex: /^\s*set\s+(?:(session|local)\s+)?([\w.]+|"[^"]+")\s*(?:\bto\b|=)\s*([\s\S]+?)\s*;?\s*$/i,
+        statement: match => ({action: 'set', local: /local/i.test(match[1]), name: unquote(match[2]), value: setting_value(match[3])}),
+    },
+    {
+        regex: /^\s*(reset|show)\s+([\w.]+|"[^"]+")\s*;?\s*$/i,
+        statement: match => ({action: match[1].toLowerCase(), name: unquote(match[2])}),
+    },
+];
+
+/**
+ * @typedef {object} SettingStatement
+ * @property action {'set' | 'reset' | 'show'}
+ * @property name {string} - lower cased parameter name, "all" for "RESET ALL" and "SHOW ALL"
+ * @property value {string | null | undefined} - new value of "SET", null for DEFAULT
+ * @property local {boolean | undefined} - "SET LOCAL" lasting until the end of transaction
+ */
+
+/**
+ * Parses run-time parameter statement
+ * @param sql {string}
+ * @returns {SettingStatement | null} - null for other statements
+ */
+function parse_setting(sql) {
+    for (let {regex, statement} of SETTING_STATEMENTS) {
+        const match = sql.match(regex);
+        if (match)
+            return statement(match);
+    }
+    return null;
+}
+
+/**
+ * Parses value list of "SET" the way postgres shows it back: string literals are unquoted, items joined by comma
+ * @param text {string}
+ * @returns {string | null} - null for DEFAULT and LOCAL
+ */
+function setting_value(text) {
+    if (/^(default|local)$/i.test(text))
+        return null;
+    const items = text.match(/'(?:[^']|'')*'|"(?:[^"]|"")*"|[^,\s]+/g) || [];
+    return items.map(x => {
+        if (x.startsWith("'"))
+            return x.slice(1, -1).replace(/''/g, "'");
+        // identifiers postgres wouldn't quote lose quotes
+        return /^"[a-z_][a-z0-9_]*"$/.test(x) ? x.slice(1, -1) : x;
+    }).join(', ');
+}
+
+/**
+ * Removes identifier quotes
+ * @param name {string}
+ * @returns {string}
+ */
+function unquote(name) {
+    return /^".*"$/.test(name) ? name.slice(1, -1).replace(/""/g, '"') : name.toLowerCase();
+}
+
+/**
+ * Splits "WITH ... INSERT" and "WITH ... DELETE" queries, parser supports only SELECT and UPDATE after WITH
+ * @param sql {string}
+ * @returns {[string, string] | null} - WITH clause and main statement
+ */
+function split_with(sql) {
+    if (!/^\s*with\b/i.test(sql))
+        return null;
+
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < sql.length; i++) {
+        const char = sql[i];
+        if (quote) {
+            if (char == quote)
+                quote = null;
+            continue;
+        }
+
+        if (char == "'" || char == '"')
+            quote = char;
+        else if (char == '(')
+            depth++;
+        else if (char == ')')
+            depth--;
+        else if (!depth && /\W/.test(sql[i - 1]) && /^(insert|delete)\b/i.test(sql.slice(i)))
+            return [sql.slice(0, i), sql.slice(i)];
+    }
+    return null;
+}
+
+/**
+ * Splits script into statements by semicolons outside of quotes, comments and dollar-quoted strings.
+ * Empty statements and ones consisting of comments only are skipped
+ * @param sql {string}
+ * @returns {string[]}
+ */
+function split_statements(sql) {
+    const statements = [];
+    let start = 0;
+    for (let match of sql.matchAll(new RegExp(QUOTED.source + '|;', 'gi'))) {
+        if (match[0] == ';') {
+            statements.push(sql.slice(start, match.index));
+            start = match.index + 1;
+        }
+    }
+    statements.push(sql.slice(start));
+    return statements
+        .filter(x => x.replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, '').trim())
+        .map(x => x.trim());
+}
+
+/**
+ * Parses SQL query into AST, supporting syntax missing in node-sql-parser
+ * @param parser {Parser}
+ * @param sql {string}
+ * @returns {AST | AST[]}
+ */
+function parse_sql(parser, sql) {
+    for (let {regex, ast} of STATEMENTS) {
+        const match = sql.match(regex);
+        if (match)
+            return ast(match);
+    }
+
+    const with_parts = split_with(sql);
+    if (with_parts) {
+        const ast = parse_sql(parser, with_parts[1]);
+        ast.with = parse_sql(parser, with_parts[0] + ' select 1').with;
+        return ast;
+    }
+
+    // "INSERT ... OVERRIDING { SYSTEM | USER } VALUE" is parsed without the clause, kind is kept in AST
+    const overriding = /^\s*insert\b/i.test(sql) && sql.match(/\boverriding\s+(system|user)\s+value\b/i);
+    if (overriding) {
+        const ast = parse_sql(parser, sql.slice(0, overriding.index) + sql.slice(overriding.index + overriding[0].length));
+        ast.overriding = overriding[1].toLowerCase();
+        return ast;
+    }
+
+    sql = rewrite(sql);
+
+    // "DROP ... { CASCADE | RESTRICT }" of ALTER TABLE and "DROP CONSTRAINT IF EXISTS" are parsed without
+    // these clauses and restored afterward, drop actions of AST are in the same order as in query text
+    const drops = /^\s*alter\s+table\b/i.test(sql)
+        ? [...sql.replace(/'(?:[^']|'')*'/g, x => ' '.repeat(x.length)).matchAll(ALTER_DROP)]
+        : [];
+    if (drops.length) {
+        for (let match of [...drops].reverse())
+            sql = sql.slice(0, match.index) + `drop ${match[1] || ''}${match[3]}` + sql.slice(match.index + match[0].length);
+
+        const ast = astify(parser, sql);
+        ast.expr?.filter(x => x.action == 'drop').forEach((action, i) => {
+            action.if_exists = Boolean(drops[i]?.[2]);
+            action.cascade = /cascade/i.test(drops[i]?.[4] || '');
+        });
+        return ast;
+    }
+
+    // "INTERSECT ALL" and "EXCEPT ALL" are parsed without ALL and restored afterward,
+    // set operations of AST are in the same order as in query text
+    const set_operations = [...sql.replace(/'(?:[^']|'')*'/g, "''").matchAll(/\b(union|intersect|except)(\s+all\b)?/gi)];
+    if (!set_operations.some(x => x[2] && !/union/i.test(x[1])))
+        return astify(parser, sql);
+
+    const ast = astify(parser, sql.replace(/\b(intersect|except)\s+all\b/gi, '$1'));
+    find_set_operations(ast).forEach((node, i) => {
+        if (set_operations[i]?.[2] && !node.set_op.startsWith('union'))
+            node.set_op += ' all';
+    });
+    return ast;
+}
+
+/**
+ * Applies REWRITES outside of quoted literals, identifiers and comments. They are replaced by numbered
+ * placeholders of the same quotes while rewriting, so "select 'a cross join b'" is kept as is
+ * @param sql {string}
+ * @returns {string}
+ */
+function rewrite(sql) {
+    const quoted = [];
+    sql = sql.replace(QUOTED, text => {
+        quoted.push(text);
+        return text[0] == '"' ? `"\u0001${quoted.length - 1}"` : `'\u0001${quoted.length - 1}'`;
+    });
+    for (let [regex, replacement] of REWRITES)
+        sql = sql.replace(regex, replacement);
+    return sql.replace(/(["'])\u0001(\d+)\1/g, (match, quote, i) => quoted[i]);
+}
+
+/**
+ * Parses SQL with node-sql-parser, reporting syntax errors the way postgres does
+ * @param parser {Parser}
+ * @param sql {string}
+ * @returns {AST | AST[]}
+ */
+function astify(parser, sql) {
+    try {
+        // statement followed by semicolon is parsed into list of one statement
+        const ast = parser.astify(sql, {database: 'PostgresQL'});
+        return Array.isArray(ast) && ast.length == 1 ? ast[0] : ast;
+    } catch (e) {
+        // parser checks column count of scalar subquery itself
+        if (e.message == 'invalid column clause with select statement')
+            throw pg_error('42601', 'subquery must return only one column');
+        if (e.name != 'SyntaxError' || !e.location)
+            throw e;
+
+        const offset = e.location.start.offset + sql.slice(e.location.start.offset).match(/^\s*/)[0].length;
+        const token = sql.slice(offset).match(/^(?:[\w$]+|'(?:[^']|'')*'|"[^"]*"|\S)/)?.[0];
+        throw pg_error('42601', token ? `syntax error at or near "${token}"` : 'syntax error at end of input', {
+            position: String(offset + 1),
+        });
+    }
+}
+
+/**
+ * Returns select nodes followed by set operation in query text order
+ * @param node {any} - AST node
+ * @returns {Select[]}
+ */
+function find_set_operations(node) {
+    if (!node || typeof node != 'object')
+        return [];
+
+    // set operation goes after select body and before the next select
+    const {_next, ...rest} = node;
+    const result = Object.values(rest).flatMap(find_set_operations);
+    if (_next)
+        result.push(node, ...find_set_operations(_next));
+    return result;
+}
+
+module.exports = {
+    parse_sql,
+    parse_transaction,
+    parse_setting,
+    split_statements,
+};
@@ -0,0 +1,382 @@
+const _ = require('lodash');
+const Session = require('./session.js');
+const {pg_error} = require('./errors.js');
+const {Clock} = require('./datetime.js');
+const {AdvisoryLocks} = require('./advisory_locks.js');
+
+/**
+ * @typedef {object} Transaction
+ * @property session {Session} - session with transaction own copy of database state
+ * @property base {SessionState} - committed state transaction changes are based on
+ * @property isolation {'read uncommitted' | 'read committed' | 'repeatable read' | 'serializable'}
+ * @property aborted {boolean} - statement failed, only rollback is allowed
+ * @property savepoints {{name: string, state: SessionState}[]}
+ * @property locks {Set<any>} - committed rows changed by transaction
+ * @property waiting_for {Transaction | null} - transaction holding row lock the statement waits for
+ * @property finished {Promise<void>} - resolved when transaction is committed or rolled back
+ * @property finish {() => void}
+ */
+
+/**
+ * Committed database state captured by Database.snapshot()
+ */
+class DatabaseSnapshot {
+    /**
+     * Tables and schemas, shared with other snapshots while unchanged
+     * @type {SessionState}
+     */
+    state;
+    /**
+     * Copies of sequences. Key = sequence name
+     * @type {Map<string, Sequence>}
+     */
+    sequences;
+
+    /**
+     * @param state {SessionState}
+     * @param sequences {Map<string, Sequence>}
+     */
+    constructor(state, sequences) {
+        this.state = state;
+        this.sequences = sequences;
+    }
+
+    /**
+     * Creates independent database with snapshot content, e.g. for tests running in parallel
+     * @returns {Database}
+     */
+    clone() {
+        const database = new Database();
+        database.restore(this);
+        return database;
+    }
+}
+
+/**
+ * In-memory database shared by clients. Stores committed data,
+ * transactions work on their own copy and merge their changes on commit
+ */
+class Database {
+    /**
+     * Clock for now() and other date/time functions
+     * @type {Clock}
+     */
+    #clock = new Clock();
+    /**
+     * Advisory locks taken by clients
+     * @type {AdvisoryLocks}
+     */
+    #advisory_locks = new AdvisoryLocks();
+    /**
+     * Session with committed data
+     * @type {Session}
+     */
+    #session = new Session({clock: this.#clock, advisory_locks: this.#advisory_locks});
+    /**
+     * Row locks. Key = committed row changed by not finished transaction, value = transaction
+     * @type {Map<any, Transaction>}
+     */
+    #locks = new Map();
+
+    /**
+     * Session with committed data
+     * @returns {Session}
+     */
+    get session() {
+        return this.#session;
+    }
+
+    /**
+     * Clock for now() and other date/time functions, can be frozen and moved in tests
+     * @returns {Clock}
+     */
+    get clock() {
+        return this.#clock;
+    }
+
+    /**
+     * Advisory locks taken by clients, released on disconnect
+     * @returns {AdvisoryLocks}
+     */
+    get advisory_locks() {
+        return this.#advisory_locks;
+    }
+
+    /**
+     * Captures committed tables, schemas and sequences. Unchanged tables are shared with
+     * the previous snapshot, so taking snapshot costs as much as data changed since it
+     * @returns {DatabaseSnapshot}
+     */
+    snapshot() {
+        const sequences = [...this.#session.sequences].map(([name, sequence]) => [name, sequence.clone()]);
+        return new DatabaseSnapshot(this.#session.snapshot(), new Map(sequences));
+    }
+
+    /**
+     * Returns committed tables, schemas and sequences to snapshot state.
+     * Only tables changed since the snapshot are copied
+     * @param snapshot {DatabaseSnapshot}
+     */
+    restore(snapshot) {
+        this.#session.restore(snapshot.state);
+        const sequences = this.#session.sequences;
+        sequences.clear();
+        for (let [name, sequence] of snapshot.sequences)
+            sequences.set(name, sequence.clone());
+    }
+
+    /**
+     * Drops all tables and sequences
+     */
+    reset() {
+        this.restore(new DatabaseSnapshot({tables: new Map(), schemas: new Map()}, new Map()));
+    }
+
+    /**
+     * Starts transaction
+     * @param isolation {Transaction['isolation']}
+     * @param read_only {boolean} - "BEGIN READ ONLY" transaction can't change data
+     * @returns {Transaction}
+     */
+    begin(isolation = 'read committed', read_only = false) {
+        let finish;
+        const finished = new Promise(resolve => finish = resolve);
+        return {
+            session: this.#session.fork({read_only}),
+            base: this.#session.snapshot(),
+            // postgres has no dirty reads, read uncommitted works as read committed
+            isolation: isolation == 'read uncommitted' ? 'read committed' : isolation,
+            aborted: false,
+            savepoints: [],
+            locks: new Set(),
+            waiting_for: null,
+            finished,
+            finish,
+        };
+    }
+
+    /**
+     * Executes query. Statements outside of transaction are committed immediately
+     * @param sql {string}
+     * @param args {[]}
+     * @param transaction {Transaction | null}
+     * @param client {any} - client executing query, owner of advisory locks
+     * @returns {Promise<PgResult | PgResult[]>}
+     */
+    async query(sql, args, transaction = null, client = undefined) {
+        if (!transaction) {
+            // nobody can conflict with the statement
+            if (!this.#locks.size)
+                return await this.#session.query(sql, args, client);
+
+            const implicit = this.begin();
+            try {
+                const result = await this.query(sql, args, implicit, client);
+                this.commit(implicit);
+                return result;
+            } catch (e) {
+                this.rollback(implicit);
+                throw e;
+            }
+        }
+
+        for (;;) {
+            // read committed statement sees everything committed before it started
+            if (transaction.isolation == 'read committed')
+                this.#rebase(transaction);
+
+            const before = transaction.session.snapshot();
+            let result;
+            try {
+                result = await transaction.session.query(sql, args, client);
+            } catch (e) {
+                transaction.session.restore(before);
+                throw e;
+            }
+
+            const changed = this.#changed_rows(transaction, before);
+            const owner = changed.map(x => this.#locks.get(x)).find(x => x && x != transaction);
+            if (owner) {
+                // waiting for concurrent transaction and repeating statement over its result
+                transaction.session.restore(before);
+                // transactions waiting for each other never finish, the one closing the cycle fails
+                for (let waiting = owner; waiting; waiting = waiting.waiting_for) {
+                    if (waiting.waiting_for == transaction) {
+                        throw pg_error('40P01', 'deadlock detected', {
+                            detail: 'Transaction waits for row lock held by another transaction, which waits for this one.',
+                            hint: 'See server log for query details.',
+                        });
+                    }
+                }
+                transaction.waiting_for = owner;
+                try {
+                    await owner.finished;
+                } finally {
+                    transaction.waiting_for = null;
+                }
+                continue;
+            }
+
+            if (transaction.isolation != 'read committed' && this.#has_concurrent_changes(changed)) {
+                transaction.session.restore(before);
+                throw pg_error('40001', 'could not serialize access due to concurrent update');
+            }
+
+            for (let row of changed) {
+                this.#locks.set(row, transaction);
+                transaction.locks.add(row);
+            }
+            return result;
+        }
+    }
+
+    /**
+     * Merges transaction changes into committed data
+     * @param transaction {Transaction}
+     */
+    commit(transaction) {
+        try {
+            const committed = this.#session.snapshot();
+            const concurrent = [...committed.tables].some(([name, rows]) => !this.#same_rows(rows, transaction.base.tables.get(name)));
+            this.#session.restore(this.#merge(committed, transaction.base, transaction.session.snapshot()));
+
+            // concurrent changes could break constraints, e.g. the same key inserted twice
+            if (concurrent) {
+                try {
+                    this.#session.check_constraints();
+                } catch (e) {
+                    this.#session.restore(committed);
+                    throw e;
+                }
+            }
+        } finally {
+            this.#finish(transaction);
+        }
+    }
+
+    /**
+     * Discards transaction changes
+     * @param transaction {Transaction}
+     */
+    rollback(transaction) {
+        this.#finish(transaction);
+    }
+
+    /**
+     * Releases transaction locks
+     * @param transaction {Transaction}
+     */
+    #finish(transaction) {
+        for (let row of transaction.locks)
+            this.#locks.delete(row);
+        transaction.locks.clear();
+        transaction.finish();
+    }
+
+    /**
+     * Moves transaction changes on top of current committed data
+     * @param transaction {Transaction}
+     */
+    #rebase(transaction) {
+        const committed = this.#session.snapshot();
+        transaction.session.restore(this.#merge(committed, transaction.base, transaction.session.snapshot()));
+        transaction.base = committed;
+    }
+
+    /**
+     * Returns committed rows changed or deleted by the last transaction statement
+     * @param transaction {Transaction}
+     * @param before {SessionState} - transaction state before statement
+     * @returns {any[]}
+     */
+    #changed_rows(transaction, before) {
+        const result = [];
+        for (let [name, rows] of before.tables) {
+            const after = new Set(transaction.session.tables.get(name));
+            const base = new Set(transaction.base.tables.get(name));
+            result.push(...rows.filter(x => !after.has(x) && base.has(x)));
+        }
+        return result;
+    }
+
+    /**
+     * Checks if rows were changed by transactions committed after they were read
+     * @param rows {any[]}
+     * @returns {boolean}
+     */
+    #has_concurrent_changes(rows) {
+        if (!rows.length)
+            return false;
+        const committed = new Set([...this.#session.tables.values()].flat());
+        return rows.some(x => !committed.has(x));
+    }
+
+    /**
+     * Applies changes made over base state to committed state
+     * @param committed {SessionState} - current committed state
+     * @param base {SessionState} - committed state changes are based on
+     * @param changed {SessionState} - base state with changes
+     * @returns {SessionState}
+     */
+    #merge(committed, base, changed) {
+        const tables = new Map();
+        for (let name of _.uniq([...changed.tables.keys(), ...committed.tables.keys()])) {
+            const ours = changed.tables.get(name);
+            const theirs = committed.tables.get(name);
+            const original = base.tables.get(name);
+
+            // table created or dropped by one side
+            if (!ours || !theirs || !original) {
+                if (!original)
+                    tables.set(name, ours || theirs);
+                continue;
+            }
+            // snapshots share arrays of unchanged tables
+            if (ours === original || theirs === original) {
+                tables.set(name, ours === original ? theirs : ours);
+                continue;
+            }
+
+            // keeping our rows order, rows changed by others replace their previous versions at the end
+            const original_set = new Set(original);
+            const theirs_set = new Set(theirs);
+            const removed = new Set(original.filter(x => !theirs_set.has(x)));
+            tables.set(name, [
+                ...ours.filter(x => !removed.has(x)),
+                ...theirs.filter(x => !original_set.has(x)),
+            ]);
+        }
+
+        // schemas map is shared by snapshots until any schema changes
+        let schemas = committed.schemas;
+        const names = changed.schemas === base.schemas ? [] : _.uniq([...changed.schemas.keys(), ...base.schemas.keys()]);
+        for (let name of names) {
+            const ours = changed.schemas.get(name);
+            if (_.isEqual(ours, base.schemas.get(name)))
+                continue;
+            if (schemas === committed.schemas)
+                schemas = new Map(committed.schemas);
+            if (ours)
+                schemas.set(name, ours);
+            else
+                schemas.delete(name);
+        }
+
+        return {tables, schemas};
+    }
+
+    /**
+     * Checks if arrays have the same rows in the same order
+     * @param a {[] | undefined}
+     * @param b {[] | undefined}
+     * @returns {boolean}
+     */
+    #same_rows(a, b) {
+        return a?.length == b?.length && (!a || a.every((x, i) => x === b[i]));
+    }
+}
+
+module.exports = {
+    Database,
+    DatabaseSnapshot,
+};
@@ -0,0 +1,986 @@
+const _ = require('lodash');
+const {pg_error} = require('./errors.js');
+
+// Session time zone is UTC: timestamps without time zone keep wall clock time in UTC fields of Date,
+// dates are 'YYYY-MM-DD' strings, times are 'HH:MM:SS' strings
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const DATE_REGEX = /^(\d{4,})-(\d{1,2})-(\d{1,2})$/;
+const TIMESTAMP_REGEX = /^(\d{4,})-(\d{1,2})-(\d{1,2})(?:(?:\s+|T)(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|UTC|GMT|[+-]\d{1,2}(?::?\d{2})?)?$/i;
+const TIME_REGEX = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?\s*(Z|UTC|[+-]\d{1,2}(?::?\d{2})?)?$/i;
+// time value the way time and timetz columns keep it: "13:45:00", "13:45:00.5+00"
+const TIME_VALUE_REGEX = /^(\d{2}:\d{2}:\d{2}(?:\.\d+)?)([+-]\d{2}(?::?\d{2})?)?$/;
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Interval units, key = unit name or abbreviation postgres accepts, value = canonical unit
+ * @type {{[key: string]: string}}
+ */
+const INTERVAL_UNITS = {
+    microsecond: 'microsecond', microseconds: 'microsecond', us: 'microsecond', usec: 'microsecond', usecs: 'microsecond',
+    millisecond: 'millisecond', milliseconds: 'millisecond', ms: 'millisecond', msec: 'millisecond', msecs: 'millisecond',
+    second: 'second', seconds: 'second', sec: 'second', secs: 'second', s: 'second',
+    minute: 'minute', minutes: 'minute', min: 'minute', mins: 'minute', m: 'minute',
+    hour: 'hour', hours: 'hour', hr: 'hour', hrs: 'hour', h: 'hour',
+    day: 'day', days: 'day', d: 'day',
+    week: 'week', weeks: 'week', w: 'week',
+    month: 'month', months: 'month', mon: 'month', mons: 'month',
+    year: 'year', years: 'year', yr: 'year', yrs: 'year', y: 'year',
+    decade: 'decade', decades: 'decade',
+    century: 'century', centuries: 'century',
+    millennium: 'millennium', millennia: 'millennium', millenniums: 'millennium',
+};
+
+/**
+ * Interval value. Like in postgres, months, days and time are kept apart,
+ * since month and day have different length depending on date they are added to
+ */
+class Interval {
+    /** @type {number}*/
+    months;
+    /** @type {number}*/
+    days;
+    /** @type {number}*/
+    milliseconds;
+
+    /**
+     * @param months {number}
+     * @param days {number}
+     * @param milliseconds {number}
+     */
+    constructor(months = 0, days = 0, milliseconds = 0) {
+        this.months = months;
+        this.days = days;
+        // microsecond precision
+        this.milliseconds = Math.round(milliseconds * 1000) / 1000;
+    }
+
+    /**
+     * Length used for comparison, postgres counts month as 30 days
+     * @returns {number}
+     */
+    valueOf() {
+        return (this.months * 30 + this.days) * DAY + this.milliseconds;
+    }
+
+    toString() {
+        return format_interval(this);
+    }
+}
+
+/**
+ * Parses timestamp text. Time zone offset is applied for timestamptz and ignored for timestamp
+ * @param text {string}
+ * @param type {'timestamp' | 'timestamptz'}
+ * @returns {Date}
+ */
+function parse_timestamp(text, type = 'timestamptz') {
+    const type_name = type == 'timestamp' ? 'timestamp without time zone' : 'timestamp with time zone';
+    const match = text.trim().match(TIMESTAMP_REGEX);
+    if (!match)
+        throw pg_error('22007', `invalid input syntax for type ${type_name}: "${text}"`);
+
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0, fraction = '', zone] = match;
+    if (+month < 1 || +month > 12 || +day < 1 || +day > days_in_month(+year, +month - 1) || +hours > 24 || +minutes > 59 || +seconds > 60)
+        throw pg_error('22008', `date/time field value out of range: "${text}"`);
+
+    // Date.UTC takes years 0-99 as 1900-1999
+    const date = new Date(Date.UTC(2000, +month - 1, +day, +hours, +minutes, +seconds));
+    date.setUTCFullYear(+year);
+    return new Date(date.getTime() + +('0.' + fraction) * SECOND - (type == 'timestamptz' ? zone_offset(zone) : 0));
+}
+
+/**
+ * Returns time zone offset in milliseconds, e.g. "+02:00", "-0530", "Z"
+ * @param zone {string | undefined}
+ * @returns {number}
+ */
+function zone_offset(zone) {
+    if (!zone || /^(z|utc|gmt)$/i.test(zone))
+        return 0;
+    const [, sign, hours, minutes = 0] = zone.match(/^([+-])(\d{1,2}):?(\d{2})?$/);
+    return (sign == '-' ? -1 : 1) * (hours * HOUR + minutes * MINUTE);
+}
+
+/**
+ * Parses date text, time part of timestamp is dropped
+ * @param text {string}
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+function parse_date(text) {
+    const match = text.trim().match(TIMESTAMP_REGEX);
+    if (!match)
+        throw pg_error('22007', `invalid input syntax for type date: "${text}"`);
+    const [, year, month, day] = match;
+    if (+month < 1 || +month > 12 || +day < 1 || +day > days_in_month(+year, +month - 1))
+        throw pg_error('22008', `date/time field value out of range: "${text}"`);
+    return `${year.padStart(4, '0')}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Parses time of day text, time zone is dropped
+ * @param text {string}
+ * @returns {string} - 'HH:MM:SS' with optional fraction
+ */
+function parse_time(text) {
+    const match = text.trim().match(TIME_REGEX) || text.trim().match(TIMESTAMP_REGEX)?.slice(3);
+    if (!match || match[1] == null)
+        throw pg_error('22007', `invalid input syntax for type time: "${text}"`);
+    const [, hours, minutes, seconds = 0, fraction = ''] = match;
+    if (+hours > 24 || +minutes > 59 || +seconds > 60)
+        throw pg_error('22008', `date/time field value out of range: "${text}"`);
+    return format_time(+hours * HOUR + +minutes * MINUTE + +seconds * SECOND + +('0.' + fraction) * SECOND);
+}
+
+/**
+ * Parses interval text in postgres format: "1 year 2 mons 3 days 04:05:06", "2 hours 30 minutes", "1 day ago"
+ * @param text {string}
+ * @param unit {string | undefined} - unit of bare number, like in "interval '1' day"
+ * @returns {Interval}
+ */
+function parse_interval(text, unit = undefined) {
+    const error = () => pg_error('22007', `invalid input syntax for type interval: "${text}"`);
+    let source = ('' + text).trim().toLowerCase().replace(/^@\s*/, '');
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(source))
+        source += ' ' + (unit || 'second');
+    if (!source)
+        throw error();
+
+    let months = 0;
+    let days = 0;
+    let milliseconds = 0;
+    const add_days = amount => {
+        days += Math.trunc(amount);
+        milliseconds += (amount % 1) * DAY;
+    };
+    const add_months = amount => {
+        months += Math.trunc(amount);
+        add_days((amount % 1) * 30);
+    };
+
+    const regex = /\s*(?:([+-]?(?:\d+\.?\d*|\.\d+))\s*([a-z]+)|([+-])?(\d+):(\d+)(?::(\d+(?:\.\d+)?))?|(ago))\s*,?/y;
+    let ago = false;
+    while (regex.lastIndex < source.length) {
+        const match = regex.exec(source);
+        if (!match)
+            throw error();
+
+        const [, amount, unit_name, sign, hours, minutes, seconds = 0, is_ago] = match;
+        if (is_ago) {
+            ago = true;
+        } else if (hours != null) {
+            milliseconds += (sign == '-' ? -1 : 1) * (hours * HOUR + minutes * MINUTE + seconds * SECOND);
+        } else {
+            const value = +amount;
+            switch (INTERVAL_UNITS[unit_name]) {
+                case 'microsecond':
+                    milliseconds += value / 1000;
+                    break;
+                case 'millisecond':
+                    milliseconds += value;
+                    break;
+                case 'second':
+                    milliseconds += value * SECOND;
+                    break;
+                case 'minute':
+                    milliseconds += value * MINUTE;
+                    break;
+                case 'hour':
+                    milliseconds += value * HOUR;
+                    break;
+                case 'day':
+                    add_days(value);
+                    break;
+                case 'week':
+                    add_days(value * 7);
+                    break;
+                case 'month':
+                    add_months(value);
+                    break;
+                case 'year':
+                    add_months(value * 12);
+                    break;
+                case 'decade':
+                    add_months(value * 120);
+                    break;
+                case 'century':
+                    add_months(value * 1200);
+                    break;
+                case 'millennium':
+                    add_months(value * 12000);
+                    break;
+                default:
+                    throw error();
+            }
+        }
+    }
+
+    const sign = ago ? -1 : 1;
+    return new Interval(sign * months || 0, sign * days || 0, sign * milliseconds || 0);
+}
+
+/**
+ * Creates interval from object with fields, the form node-postgres returns intervals in
+ * @param value {{years?: number, months?: number, days?: number, hours?: number, minutes?: number,
+ * seconds?: number, milliseconds?: number}}
+ * @returns {Interval}
+ */
+function interval_from_object(value) {
+    const {years = 0, months = 0, days = 0, hours = 0, minutes = 0, seconds = 0, milliseconds = 0} = value;
+    return new Interval(years * 12 + months, days, hours * HOUR + minutes * MINUTE + seconds * SECOND + milliseconds);
+}
+
+/**
+ * Converts interval into object with non-zero fields, like node-postgres returns it
+ * @param interval {Interval}
+ * @returns {{years?: number, months?: number, days?: number, hours?: number, minutes?: number,
+ * seconds?: number, milliseconds?: number}}
+ */
+function interval_object(interval) {
+    const time = Math.abs(interval.milliseconds);
+    const sign = interval.milliseconds < 0 ? -1 : 1;
+    const fields = {
+        years: Math.trunc(interval.months / 12),
+        months: interval.months % 12,
+        days: interval.days,
+        hours: sign * Math.floor(time / HOUR),
+        minutes: sign * Math.floor(time % HOUR / MINUTE),
+        seconds: sign * Math.floor(time % MINUTE / SECOND),
+        milliseconds: sign * Math.round(time % SECOND * 1000) / 1000,
+    };
+    return _.pickBy(fields, x => x != 0);
+}
+
+/**
+ * Returns number of days in month
+ * @param year {number}
+ * @param month {number} - zero based month
+ * @returns {number}
+ */
+function days_in_month(year, month) {
+    const date = new Date(Date.UTC(2000, month + 1, 0));
+    date.setUTCFullYear(year, month + 1, 0);
+    return date.getUTCDate();
+}
+
+/**
+ * Formats date part of timestamp
+ * @param date {Date}
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+function format_date(date) {
+    return date.getUTCFullYear().toString().padStart(4, '0') + '-'
+        + (date.getUTCMonth() + 1).toString().padStart(2, '0') + '-'
+        + date.getUTCDate().toString().padStart(2, '0');
+}
+
+/**
+ * Formats time of day, fraction of second is written only when present
+ * @param milliseconds {number} - milliseconds since midnight
+ * @returns {string} - 'HH:MM:SS' with optional fraction
+ */
+function format_time(milliseconds) {
+    const seconds = Math.floor(milliseconds % MINUTE / SECOND);
+    const fraction = Math.round(milliseconds % SECOND * 1000);
+    return [Math.floor(milliseconds / HOUR), Math.floor(milliseconds % HOUR / MINUTE), seconds]
+        .map(x => x.toString().padStart(2, '0'))
+        .join(':')
+        + (fraction ? '.' + fraction.toString().padStart(6, '0').replace(/0+$/, '') : '');
+}
+
+/**
+ * Formats timestamp the way postgres outputs it: "2024-01-31 10:00:00+00"
+ * @param date {Date}
+ * @param with_zone {boolean} - timestamptz has UTC offset
+ * @returns {string}
+ */
+function format_timestamp(date, with_zone = true) {
+    return format_date(date) + ' ' + format_time(date.getTime() - Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+        + (with_zone ? '+00' : '');
+}
+
+/**
+ * Formats interval the way postgres outputs it: "1 year 2 mons 3 days 04:05:06"
+ * @param interval {Interval}
+ * @returns {string}
+ */
+function format_interval(interval) {
+    const parts = [];
+    const add = (value, unit) => {
+        if (value)
+            parts.push(`${value} ${unit}${value == 1 ? '' : 's'}`);
+    };
+    add(Math.trunc(interval.months / 12), 'year');
+    add(interval.months % 12, 'mon');
+    add(interval.days, 'day');
+
+    if (interval.milliseconds || !parts.length)
+        parts.push((interval.milliseconds < 0 ? '-' : '') + format_time(Math.abs(interval.milliseconds)));
+    return parts.join(' ');
+}
+
+/**
+ * Converts date string of date type into timestamp at midnight
+ * @param value {string | Date}
+ * @returns {Date}
+ */
+function to_timestamp(value) {
+    return value instanceof Date ? value : parse_timestamp(value, 'timestamp');
+}
+
+/**
+ * Adds interval to timestamp. Months go first and keep day of month when possible, like postgres does:
+ * "2024-01-31" + "1 month" is "2024-02-29"
+ * @param date {Date}
+ * @param interval {Interval}
+ * @param sign {1 | -1} - -1 subtracts interval
+ * @returns {Date}
+ */
+function add_interval(date, interval, sign = 1) {
+    const result = new Date(date.getTime());
+    if (interval.months) {
+        const day = result.getUTCDate();
+        result.setUTCDate(1);
+        result.setUTCMonth(result.getUTCMonth() + sign * interval.months);
+        result.setUTCDate(Math.min(day, days_in_month(result.getUTCFullYear(), result.getUTCMonth())));
+    }
+    result.setTime(result.getTime() + sign * (interval.days * DAY + interval.milliseconds));
+    return result;
+}
+
+/**
+ * Multiplies interval by number, fractions of months and days spill over into days and time
+ * @param interval {Interval}
+ * @param factor {number}
+ * @returns {Interval}
+ */
+function scale_interval(interval, factor) {
+    const months = interval.months * factor;
+    const days = interval.days * factor + (months % 1) * 30;
+    const milliseconds = interval.milliseconds * factor + (days % 1) * DAY;
+    return new Interval(Math.trunc(months) || 0, Math.trunc(days) || 0, milliseconds || 0);
+}
+
+/**
+ * Checks if value is date type value
+ * @param value {any}
+ * @returns {boolean}
+ */
+function is_date(value) {
+    return typeof value == 'string' && DATE_REGEX.test(value);
+}
+
+/**
+ * Checks if value is time or timetz type value. Strings of unknown type are taken as time when they look like one,
+ * untyped literals are not
+ * @param value {any}
+ * @param type {string | undefined} - expression type when known
+ * @returns {boolean}
+ */
+function is_time(value, type) {
+    if (type == 'time' || type == 'timetz')
+        return true;
+    return type == null && typeof value == 'string' && TIME_VALUE_REGEX.test(value);
+}
+
+/**
+ * Returns milliseconds since midnight of time value
+ * @param value {string}
+ * @returns {number}
+ */
+function time_of_day(value) {
+    const [, hours, minutes, seconds = 0, fraction = ''] = value.match(TIME_REGEX);
+    return +hours * HOUR + +minutes * MINUTE + +seconds * SECOND + +('0.' + fraction) * SECOND;
+}
+
+/**
+ * Adds interval to time, wrapping around midnight. Months and days of interval are ignored, like postgres does
+ * @param value {string} - time, time zone of timetz is kept
+ * @param interval {Interval}
+ * @param sign {1 | -1} - -1 subtracts interval
+ * @returns {string}
+ */
+function add_time(value, interval, sign = 1) {
+    const zone = value.match(TIME_VALUE_REGEX)?.[2] || '';
+    const milliseconds = (time_of_day(value) + sign * interval.milliseconds) % DAY;
+    return format_time(milliseconds < 0 ? milliseconds + DAY : milliseconds) + zone;
+}
+
+/**
+ * Checks if arithmetic operator applies to date, time, timestamp or interval
+ * @param left {any}
+ * @param right {any}
+ * @param operator {string}
+ * @param types {(string | undefined)[]} - operand types when known
+ * @returns {boolean}
+ */
+function is_datetime_operation(left, right, operator, types = []) {
+    const values = [left, right];
+    if (values.some(x => x instanceof Date || x instanceof Interval))
+        return true;
+    // time ± interval, time - time
+    if (['+', '-'].includes(operator) && values.some((x, i) => types[i] != 'unknown' && is_time(x, types[i])))
+        return true;
+    // date + integer, date - date
+    return ['+', '-'].includes(operator) && values.some(is_date) && values.every(x => is_date(x) || typeof x == 'number');
+}
+
+/**
+ * Calculates arithmetic operator over dates, times, timestamps and intervals
+ * @param left {any}
+ * @param right {any}
+ * @param operator {string}
+ * @param types {(string | undefined)[]} - operand types when known, untyped literals are "unknown"
+ * @returns {Date | Interval | string | number}
+ */
+function datetime_operator(left, right, operator, types = []) {
+    // time ± interval gives time, time - time gives interval. Untyped literal used with time is interval
+    const times = [left, right].map((x, i) => types[i] != 'unknown' && is_time(x, types[i]));
+    if (times.some(Boolean) && ['+', '-'].includes(operator)) {
+        const [time, other] = times[0] ? [left, right] : [right, left];
+        if (times[0] && times[1] && operator == '-')
+            return new Interval(0, 0, time_of_day(left) - time_of_day(right));
+        const interval = typeof other == 'string' && !times.every(Boolean) ? parse_interval(other) : other;
+        if (interval instanceof Interval && (times[0] || operator == '+'))
+            return add_time(time, interval, operator == '-' ? -1 : 1);
+    }
+
+    // untyped literal used with timestamp or interval is interval, e.g. "now() - '1 day'", or timestamp
+    const as_operand = value => {
+        if (typeof value != 'string' || is_date(value))
+            return value;
+        try {
+            return parse_interval(value);
+        } catch (e) {
+            return parse_timestamp(value);
+        }
+    };
+    if ([left, right].some(x => x instanceof Date || x instanceof Interval)) {
+        left = as_operand(left);
+        right = as_operand(right);
+    }
+    const error = () => pg_error('42883', `operator does not exist: ${datetime_type(left)} ${operator} ${datetime_type(right)}`, {
+        hint: 'No operator matches the given name and argument types. You might need to add explicit type casts.',
+    });
+
+    // date ± integer gives date, date - date gives number of days
+    if (is_date(left) && typeof right == 'number' || typeof left == 'number' && is_date(right) && operator == '+') {
+        const [date, days] = is_date(left) ? [left, right] : [right, left];
+        if (!Number.isInteger(days))
+            throw error();
+        return format_date(new Date(to_timestamp(date).getTime() + (operator == '-' ? -days : days) * DAY));
+    }
+    if (is_date(left) && is_date(right) && operator == '-')
+        return Math.round((to_timestamp(left) - to_timestamp(right)) / DAY);
+
+    if (left instanceof Interval && right instanceof Interval && ['+', '-'].includes(operator)) {
+        const sign = operator == '-' ? -1 : 1;
+        return new Interval(left.months + sign * right.months, left.days + sign * right.days, left.milliseconds + sign * right.milliseconds);
+    }
+    if (left instanceof Interval && typeof right == 'number' && ['*', '/'].includes(operator)) {
+        if (operator == '/' && right == 0)
+            throw pg_error('22012', 'division by zero');
+        return scale_interval(left, operator == '*' ? right : 1 / right);
+    }
+    if (typeof left == 'number' && right instanceof Interval && operator == '*')
+        return scale_interval(right, left);
+
+    // timestamp ± interval, interval + timestamp
+    if (right instanceof Interval && (left instanceof Date || is_date(left)) && ['+', '-'].includes(operator))
+        return add_interval(to_timestamp(left), right, operator == '-' ? -1 : 1);
+    if (left instanceof Interval && (right instanceof Date || is_date(right)) && operator == '+')
+        return add_interval(to_timestamp(right), left);
+
+    // timestamp - timestamp gives days and time
+    if ((left instanceof Date || is_date(left)) && (right instanceof Date || is_date(right)) && operator == '-') {
+        const difference = to_timestamp(left) - to_timestamp(right);
+        return new Interval(0, Math.trunc(difference / DAY), difference % DAY);
+    }
+    throw error();
+}
+
+/**
+ * Returns type name of value for error messages
+ * @param value {any}
+ * @returns {string}
+ */
+function datetime_type(value) {
+    if (typeof value == 'string' && TIME_VALUE_REGEX.test(value))
+        return value.match(TIME_VALUE_REGEX)[2] ? 'time with time zone' : 'time without time zone';
+    if (value instanceof Date)
+        return 'timestamp with time zone';
+    if (value instanceof Interval)
+        return 'interval';
+    if (is_date(value))
+        return 'date';
+    return typeof value == 'number' ? (Number.isInteger(value) ? 'integer' : 'numeric') : 'text';
+}
+
+/**
+ * Calculates symbolic difference in years, months and days, like age() does
+ * @param end {Date | string}
+ * @param start {Date | string}
+ * @returns {Interval}
+ */
+function age(end, start) {
+    end = to_timestamp(end);
+    start = to_timestamp(start);
+    if (end < start) {
+        const result = age(start, end);
+        return new Interval(-result.months, -result.days, -result.milliseconds);
+    }
+
+    const time_of_day = date => date.getTime() - Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+    let days = end.getUTCDate() - start.getUTCDate();
+    let milliseconds = time_of_day(end) - time_of_day(start);
+    if (milliseconds < 0) {
+        milliseconds += DAY;
+        days--;
+    }
+    // borrowed month has length of start month
+    if (days < 0) {
+        days += days_in_month(start.getUTCFullYear(), start.getUTCMonth());
+        months--;
+    }
+    return new Interval(months, days, milliseconds);
+}
+
+/**
+ * Truncates timestamp to precision, like date_trunc() does. Weeks start on Monday
+ * @param field {string} - precision: microseconds, milliseconds, second, minute, hour, day, week, month,
+ * quarter, year, decade, century, millennium
+ * @param value {Date | string}
+ * @returns {Date}
+ */
+function date_trunc(field, value) {
+    const date = to_timestamp(value);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    const utc = (...fields) => {
+        const result = new Date(Date.UTC(2000, ...fields.slice(1)));
+        result.setUTCFullYear(fields[0]);
+        return result;
+    };
+
+    switch (INTERVAL_UNITS[field.toLowerCase()]) {
+        case 'microsecond':
+            return new Date(date);
+        case 'millisecond':
+            return new Date(Math.floor(date.getTime()));
+        case 'second':
+            return new Date(Math.floor(date.getTime() / SECOND) * SECOND);
+        case 'minute':
+            return new Date(Math.floor(date.getTime() / MINUTE) * MINUTE);
+        case 'hour':
+            return new Date(Math.floor(date.getTime() / HOUR) * HOUR);
+        case 'day':
+            return utc(year, month, day);
+        case 'week':
+            return utc(year, month, day - (date.getUTCDay() + 6) % 7);
+        case 'month':
+            return utc(year, month, 1);
+        case 'year':
+            return utc(year, 0, 1);
+        case 'decade':
+            return utc(Math.floor(year / 10) * 10, 0, 1);
+        case 'century':
+            return utc(Math.floor((year - 1) / 100) * 100 + 1, 0, 1);
+        case 'millennium':
+            return utc(Math.floor((year - 1) / 1000) * 1000 + 1, 0, 1);
+    }
+    if (field.toLowerCase() == 'quarter')
+        return utc(year, month - month % 3, 1);
+    throw pg_error('22023', `unit "${field}" not recognized for type timestamp with time zone`);
+}
+
+/**
+ * Returns ISO 8601 week number and week-numbering year
+ * @param date {Date}
+ * @returns {[number, number]} - week and year
+ */
+function iso_week(date) {
+    // week belongs to the year of its Thursday
+    const thursday = new Date(date.getTime() + (3 - (date.getUTCDay() + 6) % 7) * DAY);
+    const first = new Date(Date.UTC(2000, 0, 1));
+    first.setUTCFullYear(thursday.getUTCFullYear());
+    return [Math.floor((thursday - first) / DAY / 7) + 1, thursday.getUTCFullYear()];
+}
+
+/**
+ * Returns field of timestamp, date, time or interval, like extract() and date_part() do
+ * @param field {string}
+ * @param value {Date | Interval | string} - string is date or time
+ * @returns {number}
+ */
+function extract_field(field, value) {
+    const name = field.toLowerCase();
+    const error = type => pg_error('22023', `unit "${field}" not recognized for type ${type}`);
+
+    if (value instanceof Interval) {
+        const time = value.milliseconds;
+        switch (INTERVAL_UNITS[name] || name) {
+            case 'epoch':
+                return (Math.trunc(value.months / 12) * 365.25 + (value.months % 12) * 30 + value.days) * 86400 + time / SECOND;
+            case 'microsecond':
+                return time % MINUTE * 1000;
+            case 'millisecond':
+                return time % MINUTE;
+            case 'second':
+                return time % MINUTE / SECOND;
+            case 'minute':
+                return Math.trunc(time % HOUR / MINUTE);
+            case 'hour':
+                return Math.trunc(time / HOUR);
+            case 'day':
+                return value.days;
+            case 'month':
+                return value.months % 12;
+            case 'quarter':
+                return Math.floor(value.months % 12 / 3) + 1;
+            case 'year':
+                return Math.trunc(value.months / 12);
+            case 'decade':
+                return Math.trunc(value.months / 120);
+            case 'century':
+                return Math.trunc(value.months / 1200);
+            case 'millennium':
+                return Math.trunc(value.months / 12000);
+            default:
+                throw error('interval');
+        }
+    }
+
+    // time of day
+    if (typeof value == 'string' && TIME_REGEX.test(value.trim())) {
+        const [hours, minutes, seconds] = parse_time(value).split(':').map(Number);
+        switch (INTERVAL_UNITS[name] || name) {
+            case 'epoch':
+                return hours * 3600 + minutes * 60 + seconds;
+            case 'microsecond':
+                return Math.round(seconds * 1_000_000);
+            case 'millisecond':
+                return seconds * 1000;
+            case 'second':
+                return seconds;
+            case 'minute':
+                return minutes;
+            case 'hour':
+                return hours;
+            default:
+                throw error('time without time zone');
+        }
+    }
+
+    const date = to_timestamp(value);
+    const year = date.getUTCFullYear();
+    const seconds = date.getUTCSeconds() + date.getUTCMilliseconds() / 1000;
+    switch (INTERVAL_UNITS[name] || name) {
+        case 'epoch':
+            return date.getTime() / SECOND;
+        case 'microsecond':
+            return Math.round(seconds * 1_000_000);
+        case 'millisecond':
+            return seconds * 1000;
+        case 'second':
+            return seconds;
+        case 'minute':
+            return date.getUTCMinutes();
+        case 'hour':
+            return date.getUTCHours();
+        case 'day':
+            return date.getUTCDate();
+        case 'week':
+            return iso_week(date)[0];
+        case 'month':
+            return date.getUTCMonth() + 1;
+        case 'quarter':
+            return Math.floor(date.getUTCMonth() / 3) + 1;
+        case 'year':
+            return year;
+        case 'decade':
+            return Math.floor(year / 10);
+        case 'century':
+            return Math.ceil(year / 100);
+        case 'millennium':
+            return Math.ceil(year / 1000);
+        case 'dow':
+            return date.getUTCDay();
+        case 'isodow':
+            return date.getUTCDay() || 7;
+        case 'doy':
+            return Math.floor((date - date_trunc('year', date)) / DAY) + 1;
+        case 'isoyear':
+            return iso_week(date)[1];
+        case 'timezone':
+        case 'timezone_hour':
+        case 'timezone_minute':
+            return 0;
+        default:
+            throw error('timestamp with time zone');
+    }
+}
+
+/**
+ * Template patterns of to_char() written as text, their case sets case of the text
+ * @type {string[]}
+ */
+const TO_CHAR_TEXT_PATTERNS = [
+    'MONTH', 'Month', 'month', 'A.M.', 'P.M.', 'a.m.', 'p.m.', 'DAY', 'Day', 'day',
+    'MON', 'Mon', 'mon', 'DY', 'Dy', 'dy', 'AM', 'PM', 'am', 'pm', 'TZ', 'tz',
+];
+
+/**
+ * Numeric template patterns of to_char(), case insensitive. Longer patterns go first
+ * @type {string[]}
+ */
+const TO_CHAR_NUMBER_PATTERNS = [
+    'HH24', 'HH12', 'YYYY', 'IYYY', 'YYY', 'DDD', 'HH', 'MI', 'SS', 'MS', 'US', 'YY', 'MM', 'DD', 'ID', 'IW', 'WW', 'Y', 'D', 'Q',
+];
+
+/**
+ * Formats timestamp with template, like to_char() does.
+ * "FM" prefix suppresses padding, double quoted text is written as is
+ * @param value {Date | string}
+ * @param format {string}
+ * @returns {string}
+ */
+function to_char(value, format) {
+    const date = to_timestamp(value);
+    const hours = date.getUTCHours();
+    const month = MONTH_NAMES[date.getUTCMonth()];
+    const day = DAY_NAMES[date.getUTCDay()];
+    const case_as = (text, pattern) => pattern == pattern.toUpperCase()
+        ? text.toUpperCase()
+        : pattern[0] == pattern[0].toUpperCase() ? text : text.toLowerCase();
+
+    let result = '';
+    for (let i = 0; i < format.length;) {
+        if (format[i] == '"') {
+            const end = format.indexOf('"', i + 1);
+            result += format.slice(i + 1, end < 0 ? undefined : end);
+            i = end < 0 ? format.length : end + 1;
+            continue;
+        }
+        if (format[i] == '\\' && i + 1 < format.length) {
+            result += format[i + 1];
+            i += 2;
+            continue;
+        }
+
+        const fill = !format.startsWith('FM', i);
+        const start = fill ? i : i + 2;
+        const pattern = TO_CHAR_TEXT_PATTERNS.find(x => format.startsWith(x, start))
+            || TO_CHAR_NUMBER_PATTERNS.find(x => format.slice(start).toUpperCase().startsWith(x));
+        if (!pattern) {
+            result += format[i++];
+            continue;
+        }
+        i = start + pattern.length;
+
+        const number = (value, width) => fill ? value.toString().padStart(width, '0') : value.toString();
+        const name = (text, width) => fill ? text.padEnd(width) : text;
+        switch (pattern) {
+            case 'HH24':
+                result += number(hours, 2);
+                break;
+            case 'HH':
+            case 'HH12':
+                result += number(hours % 12 || 12, 2);
+                break;
+            case 'MI':
+                result += number(date.getUTCMinutes(), 2);
+                break;
+            case 'SS':
+                result += number(date.getUTCSeconds(), 2);
+                break;
+            case 'MS':
+                result += number(date.getUTCMilliseconds(), 3);
+                break;
+            case 'US':
+                result += number(date.getUTCMilliseconds() * 1000, 6);
+                break;
+            case 'AM':
+            case 'PM':
+            case 'am':
+            case 'pm':
+            case 'A.M.':
+            case 'P.M.':
+            case 'a.m.':
+            case 'p.m.':
+                const meridiem = pattern.includes('.') ? (hours < 12 ? 'a.m.' : 'p.m.') : (hours < 12 ? 'am' : 'pm');
+                result += pattern == pattern.toUpperCase() ? meridiem.toUpperCase() : meridiem;
+                break;
+            case 'YYYY':
+                result += number(date.getUTCFullYear(), 4);
+                break;
+            case 'IYYY':
+                result += number(iso_week(date)[1], 4);
+                break;
+            case 'YYY':
+            case 'YY':
+            case 'Y':
+                result += number(date.getUTCFullYear() % 10 ** pattern.length, pattern.length);
+                break;
+            case 'MONTH':
+            case 'Month':
+            case 'month':
+                result += name(case_as(month, pattern), 9);
+                break;
+            case 'MON':
+            case 'Mon':
+            case 'mon':
+                result += case_as(month.slice(0, 3), pattern);
+                break;
+            case 'MM':
+                result += number(date.getUTCMonth() + 1, 2);
+                break;
+            case 'DAY':
+            case 'Day':
+            case 'day':
+                result += name(case_as(day, pattern), 9);
+                break;
+            case 'DY':
+            case 'Dy':
+            case 'dy':
+                result += case_as(day.slice(0, 3), pattern);
+                break;
+            case 'DDD':
+                result += number(extract_field('doy', date), 3);
+                break;
+            case 'DD':
+                result += number(date.getUTCDate(), 2);
+                break;
+            case 'D':
+                result += date.getUTCDay() + 1;
+                break;
+            case 'ID':
+                result += date.getUTCDay() || 7;
+                break;
+            case 'IW':
+                result += number(iso_week(date)[0], 2);
+                break;
+            case 'WW':
+                result += number(Math.floor((extract_field('doy', date) - 1) / 7) + 1, 2);
+                break;
+            case 'Q':
+                result += extract_field('quarter', date);
+                break;
+            case 'TZ':
+            case 'tz':
+                result += case_as('UTC', pattern);
+                break;
+        }
+    }
+    return result;
+}
+
+/**
+ * Clock returning current time for now() and other date/time functions.
+ * Time can be frozen and moved, so tests don't depend on real time
+ */
+class Clock {
+    /**
+     * Frozen time, null when clock goes with real time
+     * @type {number | null}
+     */
+    #frozen = null;
+    /**
+     * Shift from real time
+     * @type {number}
+     */
+    #offset = 0;
+
+    /**
+     * Returns current time
+     * @returns {Date}
+     */
+    now() {
+        return new Date(this.#frozen ?? Date.now() + this.#offset);
+    }
+
+    /**
+     * Stops the clock
+     * @param time {Date | string | number} - time to stop at, current time by default
+     */
+    freeze(time = this.now()) {
+        this.#frozen = typeof time == 'string' ? parse_timestamp(time).getTime() : new Date(time).getTime();
+    }
+
+    /**
+     * Moves the clock forward, negative amount moves it back
+     * @param amount {number | string | Interval} - milliseconds or interval, e.g. '1 day'
+     */
+    advance(amount) {
+        const now = this.now();
+        const interval = typeof amount == 'number' ? new Interval(0, 0, amount) : parse_interval_value(amount);
+        const shift = add_interval(now, interval) - now;
+        if (this.#frozen == null)
+            this.#offset += shift;
+        else
+            this.#frozen += shift;
+    }
+
+    /**
+     * Lets the clock go with real time again, keeping shift made by advance()
+     */
+    unfreeze() {
+        if (this.#frozen != null)
+            this.#offset = this.#frozen - Date.now();
+        this.#frozen = null;
+    }
+
+    /**
+     * Returns the clock to real time
+     */
+    reset() {
+        this.#frozen = null;
+        this.#offset = 0;
+    }
+}
+
+/**
+ * Converts interval given as text, node-postgres interval object or Interval
+ * @param value {string | Interval | object}
+ * @returns {Interval}
+ */
+function parse_interval_value(value) {
+    if (value instanceof Interval)
+        return value;
+    if (_.isPlainObject(value))
+        return interval_from_object(value);
+    return parse_interval('' + value);
+}
+
+module.exports = {
+    SECOND,
+    MINUTE,
+    HOUR,
+    DAY,
+    Interval,
+    Clock,
+    parse_timestamp,
+    parse_date,
+    parse_time,
+    parse_interval,
+    parse_interval_value,
+    interval_object,
+    format_date,
+    format_time,
+    format_timestamp,
+    format_interval,
+    add_interval,
+    is_datetime_operation,
+    datetime_operator,
+    age,
+    date_trunc,
+    extract_field,
+    to_char,
+};
@@ -0,0 +1,228 @@
+const _ = require('lodash');
+const {Parser} = require('node-sql-parser');
+const {type_oid, type_modifier, value_type, to_text} = require('./types.js');
+const {Numeric} = require('./numeric.js');
+const {get_name} = require('./executor_utils.js');
+
+const parser = new Parser();
+
+/**
+ * Words postgres does not accept as unquoted identifiers
+ * @type {string[]}
+ */
+const RESERVED_WORDS = [
+    'all', 'and', 'any', 'array', 'as', 'asc', 'both', 'case', 'cast', 'check', 'collate', 'column', 'constraint',
+    'create', 'default', 'desc', 'distinct', 'do', 'else', 'end', 'except', 'false', 'for', 'foreign', 'from',
+    'grant', 'group', 'having', 'in', 'intersect', 'into', 'leading', 'limit', 'not', 'null', 'offset', 'on', 'only',
+    'or', 'order', 'primary', 'references', 'select', 'some', 'table', 'then', 'to', 'trailing', 'true', 'union',
+    'unique', 'user', 'using', 'when', 'where', 'with',
+];
+
+/**
+ * Serial type names by integer type of serial column
+ * @type {{[key: string]: string}}
+ */
+const SERIAL_TYPES = {smallint: 'smallserial', integer: 'serial', bigint: 'bigserial'};
+
+/**
+ * Quotes identifier when postgres would not read it back as is
+ * @param name {string}
+ * @returns {string}
+ */
+function quote_ident(name) {
+    return /^[a-z_][a-z0-9_$]*$/.test(name) && !RESERVED_WORDS.includes(name)
+        ? name
+        : '"' + name.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Formats value as SQL literal of column type
+ * @param value {any}
+ * @param column {ColumnSchema}
+ * @returns {string}
+ */
+function literal(value, column) {
+    if (value == null)
+        return 'NULL';
+    if (typeof value == 'boolean' || (typeof value == 'number' && Number.isFinite(value)) || value instanceof Numeric)
+        return String(value);
+
+    const text = to_text(value, type_oid(column.type), type_modifier(column.type, column.length, column.scale));
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Formats SQL expression of DEFAULT or CHECK
+ * @param exp {any} - SQL expression
+ * @returns {string}
+ */
+function expression(exp) {
+    return parser.sqlify({type: 'select', columns: [{expr: exp, as: null}]}, {database: 'PostgresQL'}).replace(/^SELECT /, '');
+}
+
+/**
+ * Returns column type with length and precision
+ * @param column {ColumnSchema}
+ * @returns {string}
+ */
+function column_type(column) {
+    const [, base, array] = column.type.match(/^(.*?)((?:\[\])?)$/);
+    if (column.length == null)
+        return column.type;
+    return `${base}(${column.length}${column.scale != null ? ', ' + column.scale : ''})${array}`;
+}
+
+/**
+ * Formats sequence options the way CREATE SEQUENCE and identity columns accept them
+ * @param options {SequenceOptions}
+ * @returns {string}
+ */
+function sequence_options(options) {
+    return [
+        `INCREMENT BY ${options.increment}`,
+        `MINVALUE ${options.min}`,
+        `MAXVALUE ${options.max}`,
+        `START WITH ${options.start}`,
+        options.cycle ? 'CYCLE' : 'NO CYCLE',
+    ].join(' ');
+}
+
+/**
+ * Returns column definition of CREATE TABLE
+ * @param column {ColumnSchema}
+ * @param sequences {Map<string, Sequence>}
+ * @returns {string}
+ */
+function column_definition(column, sequences) {
+    const parts = [quote_ident(column.name)];
+    if (column.identity) {
+        const {options} = sequences.get(column.sequence.name);
+        parts.push(column.type, `GENERATED ${column.identity.toUpperCase()} AS IDENTITY (${sequence_options(options)})`);
+    } else if (column.sequence) {
+        parts.push(SERIAL_TYPES[column.type]);
+    } else {
+        parts.push(column_type(column));
+        if (column.default != null)
+            parts.push('DEFAULT ' + expression(column.default));
+        if (column.not_null)
+            parts.push('NOT NULL');
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Returns constraint definition of CREATE TABLE or ALTER TABLE
+ * @param constraint {Constraint}
+ * @returns {string}
+ */
+function constraint_definition(constraint) {
+    const columns = constraint.columns.map(quote_ident).join(', ');
+    let definition;
+    switch (constraint.type) {
+        case 'check':
+            definition = `CHECK (${expression(constraint.check)})`;
+            break;
+
+        case 'foreign key':
+            const {table, columns: ref_columns} = constraint.references;
+            definition = `FOREIGN KEY (${columns}) REFERENCES ${quote_ident(table)} (${ref_columns.map(quote_ident).join(', ')})`
+                + ` ON UPDATE ${constraint.on_update.toUpperCase()} ON DELETE ${constraint.on_delete.toUpperCase()}`;
+            break;
+
+        default:
+            definition = `${constraint.type.toUpperCase()} (${columns})`;
+    }
+    return `CONSTRAINT ${quote_ident(constraint.name)} ${definition}`;
+}
+
+/**
+ * Returns "CREATE INDEX" of unique index constraint or plain index
+ * @param schema {TableSchema}
+ * @param index {Constraint | TableIndex}
+ * @returns {string}
+ */
+function index_definition(schema, index) {
+    // expressions other than function calls are parenthesized
+    const key_expression = x => x.type == 'function' || x.parentheses ? expression(x) : `(${expression(x)})`;
+    const key = x => (x.type == 'column_ref' ? quote_ident(get_name(x)) : key_expression(x))
+        + (x.order_by ? ' ' + x.order_by.toUpperCase() : '');
+    const keys = index.keys ? index.keys.map(key) : index.columns.map(quote_ident);
+    const where = index.where ? ' WHERE ' + expression(index.where) : '';
+    return `CREATE ${index.keys ? '' : 'UNIQUE '}INDEX ${quote_ident(index.name)} ON ${quote_ident(schema.name)} (${keys.join(', ')})${where}`;
+}
+
+/**
+ * Builds schema of table created without one, column types are guessed from values
+ * @param name {string}
+ * @param rows {[]}
+ * @returns {TableSchema}
+ */
+function guess_schema(name, rows) {
+    const columns = _.uniq(rows.flatMap(Object.keys)).map(column => {
+        const value = rows.map(x => x[column]).find(x => x != null);
+        return {name: column, type: value == null ? 'text' : value_type(value), not_null: false};
+    });
+    return {name, columns, constraints: [], indexes: []};
+}
+
+/**
+ * Dumps session tables, schemas, indexes and sequences as SQL script postgres can run.
+ * Foreign keys are added after data, so tables are loaded in any order.
+ * Tables without schema get column types guessed from values
+ * @param session {Session}
+ * @returns {string}
+ */
+function dump_sql(session) {
+    const statements = [];
+    const schemas = [...session.tables.keys()].map(name => session.schemas.get(name) || guess_schema(name, session.tables.get(name)));
+    // sequences of serial and identity columns are created with tables
+    const implicit = schemas.flatMap(x => x.columns).filter(x => x.sequence).map(x => x.sequence.name);
+    const standalone = [...session.sequences.keys()].filter(x => !implicit.includes(x));
+
+    for (let name of standalone) {
+        const {options} = session.sequences.get(name);
+        statements.push(`CREATE SEQUENCE ${quote_ident(name)} AS ${options.type} ${sequence_options(options)}`);
+    }
+
+    for (let schema of schemas) {
+        const definitions = [
+            ...schema.columns.map(x => column_definition(x, session.sequences)),
+            ...schema.constraints.filter(x => x.type != 'foreign key' && !x.index).map(constraint_definition),
+        ];
+        statements.push(`CREATE TABLE ${quote_ident(schema.name)} (\n${definitions.map(x => '    ' + x).join(',\n')}\n)`);
+    }
+
+    for (let schema of schemas) {
+        const rows = session.tables.get(schema.name);
+        if (!rows.length)
+            continue;
+        const columns = schema.columns.map(x => quote_ident(x.name)).join(', ');
+        const overriding = schema.columns.some(x => x.identity == 'always') ? ' OVERRIDING SYSTEM VALUE' : '';
+        const values = rows.map(row => `    (${schema.columns.map(x => literal(row[x.name], x)).join(', ')})`);
+        statements.push(`INSERT INTO ${quote_ident(schema.name)} (${columns})${overriding} VALUES\n${values.join(',\n')}`);
+    }
+
+    for (let name of [...standalone, ...implicit]) {
+        const {last_value, is_called} = session.sequences.get(name).state;
+        statements.push(`SELECT setval('${name.replace(/'/g, "''")}', ${last_value}, ${is_called})`);
+    }
+
+    // indexes go after data, as postgres dump does, and before foreign keys, which may need unique ones
+    for (let schema of schemas) {
+        for (let index of [...schema.constraints.filter(x => x.index), ...schema.indexes || []])
+            statements.push(index_definition(schema, index));
+    }
+
+    for (let schema of schemas) {
+        for (let fk of schema.constraints.filter(x => x.type == 'foreign key'))
+            statements.push(`ALTER TABLE ${quote_ident(schema.name)} ADD ${constraint_definition(fk)}`);
+    }
+
+    return ['--', '-- pg-mock database dump', '--', '', ...statements.map(x => x + ';\n')].join('\n');
+}
+
+module.exports = {
+    dump_sql,
+    expression,
+    guess_schema,
+};
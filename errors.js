@@ -0,0 +1,142 @@
+const _ = require('lodash');
+
+/**
+ * Error raised by the database, mirrors DatabaseError of node-postgres (pg-protocol).
+ * Fields not known to the mock stay undefined like they do when server omits them
+ */
+class DatabaseError extends Error {
+    name = 'error';
+    severity = 'ERROR';
+    /** @type {string} - SQLSTATE code */
+    code;
+    /** @type {string | undefined} */
+    detail;
+    /** @type {string | undefined} */
+    hint;
+    /** @type {string | undefined} - 1-based character index in query text */
+    position;
+    /** @type {string | undefined} */
+    internalPosition;
+    /** @type {string | undefined} */
+    internalQuery;
+    /** @type {string | undefined} */
+    where;
+    /** @type {string | undefined} */
+    schema;
+    /** @type {string | undefined} */
+    table;
+    /** @type {string | undefined} */
+    column;
+    /** @type {string | undefined} */
+    dataType;
+    /** @type {string | undefined} */
+    constraint;
+    /** @type {string | undefined} */
+    file;
+    /** @type {string | undefined} */
+    line;
+    /** @type {string | undefined} */
+    routine;
+
+    /**
+     * @param message {string}
+     * @param code {string} - SQLSTATE code
+     * @param fields {Partial<DatabaseError>}
+     */
+    constructor(message, code, fields = {}) {
+        super(message);
+        this.code = code;
+        Object.assign(this, fields);
+    }
+}
+
+/**
+ * Raised for valid SQL the mock cannot execute. Real postgres would run such query,
+ * so these errors point to missing mock features rather than to bugs in queries
+ */
+class NotSupportedError extends DatabaseError {
+    name = 'NotSupportedError';
+
+    /**
+     * @param message {string}
+     */
+    constructor(message) {
+        super(message, '0A000');
+    }
+}
+
+/**
+ * Creates error with postgres SQLSTATE code and additional fields like node-postgres does
+ * @param code {string} - SQLSTATE code
+ * @param message {string}
+ * @param fields {Partial<DatabaseError>}
+ * @returns {DatabaseError}
+ */
+function pg_error(code, message, fields = {}) {
+    return new DatabaseError(message, code, fields);
+}
+
+/**
+ * Creates error for features the mock does not support
+ * @param message {string}
+ * @returns {NotSupportedError}
+ */
+function not_supported(message) {
+    return new NotSupportedError(message);
+}
+
+/**
+ * Codes of errors caused by names used in query, postgres points their position to the name
+ * @type {string[]}
+ */
+const NAME_ERROR_CODES = ['42P01', '42703', '42702', '42883', '42712'];
+
+/**
+ * Sets position of the name error is about, when the error has no position yet.
+ * Names inside string literals are skipped
+ * @param err {Error}
+ * @param sql {string}
+ * @returns {Error}
+ */
+function locate_error(err, sql) {
+    if (!(err instanceof DatabaseError) || err.position || !NAME_ERROR_CODES.includes(err.code))
+        return err;
+
+    const name = err.message.match(/"([^"]+)"|function (\w+)\(/);
+    if (!name)
+        return err;
+
+    const code = sql.replace(/'(?:[^']|'')*'/g, x => ' '.repeat(x.length));
+    const match = code.match(new RegExp(`(?<![\\w$])"?${_.escapeRegExp(name[1] || name[2])}(?![\\w$])`, 'i'));
+    if (match)
+        err.position = String(match.index + 1);
+    return err;
+}
+
+/**
+ * @typedef {object} PgNotice
+ * @property name {'notice'}
+ * @property severity {'NOTICE' | 'WARNING'}
+ * @property code {string} - SQLSTATE code
+ * @property message {string}
+ */
+
+/**
+ * Creates notice like node-postgres emits with "notice" event
+ * @param code {string} - SQLSTATE code
+ * @param message {string}
+ * @param severity {'NOTICE' | 'WARNING'}
+ * @returns {PgNotice}
+ */
+function pg_notice(code, message, severity = 'NOTICE') {
+    return {name: 'notice', severity, code, message};
+}
+
+module.exports = {
+    DatabaseError,
+    NotSupportedError,
+    pg_error,
+    not_supported,
+    locate_error,
+    pg_notice,
+};
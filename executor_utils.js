@@ -1,4 +1,39 @@
-const {AST, ColumnRef, Param, Value} = require('node-sql-parser');
+const _ = require('lodash');
+const {AST, ColumnRef, Param, Value, Function} = require('node-sql-parser');
+const {call_function, is_set_function, function_parameters} = require('./functions.js');
+const {pg_error, not_supported} = require('./errors.js');
+const {is_aggregate} = require('./aggregates.js');
+const {normalize_type, coerce_value, cast_value, value_type, parse_array, to_text} = require('./types.js');
+const {is_json, as_json, json_operator} = require('./json.js');
+const {Interval, parse_interval, is_datetime_operation, datetime_operator, extract_field} = require('./datetime.js');
+const {INTEGER_TYPES, Numeric, to_numeric, integer_value, numeric_compare, numeric_operator} = require('./numeric.js');
+
+/**
+ * Source item property with current row values of set-returning functions in select list.
+ * Key = function SQL expression, value = function result value
+ * @type {symbol}
+ */
+const SET_VALUES = Symbol('set values');
+
+/**
+ * Group data item property with precalculated aggregate function values.
+ * Key = aggregate SQL expression, value = aggregate result
+ * @type {symbol}
+ */
+const AGGREGATED = Symbol('aggregated');
+
+/**
+ * Joined source item property with merged columns of "JOIN ... USING" and "NATURAL JOIN".
+ * Key = column name, value = column value
+ * @type {symbol}
+ */
+const USING_COLUMNS = Symbol('using columns');
+
+/**
+ * Source item property of subquery with outer query data item, used by correlated subqueries
+ * @type {symbol}
+ */
+const OUTER_ITEM = Symbol('outer item');
 
 /**
  * Resolves actual table from SQL query
@@ -8,10 +43,9 @@ const {AST, ColumnRef, Param, Value} = require('node-sql-parser');
  */
 function get_table_from_sql(map, sql) {
     const table = find_table(sql);
-    const array = map.get(table) || [];
     if (!map.has(table))
-        map.set(table, array);
-    return array;
+        throw pg_error('42P01', `relation "${table}" does not exist`);
+    return map.get(table);
 }
 
 /**
@@ -24,7 +58,7 @@ function find_table(sql) {
 
     switch (sql.type) {
         case "drop":
-            return sql.name[0];
+            return sql.name[0].table;
 
         case "insert":
         // TODO debug
@@ -39,33 +73,1157 @@ function find_table(sql) {
             return sql.from[0].table;
 
         default:
-            throw new Error('Cannot get table from sql query');
+            throw not_supported('Cannot get table from sql query');
     }
 }
 
 /**
- * Retreives actual value from SQL expression
+ * Returns plain identifier from parser node.
+ * Parser can return either string or nested node, e.g. {expr: {type: 'default', value: 'id'}}
+ * @param node {string | ColumnRef | {expr: any} | {value: string}}
+ * @returns {string}
+ */
+function get_name(node) {
+    if (node == null || typeof node == 'string')
+        return node;
+
+    if (node.type == 'column_ref')
+        return get_name(node.column);
+
+    if (node.expr)
+        return get_name(node.expr);
+
+    return node.value;
+}
+
+/**
+ * Evaluates SQL expression. Shared by select list, WHERE, ORDER BY, VALUES and SET clauses
  * @param item {any} - Data item
- * @param exp {ColumnRef | Param | Value} - SQL expression
+ * @param exp {ColumnRef | Param | Value | Function | Expr} - SQL expression
  * @param args {[]} - sql arguments
- * @returns {string | number | boolean}
+ * @param ctx {ExecContext} - execution context for functions
+ * @returns {any}
  */
-function get_value(item, exp, args) {
+function get_value(item, exp, args, ctx = undefined) {
     if (!exp)
         return;
 
+    // scalar subquery
+    if (exp.ast)
+        return get_scalar(item, exp, args, ctx);
+
     switch (exp.type) {
         case 'column_ref':
-            return item[exp.column];
+            // double quoted string without data item is a string literal
+            if (!item && exp.column?.expr?.type == 'double_quote_string')
+                return get_name(exp.column);
+
+            const value = resolve_column(item, get_name(exp.table), get_name(exp.column));
+            if (!exp.array_index)
+                return value;
+
+            // "tags[1]", subscripts are 1-based, out of range one gives NULL
+            return exp.array_index.reduce((array, {index}) => {
+                const i = get_value(item, index, args, ctx);
+                return Array.isArray(array) && i != null ? array[i - 1] ?? null : null;
+            }, value);
 
         case 'var':
             return resolve_sql_param(exp, args);
 
+        case 'binary_expr':
+            switch (exp.operator) {
+                // three-valued logic: FALSE AND NULL is FALSE, TRUE OR NULL is TRUE, otherwise NULL wins
+                case 'AND':
+                case 'OR':
+                    const decisive = exp.operator == 'OR';
+                    const left = get_value(item, exp.left, args, ctx);
+                    if (left != null && !!left == decisive)
+                        return decisive;
+                    const right = get_value(item, exp.right, args, ctx);
+                    if (right != null && !!right == decisive)
+                        return decisive;
+                    return left == null || right == null ? null : !decisive;
+
+                // "x IS UNKNOWN" is parsed as comparison with column named "unknown"
+                case 'IS':
+                case 'IS NOT':
+                    if (exp.right?.type == 'column_ref' && !exp.right.table && get_name(exp.right.column).toLowerCase() == 'unknown')
+                        return calc_binary(get_value(item, exp.left, args, ctx), null, exp.operator);
+                    break;
+
+                case 'LIKE':
+                case 'NOT LIKE':
+                case 'ILIKE':
+                case 'NOT ILIKE':
+                    const escape = exp.right.escape ? get_value(item, exp.right.escape.value, args, ctx) : '\\';
+                    return calc_binary(get_value(item, exp.left, args, ctx), get_value(item, exp.right, args, ctx), exp.operator, {escape});
+
+                case 'IN':
+                case 'NOT IN':
+                    // list of values or single subquery
+                    const list = exp.right.value.length == 1 && exp.right.value[0].ast
+                        ? select_column(item, exp.right.value[0], args, ctx)
+                        : get_value(item, exp.right, args, ctx);
+                    return calc_quantified(get_value(item, exp.left, args, ctx), list, exp.operator == 'IN' ? '=' : '<>', exp.operator == 'NOT IN');
+            }
+
+            // "x = ANY (SELECT ...)", "x > ALL (array)"
+            const quantifier = exp.right?.type == 'function' && get_function_name(exp.right).toLowerCase();
+            if (['any', 'some', 'all'].includes(quantifier)) {
+                const arg = exp.right.args.value[0];
+                let list = arg.ast ? select_column(item, arg, args, ctx) : get_value(item, arg, args, ctx);
+                // "x = ANY('{1,2}')" takes array literal, elements are coerced by comparison
+                if (typeof list == 'string')
+                    list = parse_array(list);
+                if (list == null)
+                    return null;
+                return calc_quantified(get_value(item, exp.left, args, ctx), list, exp.operator, quantifier == 'all');
+            }
+
+            return calc_binary(
+                get_value(item, exp.left, args, ctx),
+                get_value(item, exp.right, args, ctx),
+                exp.operator,
+                // quoted literals and parameters are untyped, they take the type of the other operand
+                {types: [exp.left, exp.right].map(x => ['single_quote_string', 'var'].includes(x.type)
+                    ? 'unknown'
+                    : expression_type(x, () => undefined).type)}
+            );
+
+        case 'unary_expr':
+            if (exp.operator.toUpperCase() == 'NOT EXISTS')
+                return !select_rows(item, exp.expr, args, ctx).length;
+
+            const operand = get_value(item, exp.expr, args, ctx);
+            if (operand == null)
+                return null;
+
+            switch (exp.operator.toUpperCase()) {
+                case 'NOT':
+                    return !operand;
+                case '-':
+                    return operand instanceof Numeric ? new Numeric(-operand.mantissa, operand.scale) : -operand;
+                case '+':
+                    return operand instanceof Numeric ? operand : +operand;
+
+                default:
+                    throw not_supported('Unsupported unary operator: ' + exp.operator);
+            }
+
+        case 'case':
+            // simple form "CASE x WHEN 1 THEN ..." compares operand with each WHEN value
+            const case_operand = exp.expr && get_value(item, exp.expr, args, ctx);
+            for (let branch of exp.args) {
+                if (branch.type == 'else')
+                    return get_value(item, branch.result, args, ctx);
+
+                const cond = get_value(item, branch.cond, args, ctx);
+                if (exp.expr ? calc_binary(case_operand, cond, '=') : cond === true)
+                    return get_value(item, branch.result, args, ctx);
+            }
+            return null;
+
+        case 'expr_list':
+            return exp.value.map(x => get_value(item, x, args, ctx));
+
+        // "ARRAY[]" has empty string instead of element list
+        case 'array':
+            return (exp.expr_list.value || []).map(x => get_value(item, x, args, ctx));
+
+        case 'cast':
+            // "x::text::int" applies targets left to right
+            return exp.target.reduce(
+                (value, target) => cast_value(value, normalize_type(target), target.length, target.scale),
+                get_value(item, exp.expr, args, ctx)
+            );
+
+        // "interval '1' day" gives unit of bare number
+        case 'interval':
+            const interval = get_value(item, exp.expr, args, ctx);
+            return interval == null ? null : parse_interval(interval, exp.unit || undefined);
+
+        // typed literals "date '2024-01-31'", "timestamp '2024-01-31 10:00'"
+        case 'date':
+        case 'time':
+        case 'timestamp':
+            return coerce_value(exp.value, exp.type);
+
+        case 'extract':
+            let source = get_value(item, exp.args.source, args, ctx);
+            // typed literal "extract(day from interval '3 days')" keeps type name aside
+            if (source != null && exp.args.cast_type)
+                source = coerce_value(source, normalize_type({dataType: exp.args.cast_type}));
+            return source == null ? null : extract_field(exp.args.field, source);
+
+        case 'aggr_func':
+            return get_aggregated(item, exp);
+
+        case 'function':
+            if (is_aggregate(get_function_name(exp)))
+                return get_aggregated(item, exp);
+
+            if (is_set_function(get_function_name(exp))) {
+                if (!item?.[SET_VALUES]?.has(exp))
+                    throw pg_error('0A000', 'set-returning functions are not allowed here');
+                return item[SET_VALUES].get(exp);
+            }
+
+            // "NOT (x)" is parsed as function call
+            if (get_function_name(exp).toLowerCase() == 'not') {
+                const value = get_value(item, exp.args.value[0], args, ctx);
+                return value == null ? null : !value;
+            }
+
+            if (get_function_name(exp).toLowerCase() == 'exists')
+                return select_rows(item, exp.args.value[0], args, ctx).length > 0;
+
+            const [name, arg_exps] = normalize_function_call(exp);
+            const fn_args = arg_exps.map(x => get_value(item, x, args, ctx));
+            return call_function(name, fn_args, ctx);
+
+        // integers beyond bigint range, "1.5" and "1e3" are numeric
+        case 'number':
+        case 'bigint':
+            if (!/^[+-]?\d+$/.test(exp.value))
+                return to_numeric(exp.value);
+            const [min, max] = INTEGER_TYPES.bigint;
+            const integer = BigInt(exp.value);
+            return integer < min || integer > max ? new Numeric(integer) : integer_value(integer);
+
+        // parser keeps quotes doubled
+        case 'single_quote_string':
+            return exp.value.replace(/''/g, "'");
+
+        case 'null':
+            return null;
+
         default:
             return exp.value;
     }
 }
 
+/**
+ * Resolves column value from data item. Unknown columns are resolved from outer query data item
+ * @param item {any} - data item
+ * @param table {string | null} - table name or alias
+ * @param column {string}
+ * @returns {any}
+ */
+function resolve_column(item, table, column) {
+    // "VALUES" list and defaults have no columns to refer to
+    if (!item)
+        throw pg_error('42703', `column "${column}" does not exist`);
+
+    // qualified column inside joined source item, key = table name
+    if (table) {
+        if (_.isPlainObject(item[table]))
+            return item[table][column];
+        if (item[OUTER_ITEM])
+            return resolve_column(item[OUTER_ITEM], table, column);
+        if (!item.hasOwnProperty(column))
+            throw pg_error('42P01', `missing FROM-clause entry for table "${table}"`);
+        return item[column];
+    }
+
+    // column takes precedence over source of the same name, "FROM unnest(...) AS x" has column x
+    if (item.hasOwnProperty(column) && !(_.isPlainObject(item[column]) && item[column].hasOwnProperty(column)))
+        return item[column];
+    if (item[USING_COLUMNS]?.hasOwnProperty(column))
+        return item[USING_COLUMNS][column];
+
+    // unqualified column inside joined source item
+    const sources = Object.values(item).filter(x => _.isPlainObject(x) && x.hasOwnProperty(column));
+    if (sources.length > 1)
+        throw pg_error('42702', `column reference "${column}" is ambiguous`);
+    if (!sources.length && item[OUTER_ITEM])
+        return resolve_column(item[OUTER_ITEM], table, column);
+    if (!sources.length)
+        throw pg_error('42703', `column "${column}" does not exist`);
+    return sources[0][column];
+}
+
+/**
+ * Executes subquery
+ * @param item {any} - outer query data item
+ * @param exp {{ast: Select}} - subquery SQL expression
+ * @param args {[]} - sql arguments
+ * @param ctx {ExecContext}
+ * @returns {{[key: string]: any}[]}
+ */
+function select_rows(item, exp, args, ctx) {
+    if (!ctx?.select)
+        throw not_supported('Subqueries are not supported here');
+    return ctx.select(exp.ast, item, args);
+}
+
+/**
+ * Executes subquery returning single column
+ * @param item {any} - outer query data item
+ * @param exp {{ast: Select}} - subquery SQL expression
+ * @param args {[]} - sql arguments
+ * @param ctx {ExecContext}
+ * @returns {any[]} - column values
+ */
+function select_column(item, exp, args, ctx) {
+    return select_rows(item, exp, args, ctx).map(row => {
+        const values = Object.values(row);
+        if (values.length > 1)
+            throw pg_error('42601', 'subquery must return only one column');
+        return values[0];
+    });
+}
+
+/**
+ * Executes scalar subquery, e.g. "(SELECT max(x) FROM t)"
+ * @param item {any} - outer query data item
+ * @param exp {{ast: Select}} - subquery SQL expression
+ * @param args {[]} - sql arguments
+ * @param ctx {ExecContext}
+ * @returns {any} - single value, NULL for no rows
+ */
+function get_scalar(item, exp, args, ctx) {
+    const values = select_column(item, exp, args, ctx);
+    if (values.length > 1)
+        throw pg_error('21000', 'more than one row returned by a subquery used as an expression');
+    return values[0] ?? null;
+}
+
+/**
+ * Compares value with every list value: "IN", "ANY", "ALL".
+ * Result is NULL when no comparison decides it and some of them are NULL
+ * @param value {any}
+ * @param list {any[]}
+ * @param operator {string} - comparison operator
+ * @param all {boolean} - all comparisons must be true, otherwise any
+ * @returns {boolean | null}
+ */
+function calc_quantified(value, list, operator, all) {
+    let has_null = false;
+    for (let x of list) {
+        if (value == null || x == null) {
+            has_null = true;
+            continue;
+        }
+        if (calc_binary(value, x, operator) != all)
+            return !all;
+    }
+    return has_null ? null : all;
+}
+
+/**
+ * Returns output column name postgres gives to select list expression
+ * @param exp {any} - SQL expression
+ * @returns {string}
+ */
+function get_column_name(exp) {
+    switch (exp.type) {
+        case 'column_ref':
+            return get_name(exp);
+
+        case 'function':
+            const name = get_function_name(exp).toLowerCase();
+            return name == 'not' ? '?column?' : name;
+
+        case 'aggr_func':
+            return exp.name.toLowerCase();
+
+        case 'case':
+            return 'case';
+
+        case 'extract':
+        case 'interval':
+        case 'date':
+        case 'time':
+        case 'timestamp':
+            return exp.type;
+
+        default:
+            return '?column?';
+    }
+}
+
+/**
+ * Numeric types in order of arithmetic result precedence, "integer + numeric" gives numeric
+ * @type {string[]}
+ */
+const NUMERIC_TYPES = ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision'];
+
+/**
+ * Result types of functions, "arg" means the type of the first argument with known type,
+ * "array" means the type of array argument, "element" means its element type,
+ * "datetime" means the type of timestamp argument, timestamptz by default
+ * @type {{[key: string]: string}}
+ */
+const FUNCTION_TYPES = {
+    lower: 'text', upper: 'text', initcap: 'text', concat: 'text', concat_ws: 'text', substring: 'text', substr: 'text',
+    left: 'text', right: 'text', btrim: 'text', ltrim: 'text', rtrim: 'text', trim: 'text', lpad: 'text', rpad: 'text',
+    replace: 'text', repeat: 'text', reverse: 'text', split_part: 'text', chr: 'text', md5: 'text',
+    length: 'integer', char_length: 'integer', character_length: 'integer', strpos: 'integer', ascii: 'integer',
+    starts_with: 'boolean',
+    nextval: 'bigint', currval: 'bigint', setval: 'bigint',
+    gen_random_uuid: 'uuid', uuid_generate_v4: 'uuid',
+    to_json: 'json', row_to_json: 'json', json_build_object: 'json', json_build_array: 'json', json_extract_path: 'json', json_array_elements: 'json',
+    to_jsonb: 'jsonb', jsonb_build_object: 'jsonb', jsonb_build_array: 'jsonb', jsonb_extract_path: 'jsonb',
+    jsonb_set: 'jsonb', jsonb_strip_nulls: 'jsonb', json_strip_nulls: 'json', jsonb_array_elements: 'jsonb',
+    json_typeof: 'text', jsonb_typeof: 'text', json_extract_path_text: 'text', jsonb_extract_path_text: 'text',
+    jsonb_pretty: 'text', json_array_elements_text: 'text', jsonb_array_elements_text: 'text',
+    json_object_keys: 'text', jsonb_object_keys: 'text', json_array_length: 'integer', jsonb_array_length: 'integer',
+    power: 'double precision', pow: 'double precision', sqrt: 'double precision', cbrt: 'double precision',
+    exp: 'double precision', ln: 'double precision', log: 'double precision', log10: 'double precision',
+    pi: 'double precision', random: 'double precision',
+    coalesce: 'arg', nullif: 'arg', greatest: 'arg', least: 'arg', abs: 'arg', mod: 'arg', sign: 'arg',
+    array_length: 'integer', cardinality: 'integer', array_position: 'integer', array_to_string: 'text',
+    array_append: 'array', array_prepend: 'array', array_cat: 'array', array_remove: 'array', unnest: 'element',
+    now: 'timestamptz', current_timestamp: 'timestamptz', transaction_timestamp: 'timestamptz',
+    statement_timestamp: 'timestamptz', clock_timestamp: 'timestamptz', to_timestamp: 'timestamptz',
+    current_date: 'date', make_date: 'date', current_time: 'timetz', localtime: 'time', localtimestamp: 'timestamp',
+    age: 'interval', make_interval: 'interval', date_part: 'double precision', to_char: 'text', date_trunc: 'datetime',
+    pg_try_advisory_lock: 'boolean', pg_advisory_unlock: 'boolean', pg_advisory_lock: 'void', pg_advisory_unlock_all: 'void',
+    current_schema: 'text', current_schemas: 'text[]', current_database: 'text', version: 'text', to_regclass: 'regclass',
+};
+
+/**
+ * Date and time types
+ * @type {string[]}
+ */
+const DATETIME_TYPES = ['date', 'time', 'timetz', 'timestamp', 'timestamptz', 'interval'];
+
+/**
+ * Returns result type of arithmetic operator over date, time and interval types
+ * @param left {string | undefined} - left operand type
+ * @param right {string | undefined} - right operand type
+ * @param operator {string}
+ * @returns {string}
+ */
+function datetime_result_type(left, right, operator) {
+    const timestamps = ['date', 'timestamp', 'timestamptz'];
+    if (operator == '-' && timestamps.includes(left) && timestamps.includes(right))
+        return left == 'date' && right == 'date' ? 'integer' : 'interval';
+    if (operator == '-' && left == 'time' && right == 'time')
+        return 'interval';
+
+    const types = [left, right];
+    const timestamp = types.find(x => ['timestamp', 'timestamptz', 'time', 'timetz'].includes(x));
+    if (timestamp)
+        return timestamp;
+    if (types.includes('date'))
+        return types.includes('interval') ? 'timestamp' : 'date';
+    return 'interval';
+}
+
+/**
+ * Infers postgres type of expression result, like postgres describes result columns.
+ * Types depending on values are left unknown and guessed from values afterward
+ * @param exp {any} - SQL expression
+ * @param column_type {(table: string | null, column: string) => ColumnSchema | undefined} - finds source column
+ * @param query_type {(ast: Select) => {type?: string, length?: number, scale?: number}} - returns type of scalar subquery
+ * @returns {{type?: string, length?: number, scale?: number}}
+ */
+function expression_type(exp, column_type, query_type = () => ({})) {
+    const arg_type = arg => expression_type(arg, column_type, query_type).type;
+
+    if (exp?.ast)
+        return query_type(exp.ast);
+
+    switch (exp?.type) {
+        case 'column_ref':
+            const column = column_type(get_name(exp.table), get_name(exp.column));
+            if (column && exp.array_index)
+                return {type: column.type.replace(/\[\]$/, '')};
+            return column ? {type: column.type, length: column.length, scale: column.scale} : {};
+
+        case 'array':
+            const element = (exp.expr_list.value || []).map(arg_type).find(Boolean);
+            return element ? {type: element + '[]'} : {};
+
+        case 'cast':
+            const target = exp.target.at(-1);
+            return {type: normalize_type(target), length: target.length, scale: target.scale};
+
+        case 'number':
+        case 'bigint':
+            if (!/^[+-]?\d+$/.test(exp.value))
+                return {type: 'numeric'};
+            const literal = BigInt(exp.value);
+            return {type: ['integer', 'bigint'].find(x => literal >= INTEGER_TYPES[x][0] && literal <= INTEGER_TYPES[x][1]) || 'numeric'};
+
+        case 'single_quote_string':
+            return {type: 'text'};
+
+        case 'interval':
+        case 'date':
+        case 'time':
+        case 'timestamp':
+            return {type: exp.type};
+
+        case 'extract':
+            return {type: 'numeric'};
+
+        case 'bool':
+            return {type: 'boolean'};
+
+        case 'unary_expr':
+            return ['-', '+'].includes(exp.operator) ? expression_type(exp.expr, column_type, query_type) : {type: 'boolean'};
+
+        case 'binary_expr':
+            if (['->>', '#>>'].includes(exp.operator))
+                return {type: 'text'};
+            const left_type = arg_type(exp.left);
+            if (['->', '#>', '#-'].includes(exp.operator) || ['json', 'jsonb'].includes(left_type) && ['||', '-'].includes(exp.operator))
+                return {type: left_type == 'json' ? 'json' : 'jsonb'};
+            if (exp.operator == '||') {
+                const right_type = arg_type(exp.right);
+                const array_type = [left_type, right_type].find(x => x?.endsWith('[]'));
+                return {type: array_type || (right_type == 'jsonb' ? 'jsonb' : 'text')};
+            }
+            if (!['+', '-', '*', '/', '%'].includes(exp.operator))
+                return {type: 'boolean'};
+
+            const operands = [arg_type(exp.left), arg_type(exp.right)].filter(Boolean);
+            if (operands.some(x => DATETIME_TYPES.includes(x)))
+                return {type: datetime_result_type(arg_type(exp.left), arg_type(exp.right), exp.operator)};
+            // operand of unknown type may be wider one
+            if (operands.length < 2 || !operands.every(x => NUMERIC_TYPES.includes(x)))
+                return {};
+            return {type: _.maxBy(operands, x => NUMERIC_TYPES.indexOf(x))};
+
+        case 'aggr_func':
+        case 'function':
+            const name = (exp.type == 'aggr_func' ? exp.name : get_function_name(exp)).toLowerCase();
+            // min and max keep numeric scale and character length of argument
+            if (exp.type == 'aggr_func' && ['min', 'max'].includes(name))
+                return expression_type(exp.args?.expr, column_type, query_type);
+
+            const arg_types = exp.type == 'aggr_func' ? [arg_type(exp.args?.expr)] : (exp.args?.value || []).map(arg_type);
+            const first = arg_types.find(Boolean);
+            const array = arg_types.find(x => x?.endsWith('[]'));
+            switch (FUNCTION_TYPES[name]) {
+                case 'arg':
+                    return {type: first};
+                case 'array':
+                    return {type: array};
+                case 'element':
+                    return {type: array?.slice(0, -2)};
+                case 'datetime':
+                    return {type: arg_types.find(x => ['timestamp', 'timestamptz'].includes(x)) || 'timestamptz'};
+                default:
+                    return {type: aggregate_type(name, first) || FUNCTION_TYPES[name]};
+            }
+
+        case 'case':
+            return {type: exp.args.map(x => arg_type(x.result)).find(Boolean)};
+
+        default:
+            return {};
+    }
+}
+
+/**
+ * Returns result type of aggregate function
+ * @param name {string} - lower cased function name
+ * @param arg {string | undefined} - argument type
+ * @returns {string | undefined}
+ */
+function aggregate_type(name, arg) {
+    switch (name) {
+        case 'count':
+            return 'bigint';
+        case 'sum':
+            if (['smallint', 'integer'].includes(arg))
+                return 'bigint';
+            return arg == 'bigint' ? 'numeric' : arg;
+        case 'avg':
+            if (arg == 'interval')
+                return arg;
+            return ['real', 'double precision'].includes(arg) ? 'double precision' : arg && 'numeric';
+        case 'bool_and':
+        case 'bool_or':
+        case 'every':
+            return 'boolean';
+        case 'string_agg':
+            return 'text';
+        case 'array_agg':
+            return arg && arg + '[]';
+        case 'json_agg':
+        case 'json_object_agg':
+            return 'json';
+        case 'jsonb_agg':
+        case 'jsonb_object_agg':
+            return 'jsonb';
+    }
+}
+
+/**
+ * Returns precalculated aggregate function value of group data item
+ * @param item {any} - group data item
+ * @param exp {any} - aggregate function SQL expression
+ * @returns {any}
+ */
+function get_aggregated(item, exp) {
+    const aggregated = item?.[AGGREGATED];
+    if (!aggregated?.has(exp))
+        throw pg_error('42803', 'aggregate functions are not allowed here');
+    return aggregated.get(exp);
+}
+
+/**
+ * Returns all aggregate function calls from SQL expression
+ * @param exp {any} - SQL expression or array of them
+ * @returns {any[]}
+ */
+function find_aggregates(exp) {
+    return find_functions(exp, x => x.type == 'aggr_func' || (x.type == 'function' && is_aggregate(get_function_name(x))));
+}
+
+/**
+ * Returns column references outside of aggregate function calls and grouping expressions,
+ * subqueries are skipped
+ * @param exp {any} - SQL expression or array of them
+ * @param group_exps {any[]} - "GROUP BY" expressions
+ * @returns {any[]}
+ */
+function find_ungrouped_columns(exp, group_exps) {
+    if (!exp || typeof exp != 'object' || group_exps.some(x => _.isEqual(x, exp)))
+        return [];
+    if (exp.type == 'column_ref')
+        return [exp];
+    if (exp.type == 'select' || exp.ast || find_aggregates(exp)[0] === exp)
+        return [];
+
+    return Object.values(exp).flatMap(x => find_ungrouped_columns(x, group_exps));
+}
+
+/**
+ * Returns all set-returning function calls from SQL expression
+ * @param exp {any} - SQL expression or array of them
+ * @returns {any[]}
+ */
+function find_set_functions(exp) {
+    return find_functions(exp, x => x.type == 'function' && is_set_function(get_function_name(x)));
+}
+
+/**
+ * Returns function calls matching predicate from SQL expression, subqueries are skipped
+ * @param exp {any} - SQL expression or array of them
+ * @param predicate {(exp: any) => boolean}
+ * @returns {any[]}
+ */
+function find_functions(exp, predicate) {
+    if (!exp || typeof exp != 'object')
+        return [];
+
+    if (predicate(exp))
+        return [exp];
+
+    // nested queries have their own function calls
+    if (exp.type == 'select' || exp.ast)
+        return [];
+
+    return Object.values(exp).flatMap(x => find_functions(x, predicate));
+}
+
+/**
+ * Compares values for sorting
+ * @param a {any}
+ * @param b {any}
+ * @param nulls_first {boolean} - should NULL values go first
+ * @param desc {boolean} - descending order
+ * @returns {number}
+ */
+function compare_values(a, b, nulls_first = false, desc = false) {
+    if (a == null || b == null) {
+        if (a == null && b == null)
+            return 0;
+        return (a == null) == nulls_first ? -1 : 1;
+    }
+
+    const result = a instanceof Numeric || b instanceof Numeric
+        ? numeric_compare(a, b)
+        : a < b ? -1 : a > b ? 1 : 0;
+    return desc ? -result : result;
+}
+
+/**
+ * Returns key of values for grouping and uniqueness, equal values have the same key.
+ * Numerics are keyed by value regardless of scale, digits are kept beyond JavaScript number precision
+ * @param values {any[]}
+ * @returns {string}
+ */
+function values_key(values) {
+    return JSON.stringify(values, function (key, value) {
+        if (!(this[key] instanceof Numeric))
+            return value;
+        const digits = String(this[key]).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+        return String(+digits) == digits ? +digits : {numeric: digits};
+    });
+}
+
+/**
+ * Returns function name from SQL function expression, ignores schema
+ * @param exp {Function}
+ * @returns {string}
+ */
+function get_function_name(exp) {
+    return get_name(exp.name.name.at(-1));
+}
+
+/**
+ * Splits "FROM" alias into source name and column names, parser keeps "AS t(a, b)" as alias text
+ * @param alias {string | null}
+ * @returns {{name: string | null, columns: string[]}}
+ */
+function parse_alias(alias) {
+    const match = /^(.+?)\s*\((.*)\)$/s.exec(alias || '');
+    if (!match)
+        return {name: alias, columns: []};
+    const columns = match[2].split(',').map(x => x.trim()).map(x => /^".*"$/.test(x) ? x.slice(1, -1) : x.toLowerCase());
+    return {name: match[1], columns};
+}
+
+/**
+ * Checks if SQL expression is DEFAULT keyword, e.g. in "INSERT ... VALUES (DEFAULT)"
+ * @param exp {any} - SQL expression
+ * @returns {boolean}
+ */
+function is_default_keyword(exp) {
+    return exp?.type == 'column_ref'
+        && !exp.table
+        && exp.column?.expr?.type == 'default'
+        && exp.column.expr.value.toLowerCase() == 'default';
+}
+
+/**
+ * Converts SQL standard function syntax with keywords into regular function call:
+ * "trim(leading 'x' from name)" => ltrim(name, 'x'), "position('a' in name)" => strpos(name, 'a')
+ * @param exp {Function}
+ * @returns {[string, any[]]} - function name and argument expressions
+ */
+function normalize_function_call(exp) {
+    const name = get_function_name(exp).toLowerCase();
+    const arg_exps = exp.args?.value || [];
+
+    // named arguments "make_interval(days => 3)" are placed by parameter names, skipped ones keep defaults
+    if (arg_exps.some(x => x.type == 'func_arg')) {
+        const parameters = function_parameters(name);
+        const positional = arg_exps.filter(x => x.type != 'func_arg');
+        for (let arg of arg_exps.filter(x => x.type == 'func_arg')) {
+            const index = parameters.indexOf(arg.value.name.toLowerCase());
+            if (index < 0)
+                throw pg_error('42883', `function ${name}(${arg.value.name} => ...) does not exist`);
+            positional[index] = arg.value.expr;
+        }
+        return [name, Array.from(positional)];
+    }
+
+    const keywords = arg_exps.filter(x => x.type == 'origin').map(x => x.value.toLowerCase());
+    if (!keywords.length)
+        return [name, arg_exps];
+
+    const operands = arg_exps.filter(x => x.type != 'origin');
+    switch (name) {
+        case 'trim':
+            const trim_name = {leading: 'ltrim', trailing: 'rtrim'}[keywords[0]] || 'btrim';
+            // characters are optional: "trim(both from name)"
+            return [trim_name, operands.length > 1 ? [operands[1], operands[0]] : operands];
+
+        case 'position':
+            return ['strpos', [operands[1], operands[0]]];
+
+        default:
+            throw not_supported(`Unsupported syntax of function ${name}()`);
+    }
+}
+
+/**
+ * Calculates binary operator. Comparisons follow three-valued logic: NULL operand gives NULL
+ * @param left {any}
+ * @param right {any}
+ * @param operator {string}
+ * @param options {{escape?: string, types?: (string | undefined)[]}} - LIKE escape character, empty string
+ * disables escaping. Operand types known from SQL expression, otherwise they are guessed by values
+ * @returns {any}
+ */
+function calc_binary(left, right, operator, {escape = '\\', types = []} = {}) {
+    switch (operator) {
+        // "IS [NOT] DISTINCT FROM" is rewritten into "IS [NOT]" with any right operand
+        case 'IS':
+            return !is_distinct(left, right);
+        case 'IS NOT':
+            return is_distinct(left, right);
+
+        case 'NOT BETWEEN':
+        case 'BETWEEN':
+            const [from, to] = right;
+            const after_from = calc_binary(left, from, '>=');
+            const before_to = calc_binary(left, to, '<=');
+            let between_result = after_from === false || before_to === false
+                ? false
+                : after_from == null || before_to == null ? null : true;
+            if (operator.includes('NOT') && between_result != null)
+                between_result = !between_result;
+            return between_result;
+    }
+
+    if (left == null || right == null)
+        return null;
+
+    if (['+', '-', '*', '/'].includes(operator) && is_datetime_operation(left, right, operator, types))
+        return datetime_operator(...[left, right].map(x => x instanceof Numeric ? +x : x), operator, types);
+
+    switch (operator) {
+        case '=':
+        case '<>':
+        case '!=':
+        case '>':
+        case '<':
+        case '<=':
+        case '=<':
+        case '>=':
+        case '=>':
+            [left, right] = unify_operands(left, right, operator, types);
+            if (['=', '<>', '!='].includes(operator))
+                return equal_values(left, right) == (operator == '=');
+
+            const cmp = compare_values(left, right);
+            return operator.includes('=') && !cmp || (operator.includes('>') ? cmp > 0 : cmp < 0);
+
+        case 'LIKE':
+        case 'NOT LIKE':
+        case 'ILIKE':
+        case 'NOT ILIKE':
+            const like = like_regex('' + right, escape, operator.includes('ILIKE') ? 'i' : '').test('' + left);
+            return operator.startsWith('NOT') ? !like : like;
+
+        case 'SIMILAR TO':
+        case 'NOT SIMILAR TO':
+            const similar = similar_regex('' + right).test('' + left);
+            return operator.startsWith('NOT') ? !similar : similar;
+
+        case '~':
+        case '~*':
+        case '!~':
+        case '!~*':
+            const matches = posix_regex('' + right, operator.endsWith('*') ? 'i' : '').test('' + left);
+            return operator.startsWith('!') ? !matches : matches;
+
+        case '@>':
+        case '<@':
+            if (is_array_operation(left, right))
+                return calc_array(left, right, operator);
+            // untyped literal is jsonb, so scalar '1' is compared as number
+            [left, right] = [left, right].map((x, i) => types[i] == 'unknown' ? coerce_value(x, 'jsonb') : x);
+            return json_operator(left, right, operator);
+        case '&&':
+            return calc_array(left, right, operator);
+
+        case '->':
+        case '->>':
+        case '#>':
+        case '#>>':
+        case '?':
+        case '?|':
+        case '?&':
+        case '#-':
+            return json_operator(left, right, operator);
+
+        case '||':
+            if (is_array_operation(left, right))
+                return calc_array(left, right, operator);
+            if (is_json(left) || is_json(right))
+                return json_operator(left, right, operator);
+            return String(left) + String(right);
+        case '-':
+            if (is_json(left))
+                return json_operator(left, right, operator);
+            return calc_arithmetic(left, right, operator, types);
+        case '+':
+        case '*':
+        case '/':
+        case '%':
+            return calc_arithmetic(left, right, operator, types);
+
+        default:
+            throw not_supported('Unsupported binary operator: ' + operator);
+    }
+}
+
+/**
+ * Calculates arithmetic operator over numbers. Integers give integer of the wider operand type, division truncates
+ * and overflow raises error. Numerics are calculated exactly, real and double precision values as JavaScript numbers.
+ * Quoted literal takes the type of the other operand, "'5' + 1" is integer
+ * @param left {any}
+ * @param right {any}
+ * @param operator {'+' | '-' | '*' | '/' | '%'}
+ * @param types {(string | undefined)[]} - operand types known from SQL expression
+ * @returns {number | Numeric}
+ */
+function calc_arithmetic(left, right, operator, types) {
+    const number_type = (value, type) => {
+        if (NUMERIC_TYPES.includes(type) && typeof value != 'string')
+            return type;
+        if (value instanceof Numeric)
+            return 'numeric';
+        // integer width is unknown, bigint range is checked
+        if (typeof value == 'number')
+            return Number.isInteger(value) ? 'bigint' : 'double precision';
+        if (typeof value != 'string') {
+            throw pg_error('42883', `operator does not exist: ${value_type(left)} ${operator} ${value_type(right)}`, {
+                hint: 'No operator matches the given name and argument types. You might need to add explicit type casts.',
+            });
+        }
+    };
+    let [left_type, right_type] = [number_type(left, types[0]), number_type(right, types[1])];
+    left_type ||= right_type || 'numeric';
+    right_type ||= left_type;
+    left = coerce_value(left, left_type);
+    right = coerce_value(right, right_type);
+    const type = _.maxBy([left_type, right_type], x => NUMERIC_TYPES.indexOf(x));
+
+    if (['real', 'double precision'].includes(type)) {
+        if (['/', '%'].includes(operator) && +right === 0)
+            throw pg_error('22012', 'division by zero');
+        switch (operator) {
+            case '+':
+                return +left + +right;
+            case '-':
+                return left - right;
+            case '*':
+                return left * right;
+            case '/':
+                return left / right;
+            case '%':
+                return left % right;
+        }
+    }
+
+    if (type == 'numeric')
+        return numeric_operator(left, right, operator);
+
+    // integers have zero scale, division truncates
+    const [a, b] = [left, right].map(x => to_numeric(x).mantissa);
+    if (['/', '%'].includes(operator) && !b)
+        throw pg_error('22012', 'division by zero');
+    switch (operator) {
+        case '+':
+            return integer_value(a + b, type);
+        case '-':
+            return integer_value(a - b, type);
+        case '*':
+            return integer_value(a * b, type);
+        case '/':
+            return integer_value(a / b, type);
+        case '%':
+            return integer_value(a % b, type);
+    }
+}
+
+/**
+ * Checks if operator applies to postgres arrays rather than jsonb: one operand is array of scalars
+ * and the other one is array of scalars too or array literal like '{a,b}'
+ * @param left {any}
+ * @param right {any}
+ * @returns {boolean}
+ */
+function is_array_operation(left, right) {
+    const is_array_literal = value => {
+        if (typeof value != 'string' || !/^\s*\{/.test(value))
+            return false;
+        try {
+            parse_array(value);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    };
+    return [left, right].some(Array.isArray)
+        && [left, right].every(x => Array.isArray(x) ? !x.some(is_json) : is_array_literal(x));
+}
+
+/**
+ * Calculates array operator: containment "@>" and "<@", overlap "&&", concatenation "||".
+ * Multidimensional arrays are compared as flat lists of elements, NULL element matches nothing
+ * @param left {any[] | string}
+ * @param right {any[] | string}
+ * @param operator {string}
+ * @returns {any}
+ */
+function calc_array(left, right, operator) {
+    [left, right] = unify_operands(left, right, operator);
+    if (!Array.isArray(left) || !Array.isArray(right))
+        throw pg_error('42883', `operator does not exist: ${value_type(left)} ${operator} ${value_type(right)}`);
+
+    const has = (array, value) => value != null && array.some(x => x != null && calc_binary(x, value, '='));
+    switch (operator) {
+        case '@>':
+            return _.flattenDeep(right).every(x => has(_.flattenDeep(left), x));
+        case '<@':
+            return _.flattenDeep(left).every(x => has(_.flattenDeep(right), x));
+        case '&&':
+            return _.flattenDeep(left).some(x => has(_.flattenDeep(right), x));
+        case '||':
+            return [...left, ...right];
+    }
+}
+
+/**
+ * Checks "IS DISTINCT FROM": NULL is not distinct from NULL, but distinct from any value
+ * @param left {any}
+ * @param right {any}
+ * @returns {boolean}
+ */
+function is_distinct(left, right) {
+    if (left == null || right == null)
+        return (left == null) != (right == null);
+    return !equal_values(...unify_operands(left, right, 'IS DISTINCT FROM'));
+}
+
+/**
+ * Converts string operand to the type of the other operand, the way postgres coerces
+ * untyped literals and parameters. Operands of other mismatching types cannot be compared
+ * @param left {any}
+ * @param right {any}
+ * @param operator {string}
+ * @param types {(string | undefined)[]} - operand types known from SQL expression, "unknown" for literals
+ * and parameters. Without types any string operand is coerced
+ * @returns {[any, any]}
+ */
+function unify_operands(left, right, operator, types = []) {
+    const mismatch = () => pg_error('42883', `operator does not exist: ${value_type(left)} ${operator} ${value_type(right)}`, {
+        hint: 'No operator matches the given name and argument types. You might need to add explicit type casts.',
+    });
+    // text of columns and functions isn't coerced, "name = 1" has no operator
+    const is_text = i => types.length && (!types[i] || ['text', 'varchar', 'char', 'name'].includes(types[i]));
+
+    const coerce = (text, other) => {
+        if (typeof other == 'number' || other instanceof Numeric)
+            return coerce_value(text, 'numeric');
+        if (typeof other == 'boolean')
+            return coerce_value(text, 'boolean');
+        // '{a,b}' is array literal, unless compared with JSON.
+        // Its elements are coerced like compared with element of the other array
+        if (Array.isArray(other)) {
+            if (/^\s*\[/.test(text))
+                return as_json(text);
+            const element = _.flattenDeep(other).find(x => x != null);
+            return _.cloneDeepWith(parse_array(text), x => typeof x == 'string' ? coerce(x, element) : undefined);
+        }
+        if (_.isPlainObject(other))
+            return as_json(text);
+        if (other instanceof Date)
+            return coerce_value(text, 'timestamptz');
+        if (other instanceof Interval)
+            return coerce_value(text, 'interval');
+        return text;
+    };
+
+    const kind = x => x instanceof Numeric ? 'number' : typeof x;
+    const unify = (text, other, i) => {
+        if (!is_text(i) || !['number', 'boolean'].includes(kind(other)))
+            return [coerce(text, other), other];
+        // parameters are sent as text, so "name = $1" works with number
+        if (types[1 - i] == 'unknown')
+            return [text, to_text(other)];
+        throw mismatch();
+    };
+    if (typeof left == 'string' && typeof right != 'string')
+        return unify(left, right, 0);
+    if (typeof right == 'string' && typeof left != 'string')
+        return unify(right, left, 1).reverse();
+    // numerics are compared with other numbers
+    if (kind(left) != kind(right) && kind(left) != 'object' && kind(right) != 'object')
+        throw mismatch();
+    return [left, right];
+}
+
+/**
+ * Checks equality of non-NULL values, dates are compared by time, intervals by length, numerics by value,
+ * arrays and JSON by content
+ * @param left {any}
+ * @param right {any}
+ * @returns {boolean}
+ */
+function equal_values(left, right) {
+    if (left instanceof Date && right instanceof Date)
+        return left.getTime() == right.getTime();
+    // "1 day" equals "24 hours"
+    if (left instanceof Interval && right instanceof Interval)
+        return +left == +right;
+    // 1.10 equals 1.1
+    if (left instanceof Numeric || right instanceof Numeric)
+        return numeric_compare(left, right) == 0;
+    if (typeof left == 'object' && typeof right == 'object')
+        return _.isEqualWith(left, right, (a, b) => {
+            const numbers = [a, b].every(x => typeof x == 'number' || x instanceof Numeric);
+            return numbers ? numeric_compare(a, b) == 0 : undefined;
+        });
+    return left === right;
+}
+
+/**
+ * Converts LIKE pattern into regular expression: "%" matches any sequence, "_" matches any character
+ * @param pattern {string}
+ * @param escape {string} - escape character, empty string disables escaping
+ * @param flags {string} - regular expression flags
+ * @returns {RegExp}
+ */
+function like_regex(pattern, escape, flags) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (escape && char == escape) {
+            if (++i >= pattern.length)
+                throw pg_error('22025', 'LIKE pattern must not end with escape character');
+            source += _.escapeRegExp(pattern[i]);
+        } else if (char == '%') {
+            source += '.*';
+        } else if (char == '_') {
+            source += '.';
+        } else {
+            source += _.escapeRegExp(char);
+        }
+    }
+    return new RegExp(`^${source}$`, flags + 's');
+}
+
+/**
+ * Converts SIMILAR TO pattern into regular expression. Pattern is a regular expression
+ * matching whole string, with "%" and "_" of LIKE and literal "."
+ * @param pattern {string}
+ * @returns {RegExp}
+ */
+function similar_regex(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char == '\\')
+            source += _.escapeRegExp(pattern[++i] ?? '');
+        else if (char == '%')
+            source += '.*';
+        else if (char == '_')
+            source += '.';
+        else if ('.^$'.includes(char))
+            source += '\\' + char;
+        else
+            source += char;
+    }
+    return posix_regex(`^(?:${source})$`, 's');
+}
+
+/**
+ * Builds regular expression of POSIX match operators, matching any part of string
+ * @param pattern {string}
+ * @param flags {string}
+ * @returns {RegExp}
+ */
+function posix_regex(pattern, flags) {
+    try {
+        return new RegExp(pattern, flags);
+    } catch (e) {
+        throw pg_error('2201B', `invalid regular expression: ${e.message}`);
+    }
+}
+
 /**
  * Returns parameter resolved value
  * @param exp {{type: string, name: string}}
@@ -81,5 +1239,21 @@ function resolve_sql_param(exp, args) {
 
 module.exports = {
     get_table_from_sql,
+    AGGREGATED,
+    SET_VALUES,
+    USING_COLUMNS,
+    OUTER_ITEM,
+    find_aggregates,
+    find_ungrouped_columns,
+    find_set_functions,
+    compare_values,
+    values_key,
+    get_name,
+    get_function_name,
+    parse_alias,
     get_value,
+    get_column_name,
+    expression_type,
+    calc_binary,
+    is_default_keyword,
 };
\ No newline at end of file
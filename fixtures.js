@@ -0,0 +1,93 @@
+const _ = require('lodash');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Rows of seeded table: list of rows or factory generating them
+ * @typedef {{[key: string]: any}[] | {count: number, factory: SeedFactory}} SeedRows
+ */
+
+/**
+ * Generates row of seeded table
+ * @callback SeedFactory
+ * @param index {number} - zero based row index
+ * @param seeded {{[table: string]: any[]}} - rows of tables seeded before, with defaults applied
+ * @returns {{[key: string]: any}}
+ */
+
+/**
+ * Returns rows to seed, calling factory if given
+ * @param rows {SeedRows}
+ * @param seeded {{[table: string]: any[]}} - rows of tables seeded before
+ * @param table {string}
+ * @returns {{[key: string]: any}[]}
+ */
+function seed_rows(rows, seeded, table) {
+    if (Array.isArray(rows))
+        return rows;
+    if (typeof rows?.factory == 'function')
+        return _.times(rows.count ?? 1, i => rows.factory(i, seeded));
+    throw new TypeError(`Rows of table "${table}" should be array or {count, factory} object`);
+}
+
+/**
+ * Orders tables so referenced ones go before tables referencing them.
+ * Tables of reference cycles keep given order
+ * @param tables {string[]}
+ * @param schemas {Map<string, TableSchema>}
+ * @returns {string[]}
+ */
+function foreign_key_order(tables, schemas) {
+    const result = [];
+    const visiting = new Set();
+    const visit = table => {
+        if (result.includes(table) || visiting.has(table))
+            return;
+
+        visiting.add(table);
+        for (let fk of schemas.get(table)?.constraints || []) {
+            if (fk.type == 'foreign key' && tables.includes(fk.references.table))
+                visit(fk.references.table);
+        }
+        visiting.delete(table);
+        result.push(table);
+    };
+    tables.forEach(visit);
+    return result;
+}
+
+/**
+ * Loads fixture file. JSON and YAML files contain rows by table name, SQL files contain seed script.
+ * YAML needs optional "yaml" package
+ * @param file {string}
+ * @returns {Promise<{data: {[table: string]: SeedRows}} | {sql: string}>}
+ */
+async function load_fixture(file) {
+    const text = await fs.readFile(file, 'utf8');
+    switch (path.extname(file).toLowerCase()) {
+        case '.json':
+            return {data: JSON.parse(text)};
+
+        case '.yaml':
+        case '.yml':
+            let yaml;
+            try {
+                yaml = require('yaml');
+            } catch (e) {
+                throw new Error('Install "yaml" package to load YAML fixtures');
+            }
+            return {data: yaml.parse(text)};
+
+        case '.sql':
+            return {sql: text};
+
+        default:
+            throw new Error('Unsupported fixture file type: ' + file);
+    }
+}
+
+module.exports = {
+    seed_rows,
+    foreign_key_order,
+    load_fixture,
+};
@@ -0,0 +1,557 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+const {pg_error, not_supported} = require('./errors.js');
+const {normalize_json, coerce_value, parse_array, value_type, to_text} = require('./types.js');
+const {Numeric, numeric_round, numeric_compare, numeric_operator} = require('./numeric.js');
+const {SECOND, MINUTE, HOUR, DAY, Interval, format_date, format_time, age, date_trunc, extract_field, to_char, parse_date} = require('./datetime.js');
+const {
+    as_json,
+    as_json_value,
+    as_text_array,
+    json_to_text,
+    json_extract,
+    json_set,
+    json_type,
+    json_strip_nulls,
+    json_build_object,
+} = require('./json.js');
+const {DEFAULT_SETTINGS} = require('./settings.js');
+
+/**
+ * Query execution context for functions depending on database state
+ * @typedef {object} ExecContext
+ * @property sequences {Map<string, Sequence>}
+ * @property select {(sql: Select, outer: any, args: []) => any[]} - executes subquery,
+ * outer = outer query data item
+ * @property now {Date} - transaction start time, returned by now()
+ * @property statement_time {Date} - statement start time
+ * @property clock {Clock}
+ * @property advisory_locks {AdvisoryLocks}
+ * @property client {any} - client executing query, owner of advisory locks
+ * @property relation_exists {(name: string) => boolean} - checks table, sequence or index exists
+ */
+
+/**
+ * Returns sequence by name passed to sequence function
+ * @param ctx {ExecContext}
+ * @param name {string} - sequence name, can be schema qualified
+ * @returns {Sequence}
+ */
+function find_sequence(ctx, name) {
+    const sequence = ctx?.sequences?.get(('' + name).replace(/^public\./, ''));
+    if (!sequence)
+        throw pg_error('42P01', `relation "${name}" does not exist`);
+    return sequence;
+}
+
+/**
+ * Wraps function to return NULL on any NULL argument, like postgres STRICT functions do
+ * @param fn {(...args: any[]) => any}
+ * @returns {(ctx: ExecContext, ...args: any[]) => any}
+ */
+function strict(fn) {
+    return (ctx, ...args) => args.some(x => x == null) ? null : fn(...args);
+}
+
+/**
+ * Wraps advisory lock function. Lock key is one bigint or two integers, NULL key gives NULL
+ * @param fn {(ctx: ExecContext, key: string) => any}
+ * @returns {(ctx: ExecContext, ...keys: any[]) => any}
+ */
+function advisory_lock(fn) {
+    return (ctx, ...keys) => keys.some(x => x == null) ? null : fn(ctx, keys.join(','));
+}
+
+/**
+ * Returns relation name if it exists, like to_regclass() does. Only "public" schema has relations
+ * @param ctx {ExecContext}
+ * @param name {string} - relation name, can be schema qualified and quoted
+ * @returns {string | null}
+ */
+function find_relation(ctx, name) {
+    const parts = name.match(/"(?:[^"]|"")*"|[^."]+/g)?.map(x => /^"/.test(x) ? x.slice(1, -1).replace(/""/g, '"') : x.toLowerCase());
+    if (!parts || parts.length > 2 || (parts.length == 2 && parts[0] != 'public'))
+        return null;
+    return ctx?.relation_exists(parts.at(-1)) ? parts.at(-1) : null;
+}
+
+/**
+ * Returns current time of query, stable within transaction
+ * @param ctx {ExecContext}
+ * @returns {Date}
+ */
+function current_time(ctx) {
+    return new Date(ctx?.now ?? Date.now());
+}
+
+/**
+ * Returns current time of query rounded to fractional seconds digits, like "localtime(0)"
+ * @param ctx {ExecContext}
+ * @param precision {number | undefined}
+ * @returns {Date}
+ */
+function rounded_time(ctx, precision) {
+    const time = current_time(ctx);
+    if (precision == null || precision >= 3)
+        return time;
+    const unit = 10 ** (3 - precision);
+    return new Date(Math.round(time.getTime() / unit) * unit);
+}
+
+/**
+ * Returns array argument, array literal like '{a,b}' is parsed
+ * @param value {any[] | string | null}
+ * @returns {any[] | null}
+ */
+function as_array(value) {
+    if (value == null || Array.isArray(value))
+        return value;
+    if (typeof value == 'string')
+        return parse_array(value);
+    throw pg_error('42804', `argument of type ${value_type(value)} is not an array`);
+}
+
+/**
+ * Checks array element is not distinct from value. Value text is converted to element type,
+ * like postgres resolves polymorphic function arguments
+ * @param element {any}
+ * @param value {any}
+ * @returns {boolean}
+ */
+function same_element(element, value) {
+    if (element == null || value == null)
+        return element == null && value == null;
+    value = typeof value == 'string' ? coerce_value(value, value_type(element)) : value;
+    if ([element, value].some(x => x instanceof Numeric) && [element, value].every(x => typeof x == 'number' || x instanceof Numeric))
+        return numeric_compare(element, value) == 0;
+    return _.isEqual(element, value);
+}
+
+/**
+ * Returns the greatest or the least value ignoring NULLs
+ * @param values {any[]}
+ * @param sign {1 | -1} - 1 for greatest, -1 for least
+ * @returns {any}
+ */
+function extremum(values, sign) {
+    let result = null;
+    for (let value of values) {
+        if (value != null && (result == null || is_greater(value, result, sign)))
+            result = value;
+    }
+    return result;
+}
+
+/**
+ * Compares values in direction of sign, numerics exactly
+ * @param a {any}
+ * @param b {any}
+ * @param sign {1 | -1}
+ * @returns {boolean}
+ */
+function is_greater(a, b, sign) {
+    const cmp = a instanceof Numeric || b instanceof Numeric ? numeric_compare(a, b) : a > b ? 1 : -1;
+    return cmp * sign > 0;
+}
+
+/**
+ * Rounds number to decimal places. Numeric halves are rounded away from zero and numeric gets scale
+ * of decimal places, double precision halves are rounded to even like rint() does: round(2.5::float8) = 2
+ * @param value {number | Numeric}
+ * @param places {number}
+ * @returns {number | Numeric}
+ */
+function round(value, places = 0) {
+    if (value instanceof Numeric)
+        return numeric_round(value, places);
+    const factor = 10 ** places;
+    const scaled = value * factor;
+    let rounded = Math.round(scaled);
+    // Math.round() rounds halves up, odd result goes back to even one
+    if (Math.abs(scaled % 1) == 0.5 && rounded % 2)
+        rounded--;
+    return rounded / factor;
+}
+
+/**
+ * Rounds numeric to integer towards positive or negative infinity, like ceil() and floor() do
+ * @param value {Numeric}
+ * @param sign {1 | -1} - 1 for ceil, -1 for floor
+ * @returns {Numeric}
+ */
+function numeric_ceil(value, sign) {
+    const truncated = numeric_round(value, 0, true);
+    return numeric_compare(value, truncated) * sign > 0 ? numeric_operator(truncated, sign, '+') : truncated;
+}
+
+/**
+ * Pads string to length, truncating it if it's longer
+ * @param str {string}
+ * @param length {number}
+ * @param fill {string}
+ * @param left {boolean} - pad from the left side
+ * @returns {string}
+ */
+function pad(str, length, fill, left) {
+    str = '' + str;
+    if (str.length >= length || !fill)
+        return str.slice(0, length);
+    return left ? str.padStart(length, fill) : str.padEnd(length, fill);
+}
+
+/**
+ * Removes characters from string sides
+ * @param str {string}
+ * @param chars {string} - characters to remove
+ * @param start {boolean} - trim string start
+ * @param end {boolean} - trim string end
+ * @returns {string}
+ */
+function trim(str, chars, start, end) {
+    str = '' + str;
+    let from = 0, to = str.length;
+    while (start && from < to && chars.includes(str[from]))
+        from++;
+    while (end && to > from && chars.includes(str[to - 1]))
+        to--;
+    return str.slice(from, to);
+}
+
+/**
+ * Built-in SQL functions. Key = lower cased function name
+ * @type {{[key: string]: (ctx: ExecContext, ...args: any[]) => any}}
+ */
+const FUNCTIONS = {
+    // sequences
+    nextval: (ctx, name) => find_sequence(ctx, name).nextval(),
+    currval: (ctx, name) => find_sequence(ctx, name).currval(),
+    setval: (ctx, name, value, is_called = true) => find_sequence(ctx, name).setval(+value, is_called),
+
+    // conditional
+    coalesce: (ctx, ...args) => args.find(x => x != null) ?? null,
+    nullif: (ctx, value, other) => value == other && value != null ? null : value,
+    greatest: (ctx, ...args) => extremum(args, 1),
+    least: (ctx, ...args) => extremum(args, -1),
+
+    // strings
+    lower: strict(str => ('' + str).toLowerCase()),
+    upper: strict(str => ('' + str).toUpperCase()),
+    length: strict(str => ('' + str).length),
+    initcap: strict(str => ('' + str).toLowerCase().replace(/(^|[^a-z0-9])([a-z])/g, (m, sep, char) => sep + char.toUpperCase())),
+    concat: (ctx, ...args) => args.filter(x => x != null).join(''),
+    concat_ws: (ctx, separator, ...args) => separator == null ? null : args.filter(x => x != null).join(separator),
+    substring: strict((str, start, count = undefined) => {
+        if (count < 0)
+            throw pg_error('22011', 'negative substring length not allowed');
+
+        // positions are 1-based, start before the first character shortens the result
+        const from = Math.max(start - 1, 0);
+        const to = count === undefined ? undefined : Math.max(start - 1 + +count, 0);
+        return ('' + str).slice(from, to);
+    }),
+    // negative length means all characters but the last / the first ones
+    left: strict((str, n) => ('' + str).slice(0, n)),
+    right: strict((str, n) => n == 0 ? '' : ('' + str).slice(-n)),
+    btrim: strict((str, chars = ' ') => trim(str, chars, true, true)),
+    ltrim: strict((str, chars = ' ') => trim(str, chars, true, false)),
+    rtrim: strict((str, chars = ' ') => trim(str, chars, false, true)),
+    lpad: strict((str, length, fill = ' ') => pad(str, length, fill, true)),
+    rpad: strict((str, length, fill = ' ') => pad(str, length, fill, false)),
+    replace: strict((str, from, to) => from ? ('' + str).split(from).join(to) : '' + str),
+    repeat: strict((str, n) => ('' + str).repeat(Math.max(n, 0))),
+    reverse: strict(str => [...('' + str)].reverse().join('')),
+    strpos: strict((str, sub) => ('' + str).indexOf(sub) + 1),
+    split_part: strict((str, delimiter, n) => {
+        if (n == 0)
+            throw pg_error('22023', 'field position must not be zero');
+        const parts = delimiter ? ('' + str).split(delimiter) : ['' + str];
+        return (n > 0 ? parts[n - 1] : parts[parts.length + +n]) ?? '';
+    }),
+    starts_with: strict((str, prefix) => ('' + str).startsWith(prefix)),
+    ascii: strict(str => ('' + str).codePointAt(0) || 0),
+    chr: strict(code => String.fromCodePoint(code)),
+    md5: strict(str => crypto.createHash('md5').update('' + str).digest('hex')),
+
+    // math
+    abs: strict(value => value instanceof Numeric ? new Numeric(value.mantissa < 0n ? -value.mantissa : value.mantissa, value.scale) : Math.abs(value)),
+    sign: strict(Math.sign),
+    ceil: strict(value => value instanceof Numeric ? numeric_ceil(value, 1) : Math.ceil(value)),
+    floor: strict(value => value instanceof Numeric ? numeric_ceil(value, -1) : Math.floor(value)),
+    round: strict(round),
+    trunc: strict((value, places = 0) => value instanceof Numeric
+        ? numeric_round(value, places, true)
+        : Math.trunc(value * 10 ** places) / 10 ** places),
+    mod: strict((a, b) => {
+        if (+b === 0)
+            throw pg_error('22012', 'division by zero');
+        return a instanceof Numeric || b instanceof Numeric ? numeric_operator(a, b, '%') : a % b;
+    }),
+    div: strict((a, b) => {
+        if (+b === 0)
+            throw pg_error('22012', 'division by zero');
+        return a instanceof Numeric || b instanceof Numeric ? numeric_round(numeric_operator(a, b, '/'), 0, true) : Math.trunc(a / b);
+    }),
+    power: strict(Math.pow),
+    sqrt: strict(value => {
+        if (value < 0)
+            throw pg_error('2201F', 'cannot take square root of a negative number');
+        return Math.sqrt(value);
+    }),
+    cbrt: strict(Math.cbrt),
+    exp: strict(Math.exp),
+    ln: strict(value => {
+        if (value <= 0)
+            throw pg_error('2201E', value == 0 ? 'cannot take logarithm of zero' : 'cannot take logarithm of a negative number');
+        return Math.log(value);
+    }),
+    // log(x) is base 10 logarithm, log(b, x) is base b one
+    log: strict((base, value = undefined) => value === undefined ? Math.log10(base) : Math.log(value) / Math.log(base)),
+    pi: () => Math.PI,
+    random: () => Math.random(),
+
+    // uuid
+    gen_random_uuid: () => crypto.randomUUID(),
+
+    // arrays
+    array_length: strict((array, dimension) => {
+        array = as_array(array);
+        for (let i = 1; i < dimension && Array.isArray(array); i++)
+            array = array[0];
+        return Array.isArray(array) && array.length ? array.length : null;
+    }),
+    cardinality: strict(array => _.flattenDeep(as_array(array)).length),
+    array_append: (ctx, array, value) => [...(as_array(array) ?? []), value],
+    array_prepend: (ctx, value, array) => [value, ...(as_array(array) ?? [])],
+    array_cat: (ctx, left, right) => left == null && right == null
+        ? null
+        : [...(as_array(left) ?? []), ...(as_array(right) ?? [])],
+    // NULL value removes NULL elements
+    array_remove: (ctx, array, value) => array == null ? null : as_array(array).filter(x => !same_element(x, value)),
+    array_position: (ctx, array, value) => {
+        const index = array == null ? -1 : as_array(array).findIndex(x => same_element(x, value));
+        return index < 0 ? null : index + 1;
+    },
+    // NULL elements are skipped, unless replacement is given
+    array_to_string: (ctx, array, delimiter, null_string = null) => {
+        if (array == null || delimiter == null)
+            return null;
+        return _.flattenDeep(as_array(array))
+            .map(x => x == null ? null_string : to_text(x))
+            .filter(x => x != null)
+            .join(delimiter);
+    },
+
+    // json
+    to_json: strict(value => normalize_json(value, false)),
+    to_jsonb: strict(value => normalize_json(value, true)),
+    // pretty printing isn't kept, since json is returned parsed
+    row_to_json: strict((record, pretty = false) => {
+        if (!_.isPlainObject(record))
+            throw pg_error('42883', `function row_to_json(${value_type(record)}) does not exist`);
+        return normalize_json(record, false);
+    }),
+    json_build_object: (ctx, ...args) => json_build_object(args, false),
+    jsonb_build_object: (ctx, ...args) => json_build_object(args, true),
+    json_build_array: (ctx, ...args) => normalize_json(args, false),
+    jsonb_build_array: (ctx, ...args) => normalize_json(args, true),
+    jsonb_set: strict((json, path, value, create = true) => json_set(as_json(json), as_text_array(path), as_json_value(value), create)),
+    jsonb_strip_nulls: strict(json => json_strip_nulls(as_json(json))),
+    jsonb_typeof: strict(json => json_type(as_json(json))),
+    jsonb_array_length: strict(json => {
+        json = as_json(json);
+        if (!Array.isArray(json))
+            throw pg_error('22023', `cannot get array length of a ${json_type(json) == 'object' ? 'non-array' : 'scalar'}`);
+        return json.length;
+    }),
+    jsonb_extract_path: strict((json, ...path) => json_extract(as_json(json), path.map(String))),
+    jsonb_extract_path_text: strict((json, ...path) => json_to_text(json_extract(as_json(json), path.map(String)))),
+    jsonb_pretty: strict(json => JSON.stringify(as_json(json), null, 4)),
+
+    // date and time, session time zone is UTC
+    now: ctx => current_time(ctx),
+    statement_timestamp: ctx => new Date(ctx?.statement_time ?? Date.now()),
+    clock_timestamp: ctx => ctx?.clock?.now() ?? new Date(),
+    current_date: ctx => format_date(current_time(ctx)),
+    current_time: ctx => format_time(current_time(ctx).getTime() % DAY) + '+00',
+    localtime: (ctx, precision) => format_time(rounded_time(ctx, precision).getTime() % DAY),
+    localtimestamp: (ctx, precision) => rounded_time(ctx, precision),
+    date_trunc: strict((field, value) => date_trunc(field, value)),
+    date_part: strict((field, value) => extract_field(field, value)),
+    // single argument is subtracted from current date at midnight
+    age: (ctx, end, start = undefined) => {
+        if (end == null || start === null)
+            return null;
+        return start === undefined ? age(format_date(current_time(ctx)), end) : age(end, start);
+    },
+    to_char: strict((value, format) => {
+        if (!(value instanceof Date) && typeof value != 'string')
+            throw not_supported(`to_char() of ${value_type(value)} is not supported`);
+        return to_char(value, format);
+    }),
+    make_date: strict((year, month, day) => parse_date(`${year}-${month}-${day}`)),
+    make_interval: (ctx, years = 0, months = 0, weeks = 0, days = 0, hours = 0, mins = 0, secs = 0) => {
+        const args = [years, months, weeks, days, hours, mins, secs];
+        if (args.some(x => x == null))
+            return null;
+        return new Interval(years * 12 + months, weeks * 7 + days, hours * HOUR + mins * MINUTE + secs * SECOND);
+    },
+    to_timestamp: strict(seconds => new Date(seconds * SECOND)),
+
+    // advisory locks are held by client until released or disconnected, void functions return empty string
+    pg_try_advisory_lock: advisory_lock((ctx, key) => ctx.advisory_locks.try_lock(key, ctx.client)),
+    pg_advisory_lock: advisory_lock((ctx, key) => {
+        // query can't wait for other client here, it would block the client releasing the lock
+        if (!ctx.advisory_locks.try_lock(key, ctx.client))
+            throw not_supported('Waiting for advisory lock held by other client is not supported, use pg_try_advisory_lock()');
+        return '';
+    }),
+    pg_advisory_unlock: advisory_lock((ctx, key) => ctx.advisory_locks.unlock(key, ctx.client)),
+    pg_advisory_unlock_all: ctx => {
+        ctx.advisory_locks.release(ctx.client);
+        return '';
+    },
+
+    // system information
+    current_schema: () => 'public',
+    current_schemas: strict(implicit => implicit ? ['pg_catalog', 'public'] : ['public']),
+    current_database: () => 'postgres',
+    version: () => `PostgreSQL ${DEFAULT_SETTINGS.server_version} (pg-mock)`,
+    to_regclass: (ctx, name) => name == null ? null : find_relation(ctx, name),
+};
+FUNCTIONS.substr = FUNCTIONS.substring;
+FUNCTIONS.current_timestamp = FUNCTIONS.transaction_timestamp = FUNCTIONS.now;
+FUNCTIONS.char_length = FUNCTIONS.character_length = FUNCTIONS.length;
+FUNCTIONS.ceiling = FUNCTIONS.ceil;
+FUNCTIONS.pow = FUNCTIONS.power;
+FUNCTIONS.log10 = FUNCTIONS.log;
+FUNCTIONS.trim = FUNCTIONS.btrim;
+FUNCTIONS.uuid_generate_v4 = FUNCTIONS.gen_random_uuid;
+for (let name of ['strip_nulls', 'typeof', 'array_length', 'extract_path', 'extract_path_text'])
+    FUNCTIONS['json_' + name] = FUNCTIONS['jsonb_' + name];
+
+/**
+ * Checks JSON value can be iterated by set-returning function
+ * @param json {any}
+ * @param name {string} - function name for error message
+ * @param kind {'object' | 'array'}
+ * @returns {any}
+ */
+function iterable_json(json, name, kind) {
+    json = as_json(json);
+    const type = json_type(json);
+    if (type != kind) {
+        throw pg_error('22023', kind == 'object'
+            ? `cannot call ${name} on a non-object`
+            : `cannot extract elements from ${type == 'object' ? 'an object' : 'a scalar'}`);
+    }
+    return json;
+}
+
+/**
+ * Set-returning functions, called in "FROM" clause or select list. Each one returns rows
+ * as arrays of column values. Key = lower cased function name
+ * @type {{[key: string]: {columns: string[], call: (ctx: ExecContext, ...args: any[]) => any[][]}}}
+ */
+const SET_FUNCTIONS = {
+    jsonb_each: {
+        columns: ['key', 'value'],
+        call: (ctx, json) => json == null ? [] : Object.entries(iterable_json(json, 'jsonb_each', 'object')),
+    },
+    jsonb_each_text: {
+        columns: ['key', 'value'],
+        call: (ctx, json) => json == null ? [] : Object.entries(iterable_json(json, 'jsonb_each_text', 'object'))
+            .map(([key, value]) => [key, json_to_text(value)]),
+    },
+    jsonb_object_keys: {
+        columns: ['jsonb_object_keys'],
+        call: (ctx, json) => json == null ? [] : Object.keys(iterable_json(json, 'jsonb_object_keys', 'object')).map(x => [x]),
+    },
+    jsonb_array_elements: {
+        columns: ['value'],
+        call: (ctx, json) => json == null ? [] : iterable_json(json, 'jsonb_array_elements', 'array').map(x => [x]),
+    },
+    jsonb_array_elements_text: {
+        columns: ['value'],
+        call: (ctx, json) => json == null ? [] : iterable_json(json, 'jsonb_array_elements_text', 'array').map(x => [json_to_text(x)]),
+    },
+    // multidimensional array is expanded into all elements
+    unnest: {
+        columns: ['unnest'],
+        call: (ctx, array) => array == null ? [] : _.flattenDeep(as_array(array)).map(x => [x]),
+    },
+};
+for (let name of Object.keys(SET_FUNCTIONS).filter(x => x.startsWith('jsonb'))) {
+    const json_name = name.replace(/^jsonb/, 'json');
+    SET_FUNCTIONS[json_name] = {...SET_FUNCTIONS[name], columns: SET_FUNCTIONS[name].columns.map(x => x.replace(name, json_name))};
+}
+
+/**
+ * Calls built-in SQL function
+ * @param name {string} - function name
+ * @param args {any[]} - resolved function arguments
+ * @param ctx {ExecContext}
+ * @returns {any}
+ */
+function call_function(name, args, ctx) {
+    const fn = FUNCTIONS[name.toLowerCase()];
+    if (!fn) {
+        const types = args.map(x => x == null ? 'unknown' : value_type(x));
+        throw pg_error('42883', `function ${name}(${types.join(', ')}) does not exist`);
+    }
+    return fn(ctx, ...args);
+}
+
+/**
+ * Parameter names of functions accepting named arguments, like "make_interval(days => 3)"
+ * @type {{[key: string]: string[]}}
+ */
+const PARAMETER_NAMES = {
+    make_interval: ['years', 'months', 'weeks', 'days', 'hours', 'mins', 'secs'],
+};
+
+/**
+ * Returns parameter names of function for named arguments
+ * @param name {string}
+ * @returns {string[]}
+ */
+function function_parameters(name) {
+    return PARAMETER_NAMES[name.toLowerCase()] ?? [];
+}
+
+/**
+ * Checks if function returns set of rows
+ * @param name {string}
+ * @returns {boolean}
+ */
+function is_set_function(name) {
+    return SET_FUNCTIONS.hasOwnProperty(name?.toLowerCase());
+}
+
+/**
+ * Returns column names of set-returning function
+ * @param name {string}
+ * @returns {string[]}
+ */
+function set_function_columns(name) {
+    return SET_FUNCTIONS[name.toLowerCase()].columns;
+}
+
+/**
+ * Calls set-returning function
+ * @param name {string} - function name
+ * @param args {any[]} - resolved function arguments
+ * @param ctx {ExecContext}
+ * @returns {{columns: string[], rows: any[][]}}
+ */
+function call_set_function(name, args, ctx) {
+    const fn = SET_FUNCTIONS[name.toLowerCase()];
+    return {columns: fn.columns, rows: fn.call(ctx, ...args)};
+}
+
+module.exports = {
+    call_function,
+    function_parameters,
+    is_set_function,
+    set_function_columns,
+    call_set_function,
+};
@@ -1,22 +1,384 @@
+const _ = require('lodash');
 const {ok} = require('assert');
+const EventEmitter = require('events');
 const Session = require('./session.js');
+const {Database, DatabaseSnapshot} = require('./database.js');
+const {PgMockServer} = require('./server.js');
+const {parse_transaction, parse_setting, split_statements} = require('./compat.js');
+const {Settings} = require('./settings.js');
+const {load_fixture} = require('./fixtures.js');
+const {dump_sql} = require('./dump.js');
+const {DatabaseError, NotSupportedError, pg_error, pg_notice} = require('./errors.js');
+const {to_text, default_result, type_oid, DEFAULT_RESULT_OIDS, types, clone_value} = require('./types.js');
+const {Numeric} = require('./numeric.js');
 
-class PgMock {
-    /** @type {Session}*/
-    #main_session;
-    /** @type {Session}*/
-    #transaction;
+/**
+ * Query config, the same node-postgres accepts
+ * @typedef {object} QueryConfig
+ * @property text {string}
+ * @property values {[] | undefined}
+ * @property name {string | undefined} - prepared statement name, ignored
+ * @property rowMode {'array' | undefined} - return rows as arrays of values
+ * @property types {{getTypeParser: (oid: number, format: string) => ((value: string) => any) | undefined} | undefined}
+ */
 
-    async connect() {
-        ok(!this.#main_session, 'You were already connected');
-        this.#main_session = new Session();
-        return true;
+/**
+ * Events: "connect", "end", "notice" and "error"
+ */
+class PgMock extends EventEmitter {
+    /** @type {Database}*/
+    #database;
+    #connected = false;
+    #ended = false;
+    /** @type {Transaction | null}*/
+    #transaction = null;
+    /**
+     * Custom type parsers of client
+     * @type {QueryConfig['types']}
+     */
+    #types;
+    /**
+     * Run-time parameters changed by "SET"
+     * @type {Settings}
+     */
+    #settings = new Settings();
+
+    /**
+     * @param options {{database?: Database, types?: QueryConfig['types']}} - database shared with other clients,
+     * new one by default
+     */
+    constructor({database, types} = {}) {
+        super();
+        this.#database = database instanceof Database ? database : new Database();
+        this.#types = types;
     }
 
-    async end() {
-        ok(!!this.#main_session, 'You were already disconnected');
-        this.#main_session = null;
-        return true;
+    /**
+     * Database client is attached to
+     * @returns {Database}
+     */
+    get database() {
+        return this.#database;
+    }
+
+    /**
+     * Clock of the database for now() and other date/time functions, e.g. "client.clock.freeze('2024-01-01')"
+     * @returns {Clock}
+     */
+    get clock() {
+        return this.#database.clock;
+    }
+
+    /**
+     * @param callback {(err: Error | null) => void}
+     * @returns {Promise<true> | undefined}
+     */
+    connect(callback = undefined) {
+        return with_callback((async () => {
+            ok(!this.#connected, 'You were already connected');
+            this.#connected = true;
+            this.#ended = false;
+            this.emit('connect');
+            return true;
+        })(), callback);
+    }
+
+    /**
+     * @param callback {(err: Error | null) => void}
+     * @returns {Promise<true> | undefined}
+     */
+    end(callback = undefined) {
+        return with_callback((async () => {
+            ok(this.#connected, 'You were already disconnected');
+            // open transaction is rolled back and advisory locks are released on disconnect
+            if (this.#transaction)
+                this.#database.rollback(this.#transaction);
+            this.#database.advisory_locks.release(this);
+            this.#connected = false;
+            this.#ended = true;
+            this.#transaction = null;
+            this.emit('end');
+            return true;
+        })(), callback);
+    }
+
+    /**
+     * Accepts the same arguments as pg.Client.query: SQL text or query config, values and callback.
+     * Submittable (object with "submit" method, e.g. pg.Query) is executed and returned back,
+     * it receives "row", "end" and "error" events.
+     * Query text without values can contain several statements, result of each one is returned then
+     * @param config {string | QueryConfig | Submittable}
+     * @param values {[] | ((err: Error | null, result?: PgResult | PgResult[]) => void)}
+     * @param callback {(err: Error | null, result?: PgResult | PgResult[]) => void}
+     * @returns {Promise<PgResult | PgResult[]> | Submittable | undefined}
+     */
+    query(config, values = undefined, callback = undefined) {
+        if (config == null)
+            throw new TypeError('Client was passed a null or undefined query');
+        if (typeof values == 'function') {
+            callback = values;
+            values = undefined;
+        }
+
+        /** @type {QueryConfig}*/
+        const query = typeof config == 'string'
+            ? {text: config, values}
+            : {...config, values: values || config.values};
+
+        if (typeof config.submit == 'function') {
+            callback ||= config.callback;
+            this.#run(query).then(result => {
+                for (let item of [result].flat()) {
+                    for (let row of item.rows)
+                        config.emit?.('row', row, item);
+                }
+                config.emit?.('end', result);
+                callback?.(null, result);
+            }, err => {
+                if (callback)
+                    callback(err);
+                else
+                    config.emit?.('error', err);
+            });
+            return config;
+        }
+
+        return with_callback(this.#run(query), callback);
+    }
+
+    /**
+     * Starts postgres protocol server over client database
+     * @param options {{port?: number, host?: string, path?: string, auth?: 'trust' | 'cleartext' | 'md5',
+     * users?: {[user: string]: string}}}
+     * @returns {Promise<PgMockServer>}
+     */
+    async listen({port, host, path, ...options} = {}) {
+        const server = new PgMockServer({...options, database: this.#database});
+        await server.listen({port, host, path});
+        return server;
+    }
+
+    /**
+     * Inserts rows into tables the way INSERT does: with defaults, type coercion and constraint checks.
+     * Rows of all tables are checked at once, either all of them are seeded or none.
+     * Tables should exist, e.g. "seed({users: [{id: 1, name: 'John'}]})" after "create table users ..."
+     * @param data {{[table: string]: SeedRows}} - rows or {count, factory} by table name
+     * @param options {{resolve_order?: boolean}} - seed referenced tables before tables referencing them
+     * @returns {Promise<{[table: string]: any[]}>} - seeded rows with defaults applied, as query returns them
+     */
+    async seed(data, options = {}) {
+        if (!this.#connected)
+            throw new Error('You should open connection');
+        if (this.#transaction?.aborted)
+            throw pg_error('25P02', 'current transaction is aborted, commands ignored until end of transaction block');
+        const session = this.#transaction?.session || this.#database.session;
+        return session.seed(data, options, result => this.#format(result, undefined, this.#types || types).rows);
+    }
+
+    /**
+     * Executes seed script statement by statement in a transaction, unless one is already started
+     * @param sql {string}
+     * @returns {Promise<void>}
+     */
+    async seed_sql(sql) {
+        const own_transaction = !this.#transaction;
+        if (own_transaction)
+            await this.#execute('begin');
+        try {
+            for (let statement of split_statements(sql))
+                await this.#execute(statement);
+            if (own_transaction)
+                await this.#execute('commit');
+        } catch (e) {
+            if (own_transaction)
+                await this.#execute('rollback');
+            throw e;
+        }
+    }
+
+    /**
+     * Seeds fixture file: JSON or YAML with rows by table name, or SQL script
+     * @param file {string}
+     * @param options {{resolve_order?: boolean}} - used by JSON and YAML fixtures
+     * @returns {Promise<void>}
+     */
+    async seed_file(file, options = {}) {
+        const fixture = await load_fixture(file);
+        if (fixture.sql != null)
+            await this.seed_sql(fixture.sql);
+        else
+            await this.seed(fixture.data, options);
+    }
+
+    /**
+     * Captures committed database state, e.g. baseline schema and seed data built once for all tests
+     * @returns {DatabaseSnapshot}
+     */
+    snapshot() {
+        ok(!this.#transaction, 'Finish transaction before taking snapshot');
+        return this.#database.snapshot();
+    }
+
+    /**
+     * Returns database to snapshot state or rebuilds it from SQL script made by dump().
+     * Only tables changed since the snapshot are copied. Database is left unchanged if script fails
+     * @param source {DatabaseSnapshot | string} - snapshot or SQL script
+     * @returns {Promise<void>}
+     */
+    async restore(source) {
+        ok(!this.#transaction, 'Finish transaction before restoring snapshot');
+        if (source instanceof DatabaseSnapshot) {
+            this.#database.restore(source);
+            return;
+        }
+
+        const before = this.#database.snapshot();
+        this.#database.reset();
+        try {
+            await this.seed_sql(source);
+        } catch (e) {
+            this.#database.restore(before);
+            throw e;
+        }
+    }
+
+    /**
+     * Dumps tables, schemas, sequences and data as SQL script, which restore() and postgres can load
+     * @returns {string}
+     */
+    dump() {
+        return dump_sql(this.#transaction?.session || this.#database.session);
+    }
+
+    /**
+     * Drops all tables and sequences
+     */
+    reset() {
+        ok(!this.#transaction, 'Finish transaction before reset');
+        this.#database.reset();
+    }
+
+    /**
+     * Describes query parameters and returned columns without executing it
+     * @param sql {string}
+     * @returns {{params: number[], fields: FieldDef[]}}
+     */
+    describe(sql) {
+        if (parse_transaction(sql))
+            return {params: [], fields: []};
+        const setting = parse_setting(sql);
+        if (setting)
+            return {params: [], fields: setting.action == 'show' ? this.#handle_setting(setting).fields : []};
+        return (this.#transaction?.session || this.#database.session).describe(sql);
+    }
+
+    /**
+     * Transaction status as postgres reports it: "I" - idle, "T" - in transaction, "E" - in failed transaction
+     * @returns {'I' | 'T' | 'E'}
+     */
+    get transaction_status() {
+        if (!this.#transaction)
+            return 'I';
+        return this.#transaction.aborted ? 'E' : 'T';
+    }
+
+    /**
+     * @param query {QueryConfig}
+     * @returns {Promise<PgResult | PgResult[]>}
+     */
+    async #run(query) {
+        // ended client fails like one which lost connection, "error" event lets pool remove it
+        if (this.#ended) {
+            const error = new Error('Client was closed and is not queryable');
+            if (this.listenerCount('error'))
+                this.emit('error', error);
+            throw error;
+        }
+
+        const statements = split_statements(query.text);
+        if (statements.length > 1 && query.values?.length)
+            throw pg_error('42601', 'cannot insert multiple commands into a prepared statement');
+
+        // parameters are copied, as node-postgres sends them serialized. Empty query has no command
+        const results = statements.length > 1
+            ? await this.#execute_statements(statements)
+            : statements.length ? [await this.#execute(query.text, clone_value(query.values))] : [command_result(null)];
+        const formatted = results.map(({notices, ...result}) => {
+            for (let notice of notices)
+                this.emit('notice', notice);
+            return this.#format(result, query.rowMode, query.types || this.#types || types);
+        });
+        // node-postgres returns array of results for query of several statements
+        return statements.length > 1 ? formatted : formatted[0];
+    }
+
+    /**
+     * Executes statements of simple query one by one. Like in postgres, statements outside of transaction block
+     * run in implicit transaction, so all of them are rolled back when one fails.
+     * "BEGIN" turns implicit transaction into regular one, "COMMIT" and "ROLLBACK" end it
+     * @param statements {string[]}
+     * @returns {Promise<PgResult[]>}
+     */
+    async #execute_statements(statements) {
+        const results = [];
+        let implicit = null;
+        try {
+            for (let sql of statements) {
+                const control = parse_transaction(sql);
+                if (!this.#transaction && !control)
+                    implicit = this.#transaction = this.#database.begin();
+
+                if (implicit && control?.action == 'begin') {
+                    implicit = null;
+                    results.push(command_result(/^\s*start/i.test(sql) ? 'START' : 'BEGIN'));
+                    continue;
+                }
+
+                results.push(await this.#execute(sql));
+                if (!this.#transaction)
+                    implicit = null;
+            }
+        } catch (e) {
+            if (implicit) {
+                this.#transaction = null;
+                this.#database.rollback(implicit);
+            }
+            throw e;
+        }
+
+        if (implicit) {
+            this.#transaction = null;
+            this.#database.commit(implicit);
+        }
+        return results;
+    }
+
+    /**
+     * Applies row mode and type parsers. Without custom parser values are returned
+     * the way node-postgres does by default
+     * @param result {PgResult}
+     * @param row_mode {'array' | undefined}
+     * @param parsers {QueryConfig['types']}
+     * @returns {PgResult}
+     */
+    #format(result, row_mode, parsers) {
+        // changes of returned rows don't reach the database
+        result.rows = result.rows.map(row => clone_value(row));
+        const row_parsers = result.fields.map(x => parsers.getTypeParser(x.dataTypeID, 'text'));
+        const converted = row_parsers.some(Boolean) || result.fields.some(x => DEFAULT_RESULT_OIDS.includes(x.dataTypeID))
+            || result.rows.some(row => Object.values(row).some(x => x instanceof Numeric || Array.isArray(x) && x.some(y => y instanceof Numeric)));
+        if (row_mode == 'array' || converted) {
+            result.rows = result.rows.map(row => {
+                const values = result.fields.map((field, i) => {
+                    const value = row[field.name];
+                    if (row_parsers[i] && value != null)
+                        return row_parsers[i](to_text(value, field.dataTypeID, field.dataTypeModifier));
+                    return default_result(value, field);
+                });
+                return row_mode == 'array' ? values : _.zipObject(result.fields.map(x => x.name), values);
+            });
+        }
+        return {...result, rowAsArray: row_mode == 'array'};
     }
 
     /**
@@ -24,57 +386,169 @@ class PgMock {
      * @param args {[]}
      * @returns {Promise<PgResult>}
      */
-    async query(sql, args) {
-        if (this.#transaction || 'begin commit rollback'.split(' ').includes(sql)) {
-            return await this.#handle_transaction(sql, args);
+    async #execute(sql, args) {
+        if (!this.#connected)
+            throw new Error('You should open connection');
+
+        // failed transaction control statement, e.g. "ROLLBACK TO" unknown savepoint, aborts transaction too
+        const statement = parse_transaction(sql);
+        if (statement) {
+            try {
+                return this.#handle_transaction(statement, sql);
+            } catch (e) {
+                if (this.#transaction)
+                    this.#transaction.aborted = true;
+                throw e;
+            }
         }
 
-        if (this.#main_session)
-            return await this.#main_session.query(sql, args);
+        if (this.#transaction?.aborted)
+            throw pg_error('25P02', 'current transaction is aborted, commands ignored until end of transaction block');
+
+        const setting = parse_setting(sql);
+        if (setting)
+            return this.#handle_setting(setting);
 
-        throw new Error('You should open connection');
+        if (!this.#transaction)
+            return await this.#database.query(sql, args, null, this);
+
+        try {
+            return await this.#database.query(sql, args, this.#transaction, this);
+        } catch (e) {
+            this.#transaction.aborted = true;
+            throw e;
+        }
     }
 
     /**
-     * @param sql {'begin' | 'commit' | 'rollback' | string}
-     * @param args
-     * @returns {Promise}
+     * Handles transaction control statements
+     * @param statement {TransactionStatement}
+     * @param sql {string}
+     * @returns {PgResult}
      */
-    async #handle_transaction(sql, args) {
-        switch (sql) {
+    #handle_transaction(statement, sql) {
+        const transaction = this.#transaction;
+        const no_transaction = () => [pg_notice('25P01', 'there is no transaction in progress', 'WARNING')];
+
+        switch (statement.action) {
             case 'begin':
-                if (this.#transaction)
-                    throw new Error('Transaction was already started, use "commit" or "rollback"');
-                this.#transaction = new Session();
-                return true;
+                // postgres only warns about already started transaction
+                if (transaction)
+                    return command_result('BEGIN', [pg_notice('25001', 'there is already a transaction in progress', 'WARNING')]);
+
+                const level = statement.modes.match(/isolation\s+level\s+(read\s+uncommitted|read\s+committed|repeatable\s+read|serializable)/i);
+                const read_only = /\bread\s+only\b/i.test(statement.modes);
+                this.#transaction = this.#database.begin(level ? level[1].replace(/\s+/, ' ').toLowerCase() : undefined, read_only);
+                // "START TRANSACTION" has its own command tag
+                return command_result(/^\s*start/i.test(sql) ? 'START' : 'BEGIN');
 
             case 'commit':
-                if (!this.#transaction)
-                    throw new Error('You should start transaction with "begin"');
+                this.#transaction = null;
+                if (!transaction)
+                    return command_result('COMMIT', no_transaction());
 
-                for (let historyElement of this.#transaction.history) {
-                    await this.#main_session.query(historyElement.sql, historyElement.args);
+                // aborted transaction is rolled back on commit
+                if (transaction.aborted) {
+                    this.#database.rollback(transaction);
+                    return command_result('ROLLBACK');
                 }
+                this.#database.commit(transaction);
+                return command_result('COMMIT');
 
+            case 'rollback':
                 this.#transaction = null;
-                return true;
+                if (!transaction)
+                    return command_result('ROLLBACK', no_transaction());
 
-            case 'rollback':
-                if (!this.#transaction)
-                    throw new Error('You should start transaction with "begin"');
+                this.#database.rollback(transaction);
+                return command_result('ROLLBACK');
 
-                this.#transaction = null;
-                return true;
+            case 'savepoint':
+                this.#check_transaction_block('SAVEPOINT');
+                if (transaction.aborted)
+                    throw pg_error('25P02', 'current transaction is aborted, commands ignored until end of transaction block');
+
+                transaction.savepoints.push({name: statement.savepoint, state: transaction.session.snapshot()});
+                return command_result('SAVEPOINT');
+
+            case 'rollback to':
+                this.#check_transaction_block('ROLLBACK TO SAVEPOINT');
+                const index = this.#find_savepoint(statement.savepoint);
+
+                // savepoint stays, later ones are destroyed
+                transaction.session.restore(transaction.savepoints[index].state);
+                transaction.savepoints.length = index + 1;
+                transaction.aborted = false;
+                return command_result('ROLLBACK');
+
+            case 'release':
+                this.#check_transaction_block('RELEASE SAVEPOINT');
+                if (transaction.aborted)
+                    throw pg_error('25P02', 'current transaction is aborted, commands ignored until end of transaction block');
+
+                // later savepoints are released too
+                transaction.savepoints.length = this.#find_savepoint(statement.savepoint);
+                return command_result('RELEASE');
 
             default:
-                if (!this.#transaction)
-                    throw new Error('Transaction logic error!');
+                throw new Error('Unknown transaction statement: ' + statement.action);
+        }
+    }
+
+    /**
+     * Handles "SET", "RESET" and "SHOW" statements
+     * @param statement {SettingStatement}
+     * @returns {PgResult}
+     */
+    #handle_setting(statement) {
+        switch (statement.action) {
+            case 'set':
+                // postgres only warns about SET LOCAL outside of transaction, it has no effect
+                if (statement.local && !this.#transaction)
+                    return command_result('SET', [pg_notice('25P01', 'SET LOCAL can only be used in transaction blocks', 'WARNING')]);
+                this.#settings.set(statement.name, statement.value, statement.local ? this.#transaction : null);
+                return command_result('SET');
+
+            case 'reset':
+                this.#settings.reset(statement.name);
+                return command_result('RESET');
 
-                return await this.#transaction.query(sql, args);
+            case 'show':
+                if (statement.name == 'all') {
+                    const rows = this.#settings.all(this.#transaction).map(x => ({name: x.name, setting: x.value, description: ''}));
+                    return {...command_result('SHOW'), rows, fields: ['name', 'setting', 'description'].map(text_field)};
+                }
+                const {name, value} = this.#settings.get(statement.name, this.#transaction);
+                return {...command_result('SHOW'), rows: [{[name]: value}], fields: [text_field(name)]};
+
+            default:
+                throw new Error('Unknown setting statement: ' + statement.action);
         }
     }
 
     /**
+     * Throws if there is no started transaction
+     * @param command {string}
+     */
+    #check_transaction_block(command) {
+        if (!this.#transaction)
+            throw pg_error('25P01', `${command} can only be used in transaction blocks`);
+    }
+
+    /**
+     * Returns index of the latest savepoint with such name
+     * @param name {string}
+     * @returns {number}
+     */
+    #find_savepoint(name) {
+        const index = this.#transaction.savepoints.findLastIndex(x => x.name == name);
+        if (index < 0)
+            throw pg_error('3B001', `savepoint "${name}" does not exist`);
+        return index;
+    }
+
+    /**
+     * @deprecated use seed() to add rows
      * @returns {Map<string, []>}
      * @private
      */
@@ -82,9 +556,254 @@ class PgMock {
         if (!process.env.TESTS)
             throw new Error('Should be called only from tests');
 
-        const session = this.#transaction || this.#main_session;
+        const session = this.#transaction?.session || this.#database.session;
         return session.tables;
     }
 }
 
-module.exports = {PgMock, Session};
+/**
+ * Pool of clients attached to the same database, mirrors pg.Pool API
+ */
+class PgMockPool extends EventEmitter {
+    /** @type {Database}*/
+    #database;
+    /** @type {{max: number, connectionTimeoutMillis: number, types: QueryConfig['types']}}*/
+    #options;
+    /**
+     * All clients created by pool
+     * @type {PgMock[]}
+     */
+    #clients = [];
+    /** @type {PgMock[]}*/
+    #idle = [];
+    /**
+     * Pending connect requests, waiting for released client
+     * @type {((client: PgMock) => void)[]}
+     */
+    #waiting = [];
+    #ended = false;
+
+    /**
+     * @param options {{database?: Database, max?: number, connectionTimeoutMillis?: number, types?: QueryConfig['types']}}
+     */
+    constructor({database, max = 10, connectionTimeoutMillis = 0, types} = {}) {
+        super();
+        this.#database = database instanceof Database ? database : new Database();
+        this.#options = {max, connectionTimeoutMillis, types};
+    }
+
+    get database() {
+        return this.#database;
+    }
+
+    /**
+     * Clock of the database for now() and other date/time functions, e.g. "client.clock.freeze('2024-01-01')"
+     * @returns {Clock}
+     */
+    get clock() {
+        return this.#database.clock;
+    }
+
+    get totalCount() {
+        return this.#clients.length;
+    }
+
+    get idleCount() {
+        return this.#idle.length;
+    }
+
+    get waitingCount() {
+        return this.#waiting.length;
+    }
+
+    get ended() {
+        return this.#ended;
+    }
+
+    /**
+     * Checks out client, it should be returned to pool with client.release().
+     * Waits for released client if pool is full
+     * @param callback {(err: Error | null, client?: PgMock, release?: (err?: Error | boolean) => void) => void}
+     * @returns {Promise<PgMock> | undefined}
+     */
+    connect(callback = undefined) {
+        const promise = this.#acquire();
+        if (!callback)
+            return promise;
+
+        promise.then(client => callback(null, client, client.release), err => callback(err));
+    }
+
+    /**
+     * Runs query on any free client, accepts the same arguments as PgMock.query except Submittable
+     * @param config {string | QueryConfig}
+     * @param values {[] | ((err: Error | null, result?: PgResult) => void)}
+     * @param callback {(err: Error | null, result?: PgResult) => void}
+     * @returns {Promise<PgResult> | undefined}
+     */
+    query(config, values = undefined, callback = undefined) {
+        if (typeof values == 'function') {
+            callback = values;
+            values = undefined;
+        }
+
+        return with_callback((async () => {
+            const client = await this.#acquire();
+            try {
+                return await client.query(config, values);
+            } finally {
+                client.release();
+            }
+        })(), callback);
+    }
+
+    /**
+     * Disconnects all clients, pool can't be used anymore
+     */
+    async end() {
+        if (this.#ended)
+            throw new Error('Called end on pool more than once');
+        this.#ended = true;
+
+        for (let client of [...this.#clients])
+            await this.#remove(client);
+        this.#idle = [];
+    }
+
+    /**
+     * @returns {Promise<PgMock>}
+     */
+    async #acquire() {
+        if (this.#ended)
+            throw new Error('Cannot use a pool after calling end on the pool');
+
+        let client = this.#idle.pop();
+        if (!client && this.#clients.length < this.#options.max)
+            client = await this.#create();
+        if (!client)
+            client = await this.#wait();
+
+        let released = false;
+        client.release = err => {
+            if (released)
+                throw new Error('Release called on client which has already been released to the pool.');
+            released = true;
+            this.#release(client, err);
+        };
+        this.emit('acquire', client);
+        return client;
+    }
+
+    /**
+     * @returns {Promise<PgMock>}
+     */
+    async #create() {
+        const client = new PgMock({database: this.#database, types: this.#options.types});
+        this.#clients.push(client);
+
+        // idle client failure removes it from pool
+        client.on('error', err => {
+            const index = this.#idle.indexOf(client);
+            if (index < 0)
+                return;
+            this.#idle.splice(index, 1);
+            this.#remove(client);
+            this.emit('error', err, client);
+        });
+        await client.connect();
+        this.emit('connect', client);
+        return client;
+    }
+
+    /**
+     * Waits for released client
+     * @returns {Promise<PgMock>}
+     */
+    #wait() {
+        return new Promise((resolve, reject) => {
+            let timer;
+            const waiter = client => {
+                clearTimeout(timer);
+                resolve(client);
+            };
+            this.#waiting.push(waiter);
+
+            if (this.#options.connectionTimeoutMillis) {
+                timer = setTimeout(() => {
+                    this.#waiting.splice(this.#waiting.indexOf(waiter), 1);
+                    reject(new Error('timeout exceeded when trying to connect'));
+                }, this.#options.connectionTimeoutMillis);
+            }
+        });
+    }
+
+    /**
+     * Returns client to pool. Client released with error is disconnected
+     * @param client {PgMock}
+     * @param err {Error | boolean | undefined}
+     */
+    async #release(client, err) {
+        this.emit('release', err, client);
+
+        if (err || this.#ended) {
+            await this.#remove(client);
+            // freed place is given to the waiting one
+            if (this.#waiting.length && !this.#ended)
+                this.#waiting.shift()(await this.#create());
+            return;
+        }
+
+        if (this.#waiting.length)
+            this.#waiting.shift()(client);
+        else
+            this.#idle.push(client);
+    }
+
+    /**
+     * @param client {PgMock}
+     */
+    async #remove(client) {
+        const index = this.#clients.indexOf(client);
+        if (index < 0)
+            return;
+
+        this.#clients.splice(index, 1);
+        // client failed after end() is disconnected already
+        await client.end().catch(() => null);
+        this.emit('remove', client);
+    }
+}
+
+/**
+ * Returns result of command without rows
+ * @param command {string | null} - command tag, null for empty query
+ * @param notices {PgNotice[]}
+ * @returns {PgResult}
+ */
+function command_result(command, notices = []) {
+    return {command, rowCount: null, oid: null, rows: [], fields: [], notices};
+}
+
+/**
+ * Describes returned text column
+ * @param name {string}
+ * @returns {FieldDef}
+ */
+function text_field(name) {
+    return {name, tableID: 0, columnID: 0, dataTypeID: type_oid('text'), dataTypeSize: -1, dataTypeModifier: -1, format: 'text'};
+}
+
+/**
+ * Calls node-style callback with promise result if callback is passed, otherwise returns promise.
+ * Callback runs outside of the promise chain so its exceptions are thrown as uncaught ones like in pg
+ * @param promise {Promise<any>}
+ * @param callback {((err: Error | null, result?: any) => void) | undefined}
+ * @returns {Promise<any> | undefined}
+ */
+function with_callback(promise, callback) {
+    if (!callback)
+        return promise;
+    promise.then(result => process.nextTick(callback, null, result), err => process.nextTick(callback, err));
+}
+
+module.exports = {PgMock, PgMockPool, PgMockServer, Database, DatabaseSnapshot, Session, DatabaseError, NotSupportedError, types};
@@ -0,0 +1,321 @@
+const _ = require('lodash');
+const {pg_error} = require('./errors.js');
+const {coerce_value, normalize_json, parse_array, jsonb_text} = require('./types.js');
+
+/**
+ * Checks if value is JSON object or array, but not date or binary data
+ * @param value {any}
+ * @returns {boolean}
+ */
+function is_json(value) {
+    return Array.isArray(value) || _.isPlainObject(value);
+}
+
+/**
+ * Parses JSON object or array text passed as untyped literal or parameter, other values are JSON already
+ * @param value {any}
+ * @returns {any}
+ */
+function as_json(value) {
+    return typeof value == 'string' && /^\s*[{[]/.test(value) ? coerce_value(value, 'jsonb') : value;
+}
+
+/**
+ * Parses jsonb argument given as literal text, e.g. new value of jsonb_set(). JSON strings are kept as is,
+ * since they can't be told apart from literals which aren't valid JSON
+ * @param value {any}
+ * @returns {any}
+ */
+function as_json_value(value) {
+    if (typeof value != 'string')
+        return value;
+    try {
+        return normalize_json(JSON.parse(value), true);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Converts text array passed as array or postgres array literal, e.g. path of "#>" operator
+ * @param value {string | string[]}
+ * @returns {string[]}
+ */
+function as_text_array(value) {
+    return (Array.isArray(value) ? value : parse_array('' + value)).map(x => x == null ? x : '' + x);
+}
+
+/**
+ * Returns JSON value as text, the way "->>" does: strings without quotes, JSON null as NULL
+ * @param value {any}
+ * @returns {string | null}
+ */
+function json_to_text(value) {
+    if (value == null)
+        return null;
+    return typeof value == 'string' ? value : jsonb_text(value);
+}
+
+/**
+ * Returns object field or array element, negative index counts from the end
+ * @param json {any}
+ * @param key {string | number}
+ * @returns {any}
+ */
+function json_get(json, key) {
+    if (Array.isArray(json)) {
+        if (typeof key != 'number' && !/^-?\d+$/.test(key))
+            return null;
+        return json.at(+key) ?? null;
+    }
+    if (_.isPlainObject(json) && typeof key == 'string')
+        return Object.hasOwn(json, key) ? json[key] : null;
+    return null;
+}
+
+/**
+ * Returns value at path, NULL if path doesn't exist
+ * @param json {any}
+ * @param path {string[]}
+ * @returns {any}
+ */
+function json_extract(json, path) {
+    for (let key of path) {
+        json = json_get(json, key);
+        if (json == null)
+            return null;
+    }
+    return json;
+}
+
+/**
+ * Checks jsonb containment "@>": objects contain all key/value pairs, arrays contain all elements
+ * of the other array, top level array contains scalar equal to its element
+ * @param json {any}
+ * @param other {any}
+ * @param top {boolean}
+ * @returns {boolean}
+ */
+function json_contains(json, other, top = true) {
+    if (Array.isArray(json)) {
+        if (Array.isArray(other))
+            return other.every(y => json.some(x => json_contains(x, y, false)));
+        return top && !is_json(other) && json.some(x => x === other);
+    }
+    if (_.isPlainObject(json)) {
+        return _.isPlainObject(other)
+            && Object.entries(other).every(([key, value]) => Object.hasOwn(json, key) && json_contains(json[key], value, false));
+    }
+    return !is_json(other) && json === other;
+}
+
+/**
+ * Checks "?" operator: object has key, array has string element or value is the string
+ * @param json {any}
+ * @param key {string}
+ * @returns {boolean}
+ */
+function json_has_key(json, key) {
+    if (Array.isArray(json))
+        return json.some(x => x === key);
+    if (_.isPlainObject(json))
+        return Object.hasOwn(json, key);
+    return json === key;
+}
+
+/**
+ * Concatenates jsonb values: objects are merged, other values are concatenated as arrays
+ * @param left {any}
+ * @param right {any}
+ * @returns {any}
+ */
+function json_concat(left, right) {
+    if (_.isPlainObject(left) && _.isPlainObject(right))
+        return normalize_json({...left, ...right}, true);
+    return [...(Array.isArray(left) ? left : [left]), ...(Array.isArray(right) ? right : [right])];
+}
+
+/**
+ * Deletes object keys or array elements, like jsonb "-" operator
+ * @param json {any}
+ * @param key {string | number | string[]} - key, array index or array of keys
+ * @returns {any}
+ */
+function json_delete(json, key) {
+    if (!is_json(json))
+        throw pg_error('22023', 'cannot delete from scalar');
+
+    if (typeof key == 'number') {
+        if (!Array.isArray(json))
+            throw pg_error('22023', 'cannot delete from object using integer index');
+        const index = key < 0 ? json.length + key : key;
+        return json.filter((x, i) => i != index);
+    }
+
+    const keys = Array.isArray(key) ? key : [key];
+    if (Array.isArray(json))
+        return json.filter(x => !keys.includes(x));
+    return _.omit(json, keys);
+}
+
+/**
+ * Replaces or adds value at path, like jsonb_set() does. Only the last path element can be created
+ * @param json {any}
+ * @param path {string[]}
+ * @param value {any} - new value
+ * @param create {boolean} - add the value when the last path element doesn't exist
+ * @returns {any}
+ */
+function json_set(json, path, value, create = true) {
+    if (!path.length)
+        return value;
+
+    const [key, ...rest] = path;
+    if (Array.isArray(json)) {
+        if (!/^-?\d+$/.test(key))
+            throw pg_error('22P02', `path element is not an integer: "${key}"`);
+        const index = +key < 0 ? json.length + +key : +key;
+        if (index >= 0 && index < json.length)
+            return json.map((x, i) => i == index ? json_set(x, rest, value, create) : x);
+        if (!create || rest.length)
+            return json;
+        return index < 0 ? [value, ...json] : [...json, value];
+    }
+
+    if (_.isPlainObject(json)) {
+        if (Object.hasOwn(json, key))
+            return {...json, [key]: json_set(json[key], rest, value, create)};
+        if (!create || rest.length)
+            return json;
+        return normalize_json({...json, [key]: value}, true);
+    }
+
+    throw pg_error('22023', 'cannot set path in scalar');
+}
+
+/**
+ * Deletes value at path, like jsonb "#-" operator
+ * @param json {any}
+ * @param path {string[]}
+ * @returns {any}
+ */
+function json_delete_path(json, path) {
+    if (!is_json(json))
+        throw pg_error('22023', 'cannot delete path in scalar');
+    if (!path.length)
+        return json;
+
+    const [key, ...rest] = path;
+    if (!rest.length) {
+        if (Array.isArray(json))
+            return /^-?\d+$/.test(key) ? json_delete(json, +key) : json;
+        return json_delete(json, key);
+    }
+
+    const child = json_get(json, key);
+    if (!is_json(child))
+        return json;
+
+    const updated = json_delete_path(child, rest);
+    if (Array.isArray(json)) {
+        const index = +key < 0 ? json.length + +key : +key;
+        return json.map((x, i) => i == index ? updated : x);
+    }
+    return {...json, [key]: updated};
+}
+
+/**
+ * Calculates JSON operator
+ * @param left {any}
+ * @param right {any}
+ * @param operator {string}
+ * @returns {any}
+ */
+function json_operator(left, right, operator) {
+    left = as_json(left);
+    switch (operator) {
+        case '->':
+            return json_get(left, right);
+        case '->>':
+            return json_to_text(json_get(left, right));
+        case '#>':
+            return json_extract(left, as_text_array(right));
+        case '#>>':
+            return json_to_text(json_extract(left, as_text_array(right)));
+        case '@>':
+            return json_contains(left, as_json(right));
+        case '<@':
+            return json_contains(as_json(right), left);
+        case '?':
+            return json_has_key(left, right);
+        case '?|':
+            return as_text_array(right).some(x => json_has_key(left, x));
+        case '?&':
+            return as_text_array(right).every(x => json_has_key(left, x));
+        case '||':
+            return json_concat(left, as_json(right));
+        case '-':
+            return json_delete(left, Array.isArray(right) || typeof right == 'number' ? right : '' + right);
+        case '#-':
+            return json_delete_path(left, as_text_array(right));
+    }
+}
+
+/**
+ * Returns JSON type name like jsonb_typeof() does
+ * @param json {any}
+ * @returns {string}
+ */
+function json_type(json) {
+    if (json === null)
+        return 'null';
+    if (Array.isArray(json))
+        return 'array';
+    return typeof json == 'object' ? 'object' : typeof json;
+}
+
+/**
+ * Removes object fields with null values recursively
+ * @param json {any}
+ * @returns {any}
+ */
+function json_strip_nulls(json) {
+    if (Array.isArray(json))
+        return json.map(json_strip_nulls);
+    if (_.isPlainObject(json))
+        return _.mapValues(_.omitBy(json, x => x === null), json_strip_nulls);
+    return json;
+}
+
+/**
+ * Builds JSON object from alternating keys and values
+ * @param args {any[]}
+ * @param sort_keys {boolean} - jsonb orders keys
+ * @returns {{[key: string]: any}}
+ */
+function json_build_object(args, sort_keys) {
+    if (args.length % 2)
+        throw pg_error('22023', 'argument list must have even number of elements');
+
+    const result = {};
+    for (let i = 0; i < args.length; i += 2) {
+        if (args[i] == null)
+            throw pg_error('22004', `argument ${i + 1}: key must not be null`);
+        result[args[i]] = args[i + 1];
+    }
+    return normalize_json(result, sort_keys);
+}
+
+module.exports = {
+    is_json,
+    as_json,
+    as_json_value,
+    as_text_array,
+    json_to_text,
+    json_extract,
+    json_set,
+    json_operator,
+    json_type,
+    json_strip_nulls,
+    json_build_object,
+};
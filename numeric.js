@@ -0,0 +1,206 @@
+const {pg_error} = require('./errors.js');
+
+// Integer types are JavaScript numbers, unless they don't fit safe integer range.
+// Numeric is exact decimal kept as integer mantissa with scale, real and double precision are JavaScript numbers
+
+/**
+ * Ranges of integer types, key = canonical type name
+ * @type {{[key: string]: [bigint, bigint]}}
+ */
+const INTEGER_TYPES = {
+    smallint: [-32_768n, 32_767n],
+    integer: [-2_147_483_648n, 2_147_483_647n],
+    bigint: [-9_223_372_036_854_775_808n, 9_223_372_036_854_775_807n],
+};
+
+const NUMERIC_REGEX = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?\s*$/i;
+
+/**
+ * Exact decimal number of numeric type: 12.30 = 1230n with scale 2. Scale is kept, so '1.10' stays '1.10'.
+ * Integers beyond JavaScript safe range are numeric values with zero scale
+ */
+class Numeric {
+    /** @type {bigint}*/
+    mantissa;
+    /** @type {number} - digits after decimal point */
+    scale;
+
+    /**
+     * @param mantissa {bigint}
+     * @param scale {number}
+     */
+    constructor(mantissa, scale = 0) {
+        this.mantissa = mantissa;
+        this.scale = scale;
+        Object.freeze(this);
+    }
+
+    /**
+     * Approximate value for JavaScript math
+     * @returns {number}
+     */
+    valueOf() {
+        return Number(this.toString());
+    }
+
+    toString() {
+        const sign = this.mantissa < 0n ? '-' : '';
+        const digits = abs(this.mantissa).toString().padStart(this.scale + 1, '0');
+        if (!this.scale)
+            return sign + digits;
+        return sign + digits.slice(0, -this.scale) + '.' + digits.slice(-this.scale);
+    }
+
+    // JSON has numbers only
+    toJSON() {
+        return +this;
+    }
+}
+
+/**
+ * @param value {bigint}
+ * @returns {bigint}
+ */
+function abs(value) {
+    return value < 0n ? -value : value;
+}
+
+/**
+ * Converts number or decimal text into numeric, floats keep 15 significant digits like postgres does
+ * @param value {Numeric | number | bigint | string}
+ * @param type {string} - type name for error message
+ * @returns {Numeric}
+ */
+function to_numeric(value, type = 'numeric') {
+    if (value instanceof Numeric)
+        return value;
+    if (typeof value == 'bigint')
+        return new Numeric(value);
+    if (typeof value == 'number') {
+        if (!Number.isFinite(value))
+            throw pg_error('22003', `cannot convert ${value} to ${type}`);
+        if (Number.isSafeInteger(value))
+            return new Numeric(BigInt(value));
+        const [digits, exponent] = value.toPrecision(15).split('e');
+        return to_numeric(digits.replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '') + (exponent ? 'e' + exponent : ''));
+    }
+
+    const match = ('' + value).match(NUMERIC_REGEX);
+    if (!match || !match[2] && !match[3])
+        throw pg_error('22P02', `invalid input syntax for type ${type}: "${value}"`);
+
+    const [, sign, int_part, fraction = '', exponent = 0] = match;
+    const mantissa = BigInt(sign + (int_part + fraction || '0'));
+    const scale = fraction.length - +exponent;
+    return scale < 0 ? new Numeric(mantissa * 10n ** BigInt(-scale)) : new Numeric(mantissa, scale);
+}
+
+/**
+ * Returns integer as number, or as numeric when it doesn't fit JavaScript safe range.
+ * Throws when it doesn't fit integer type
+ * @param value {bigint}
+ * @param type {string} - integer type name
+ * @returns {number | Numeric}
+ */
+function integer_value(value, type = 'bigint') {
+    const [min, max] = INTEGER_TYPES[type];
+    if (value < min || value > max)
+        throw pg_error('22003', `${type} out of range`);
+    return value >= Number.MIN_SAFE_INTEGER && value <= Number.MAX_SAFE_INTEGER ? Number(value) : new Numeric(value);
+}
+
+/**
+ * Changes scale of numeric, digits are rounded half away from zero. Negative scale rounds integer part
+ * @param value {Numeric | number | string}
+ * @param scale {number}
+ * @param trunc {boolean} - drop digits instead of rounding
+ * @returns {Numeric}
+ */
+function numeric_round(value, scale, trunc = false) {
+    const {mantissa, scale: from} = to_numeric(value);
+    if (scale >= from)
+        return new Numeric(mantissa * 10n ** BigInt(scale - from), scale);
+
+    const divisor = 10n ** BigInt(from - scale);
+    let result = mantissa / divisor;
+    if (!trunc && abs(mantissa % divisor) * 2n >= divisor)
+        result += mantissa < 0n ? -1n : 1n;
+    // round(1234.5, -2) = 1200
+    return scale < 0 ? new Numeric(result * 10n ** BigInt(-scale)) : new Numeric(result, scale);
+}
+
+/**
+ * Converts numerics to common scale
+ * @param a {Numeric | number | string}
+ * @param b {Numeric | number | string}
+ * @returns {[bigint, bigint, number]} - mantissas and scale
+ */
+function align(a, b) {
+    a = to_numeric(a);
+    b = to_numeric(b);
+    const scale = Math.max(a.scale, b.scale);
+    return [numeric_round(a, scale).mantissa, numeric_round(b, scale).mantissa, scale];
+}
+
+/**
+ * Compares numerics exactly
+ * @param a {Numeric | number | string}
+ * @param b {Numeric | number | string}
+ * @returns {number} - negative, zero or positive
+ */
+function numeric_compare(a, b) {
+    const [x, y] = align(a, b);
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Calculates arithmetic operator over numerics exactly. Division result has at least 16 significant digits,
+ * see select_div_scale in postgres numeric.c
+ * @param a {Numeric | number | string}
+ * @param b {Numeric | number | string}
+ * @param operator {'+' | '-' | '*' | '/' | '%'}
+ * @returns {Numeric}
+ */
+function numeric_operator(a, b, operator) {
+    a = to_numeric(a);
+    b = to_numeric(b);
+    if (['/', '%'].includes(operator) && !b.mantissa)
+        throw pg_error('22012', 'division by zero');
+
+    const [x, y, scale] = align(a, b);
+    switch (operator) {
+        case '+':
+            return new Numeric(x + y, scale);
+        case '-':
+            return new Numeric(x - y, scale);
+        case '*':
+            return new Numeric(a.mantissa * b.mantissa, a.scale + b.scale);
+        case '%':
+            return new Numeric(x % y, scale);
+    }
+
+    const weight = value => Math.floor(Math.log10(Math.abs(+value) || 1) / 4);
+    const first_digit = value => Math.floor(Math.abs(+value) / 10_000 ** weight(value));
+    let quotient_weight = weight(a) - weight(b);
+    if (first_digit(a) < first_digit(b))
+        quotient_weight--;
+    const result_scale = Math.max(16 - quotient_weight * 4, a.scale, b.scale, 0);
+
+    // a / b = (a * 10^(result_scale - a.scale + b.scale)) / b, rounding half away from zero
+    const shift = result_scale - a.scale + b.scale;
+    const numerator = shift >= 0 ? a.mantissa * 10n ** BigInt(shift) : a.mantissa / 10n ** BigInt(-shift);
+    let quotient = numerator / b.mantissa;
+    if (abs(numerator % b.mantissa) * 2n >= abs(b.mantissa))
+        quotient += (numerator < 0n) != (b.mantissa < 0n) ? -1n : 1n;
+    return new Numeric(quotient, result_scale);
+}
+
+module.exports = {
+    INTEGER_TYPES,
+    Numeric,
+    to_numeric,
+    integer_value,
+    numeric_round,
+    numeric_compare,
+    numeric_operator,
+};
@@ -0,0 +1,421 @@
+const {to_text, coerce_value} = require('./types.js');
+const {Interval, format_time} = require('./datetime.js');
+
+/**
+ * Postgres epoch used by binary date and time formats
+ * @type {number}
+ */
+const PG_EPOCH = Date.UTC(2000, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Binary sizes of fixed length types, key = type OID
+ * @type {{[key: number]: number}}
+ */
+const TYPE_SIZES = {
+    16: 1,
+    20: 8,
+    21: 2,
+    23: 4,
+    700: 4,
+    701: 8,
+    1082: 4,
+    1083: 8,
+    1114: 8,
+    1184: 8,
+    1186: 16,
+    2950: 16,
+};
+
+const NUMERIC_TYPES = [20, 21, 23, 700, 701, 1700];
+
+/**
+ * Reads fields of protocol message body
+ */
+class MessageReader {
+    #buffer;
+    #offset = 0;
+
+    /**
+     * @param buffer {Buffer} - message body without type and length
+     */
+    constructor(buffer) {
+        this.#buffer = buffer;
+    }
+
+    /**
+     * @returns {number}
+     */
+    int16() {
+        const value = this.#buffer.readInt16BE(this.#offset);
+        this.#offset += 2;
+        return value;
+    }
+
+    /**
+     * @returns {number}
+     */
+    int32() {
+        const value = this.#buffer.readInt32BE(this.#offset);
+        this.#offset += 4;
+        return value;
+    }
+
+    /**
+     * @returns {string}
+     */
+    cstring() {
+        const end = this.#buffer.indexOf(0, this.#offset);
+        const value = this.#buffer.toString('utf8', this.#offset, end);
+        this.#offset = end + 1;
+        return value;
+    }
+
+    /**
+     * @param length {number}
+     * @returns {Buffer}
+     */
+    bytes(length) {
+        const value = this.#buffer.subarray(this.#offset, this.#offset + length);
+        this.#offset += length;
+        return value;
+    }
+
+    /**
+     * Reads array prefixed by int16 length
+     * @param read {() => any} - reads single element
+     * @returns {any[]}
+     */
+    array(read) {
+        return Array.from({length: this.int16()}, read);
+    }
+}
+
+/**
+ * Builds backend message
+ * @param type {string} - message type char
+ * @param parts {Buffer[]} - message body parts
+ * @returns {Buffer}
+ */
+function message(type, ...parts) {
+    const body = Buffer.concat(parts);
+    const header = Buffer.alloc(5);
+    header.write(type, 0);
+    header.writeInt32BE(body.length + 4, 1);
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * @param value {string}
+ * @returns {Buffer}
+ */
+function cstring(value) {
+    return Buffer.from(value + '\0');
+}
+
+/**
+ * @param value {number}
+ * @returns {Buffer}
+ */
+function int16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeInt16BE(value);
+    return buffer;
+}
+
+/**
+ * @param value {number}
+ * @returns {Buffer}
+ */
+function int32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32BE(value);
+    return buffer;
+}
+
+/**
+ * Builds ErrorResponse or NoticeResponse body fields
+ * @param severity {string}
+ * @param err {Partial<DatabaseError>}
+ * @returns {Buffer}
+ */
+function error_fields(severity, err) {
+    const fields = {
+        S: severity,
+        V: severity,
+        C: err.code || 'XX000',
+        M: err.message,
+        D: err.detail,
+        H: err.hint,
+        P: err.position,
+        t: err.table,
+        c: err.column,
+        n: err.constraint,
+    };
+    const parts = Object.entries(fields)
+        .filter(([, value]) => value != null)
+        .map(([key, value]) => cstring(key + value));
+    return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+/**
+ * Builds RowDescription message
+ * @param fields {FieldDef[]}
+ * @param formats {number[]} - result format codes, 0 - text, 1 - binary
+ * @returns {Buffer}
+ */
+function row_description(fields, formats) {
+    return message('T', int16(fields.length), ...fields.map((field, i) => Buffer.concat([
+        cstring(field.name),
+        int32(field.tableID),
+        int16(field.columnID),
+        int32(field.dataTypeID),
+        int16(TYPE_SIZES[field.dataTypeID] || -1),
+        int32(field.dataTypeModifier),
+        int16(format_code(formats, i)),
+    ])));
+}
+
+/**
+ * Builds DataRow message
+ * @param values {any[]}
+ * @param fields {FieldDef[]}
+ * @param formats {number[]} - result format codes
+ * @returns {Buffer}
+ */
+function data_row(values, fields, formats) {
+    return message('D', int16(values.length), ...values.map((value, i) => {
+        const encoded = encode_value(value, fields[i], format_code(formats, i));
+        return encoded ? Buffer.concat([int32(encoded.length), encoded]) : int32(-1);
+    }));
+}
+
+/**
+ * Returns format code of column, single code applies to all columns
+ * @param formats {number[]}
+ * @param index {number}
+ * @returns {number}
+ */
+function format_code(formats, index) {
+    return (formats.length == 1 ? formats[0] : formats[index]) || 0;
+}
+
+/**
+ * Encodes value in text or binary format
+ * @param value {any}
+ * @param field {FieldDef}
+ * @param format {number} - 0 - text, 1 - binary
+ * @returns {Buffer | null}
+ */
+function encode_value(value, field, format) {
+    const oid = field.dataTypeID;
+    if (value == null)
+        return null;
+    // client results have intervals as objects with fields
+    if (oid == 1186)
+        value = coerce_value(value, 'interval');
+    if (format != 1)
+        return Buffer.from(to_text(value, oid, field.dataTypeModifier));
+
+    let buffer;
+    switch (oid) {
+        case 16:
+            return Buffer.from([value ? 1 : 0]);
+
+        case 21:
+            buffer = Buffer.alloc(2);
+            buffer.writeInt16BE(+value);
+            return buffer;
+
+        case 23:
+            return int32(+value);
+
+        case 20:
+            buffer = Buffer.alloc(8);
+            buffer.writeBigInt64BE(BigInt(String(value)));
+            return buffer;
+
+        case 700:
+            buffer = Buffer.alloc(4);
+            buffer.writeFloatBE(+value);
+            return buffer;
+
+        case 701:
+            buffer = Buffer.alloc(8);
+            buffer.writeDoubleBE(+value);
+            return buffer;
+
+        case 1700:
+            return encode_numeric(to_text(value, oid, field.dataTypeModifier));
+
+        case 1082:
+            return int32(Math.floor((new Date(value).getTime() - PG_EPOCH) / DAY));
+
+        case 1114:
+        case 1184:
+            buffer = Buffer.alloc(8);
+            buffer.writeBigInt64BE(BigInt(new Date(value).getTime() - PG_EPOCH) * 1000n);
+            return buffer;
+
+        // microseconds since midnight
+        case 1083:
+            const [hours, minutes, seconds] = value.split(':');
+            buffer = Buffer.alloc(8);
+            buffer.writeBigInt64BE(BigInt(Math.round((hours * 3600 + minutes * 60 + +seconds) * 1e6)));
+            return buffer;
+
+        // microseconds, days and months
+        case 1186:
+            buffer = Buffer.alloc(16);
+            buffer.writeBigInt64BE(BigInt(Math.round(value.milliseconds * 1000)));
+            buffer.writeInt32BE(value.days, 8);
+            buffer.writeInt32BE(value.months, 12);
+            return buffer;
+
+        case 2950:
+            return Buffer.from(value.replace(/-/g, ''), 'hex');
+
+        case 3802:
+            return Buffer.concat([Buffer.from([1]), Buffer.from(JSON.stringify(value))]);
+
+        case 17:
+            return Buffer.isBuffer(value) ? value : Buffer.from(value);
+
+        default:
+            return Buffer.from(to_text(value, oid));
+    }
+}
+
+/**
+ * Decodes parameter value sent in text or binary format
+ * @param buffer {Buffer | null}
+ * @param oid {number} - type OID
+ * @param format {number} - 0 - text, 1 - binary
+ * @returns {any}
+ */
+function decode_value(buffer, oid, format) {
+    if (buffer == null)
+        return null;
+
+    if (format != 1) {
+        const text = buffer.toString();
+        if (NUMERIC_TYPES.includes(oid))
+            return +text;
+        if (oid == 16)
+            return /^(t|true|y|yes|on|1)$/i.test(text);
+        return text;
+    }
+
+    switch (oid) {
+        case 16:
+            return buffer[0] != 0;
+        case 21:
+            return buffer.readInt16BE();
+        case 23:
+            return buffer.readInt32BE();
+        case 20:
+            return Number(buffer.readBigInt64BE());
+        case 700:
+            return buffer.readFloatBE();
+        case 701:
+            return buffer.readDoubleBE();
+        case 1700:
+            return +decode_numeric(buffer);
+        case 1082:
+            return new Date(PG_EPOCH + buffer.readInt32BE() * DAY).toISOString().slice(0, 10);
+        case 1114:
+        case 1184:
+            return new Date(PG_EPOCH + Number(buffer.readBigInt64BE() / 1000n));
+        case 1083:
+            return format_time(Number(buffer.readBigInt64BE()) / 1000);
+        case 1186:
+            return new Interval(buffer.readInt32BE(12), buffer.readInt32BE(8), Number(buffer.readBigInt64BE()) / 1000);
+        case 2950:
+            return buffer.toString('hex').replace(/^(.{8})(.{4})(.{4})(.{4})/, '$1-$2-$3-$4-');
+        case 114:
+            return JSON.parse(buffer.toString());
+        case 3802:
+            return JSON.parse(buffer.subarray(1).toString());
+        case 17:
+            return buffer;
+        default:
+            return buffer.toString();
+    }
+}
+
+/**
+ * Encodes decimal string as binary numeric: base 10000 digits with weight, sign and scale
+ * @param text {string}
+ * @returns {Buffer}
+ */
+function encode_numeric(text) {
+    if (/^nan$/i.test(text))
+        return Buffer.concat([int16(0), int16(0), Buffer.from([0xC0, 0]), int16(0)]);
+    if (/e/i.test(text))
+        text = (+text).toFixed(20).replace(/\.?0+$/, '');
+
+    const negative = text.startsWith('-');
+    const [int_part, fraction = ''] = text.replace(/^[-+]/, '').split('.');
+    const int_digits = int_part.replace(/^0+/, '');
+    const padded_int = int_digits.padStart(Math.ceil(int_digits.length / 4) * 4, '0');
+    const padded_fraction = fraction.padEnd(Math.ceil(fraction.length / 4) * 4, '0');
+
+    const digits = (padded_int + padded_fraction).match(/.{4}/g)?.map(Number) || [];
+    let weight = padded_int.length / 4 - 1;
+    while (digits.length && !digits[0]) {
+        digits.shift();
+        weight--;
+    }
+    while (digits.length && !digits[digits.length - 1])
+        digits.pop();
+
+    return Buffer.concat([
+        int16(digits.length),
+        int16(digits.length ? weight : 0),
+        Buffer.from([negative ? 0x40 : 0, 0]),
+        int16(fraction.length),
+        ...digits.map(int16),
+    ]);
+}
+
+/**
+ * Decodes binary numeric into decimal string
+ * @param buffer {Buffer}
+ * @returns {string}
+ */
+function decode_numeric(buffer) {
+    const count = buffer.readInt16BE(0);
+    const weight = buffer.readInt16BE(2);
+    const sign = buffer.readUInt16BE(4);
+    const scale = buffer.readInt16BE(6);
+    if (sign == 0xC000)
+        return 'NaN';
+
+    let int_part = '';
+    let fraction = '0000'.repeat(Math.max(0, -weight - 1));
+    for (let i = 0; i < count; i++) {
+        const digit = String(buffer.readInt16BE(8 + i * 2)).padStart(4, '0');
+        if (i <= weight)
+            int_part += digit;
+        else
+            fraction += digit;
+    }
+    int_part += '0000'.repeat(Math.max(0, weight + 1 - count));
+
+    int_part = int_part.replace(/^0+/, '') || '0';
+    fraction = fraction.padEnd(scale, '0').slice(0, scale);
+    return (sign == 0x4000 ? '-' : '') + int_part + (scale ? '.' + fraction : '');
+}
+
+module.exports = {
+    MessageReader,
+    message,
+    cstring,
+    int16,
+    int32,
+    error_fields,
+    row_description,
+    data_row,
+    format_code,
+    decode_value,
+};
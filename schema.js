@@ -0,0 +1,363 @@
+const _ = require('lodash');
+const {Parser, Create} = require('node-sql-parser');
+const {get_name, get_value, get_function_name} = require('./executor_utils.js');
+const {pg_error, not_supported} = require('./errors.js');
+const {normalize_type, coerce_value} = require('./types.js');
+const {parse_sequence_options} = require('./sequences.js');
+const {parse_sql} = require('./compat.js');
+
+const parser = new Parser();
+
+/**
+ * @typedef {object} ColumnSchema
+ * @property name {string}
+ * @property type {string} - canonical postgres type name
+ * @property length {number | undefined} - max length for character types or numeric precision
+ * @property scale {number | undefined} - numeric scale
+ * @property not_null {boolean}
+ * @property default {any} - DEFAULT SQL expression
+ * @property identity {'always' | 'by default' | undefined} - identity column kind
+ * @property sequence {{name: string, options: SequenceOptions} | undefined} - implicit sequence
+ * of serial or identity column
+ */
+
+/**
+ * @typedef {object} Constraint
+ * @property name {string}
+ * @property type {'primary key' | 'unique' | 'check' | 'foreign key'}
+ * @property columns {string[]} - constrained columns
+ * @property check {any} - CHECK SQL expression
+ * @property references {{table: string, columns: string[]}} - referenced table for foreign key
+ * @property on_delete {'no action' | 'restrict' | 'cascade' | 'set null' | 'set default'}
+ * @property on_update {'no action' | 'restrict' | 'cascade' | 'set null' | 'set default'}
+ * @property index {boolean | undefined} - unique constraint created by "CREATE UNIQUE INDEX"
+ */
+
+/**
+ * @typedef {object} TableSchema
+ * @property name {string}
+ * @property columns {ColumnSchema[]}
+ * @property constraints {Constraint[]}
+ * @property indexes {TableIndex[]} - not unique indexes, unique ones are constraints
+ */
+
+/**
+ * Index created by "CREATE INDEX". It doesn't change query execution, only kept for dump
+ * @typedef {object} TableIndex
+ * @property name {string}
+ * @property keys {any[]} - indexed columns and expressions
+ * @property where {any} - predicate of partial index
+ */
+
+/**
+ * Builds table schema from "CREATE TABLE" query
+ * @param sql {Create}
+ * @returns {TableSchema}
+ */
+function create_table_schema(sql) {
+    /** @type {TableSchema}*/
+    const schema = {
+        name: sql.table[0].table,
+        columns: [],
+        constraints: [],
+        indexes: [],
+    };
+
+    // table constraints can reference columns declared later
+    const table_constraints = [];
+
+    for (let definition of sql.create_definitions || []) {
+        switch (definition.resource) {
+            case 'column':
+                const column = create_column_schema(definition, schema.name);
+                if (schema.columns.some(x => x.name == column.name))
+                    throw pg_error('42701', `column "${column.name}" specified more than once`);
+                schema.columns.push(column);
+                table_constraints.push(...column_constraints(definition, column.name));
+                break;
+
+            case 'constraint':
+                table_constraints.push(definition);
+                break;
+
+            default:
+                throw not_supported('Unsupported table definition: ' + definition.resource);
+        }
+    }
+
+    for (let definition of table_constraints)
+        add_constraint(schema, create_constraint(schema, definition));
+
+    return schema;
+}
+
+/**
+ * Returns table constraint definitions declared inline with column
+ * @param definition {any} - "CREATE TABLE" column definition
+ * @param column {string} - column name
+ * @returns {any[]}
+ */
+function column_constraints(definition, column) {
+    const column_ref = {type: 'column_ref', table: null, column};
+    const name = definition.constraint?.constraint;
+    const result = [];
+
+    if (definition.primary_key)
+        result.push({constraint_type: 'primary key', definition: [column_ref]});
+    if (definition.unique)
+        result.push({constraint_type: 'unique', definition: [column_ref]});
+    if (definition.check)
+        result.push({...definition.check, column});
+    if (definition.reference_definition) {
+        result.push({
+            constraint_type: 'foreign key',
+            definition: [column_ref],
+            reference_definition: definition.reference_definition,
+        });
+    }
+
+    // postgres can name only single inline constraint
+    if (name && result.length)
+        result[0].constraint = name;
+
+    return result;
+}
+
+/**
+ * Builds constraint from "CREATE TABLE" or "ALTER TABLE" constraint definition
+ * @param schema {TableSchema}
+ * @param definition {any} - constraint definition
+ * @returns {Constraint}
+ */
+function create_constraint(schema, definition) {
+    const type = definition.constraint_type.toLowerCase();
+    // generated name gets number when taken, e.g. "users_age_check1" for the second check of column
+    const name = generated => {
+        if (definition.constraint)
+            return definition.constraint;
+        let result = generated;
+        for (let i = 1; schema.constraints.some(x => x.name == result); i++)
+            result = generated + i;
+        return result;
+    };
+
+    switch (type) {
+        case 'primary key':
+        case 'unique':
+        case 'unique key':
+        case 'foreign key':
+            const columns = definition.definition.map(get_name);
+            for (let column of columns) {
+                if (!schema.columns.some(x => x.name == column))
+                    throw pg_error('42703', `column "${column}" named in key does not exist`);
+            }
+
+            if (type == 'foreign key') {
+                const {table, definition: ref_columns, on_action} = definition.reference_definition;
+                const action = kind => on_action?.find(x => x.type == kind)?.value.value.toLowerCase() || 'no action';
+                return {
+                    name: name(`${schema.name}_${columns.join('_')}_fkey`),
+                    type,
+                    columns,
+                    references: {
+                        table: table[0].table,
+                        columns: ref_columns.map(get_name),
+                    },
+                    on_delete: action('on delete'),
+                    on_update: action('on update'),
+                };
+            }
+
+            if (type == 'primary key') {
+                return {
+                    name: name(`${schema.name}_pkey`),
+                    type,
+                    columns,
+                };
+            }
+
+            return {
+                name: name(`${schema.name}_${columns.join('_')}_key`),
+                type: 'unique',
+                columns,
+            };
+
+        case 'check':
+            const check = definition.definition[0];
+            const column = definition.column || find_column_refs(check)[0];
+            return {
+                name: name(`${schema.name}_${column ? column + '_' : ''}check`),
+                type,
+                columns: _.uniq(find_column_refs(check)),
+                check,
+            };
+
+        default:
+            throw not_supported('Unsupported constraint: ' + definition.constraint_type);
+    }
+}
+
+/**
+ * Adds constraint to table schema
+ * @param schema {TableSchema}
+ * @param constraint {Constraint}
+ */
+function add_constraint(schema, constraint) {
+    // second primary key would fail on name of the first one otherwise
+    if (constraint.type == 'primary key' && schema.constraints.some(x => x.type == 'primary key'))
+        throw pg_error('42P16', `multiple primary keys for table "${schema.name}" are not allowed`);
+    if (schema.constraints.some(x => x.name == constraint.name))
+        throw pg_error('42P07', `relation "${constraint.name}" already exists`);
+
+    if (constraint.type == 'primary key') {
+        // primary key columns are implicitly NOT NULL
+        for (let column of schema.columns) {
+            if (constraint.columns.includes(column.name))
+                column.not_null = true;
+        }
+    }
+
+    schema.constraints.push(constraint);
+}
+
+/**
+ * Returns all column names used in SQL expression
+ * @param exp {any} - SQL expression
+ * @returns {string[]}
+ */
+function find_column_refs(exp) {
+    if (!exp || typeof exp != 'object')
+        return [];
+
+    if (exp.type == 'column_ref')
+        return [get_name(exp)];
+
+    return Object.values(exp).flatMap(find_column_refs);
+}
+
+/**
+ * Renames column in SQL expression, e.g. in CHECK of renamed column
+ * @param exp {any} - SQL expression, changed in place
+ * @param name {string} - column name
+ * @param new_name {string}
+ */
+function rename_column_refs(exp, name, new_name) {
+    if (!exp || typeof exp != 'object')
+        return;
+
+    if (exp.type == 'column_ref' && get_name(exp) == name) {
+        exp.column = {expr: {type: 'default', value: new_name}};
+        return;
+    }
+
+    Object.values(exp).forEach(x => rename_column_refs(x, name, new_name));
+}
+
+/**
+ * Builds column schema from table column definition
+ * @param definition {any} - "CREATE TABLE" column definition
+ * @param table {string} - table name
+ * @returns {ColumnSchema}
+ */
+function create_column_schema(definition, table) {
+    const {length, scale} = definition.definition;
+    const type = normalize_type(definition.definition);
+    /** @type {ColumnSchema}*/
+    const column = {
+        name: get_name(definition.column),
+        type,
+        length: /char|numeric/.test(type) ? length : undefined,
+        scale,
+        not_null: definition.nullable?.type == 'not null',
+        default: definition.default_val?.value,
+    };
+
+    // marker function, see compat.js
+    const is_identity = column.default?.type == 'function' && get_function_name(column.default) == 'pg_mock_identity';
+    if (is_identity || /^(small|big)?serial[248]?$/i.test(definition.definition.dataType)) {
+        let options = {};
+        if (is_identity) {
+            const [kind, sql_options] = column.default.args.value.map(x => x.value);
+            column.identity = kind;
+            options = parse_sequence_options(parse_sql(parser, 'create sequence s ' + sql_options).create_definitions);
+        }
+
+        const name = `${table}_${column.name}_seq`;
+        column.sequence = {name, options: {...options, type, owned_by: {table, column: column.name}}};
+        column.not_null = true;
+        column.default = {
+            type: 'function',
+            name: {name: [{type: 'default', value: 'nextval'}]},
+            args: {type: 'expr_list', value: [{type: 'single_quote_string', value: name}]},
+        };
+    }
+
+    return column;
+}
+
+/**
+ * Validates row against table schema: rejects unknown columns, applies DEFAULT values,
+ * enforces NOT NULL and coerces values to declared types
+ * @param schema {TableSchema}
+ * @param row {{[key: string]: any}} - row values, missing columns are filled with DEFAULT
+ * @param args {[]} - sql args
+ * @param ctx {ExecContext} - execution context for DEFAULT expressions
+ * @returns {{[key: string]: any}} - new row, keys are in table column order
+ */
+function prepare_row(schema, row, args, ctx = undefined) {
+    for (let key of Object.keys(row)) {
+        if (!schema.columns.some(x => x.name == key))
+            throw pg_error('42703', `column "${key}" of relation "${schema.name}" does not exist`, {column: key});
+    }
+
+    const result = {};
+    for (let column of schema.columns) {
+        let value = row.hasOwnProperty(column.name)
+            ? row[column.name]
+            : get_value(null, column.default, args, ctx);
+
+        result[column.name] = coerce_value(value, column.type, column.length, column.scale);
+    }
+
+    check_not_null(schema, result);
+    return result;
+}
+
+/**
+ * Enforces NOT NULL table columns
+ * @param schema {TableSchema}
+ * @param row {{[key: string]: any}}
+ */
+function check_not_null(schema, row) {
+    for (let column of schema.columns) {
+        if (column.not_null && row[column.name] == null) {
+            throw pg_error('23502', `null value in column "${column.name}" of relation "${schema.name}" violates not-null constraint`, {
+                table: schema.name,
+                column: column.name,
+                detail: failing_row_detail(row),
+            });
+        }
+    }
+}
+
+/**
+ * Postgres "Failing row contains" error detail
+ * @param row {{[key: string]: any}}
+ * @returns {string}
+ */
+function failing_row_detail(row) {
+    return `Failing row contains (${Object.values(row).map(x => x == null ? 'null' : x).join(', ')}).`;
+}
+
+module.exports = {
+    create_table_schema,
+    create_column_schema,
+    column_constraints,
+    create_constraint,
+    add_constraint,
+    find_column_refs,
+    rename_column_refs,
+    prepare_row,
+    check_not_null,
+    failing_row_detail,
+};
@@ -0,0 +1,221 @@
+const {get_name, get_value} = require('./executor_utils.js');
+const {pg_error, not_supported} = require('./errors.js');
+
+/**
+ * Minimum and maximum values of sequence types. Bigint ones are BigInt, numbers compare with them as is
+ * @type {{[key: string]: [number, number] | [bigint, bigint]}}
+ */
+const TYPE_BOUNDS = {
+    smallint: [-32_768, 32_767],
+    integer: [-2_147_483_648, 2_147_483_647],
+    bigint: [-9_223_372_036_854_775_808n, 9_223_372_036_854_775_807n],
+};
+
+/**
+ * @typedef {object} SequenceOptions
+ * @property type {'smallint' | 'integer' | 'bigint'}
+ * @property start {number}
+ * @property increment {number}
+ * @property min {number | bigint}
+ * @property max {number | bigint}
+ * @property cycle {boolean}
+ * @property owned_by {{table: string, column: string} | null} - column owning the sequence
+ */
+
+/**
+ * Sequence object. Sequence values are not transactional,
+ * so they never roll back together with the transaction
+ */
+class Sequence {
+    /** @type {string}*/
+    name;
+    /** @type {SequenceOptions}*/
+    options;
+    /**
+     * Last value returned by nextval/setval
+     * @type {number}
+     */
+    #value;
+    /**
+     * Was #value already returned by nextval
+     * @type {boolean}
+     */
+    #is_called = false;
+    /**
+     * Value returned by last nextval call, used by currval
+     * @type {number | undefined}
+     */
+    #current;
+
+    /**
+     * @param name {string}
+     * @param options {Partial<SequenceOptions>}
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        const type = options.type || 'bigint';
+        const increment = options.increment || 1;
+        const min = options.min ?? (increment > 0 ? 1 : TYPE_BOUNDS[type][0]);
+        const max = options.max ?? (increment > 0 ? TYPE_BOUNDS[type][1] : -1);
+        this.options = {
+            type,
+            increment,
+            min,
+            max,
+            start: options.start ?? (increment > 0 ? min : max),
+            cycle: !!options.cycle,
+            owned_by: options.owned_by || null,
+        };
+
+        if (this.options.min > this.options.max)
+            throw pg_error('22023', `MINVALUE (${this.options.min}) must be less than MAXVALUE (${this.options.max})`);
+        if (this.options.start < this.options.min || this.options.start > this.options.max)
+            throw pg_error('22023', `START value (${this.options.start}) cannot be less than MINVALUE (${this.options.min}) or greater than MAXVALUE (${this.options.max})`);
+
+        this.#value = this.options.start;
+    }
+
+    /**
+     * Advances sequence and returns new value
+     * @returns {number}
+     */
+    nextval() {
+        if (this.#is_called) {
+            const {increment, min, max, cycle} = this.options;
+            let next = this.#value + increment;
+            if (next > max || next < min) {
+                if (!cycle) {
+                    const bound = next > max ? `maximum value of sequence "${this.name}" (${max})` : `minimum value of sequence "${this.name}" (${min})`;
+                    throw pg_error('2200H', `nextval: reached ${bound}`);
+                }
+                next = increment > 0 ? min : max;
+            }
+            this.#value = next;
+        }
+
+        this.#is_called = true;
+        return this.#current = this.#value;
+    }
+
+    /**
+     * Returns value obtained by last nextval call
+     * @returns {number}
+     */
+    currval() {
+        if (this.#current === undefined)
+            throw pg_error('55000', `currval of sequence "${this.name}" is not yet defined in this session`);
+        return this.#current;
+    }
+
+    /**
+     * Sets sequence current value
+     * @param value {number}
+     * @param is_called {boolean} - if false next nextval call will return exactly this value
+     * @returns {number}
+     */
+    setval(value, is_called = true) {
+        const {min, max} = this.options;
+        if (value < min || value > max)
+            throw pg_error('22003', `setval: value ${value} is out of bounds for sequence "${this.name}" (${min}..${max})`);
+
+        this.#value = value;
+        this.#is_called = is_called;
+        return value;
+    }
+
+    /**
+     * Restarts sequence
+     * @param value {number} - new start value
+     */
+    restart(value = this.options.start) {
+        this.#value = value;
+        this.#is_called = false;
+    }
+
+    /**
+     * Last value and whether nextval returned it already, like columns of sequence relation in postgres
+     * @returns {{last_value: number, is_called: boolean}}
+     */
+    get state() {
+        return {last_value: this.#value, is_called: this.#is_called};
+    }
+
+    /**
+     * Copies sequence with its current state, used by database snapshots
+     * @returns {Sequence}
+     */
+    clone() {
+        const copy = new Sequence(this.name, structuredClone(this.options));
+        copy.#value = this.#value;
+        copy.#is_called = this.#is_called;
+        copy.#current = this.#current;
+        return copy;
+    }
+}
+
+/**
+ * Converts MINVALUE / MAXVALUE to number, bigint bounds out of safe integer range are kept exact as BigInt
+ * @param value {number | Numeric | string}
+ * @returns {number | bigint}
+ */
+function bound_value(value) {
+    return Number.isSafeInteger(+value) ? +value : BigInt(String(value));
+}
+
+/**
+ * Parses "CREATE SEQUENCE" / "ALTER SEQUENCE" options
+ * @param definitions {{prefix?: string, value: any}[]}
+ * @returns {Partial<SequenceOptions> & {restart?: number | true}}
+ */
+function parse_sequence_options(definitions) {
+    const options = {};
+    for (let {prefix, value} of definitions || []) {
+        const key = (prefix || value.value).toLowerCase().replace(/ (with|by)$/, '');
+        switch (key) {
+            case 'start':
+                options.start = +get_value(null, value);
+                break;
+
+            case 'increment':
+                options.increment = +get_value(null, value);
+                break;
+
+            case 'minvalue':
+            case 'maxvalue':
+                options[key.slice(0, 3)] = bound_value(get_value(null, value));
+                break;
+
+            case 'restart':
+                options.restart = prefix ? +get_value(null, value) : true;
+                break;
+
+            case 'cycle':
+                options.cycle = true;
+                break;
+
+            case 'no cycle':
+                options.cycle = false;
+                break;
+
+            case 'owned':
+                if (value.type == 'column_ref')
+                    options.owned_by = {table: get_name(value.table), column: get_name(value)};
+                break;
+
+            // has no effect for in-memory sequences
+            case 'cache':
+            case 'no minvalue':
+            case 'no maxvalue':
+                break;
+
+            default:
+                throw not_supported('Unsupported sequence option: ' + key);
+        }
+    }
+    return options;
+}
+
+module.exports = {
+    Sequence,
+    parse_sequence_options,
+};
@@ -0,0 +1,503 @@
+const net = require('net');
+const crypto = require('crypto');
+const _ = require('lodash');
+const {Database} = require('./database.js');
+const {pg_error} = require('./errors.js');
+const {DEFAULT_SETTINGS} = require('./settings.js');
+const {split_statements} = require('./compat.js');
+const {
+    MessageReader,
+    message,
+    cstring,
+    int16,
+    int32,
+    error_fields,
+    row_description,
+    data_row,
+    format_code,
+    decode_value,
+} = require('./protocol.js');
+
+const PROTOCOL_VERSION = 196608;
+const SSL_REQUEST = 80877103;
+const GSSENC_REQUEST = 80877104;
+const CANCEL_REQUEST = 80877102;
+
+/**
+ * @typedef {object} ServerOptions
+ * @property database {Database | undefined} - served database, new one by default
+ * @property auth {'trust' | 'cleartext' | 'md5'} - authentication method
+ * @property users {{[user: string]: string}} - passwords of users for cleartext and md5 authentication
+ */
+
+/**
+ * Serves database with postgres v3 frontend/backend protocol over TCP or Unix socket,
+ * so non JavaScript clients like psql can use the same in-memory database
+ */
+class PgMockServer {
+    /** @type {Database}*/
+    #database;
+    /** @type {ServerOptions}*/
+    #options;
+    /** @type {net.Server}*/
+    #server;
+    /** @type {Set<net.Socket>}*/
+    #sockets = new Set();
+
+    /**
+     * @param options {Partial<ServerOptions>}
+     */
+    constructor({database, auth = 'trust', users = {}} = {}) {
+        this.#database = database instanceof Database ? database : new Database();
+        this.#options = {database: this.#database, auth, users};
+        this.#server = net.createServer(socket => {
+            this.#sockets.add(socket);
+            socket.on('close', () => this.#sockets.delete(socket));
+            new Connection(socket, this.#options);
+        });
+    }
+
+    get database() {
+        return this.#database;
+    }
+
+    /**
+     * Starts listening, port 0 picks free port
+     * @param options {{port?: number, host?: string, path?: string}} - TCP port and host or Unix socket path
+     * @returns {Promise<net.AddressInfo | string>}
+     */
+    listen({port = 0, host = '127.0.0.1', path} = {}) {
+        return new Promise((resolve, reject) => {
+            this.#server.once('error', reject);
+            const on_listening = () => {
+                this.#server.off('error', reject);
+                resolve(this.#server.address());
+            };
+            if (path)
+                this.#server.listen(path, on_listening);
+            else
+                this.#server.listen(port, host, on_listening);
+        });
+    }
+
+    /**
+     * @returns {net.AddressInfo | string | null}
+     */
+    address() {
+        return this.#server.address();
+    }
+
+    /**
+     * Stops listening and closes client connections
+     * @returns {Promise<void>}
+     */
+    close() {
+        for (let socket of this.#sockets)
+            socket.destroy();
+        return new Promise(resolve => this.#server.close(() => resolve()));
+    }
+}
+
+/**
+ * Single frontend connection, served by its own client
+ */
+class Connection {
+    /** @type {net.Socket}*/
+    #socket;
+    /** @type {ServerOptions}*/
+    #options;
+    #buffer = Buffer.alloc(0);
+    /**
+     * Messages are handled one by one, query execution is async
+     * @type {Promise<void>}
+     */
+    #queue = Promise.resolve();
+    /**
+     * Startup messages have no type byte
+     */
+    #startup = true;
+    /** @type {PgMock | null}*/
+    #client = null;
+    /**
+     * Startup parameters: user, database, application_name and others
+     * @type {{[key: string]: string}}
+     */
+    #params = {};
+    #salt = crypto.randomBytes(4);
+    /**
+     * Prepared statements, key = name, unnamed one has empty name
+     * @type {Map<string, {text: string, params: number[], fields: FieldDef[]}>}
+     */
+    #statements = new Map();
+    /**
+     * Bound statements, key = name
+     * @type {Map<string, {statement: {text: string, params: number[], fields: FieldDef[]}, values: [], formats: number[], result: PgResult | null, offset: number}>}
+     */
+    #portals = new Map();
+    /**
+     * Extended query failed, messages are ignored until Sync
+     */
+    #failed = false;
+
+    /**
+     * @param socket {net.Socket}
+     * @param options {ServerOptions}
+     */
+    constructor(socket, options) {
+        this.#socket = socket;
+        this.#options = options;
+        socket.on('data', data => this.#receive(data));
+        socket.on('error', () => socket.destroy());
+        socket.on('close', () => this.#close());
+    }
+
+    /**
+     * Splits received data into messages
+     * @param data {Buffer}
+     */
+    #receive(data) {
+        this.#buffer = Buffer.concat([this.#buffer, data]);
+
+        for (;;) {
+            const header = this.#startup ? 4 : 5;
+            if (this.#buffer.length < header)
+                return;
+
+            const length = this.#buffer.readInt32BE(header - 4) + header - 4;
+            if (this.#buffer.length < length)
+                return;
+
+            const type = this.#startup ? null : String.fromCharCode(this.#buffer[0]);
+            const body = this.#buffer.subarray(header, length);
+            this.#buffer = this.#buffer.subarray(length);
+
+            // SSL and GSSAPI requests are followed by another startup message
+            if (this.#startup && ![SSL_REQUEST, GSSENC_REQUEST].includes(body.readInt32BE(0)))
+                this.#startup = false;
+
+            this.#queue = this.#queue
+                .then(() => type ? this.#handle(type, new MessageReader(body)) : this.#handle_startup(body))
+                .catch(err => {
+                    this.#send(message('E', error_fields('FATAL', err)));
+                    this.#socket.end();
+                });
+        }
+    }
+
+    /**
+     * @param data {Buffer}
+     */
+    #send(data) {
+        if (!this.#socket.destroyed)
+            this.#socket.write(data);
+    }
+
+    async #close() {
+        const client = this.#client;
+        this.#client = null;
+        if (client)
+            await client.end();
+    }
+
+    /**
+     * @param body {Buffer}
+     */
+    async #handle_startup(body) {
+        const code = body.readInt32BE(0);
+        switch (code) {
+            case SSL_REQUEST:
+            case GSSENC_REQUEST:
+                this.#socket.write('N');
+                return;
+
+            case CANCEL_REQUEST:
+                this.#socket.end();
+                return;
+
+            case PROTOCOL_VERSION:
+                break;
+
+            default:
+                throw pg_error('0A000', `unsupported frontend protocol ${code >> 16}.${code & 0xFFFF}`);
+        }
+
+        const reader = new MessageReader(body.subarray(4));
+        for (let key = reader.cstring(); key; key = reader.cstring())
+            this.#params[key] = reader.cstring();
+
+        switch (this.#options.auth) {
+            case 'trust':
+                return this.#authenticated();
+
+            case 'cleartext':
+                this.#send(message('R', int32(3)));
+                return;
+
+            case 'md5':
+                this.#send(message('R', int32(5), this.#salt));
+                return;
+
+            default:
+                throw new Error('Unknown authentication method: ' + this.#options.auth);
+        }
+    }
+
+    /**
+     * Checks PasswordMessage
+     * @param password {string}
+     */
+    async #check_password(password) {
+        const user = this.#params.user;
+        const expected = this.#options.users[user];
+        const md5 = data => crypto.createHash('md5').update(data).digest('hex');
+
+        // md5 password is "md5" + md5(md5(password + user) + salt)
+        const valid = expected != null && (this.#options.auth == 'md5'
+            ? password == 'md5' + md5(Buffer.concat([Buffer.from(md5(expected + user)), this.#salt]))
+            : password == expected);
+
+        if (!valid)
+            throw pg_error('28P01', `password authentication failed for user "${user}"`);
+        return this.#authenticated();
+    }
+
+    async #authenticated() {
+        const {PgMock} = require('./index.js');
+        this.#client = new PgMock({database: this.#options.database});
+        this.#client.on('notice', notice => this.#send(message('N', error_fields(notice.severity, notice))));
+        await this.#client.connect();
+
+        const statuses = {
+            ..._.pick(DEFAULT_SETTINGS, ['server_version', 'server_encoding', 'client_encoding', 'DateStyle', 'TimeZone',
+                'integer_datetimes', 'standard_conforming_strings']),
+            application_name: this.#params.application_name || '',
+            session_authorization: this.#params.user || '',
+        };
+
+        this.#send(Buffer.concat([
+            message('R', int32(0)),
+            ...Object.entries(statuses).map(([key, value]) => message('S', cstring(key), cstring(value))),
+            message('K', int32(process.pid), this.#salt),
+            this.#ready(),
+        ]));
+    }
+
+    /**
+     * @returns {Buffer} - ReadyForQuery message
+     */
+    #ready() {
+        return message('Z', Buffer.from(this.#client.transaction_status));
+    }
+
+    /**
+     * @param type {string} - message type
+     * @param reader {MessageReader}
+     */
+    async #handle(type, reader) {
+        if (type == 'p')
+            return this.#check_password(reader.cstring());
+        if (type == 'X') {
+            this.#socket.end();
+            return;
+        }
+        if (!this.#client)
+            throw pg_error('08P01', 'authentication is not finished');
+
+        if (type == 'Q')
+            return this.#simple_query(reader.cstring());
+
+        if (type == 'S') {
+            this.#failed = false;
+            this.#portals.delete('');
+            this.#send(this.#ready());
+            return;
+        }
+
+        // extended query messages are skipped after error until Sync
+        if (this.#failed)
+            return;
+        try {
+            this.#extended_query(type, reader);
+            if (type == 'E' || type == 'D')
+                await this.#portal_message(type, reader);
+        } catch (err) {
+            this.#failed = true;
+            this.#send(message('E', error_fields('ERROR', err)));
+        }
+    }
+
+    /**
+     * Handles simple query protocol
+     * @param text {string}
+     */
+    async #simple_query(text) {
+        try {
+            const result = await this.#client.query({text, rowMode: 'array'});
+            const results = Array.isArray(result) ? result : [result];
+            const statements = results.length > 1 ? split_statements(text) : [text];
+            for (let [i, item] of results.entries()) {
+                // empty query has no command
+                if (item.command == null) {
+                    this.#send(message('I'));
+                    continue;
+                }
+                if (item.command == 'SELECT' || item.fields.length)
+                    this.#send(row_description(item.fields, []));
+                this.#send(Buffer.concat([
+                    ...item.rows.map(row => data_row(row, item.fields, [])),
+                    message('C', cstring(command_tag(item, statements[i]))),
+                ]));
+            }
+        } catch (err) {
+            this.#send(message('E', error_fields('ERROR', err)));
+        }
+        this.#send(this.#ready());
+    }
+
+    /**
+     * Handles Parse, Bind, Close and Flush messages of extended query protocol
+     * @param type {string}
+     * @param reader {MessageReader}
+     */
+    #extended_query(type, reader) {
+        switch (type) {
+            case 'P':
+                const name = reader.cstring();
+                const text = reader.cstring();
+                const types = reader.array(() => reader.int32());
+
+                const description = split_statements(text).length ? this.#client.describe(text) : {params: [], fields: []};
+                const params = description.params.map((x, i) => types[i] || x);
+                this.#statements.set(name, {text, params, fields: description.fields});
+                this.#send(message('1'));
+                return;
+
+            case 'B':
+                const portal = reader.cstring();
+                const statement = this.#find(this.#statements, reader.cstring(), 'prepared statement');
+                const param_formats = reader.array(() => reader.int16());
+                const values = reader.array(() => {
+                    const length = reader.int32();
+                    return length < 0 ? null : reader.bytes(length);
+                }).map((x, i) => decode_value(x, statement.params[i], format_code(param_formats, i)));
+                const formats = reader.array(() => reader.int16());
+
+                this.#portals.set(portal, {statement, values, formats, result: null, offset: 0});
+                this.#send(message('2'));
+                return;
+
+            case 'C':
+                const kind = String.fromCharCode(reader.bytes(1)[0]);
+                (kind == 'S' ? this.#statements : this.#portals).delete(reader.cstring());
+                this.#send(message('3'));
+                return;
+
+            case 'D':
+            case 'E':
+            case 'H':
+                return;
+
+            default:
+                throw pg_error('08P01', `invalid frontend message type ${type.charCodeAt(0)}`);
+        }
+    }
+
+    /**
+     * Handles Describe and Execute messages. Portal is executed once, Execute can fetch its rows in parts
+     * @param type {'D' | 'E'}
+     * @param reader {MessageReader}
+     */
+    async #portal_message(type, reader) {
+        if (type == 'D') {
+            const kind = String.fromCharCode(reader.bytes(1)[0]);
+            const name = reader.cstring();
+
+            if (kind == 'S') {
+                const statement = this.#find(this.#statements, name, 'prepared statement');
+                this.#send(message('t', int16(statement.params.length), ...statement.params.map(int32)));
+                this.#send(statement.fields.length ? row_description(statement.fields, []) : message('n'));
+                return;
+            }
+
+            const portal = this.#find(this.#portals, name, 'portal');
+            const result = await this.#execute(portal);
+            this.#send(result.command == 'SELECT' || result.fields.length
+                ? row_description(result.fields, portal.formats)
+                : message('n'));
+            return;
+        }
+
+        const portal = this.#find(this.#portals, reader.cstring(), 'portal');
+        const max_rows = reader.int32();
+        const result = await this.#execute(portal);
+
+        const end = max_rows > 0 ? Math.min(portal.offset + max_rows, result.rows.length) : result.rows.length;
+        const rows = result.rows.slice(portal.offset, end);
+        portal.offset = end;
+
+        const done = end >= result.rows.length;
+        this.#send(Buffer.concat([
+            ...rows.map(row => data_row(row, result.fields, portal.formats)),
+            result.command == null ? message('I') : done ? message('C', cstring(command_tag(result, portal.statement.text))) : message('s'),
+        ]));
+    }
+
+    /**
+     * Executes bound statement if it was not executed yet
+     * @param portal {{statement: {text: string}, values: [], result: PgResult | null}}
+     * @returns {Promise<PgResult>}
+     */
+    async #execute(portal) {
+        portal.result ||= await this.#client.query({text: portal.statement.text, values: portal.values, rowMode: 'array'});
+        return portal.result;
+    }
+
+    /**
+     * @param map {Map<string, any>}
+     * @param name {string}
+     * @param kind {string}
+     * @returns {any}
+     */
+    #find(map, name, kind) {
+        if (!map.has(name))
+            throw pg_error(kind == 'portal' ? '34000' : '26000', `${kind} "${name}" does not exist`);
+        return map.get(name);
+    }
+}
+
+/**
+ * Builds CommandComplete tag, e.g. "INSERT 0 1" or "CREATE TABLE"
+ * @param result {PgResult}
+ * @param sql {string} - executed query, used to find created or dropped object kind
+ * @returns {string}
+ */
+function command_tag(result, sql) {
+    switch (result.command) {
+        case 'INSERT':
+            return `INSERT 0 ${result.rowCount}`;
+
+        case 'SELECT':
+        case 'UPDATE':
+        case 'DELETE':
+            return `${result.command} ${result.rowCount}`;
+
+        case 'CREATE':
+        case 'ALTER':
+        case 'DROP':
+            const object = sql.match(/^\s*\w+\s+(?:(?:temporary|temp|unlogged|unique|or\s+replace)\s+)*(\w+)/i);
+            return object ? `${result.command} ${object[1].toUpperCase()}` : result.command;
+
+        case 'START':
+            return 'START TRANSACTION';
+
+        case 'TRUNCATE':
+            return 'TRUNCATE TABLE';
+
+        default:
+            return result.command;
+    }
+}
+
+module.exports = {
+    PgMockServer,
+};
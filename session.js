@@ -1,11 +1,83 @@
 const _ = require('lodash');
-const {get_table_from_sql, get_value} = require('./executor_utils.js');
-const {Parser, Select, Function, Expr, Insert_Replace, Delete, Drop, From, Column} = require('node-sql-parser');
+const {
+    AGGREGATED,
+    SET_VALUES,
+    USING_COLUMNS,
+    OUTER_ITEM,
+    get_table_from_sql,
+    get_name,
+    get_value,
+    get_column_name,
+    expression_type,
+    get_function_name,
+    parse_alias,
+    calc_binary,
+    find_aggregates,
+    find_ungrouped_columns,
+    find_set_functions,
+    compare_values,
+    values_key,
+    is_default_keyword,
+} = require('./executor_utils.js');
+const {aggregate} = require('./aggregates.js');
+const {call_function, is_set_function, set_function_columns, call_set_function} = require('./functions.js');
+const {pg_error, not_supported, locate_error, pg_notice} = require('./errors.js');
+const {
+    create_table_schema,
+    create_column_schema,
+    column_constraints,
+    create_constraint,
+    add_constraint,
+    find_column_refs,
+    rename_column_refs,
+    prepare_row,
+    check_not_null,
+    failing_row_detail,
+} = require('./schema.js');
+const {Sequence, parse_sequence_options} = require('./sequences.js');
+const {parse_sql, split_statements} = require('./compat.js');
+const {normalize_type, coerce_value, is_assignable, type_oid, type_modifier, value_type, to_text, clone_value} = require('./types.js');
+const {Clock} = require('./datetime.js');
+const {seed_rows, foreign_key_order} = require('./fixtures.js');
+const {AdvisoryLocks} = require('./advisory_locks.js');
+const {information_schema_view} = require('./catalog.js');
+const {Parser, Select, Function, Expr, Insert_Replace, Update, Delete, Create, Alter, Drop, From, Column} = require('node-sql-parser');
 
 /**
  * @typedef {object} PgResult
+ * @property command {string | null} - command tag, e.g. "SELECT", null for empty query
+ * @property rowCount {number | null} - how much rows were affected, null for commands without row count
+ * @property oid {number | null} - 0 for "INSERT", null for other commands
  * @property rows {[]} - returned rows
- * @property rowCount {number} - how much rows were affected
+ * @property fields {FieldDef[]} - returned columns
+ * @property notices {PgNotice[]} - notices raised during query execution
+ */
+
+/**
+ * Returned column description, the same node-postgres provides
+ * @typedef {object} FieldDef
+ * @property name {string}
+ * @property tableID {number}
+ * @property columnID {number}
+ * @property dataTypeID {number} - type OID
+ * @property dataTypeSize {number}
+ * @property dataTypeModifier {number}
+ * @property format {'text'}
+ */
+
+/**
+ * Copy of database objects affected by transactions
+ * @typedef {object} SessionState
+ * @property tables {Map<string, []>}
+ * @property schemas {Map<string, TableSchema>}
+ */
+
+/**
+ * Planned changes of single table, applied only after all constraints are checked
+ * @typedef {object} TableChange
+ * @property rows {[]} - table content after changes
+ * @property added {[]} - inserted and updated rows
+ * @property removed {[]} - deleted rows and previous versions of updated rows
  */
 
 class Session {
@@ -16,23 +88,212 @@ class Session {
      * @type {Map<string, []>}
      */
     #tables = new Map();
+    /**
+     * Table schemas created by "CREATE TABLE".
+     * Tables without schema accept any columns
+     * @type {Map<string, TableSchema>}
+     */
+    #schemas = new Map();
+    /**
+     * Sequences, can be shared with other sessions
+     * @type {Map<string, Sequence>}
+     */
+    #sequences;
     /**
      *
      * @type {{sql: string, args: []}[]}
      */
     #history = [];
+    /**
+     * Scopes of common table expressions ("WITH") of currently executed query, inner scope is the last
+     * @type {Map<string, {rows: [], columns: string[]}>[]}
+     */
+    #ctes = [];
+    /**
+     * Session of read-only transaction, statements changing data fail
+     * @type {boolean}
+     */
+    #read_only = false;
+    /**
+     * Notices raised by currently executed query
+     * @type {PgNotice[]}
+     */
+    #notices = [];
+    /**
+     * Clock for now() and other date/time functions, shared with forked sessions
+     * @type {Clock}
+     */
+    #clock;
+    /**
+     * Advisory locks of database, shared with other sessions
+     * @type {AdvisoryLocks}
+     */
+    #advisory_locks;
+    /**
+     * Client executing current query, owns advisory locks it takes
+     * @type {any}
+     */
+    #client;
+    /**
+     * Start time of transaction session is forked for, null for session without transaction
+     * @type {Date | null}
+     */
+    #transaction_time = null;
+    /**
+     * Start time of currently executed query
+     * @type {Date | null}
+     */
+    #statement_time = null;
+    /**
+     * State of the last snapshot taken or restored, the next snapshot shares its copies of unchanged tables
+     * @type {SessionState | null}
+     */
+    #base = null;
+    /**
+     * Tables changed since #base
+     * @type {Set<string>}
+     */
+    #changed = new Set();
+    /**
+     * Were schemas changed since #base
+     * @type {boolean}
+     */
+    #schemas_changed = true;
+
+    /**
+     * @param sequences {Map<string, Sequence>} - shared sequences. Sequences are not transactional,
+     * so transaction session uses the same ones as main session
+     * @param clock {Clock} - shared clock
+     * @param advisory_locks {AdvisoryLocks} - shared advisory locks
+     */
+    constructor({sequences = new Map(), clock = new Clock(), advisory_locks = new AdvisoryLocks()} = {}) {
+        this.#sequences = sequences;
+        this.#clock = clock;
+        this.#advisory_locks = advisory_locks;
+    }
 
     /**
-     * Queries data
+     * Queries data. Query of several semicolon separated statements returns result of each one
      * @param sql {string}
      * @param args {[]}
-     * @returns {Promise<PgResult>}
+     * @param client {any} - client executing query, owner of advisory locks
+     * @returns {Promise<PgResult | PgResult[]>}
      */
-    async query(sql, args) {
+    async query(sql, args, client = undefined) {
+        const statements = split_statements(sql);
+        if (statements.length > 1)
+            return this.#query_statements(statements, args, client);
+
         this.#history.push({sql, args});
+        this.#statement_time = this.#clock.now();
+        this.#client = client;
+
+        const parsed = parse_sql(this.#parser, sql);
+        this.#check_schema_names(parsed);
+        if (this.#read_only)
+            this.#check_read_only(parsed);
+        this.#notices = [];
+        let result;
+        try {
+            result = this.#execute(parsed, args);
+        } catch (e) {
+            throw locate_error(e, sql);
+        }
+        const rows = result.rows || [];
+
+        return {
+            command: parsed.type.toUpperCase(),
+            rowCount: result.rowCount ?? null,
+            oid: parsed.type == 'insert' ? 0 : null,
+            rows,
+            fields: this.#fields(parsed, rows),
+            notices: this.#notices,
+        };
+    }
+
+    /**
+     * Executes statements one by one, like postgres does for simple query containing several of them.
+     * Statements are applied together: changes of all of them are discarded when any one fails
+     * @param statements {string[]}
+     * @param args {[]}
+     * @param client {any}
+     * @returns {Promise<PgResult[]>}
+     */
+    async #query_statements(statements, args, client) {
+        if (args?.length)
+            throw pg_error('42601', 'cannot insert multiple commands into a prepared statement');
+
+        const before = this.snapshot();
+        const results = [];
+        try {
+            for (let statement of statements)
+                results.push(await this.query(statement, undefined, client));
+        } catch (e) {
+            this.restore(before);
+            throw e;
+        }
+        return results;
+    }
+
+    /**
+     * Describes query without executing it, like postgres does for prepared statements.
+     * Parameter types are taken from columns they are compared with or assigned to, text otherwise
+     * @param sql {string}
+     * @returns {{params: number[], fields: FieldDef[]}} - parameter type OIDs and returned columns
+     */
+    describe(sql) {
+        if (split_statements(sql).length > 1)
+            throw pg_error('42601', 'cannot insert multiple commands into a prepared statement');
+        const parsed = parse_sql(this.#parser, sql);
+        this.#check_schema_names(parsed);
+        // "CREATE INDEX" has single table, not a list
+        const tables = [(parsed.type == 'select' ? parsed.from : parsed.table) || []].flat();
+        const schemas = tables.map(x => this.#schemas.get(x.table)).filter(Boolean);
+        const column_type = name => schemas.map(x => x.columns.find(c => c.name == name)).find(Boolean)?.type;
+
+        const types = [];
+        let count = 0;
+        const set_type = (exp, type) => {
+            if (exp?.type == 'var' && exp.prefix == '$' && type)
+                types[exp.name - 1] ||= type;
+        };
+        const visit = node => {
+            if (!node || typeof node != 'object')
+                return;
+            if (node.type == 'var' && node.prefix == '$')
+                count = Math.max(count, +node.name);
+            if (node.type == 'cast')
+                set_type(node.expr, normalize_type(node.target[0]));
+            if (node.type == 'binary_expr') {
+                set_type(node.right, node.left?.type == 'column_ref' && column_type(get_name(node.left)));
+                set_type(node.left, node.right?.type == 'column_ref' && column_type(get_name(node.right)));
+            }
+            Object.values(node).forEach(visit);
+        };
+        visit(parsed);
+
+        if (parsed.type == 'insert' && schemas.length && parsed.values?.type == 'values') {
+            const columns = parsed.columns?.map(get_name) || schemas[0].columns.map(x => x.name);
+            for (let row of parsed.values.values)
+                row.value.forEach((x, i) => set_type(x, column_type(columns[i])));
+        }
+        if (parsed.type == 'update') {
+            for (let x of parsed.set)
+                set_type(x.value, column_type(get_name(x)));
+        }
 
-        const parsed = this.#parser.astify(sql, {database: 'PostgresQL'});
+        return {
+            params: Array.from({length: count}, (_, i) => type_oid(types[i] || 'text')),
+            fields: this.#fields(parsed, []),
+        };
+    }
 
+    /**
+     * @param parsed {AST}
+     * @param args {[]}
+     * @returns {PgResult}
+     */
+    #execute(parsed, args) {
         switch (parsed.type) {
             case 'select':
                 return this.#select(parsed, args);
@@ -40,17 +301,55 @@ class Session {
             case 'insert':
                 return this.#insert(parsed, args);
 
+            case 'update':
+                return this.#update(parsed, args);
+
             case 'delete':
                 return this.#delete(parsed, args);
 
+            case 'create':
+                return this.#create(parsed, args);
+
+            case 'alter':
+                return this.#alter(parsed, args);
+
             case 'drop':
                 return this.#drop(parsed, args);
 
+            case 'truncate':
+                return this.#truncate(parsed, args);
+
             default:
-                throw new Error(`Command ${parsed.type} unsupported yet`);
+                throw not_supported(`Command ${parsed.type} unsupported yet`);
         }
     }
 
+    /**
+     * Throws if statement refers table or sequence of schema other than "public".
+     * Objects of all schemas share single namespace, so "app.items" would silently become "items"
+     * @param node {any} - AST node
+     */
+    #check_schema_names(node) {
+        if (!node || typeof node != 'object')
+            return;
+        if (typeof node.table == 'string' && node.db && !['public', 'information_schema'].includes(node.db))
+            throw not_supported(`Schema "${node.db}" is not supported, only "public" one is`);
+        Object.values(node).forEach(x => this.#check_schema_names(x));
+    }
+
+    /**
+     * Throws if statement changes data, data modifying "WITH" queries included
+     * @param parsed {AST}
+     */
+    #check_read_only(parsed) {
+        const statement = [parsed, ...(parsed.with || []).map(x => x.stmt)]
+            .find(x => ['insert', 'update', 'delete', 'create', 'alter', 'drop', 'truncate'].includes(x.type));
+        if (!statement)
+            return;
+        const command = ['insert', 'update', 'delete'].includes(statement.type) ? statement.type : `${statement.type} ${statement.keyword}`;
+        throw pg_error('25006', `cannot execute ${command.toUpperCase()} in a read-only transaction`);
+    }
+
     get history() {
         return this.#history;
     }
@@ -59,36 +358,198 @@ class Session {
         return this.#tables;
     }
 
+    get schemas() {
+        return this.#schemas;
+    }
+
+    get sequences() {
+        return this.#sequences;
+    }
+
+    get clock() {
+        return this.#clock;
+    }
+
+    /**
+     * Creates session with a copy of database state, used by transactions.
+     * Sequences, clock and advisory locks are shared, they are not transactional. now() of forked session
+     * returns the fork time, like it returns transaction start time in postgres
+     * @param read_only {boolean} - session of read-only transaction
+     * @returns {Session}
+     */
+    fork({read_only = false} = {}) {
+        const session = new Session({sequences: this.#sequences, clock: this.#clock, advisory_locks: this.#advisory_locks});
+        session.#transaction_time = this.#clock.now();
+        session.#read_only = read_only;
+        session.restore(this.snapshot());
+        return session;
+    }
+
+    /**
+     * Copies tables and schemas. Rows are replaced on update and never changed,
+     * so copying table arrays is enough. Copy-on-write: tables and schemas not changed since
+     * the previous snapshot share its copies, so only changed tables are copied.
+     * Snapshot arrays are never changed afterward
+     * @returns {SessionState}
+     */
+    snapshot() {
+        const base = this.#base;
+        const tables = new Map();
+        for (let [name, rows] of this.#tables) {
+            const unchanged = base?.tables.has(name) && !this.#changed.has(name);
+            tables.set(name, unchanged ? base.tables.get(name) : [...rows]);
+        }
+        const schemas = base && !this.#schemas_changed
+            ? base.schemas
+            : new Map([...this.#schemas].map(([name, schema]) => [name, _.cloneDeep(schema)]));
+
+        this.#set_base({tables, schemas});
+        return this.#base;
+    }
+
+    /**
+     * Restores tables and schemas from snapshot. Existing tables keep the same array instance,
+     * tables still equal to the snapshot are not copied
+     * @param state {SessionState}
+     */
+    restore(state) {
+        const base = this.#base;
+        for (let name of [...this.#tables.keys()]) {
+            if (!state.tables.has(name))
+                this.#tables.delete(name);
+        }
+        for (let [name, rows] of state.tables) {
+            const arr_source = this.#tables.get(name);
+            if (arr_source && base?.tables.get(name) === rows && !this.#changed.has(name))
+                continue;
+            if (arr_source)
+                arr_source.splice(0, arr_source.length, ...rows);
+            else
+                this.#tables.set(name, [...rows]);
+        }
+
+        if (state.schemas !== base?.schemas || this.#schemas_changed)
+            this.#schemas = new Map([...state.schemas].map(([name, schema]) => [name, _.cloneDeep(schema)]));
+        this.#set_base(state);
+    }
+
+    /**
+     * Remembers state equal to the current one, changes are tracked from it
+     * @param state {SessionState}
+     */
+    #set_base(state) {
+        this.#base = state;
+        this.#changed.clear();
+        this.#schemas_changed = false;
+    }
+
+    /**
+     * Inserts rows without SQL, applying defaults, type coercion and constraint checks like INSERT does.
+     * All tables are checked at once, so foreign keys may reference rows seeded in the same call
+     * @param data {{[table: string]: SeedRows}} - rows by table name
+     * @param resolve_order {boolean} - seed referenced tables first, so factories can use their rows
+     * @param format {(result: PgResult) => []} - returns rows of result the way query gives them to caller
+     * @returns {{[table: string]: any[]}} - seeded rows with defaults applied
+     */
+    seed(data, {resolve_order = false} = {}, format = result => result.rows.map(clone_value)) {
+        this.#statement_time = this.#clock.now();
+        const tables = resolve_order ? foreign_key_order(Object.keys(data), this.#schemas) : Object.keys(data);
+
+        /** @type {Map<string, TableChange>}*/
+        const plan = new Map();
+        const seeded = {};
+        for (let table of tables) {
+            if (!this.#tables.has(table))
+                throw pg_error('42P01', `relation "${table}" does not exist`);
+
+            const schema = this.#schemas.get(table);
+            const rows = seed_rows(data[table], seeded, table)
+                .map(row => schema ? prepare_row(schema, row, [], this.#context) : clone_value(row));
+            // seeded rows are given to caller, changes of them don't reach the database
+            const fields = this.#fields(null, rows, schema?.columns || []);
+            seeded[table] = format({command: 'INSERT', rowCount: rows.length, oid: 0, rows, fields, notices: []});
+
+            const change = this.#plan_table(plan, table);
+            change.rows.push(...rows);
+            change.added.push(...rows);
+        }
+
+        this.#apply_plan(plan);
+        return seeded;
+    }
+
+    /**
+     * Checks all rows against table constraints, used after merging concurrent changes
+     */
+    check_constraints() {
+        const plan = new Map([...this.#tables].map(([name, rows]) => [name, {rows, added: rows, removed: []}]));
+        this.#check_plan(plan);
+    }
+
+    /**
+     * Execution context for functions
+     * @returns {ExecContext}
+     */
+    get #context() {
+        return {
+            sequences: this.#sequences,
+            select: (sql, outer, args) => this.#select(sql, args, outer).rows,
+            now: this.#transaction_time ?? this.#statement_time ?? this.#clock.now(),
+            statement_time: this.#statement_time ?? this.#clock.now(),
+            clock: this.#clock,
+            advisory_locks: this.#advisory_locks,
+            client: this.#client,
+            relation_exists: name => this.#relation_exists(name),
+        };
+    }
+
     // region Executors
 
     /**
      * Handle select query
      * @param sql {Select}
      * @param args {[]}
+     * @param outer {any} - outer query data item for subqueries
      * @returns {PgResult}
      */
-    #select(sql, args) {
-        const raw_from = this.#resolve_from(sql.from, args);
-        let arr_source = this.#map_by_columns(raw_from, sql.columns, sql.from[0].table);
+    #select(sql, args, outer = undefined) {
+        if (sql.with)
+            return this.#with(sql.with, args, () => this.#select({...sql, with: null}, args, outer));
+        if (sql._next)
+            return this.#set_operation(sql, args, outer);
+
+        // "SELECT" without "FROM" returns single row
+        let items = sql.from ? this.#resolve_from(sql.from, args, outer) : [outer ? {[OUTER_ITEM]: outer} : {}];
 
         if (sql.where) {
-            arr_source = arr_source.filter(x => this.#check_where(x, sql.where, args));
+            items = items.filter(x => this.#check_where(x, sql.where, args));
         }
 
         const orderby = sql.orderby || sql._orderby;
-        if (orderby) {
-            const columns = orderby.map(x => get_value(null, x.expr, args));
-            const order = orderby.map(x => x.type.toLowerCase());
-            arr_source = _.orderBy(arr_source, columns, order);
+        const aggregates = find_aggregates([sql.columns, sql.having, orderby]);
+        if (sql.groupby || aggregates.length) {
+            items = this.#group_by(items, sql, aggregates, args);
+            // group of zero rows has no source item to take outer item from
+            if (outer)
+                items.forEach(x => x[OUTER_ITEM] = outer);
         }
 
-        const limit = sql.limit || sql._limit;
-        if (limit) {
-            const to = +get_value(null, limit.value[0], args) || arr_source.length;
-            const from = +get_value(null, limit.value[1], args) || 0;
-            arr_source = arr_source.slice(from, from + to);
+        if (sql.having) {
+            items = items.filter(x => this.#check_where(x, sql.having, args));
         }
 
+        const set_functions = find_set_functions(sql.columns);
+        if (set_functions.length)
+            items = this.#expand_set_functions(items, set_functions, args);
+
+        let arr_source = this.#map_by_columns(items, sql.columns, args);
+
+        if (orderby) {
+            arr_source = this.#order_by(items, arr_source, orderby, args);
+        }
+
+        arr_source = this.#limit(arr_source, sql.limit || sql._limit, args);
+
         return {
             rows: arr_source,
             rowCount: arr_source.length,
@@ -96,359 +557,1923 @@ class Session {
     }
 
     /**
-     * Handles insert query
-     * @param sql {Insert_Replace}
-     * @param args
+     * Handles select query combined by UNION, INTERSECT or EXCEPT
+     * @param sql {Select} - first select, others are chained by "_next"
+     * @param args {[]}
+     * @param outer {any} - outer query data item for subqueries
      * @returns {PgResult}
      */
-    #insert(sql, args) {
-        if (sql.type != 'insert')
-            throw new Error('Use "#replace" instead');
-
-        const arr_source = get_table_from_sql(this.#tables, sql);
-        const to_insert = [];
-        for (let insert_value of sql.values) {
-            const obj = {};
-            for (let i = 0; i < insert_value.value.length; i++) {
-                const key = sql.columns[i];
-                const value = get_value(null, insert_value.value[i], args);
-                obj[key] = value;
-            }
-            if (!_.isEmpty(obj))
-                to_insert.push(obj);
+    #set_operation(sql, args, outer) {
+        const terms = [];
+        const operators = [];
+        for (let node = sql; node; node = node._next) {
+            terms.push(node);
+            if (node._next)
+                operators.push(node.set_op.toLowerCase().replace(/^union(all)$/, 'union $1'));
         }
 
-        arr_source.push(...to_insert);
-        let rows = undefined;
-        if (sql.returning) {
-            switch (sql.returning.type) {
-                case "returning":
-                    if (Array.isArray(sql.returning.columns)) {
-                        rows = this.#map_by_columns(to_insert, sql.returning.columns);
-                    } else if (sql.returning.columns == '*') {
-                        rows = to_insert;
-                    } else {
-                        throw new Error('Unsupported return value: ' + JSON.stringify(sql.returning, null, 2));
-                    }
-                    break;
+        // trailing "ORDER BY" and "LIMIT" belong to the whole result, parenthesized select keeps its own ones
+        const last = terms.at(-1);
+        const trailing = last.parentheses_symbol ? {} : last;
+        if (!last.parentheses_symbol)
+            terms[terms.length - 1] = {...last, orderby: null, limit: null};
+
+        let names, count;
+        const results = terms.map((term, i) => {
+            const {rows} = this.#select({...term, _next: null, set_op: null}, args, outer);
+            const has_star = term.columns.some(x => x.expr.type == 'column_ref' && get_name(x.expr) == '*');
+            const term_count = has_star ? rows[0] && Object.keys(rows[0]).length : term.columns.length;
+            if (count && term_count && count != term_count)
+                throw pg_error('42601', `each ${operators[i - 1].split(' ')[0].toUpperCase()} query must have the same number of columns`);
+            count ||= term_count;
+
+            // result columns are named by the first select
+            if (!i) {
+                names = rows[0] ? Object.keys(rows[0]) : term.columns.map(x => x.as || get_column_name(x.expr));
+                return rows;
+            }
+            return rows.map(x => _.zipObject(names, Object.values(x)));
+        });
 
-                default:
-                    throw new Error('Unknown returning type: ' + sql.returning.type);
+        // INTERSECT binds tighter than UNION and EXCEPT
+        for (let i = 0; i < operators.length;) {
+            if (operators[i].startsWith('intersect')) {
+                results.splice(i, 2, this.#combine(results[i], results[i + 1], operators[i]));
+                operators.splice(i, 1);
+            } else {
+                i++;
             }
         }
+        let rows = results.reduce((acc, x, i) => this.#combine(acc, x, operators[i - 1]));
+
+        if (trailing.orderby)
+            rows = this.#order_by(rows, rows, trailing.orderby, args);
+        rows = this.#limit(rows, trailing.limit, args);
 
         return {
             rows,
-            rowCount: to_insert.length,
+            rowCount: rows.length,
         };
     }
 
     /**
-     * Delete rows
-     * @param sql {Delete}
-     * @param args {[]}
-     * @returns {PgResult}
+     * Combines results of set operation
+     * @param left {[]}
+     * @param right {[]}
+     * @param operator {string} - "union", "union all", "intersect", "except" and so on
+     * @returns {[]}
      */
-    #delete(sql, args) {
-        const arr_source = get_table_from_sql(this.#tables, sql);
-        let to_delete = [];
-        if (sql.where) {
-            to_delete = arr_source.filter(x => this.#check_where(x, sql.where, args));
+    #combine(left, right, operator) {
+        // rows are compared by values, NULLs are equal to each other
+        const key = row => values_key(Object.values(row));
+        const distinct = rows => _.uniqBy(rows, key);
+        const right_keys = _.countBy(right, key);
+
+        switch (operator) {
+            case 'union all':
+                return [...left, ...right];
+            case 'union':
+            case 'union distinct':
+                return distinct([...left, ...right]);
+            case 'intersect':
+                return distinct(left).filter(x => right_keys[key(x)]);
+            case 'except':
+                return distinct(left).filter(x => !right_keys[key(x)]);
+
+            // ALL variants keep duplicates as many times as they are matching
+            case 'intersect all':
+                return left.filter(x => right_keys[key(x)]-- > 0);
+            case 'except all':
+                return left.filter(x => !(right_keys[key(x)]-- > 0));
+
+            default:
+                throw not_supported('Unsupported set operation: ' + operator);
         }
-        _.remove(arr_source, x => to_delete.includes(x));
-        return {
-            rowCount: to_delete.length,
-        };
     }
 
     /**
-     *
-     * @param sql {Drop}
+     * Applies "LIMIT" and "OFFSET" clauses
+     * @param rows {[]}
+     * @param limit {{seperator: string, value: any[]} | null}
      * @param args {[]}
-     * @returns {PgResult}
+     * @returns {[]}
      */
-    #drop(sql, args) {
-        switch (sql.keyword) {
-            case 'table':
-                for (let {table} of sql.name)
-                    this.#tables.delete(table);
-                return {};
-
-            default:
-                throw new Error('Unknown drop keyword: ' + sql.keyword);
-        }
+    #limit(rows, limit, args) {
+        if (!limit?.value.length)
+            return rows;
+
+        // "OFFSET" without "LIMIT" has single value
+        const [count_exp, offset_exp] = limit.seperator == 'offset' && limit.value.length == 1
+            ? [null, limit.value[0]]
+            : limit.value;
+        // "LIMIT ALL" and "LIMIT NULL" mean no limit
+        const count = count_exp?.type == 'origin' ? null : get_value(null, count_exp, args);
+        const offset = +get_value(null, offset_exp, args) || 0;
+        return rows.slice(offset, count == null ? undefined : offset + +count);
     }
 
-    // endregion
-
-    // region helping methods
-
     /**
-     * Map source items by passed columns expressions
-     * @param arr {{[key: string]: any}[]} - selected sources. Can be from different tables.
-     * Key = table name, value = data item
-     * @param columns {Column[]}
-     * @param default_table_name {string | null} - default table name to map
+     * Groups source items by "GROUP BY" expressions and calculates aggregate functions per group
+     * @param items {{[key: string]: any}[]} - source items
+     * @param sql {Select}
+     * @param aggregates {any[]} - aggregate function SQL expressions
+     * @param args {[]}
+     * @returns {{[key: string]: any}[]} - group items, have the same shape as source items
+     * plus aggregated values
      */
-    #map_by_columns(arr, columns, default_table_name = null) {
-        if (!arr || !columns)
-            return;
-        if (!arr.length)
-            return [];
+    #group_by(items, sql, aggregates, args) {
+        const group_exps = (sql.groupby?.columns || []).map(exp => {
+            // "GROUP BY 1" refers to select list position
+            if (exp.type == 'number')
+                return sql.columns[exp.value - 1].expr;
+
+            // "GROUP BY alias" refers to output column
+            const output = exp.type == 'column_ref' && !exp.table
+                && sql.columns.find(x => x.as == get_name(exp));
+            return output ? output.expr : exp;
+        });
 
-        return arr.map(x => {
-            const copy = {};
+        this.#check_grouping(sql, group_exps);
 
-            for (let column of columns) {
-                if (!column.expr)
-                    throw new Error('Unsupported column: ' + JSON.stringify(column, null, 2));
-
-                switch (column.expr?.type) {
-                    case "column_ref":
-                        const table_name = column.expr.table || default_table_name;
-                        const source_item = _.get(x, table_name);
-                        if (source_item) {
-                            if (column.expr.column == '*') {
-                                Object.assign(copy, source_item);
-                            } else {
-                                const key = column.expr.column;
-                                copy[column.as || key] = source_item[key];
-                            }
-                        }
-                        break;
+        /** @type {Map<string, {[key: string]: any}[]>}*/
+        const groups = new Map();
+        for (let item of items) {
+            const key = values_key(group_exps.map(x => get_value(item, x, args, this.#context)));
+            if (!groups.has(key))
+                groups.set(key, []);
+            groups.get(key).push(item);
+        }
 
-                    default:
-                        throw new Error('Unsupported column type: ' + column.expr.type);
-                }
-            }
+        // aggregates without "GROUP BY" always return single row
+        if (!group_exps.length && !groups.size)
+            groups.set('', []);
 
-            return copy;
+        return [...groups.values()].map(rows => {
+            const aggregated = new Map(aggregates.map(exp => [exp, this.#aggregate(exp, rows, args)]));
+            return {...rows[0], [AGGREGATED]: aggregated};
         });
     }
 
     /**
-     * Recursive function checking if data item matches currecct condition
-     * @param item {any} - data item
-     * @param exp {Expr | Function} - SQL where clause
-     * @param args {[]} - sql args
-     * @returns {boolean}
+     * Checks that select list, "HAVING" and "ORDER BY" use only grouped columns outside of aggregate functions.
+     * Grouping by primary key makes other columns of the table grouped too. Columns of tables without schema
+     * and of outer queries aren't checked
+     * @param sql {Select}
+     * @param group_exps {any[]}
      */
-    #check_where(item, exp, args) {
-        switch (exp.type) {
-            case 'binary_expr':
-                if ('AND OR'.split(' ').includes(exp.operator)) {
-                    const sides = [exp.left, exp.right];
-                    return exp.operator == 'AND'
-                        ? sides.every(x => this.#check_where(item, x, args))
-                        : sides.some(x => this.#check_where(item, x, args));
-                } else {
-                    const left = get_value(item, exp.left, args);
-                    const right = get_value(item, exp.right, args);
-                    return this.#check_binary_exp(left, right, exp.operator, args);
-                }
-
-            default:
-                throw new Error('Unsupported "where" expression type: ' + exp.type);
+    #check_grouping(sql, group_exps) {
+        const sources = [sql.from || []].flat()
+            .filter(x => x.table)
+            .map(x => ({alias: parse_alias(x.as).name || x.table, schema: this.#source_schema(x)}))
+            .filter(x => x.schema);
+        const find_source = (table, column) => sources.find(x => (!table || x.alias == table)
+            && x.schema.columns.some(c => c.name == column));
+
+        // tables grouped by all primary key columns
+        const is_grouped = (source, name) => group_exps
+            .some(x => x.type == 'column_ref' && get_name(x) == name && find_source(get_name(x.table), name) == source);
+        const grouped_sources = sources.filter(source => source.schema.constraints
+            ?.find(x => x.type == 'primary key')?.columns.every(name => is_grouped(source, name)));
+
+        const outputs = sql.columns.map(x => x.as).filter(Boolean);
+        const orderby = (sql.orderby || sql._orderby || [])
+            // "ORDER BY alias" refers to output column
+            .filter(x => !(x.expr.type == 'column_ref' && !x.expr.table && outputs.includes(get_name(x.expr))));
+
+        const columns = find_ungrouped_columns([sql.columns, sql.having, orderby], group_exps);
+        for (let exp of columns) {
+            const table = get_name(exp.table);
+            const names = get_name(exp) == '*'
+                ? sources.filter(x => !table || x.alias == table).flatMap(x => x.schema.columns.map(c => c.name))
+                : [get_name(exp.column)];
+            for (let name of names) {
+                const source = find_source(table, name);
+                if (source && !grouped_sources.includes(source) && !is_grouped(source, name))
+                    throw pg_error('42803', `column "${source.alias}.${name}" must appear in the GROUP BY clause or be used in an aggregate function`);
+            }
         }
     }
 
-    #check_binary_exp(left, right, operator, args) {
-        switch (operator) {
-            case '=':
-                return left == right;
-            case '<>':
-                return left != right;
-            case '>':
-                return left > right;
-            case '<':
-                return left < right;
-            case '<=':
-            case '=<':
-                return left <= right;
-            case '>=':
-            case '=>':
-                return left >= right;
-
-            case 'LIKE':
-            case 'NOT LIKE':
-                const l_str = ('' + left).toLowerCase();
-                const r_str = ('' + right).toLowerCase();
-                let like_result = l_str.includes(r_str) || r_str.includes(l_str);
-                if (operator.includes('NOT'))
-                    like_result = !like_result;
-                return like_result;
-
-            case 'NOT BETWEEN':
-            case 'BETWEEN':
-                const from = get_value(null, right[0], args);
-                const to = get_value(null, right[1], args);
-                let between_result = from <= left && left <= to;
-                if (operator.includes('NOT'))
-                    between_result = !between_result;
-                return between_result;
-
-            default:
-                throw new Error('Unsupported binary operator: ' + operator);
-        }
+    /**
+     * Multiplies source items by rows of set-returning functions in select list. Functions
+     * are evaluated side by side, shorter results are padded with NULLs like postgres does
+     * @param items {{[key: string]: any}[]} - source items
+     * @param exps {any[]} - set-returning function SQL expressions
+     * @param args {[]}
+     * @returns {{[key: string]: any}[]}
+     */
+    #expand_set_functions(items, exps, args) {
+        return items.flatMap(item => {
+            const results = exps.map(exp => {
+                const fn_args = exp.args.value.map(x => get_value(item, x, args, this.#context));
+                const {columns, rows} = call_set_function(get_function_name(exp), fn_args, this.#context);
+                // function returning several columns gives record in select list
+                return rows.map(values => columns.length == 1 ? values[0] : to_text(values).replace(/^\{(.*)\}$/, '($1)'));
+            });
+
+            const count = Math.max(...results.map(x => x.length));
+            return _.range(count).map(i => ({
+                ...item,
+                [SET_VALUES]: new Map(exps.map((exp, j) => [exp, results[j][i] ?? null])),
+            }));
+        });
     }
 
     /**
-     * @param froms {From[]}
+     * Calculates aggregate function over group rows
+     * @param exp {any} - aggregate function SQL expression
+     * @param rows {{[key: string]: any}[]} - group source items
+     * @param args {[]}
+     * @returns {any}
      */
-    #check_from_and_throw(froms) {
-        for (let from of froms) {
-            if (!from.table)
-                throw new Error('Unsupported from: ' + JSON.stringify(from, null, 2));
-
-            if (from.join) {
-                if (from.on.type != 'binary_expr')
-                    throw new Error('Unknown join on expression: ' + JSON.stringify(from, null, 2));
-
-                const {on: {left, right}} = from;
-                const operators = [left, right];
-                while (operators.length) {
-                    const op = operators.shift();
-                    if (op.type == 'column_ref')
-                        continue;
-
-                    if (op.type == 'binary_expr') {
-                        const tables = new Set();
-                        const inner_operators = [op.left, op.right];
-
-                        for (let i = 0; i < inner_operators.length; i++) {
-                            const current = inner_operators[i];
-                            if (current.type == 'binary_expr')
-                                inner_operators.push(current.left, current.right);
-                            if (current.type == 'column_ref') {
-                                tables.add(current.table);
-                                continue;
-                            }
-                        }
+    #aggregate(exp, rows, args) {
+        // parser returns some aggregates as regular functions
+        const name = exp.type == 'aggr_func' ? exp.name : get_function_name(exp);
+        const arg_exps = exp.type == 'aggr_func' ? [exp.args?.expr] : exp.args?.value || [];
+        const options = {separator: get_value(null, exp.args?.separator?.delimiter, args, this.#context)};
+
+        if (exp.filter)
+            rows = rows.filter(x => this.#check_where(x, exp.filter.where, args));
+
+        if (exp.args?.orderby)
+            rows = this.#order_by(rows, rows, exp.args.orderby, args);
+
+        // count(*) counts rows
+        let values = arg_exps[0]?.type == 'star'
+            ? rows.map(() => 1)
+            : rows.map(x => {
+                const arg_values = arg_exps.map(arg => get_value(x, arg, args, this.#context));
+                return arg_values.length > 1 ? arg_values : arg_values[0];
+            });
+
+        if (exp.args?.distinct)
+            values = _.uniqWith(values, _.isEqual);
+
+        return aggregate(name, values, options);
+    }
 
-                        // join must concat this table
-                        if (!tables.has(from.table))
-                            throw new Error('Unknown join on expression: ' + JSON.stringify(from, null, 2));
+    /**
+     * Sorts result rows by "ORDER BY" expressions
+     * @param items {{[key: string]: any}[]} - source items
+     * @param rows {{[key: string]: any}[]} - result rows, have the same order as source items
+     * @param orderby {{expr: any, type: 'ASC' | 'DESC' | null, nulls: string | null}[]}
+     * @param args {[]}
+     * @returns {{[key: string]: any}[]} - sorted result rows
+     */
+    #order_by(items, rows, orderby, args) {
+        const keys = rows.map((row, i) => orderby.map(({expr}) => {
+            // "ORDER BY 1" refers to result column position
+            if (expr.type == 'number')
+                return Object.values(row)[expr.value - 1];
+
+            // result column names has priority
+            if (expr.type == 'column_ref' && !expr.table && row.hasOwnProperty(get_name(expr)))
+                return row[get_name(expr)];
+
+            return get_value(items[i], expr, args, this.#context);
+        }));
+
+        const indexes = _.range(rows.length).sort((a, b) => {
+            for (let i = 0; i < orderby.length; i++) {
+                const desc = orderby[i].type?.toUpperCase() == 'DESC';
+                // NULLS LAST is default for ascending order
+                const nulls_first = orderby[i].nulls
+                    ? /first/i.test(orderby[i].nulls)
+                    : desc;
+
+                const result = compare_values(keys[a][i], keys[b][i], nulls_first, desc);
+                if (result)
+                    return result;
+            }
+            return 0;
+        });
 
-                        operators.push(...inner_operators);
-                        continue;
-                    }
+        return indexes.map(x => rows[x]);
+    }
 
-                    // any value constraint
-                    if (op.hasOwnProperty('value'))
-                        continue;
+    /**
+     * Handles insert query
+     * @param sql {Insert_Replace}
+     * @param args
+     * @returns {PgResult}
+     */
+    #insert(sql, args) {
+        if (sql.type != 'insert')
+            throw new Error('Use "#replace" instead');
+        if (sql.with)
+            return this.#with(sql.with, args, () => this.#insert({...sql, with: null}, args));
+
+        get_table_from_sql(this.#tables, sql);
+        const table = sql.table[0].table;
+        const schema = this.#schemas.get(table);
+        const columns = sql.columns?.map(get_name) || schema?.columns.map(x => x.name) || [];
+        const identity = schema?.columns.filter(x => x.identity) || [];
+        // OVERRIDING SYSTEM VALUE allows values of GENERATED ALWAYS columns, OVERRIDING USER VALUE ignores given ones
+        const always_identity = sql.overriding ? [] : identity.filter(x => x.identity == 'always').map(x => x.name);
+        const ignored = sql.overriding == 'user' ? identity.map(x => x.name) : [];
+
+        // "INSERT ... SELECT" inserts query result rows
+        const is_select = sql.values.type == 'select';
+        const value_rows = is_select
+            ? this.#select(sql.values, args).rows
+            : sql.values.values.map(x => x.value);
 
-                    throw new Error('Unknown join on expression: ' + JSON.stringify(from, null, 2));
+        const to_insert = [];
+        for (let value_row of value_rows) {
+            // tables without schema take selected column names
+            const row_columns = is_select && !sql.columns && !schema ? Object.keys(value_row) : columns;
+            const values = is_select ? Object.values(value_row) : value_row;
+            if (values.length > row_columns.length)
+                throw pg_error('42601', 'INSERT has more expressions than target columns');
+
+            let obj = {};
+            for (let i = 0; i < values.length; i++) {
+                const column = row_columns[i];
+                // DEFAULT keyword, value will be resolved from schema
+                if (!is_select && is_default_keyword(values[i]) || ignored.includes(column))
+                    continue;
+
+                if (always_identity.includes(column)) {
+                    throw pg_error('428C9', `cannot insert a non-DEFAULT value into column "${column}"`, {
+                        column,
+                        detail: `Column "${column}" is an identity column defined as GENERATED ALWAYS.`,
+                    });
                 }
+
+                obj[column] = is_select ? values[i] : get_value(null, values[i], args, this.#context);
             }
+
+            if (schema)
+                obj = prepare_row(schema, obj, args, this.#context);
+            if (!_.isEmpty(obj))
+                to_insert.push(obj);
         }
 
-        // checking joins actually
-        if (froms.length > 1) {
-            if (froms[0].join)
-                throw new Error('Invalid from expression: ' + JSON.stringify(froms, null, 2));
+        /** @type {Map<string, TableChange>}*/
+        const plan = new Map();
+        const change = this.#plan_table(plan, table);
+        change.rows.push(...to_insert);
+        change.added.push(...to_insert);
+        this.#apply_plan(plan);
 
-            for (let i = 1; i < froms.length; i++) {
-                const from = froms[i];
-                if (!from.join)
-                    throw new Error('Invalid from expression: ' + JSON.stringify(froms, null, 2));
+        return {
+            rows: this.#returning(sql, to_insert),
+            rowCount: to_insert.length,
+        };
+    }
 
-                const tables_in_join = [from.on.left.table, from.on.right.table];
-                if (!tables_in_join.includes(froms[i].table) && tables_in_join.includes(froms[i - 1].table))
-                    throw new Error('Invalid join mapping: ' + JSON.stringify(froms, null, 2));
+    /**
+     * Handles update query
+     * @param sql {Update}
+     * @param args {[]}
+     * @returns {PgResult}
+     */
+    #update(sql, args) {
+        if (sql.with)
+            return this.#with(sql.with, args, () => this.#update({...sql, with: null}, args));
+
+        const arr_source = get_table_from_sql(this.#tables, sql);
+        const {table, as} = sql.table[0];
+        const schema = this.#schemas.get(table);
+
+        // joined tables from "UPDATE ... FROM"
+        const from_rows = sql.from?.length ? this.#resolve_from(sql.from, args) : [{}];
+        const complete = this.#row_completer(table);
+
+        /** @type {Map<string, TableChange>}*/
+        const plan = new Map();
+        const change = this.#plan_table(plan, table);
+        const updated = [];
+        const updated_from = [];
+        const changes = [];
+        for (let i = 0; i < arr_source.length; i++) {
+            const row = arr_source[i];
+
+            // postgres updates each target row only once, even if several joined rows are matching
+            const from_item = from_rows
+                .find(x => !sql.where || this.#check_where(this.#update_item(x, complete(row), table, as), sql.where, args));
+            if (!from_item)
+                continue;
+            const item = this.#update_item(from_item, complete(row), table, as);
+
+            let copy = {...row};
+            for (let set_item of sql.set) {
+                const column = get_name(set_item.column);
+                if (is_default_keyword(set_item.value)) {
+                    delete copy[column];
+                    continue;
+                }
+
+                if (schema?.columns.some(x => x.name == column && x.identity == 'always'))
+                    throw pg_error('428C9', `column "${column}" can only be updated to DEFAULT`, {column});
+                copy[column] = get_value(item, set_item.value, args, this.#context);
             }
+
+            if (schema)
+                copy = prepare_row(schema, copy, args, this.#context);
+            change.rows[i] = copy;
+            changes.push([row, copy]);
+            updated.push(copy);
+            updated_from.push(from_item);
         }
+
+        change.added.push(...updated);
+        change.removed.push(...changes.map(x => x[0]));
+        this.#plan_references(plan, table, changes);
+        this.#apply_plan(plan);
+
+        return {
+            rows: this.#returning(sql, updated, updated_from),
+            rowCount: updated.length,
+        };
     }
 
     /**
-     * Resolves from request, respecting joins
-     * @param arr_from {From[]}
+     * Delete rows
+     * @param sql {Delete}
+     * @param args {[]}
+     * @returns {PgResult}
+     */
+    #delete(sql, args) {
+        if (sql.with)
+            return this.#with(sql.with, args, () => this.#delete({...sql, with: null}, args));
+
+        const arr_source = get_table_from_sql(this.#tables, sql);
+        const table = sql.table[0].table;
+        const complete = this.#row_completer(table);
+        const to_delete = arr_source.filter(x => !sql.where || this.#check_where(complete(x), sql.where, args));
+
+        /** @type {Map<string, TableChange>}*/
+        const plan = new Map();
+        const change = this.#plan_table(plan, table);
+        _.remove(change.rows, x => to_delete.includes(x));
+        change.removed.push(...to_delete);
+        this.#plan_references(plan, table, to_delete.map(x => [x, null]));
+        this.#apply_plan(plan);
+
+        return {
+            rows: this.#returning(sql, to_delete),
+            rowCount: to_delete.length,
+        };
+    }
+
+    /**
+     * Creates database objects
+     * @param sql {Create}
+     * @param args {[]}
+     * @returns {PgResult}
+     */
+    #create(sql, args) {
+        switch (sql.keyword) {
+            case 'table':
+                const name = sql.table[0].table;
+                if (this.#relation_exists(name)) {
+                    if (sql.if_not_exists) {
+                        this.#notices.push(pg_notice('42P07', `relation "${name}" already exists, skipping`));
+                        return {};
+                    }
+                    throw pg_error('42P07', `relation "${name}" already exists`);
+                }
+
+                if (sql.query_expr || sql.as)
+                    throw not_supported('CREATE TABLE AS is unsupported yet');
+
+                const schema = create_table_schema(sql);
+                for (let constraint of schema.constraints)
+                    this.#check_foreign_key_target(schema, constraint);
+
+                // implicit sequences of serial and identity columns
+                for (let column of schema.columns.filter(x => x.sequence))
+                    this.#create_column_sequence(column);
+
+                this.#schemas.set(name, schema);
+                this.#tables.set(name, []);
+                this.#changed.add(name);
+                this.#schemas_changed = true;
+                return {};
+
+            case 'sequence':
+                const {table: seq_name, as: seq_type} = sql.sequence[0];
+                if (this.#relation_exists(seq_name)) {
+                    if (sql.if_not_exists) {
+                        this.#notices.push(pg_notice('42P07', `relation "${seq_name}" already exists, skipping`));
+                        return {};
+                    }
+                    throw pg_error('42P07', `relation "${seq_name}" already exists`);
+                }
+
+                const options = parse_sequence_options(sql.create_definitions);
+                this.#sequences.set(seq_name, new Sequence(seq_name, {
+                    ...options,
+                    ...seq_type && {type: normalize_type({dataType: seq_type})},
+                }));
+                return {};
+
+            case 'index':
+                return this.#create_index(sql);
+
+            default:
+                throw not_supported('Unsupported create keyword: ' + sql.keyword);
+        }
+    }
+
+    /**
+     * Creates implicit sequence of serial or identity column
+     * @param column {ColumnSchema}
+     */
+    #create_column_sequence(column) {
+        // postgres picks free name on conflict
+        let name = column.sequence.name;
+        for (let i = 1; this.#relation_exists(name); i++)
+            name = column.sequence.name + i;
+
+        column.sequence.name = name;
+        column.default.args.value[0].value = name;
+        this.#sequences.set(name, new Sequence(name, column.sequence.options));
+    }
+
+    /**
+     * Creates index. Unique index works as unique constraint, other indexes don't change query execution
+     * and are only kept for dump
+     * @param sql {Create}
+     * @returns {PgResult}
+     */
+    #create_index(sql) {
+        const table = sql.table.table;
+        get_table_from_sql(this.#tables, sql.table);
+        const schema = this.#schemas.get(table);
+        if (!schema)
+            throw not_supported(`Table "${table}" was created without schema and cannot be indexed`);
+
+        const columns = sql.index_columns.map(x => x.type == 'column_ref' ? get_name(x) : null);
+        const name = sql.index || `${table}_${columns.map(x => x ?? 'expr').join('_')}_idx`;
+        if (this.#relation_exists(name)) {
+            if (sql.if_not_exists) {
+                this.#notices.push(pg_notice('42P07', `relation "${name}" already exists, skipping`));
+                return {};
+            }
+            throw pg_error('42P07', `relation "${name}" already exists`);
+        }
+        for (let column of columns.filter(x => x != null)) {
+            if (!schema.columns.some(x => x.name == column))
+                throw pg_error('42703', `column "${column}" does not exist`);
+        }
+
+        this.#schemas_changed = true;
+        if (!sql.index_type) {
+            schema.indexes.push({name, keys: sql.index_columns, where: sql.where});
+            return {};
+        }
+
+        if (columns.includes(null) || sql.where)
+            throw not_supported('Unique indexes on expressions and partial unique indexes are not supported');
+        add_constraint(schema, {name, type: 'unique', columns, index: true});
+        try {
+            // existing rows must be unique
+            const rows = this.#tables.get(table);
+            this.#check_plan(new Map([[table, {rows, added: rows, removed: []}]]));
+        } catch (e) {
+            schema.constraints.pop();
+            throw e;
+        }
+        return {};
+    }
+
+    /**
+     * Changes table definition, stored rows are changed together with it
+     * @param sql {Alter}
+     * @param args {[]}
+     * @returns {PgResult}
+     */
+    #alter(sql, args) {
+        if (sql.keyword == 'sequence')
+            return this.#alter_sequence(sql, args);
+
+        const table = sql.table[0].table;
+        if (sql.if_exists && !this.#tables.has(table)) {
+            this.#notices.push(pg_notice('00000', `relation "${table}" does not exist, skipping`));
+            return {};
+        }
+        get_table_from_sql(this.#tables, sql);
+        const schema = this.#schemas.get(table);
+        if (!schema)
+            throw not_supported(`Table "${table}" was created without schema and cannot be altered`);
+
+        // alter table is atomic, restoring tables, schemas and sequences on failure
+        const before = this.snapshot();
+        const sequences = new Map(this.#sequences);
+        this.#schemas_changed = true;
+        try {
+            for (let action of sql.expr)
+                this.#alter_action(schema, action, args);
+
+            // existing rows must satisfy changed columns and new constraints
+            const rows = this.#tables.get(schema.name);
+            for (let column of schema.columns.filter(x => x.not_null)) {
+                if (rows.some(x => x[column.name] == null)) {
+                    throw pg_error('23502', `column "${column.name}" of relation "${schema.name}" contains null values`, {
+                        table: schema.name,
+                        column: column.name,
+                    });
+                }
+            }
+            for (let constraint of schema.constraints.filter(x => x.type == 'check')) {
+                if (rows.some(x => get_value(x, constraint.check, [], this.#context) === false)) {
+                    throw pg_error('23514', `check constraint "${constraint.name}" of relation "${schema.name}" is violated by some row`, {
+                        table: schema.name,
+                        constraint: constraint.name,
+                    });
+                }
+            }
+            this.#check_plan(new Map([[schema.name, {rows, added: rows, removed: []}]]));
+        } catch (e) {
+            this.restore(before);
+            this.#sequences.clear();
+            sequences.forEach((sequence, name) => this.#sequences.set(name, sequence));
+            throw e;
+        }
+
+        return {};
+    }
+
+    /**
+     * Changes sequence options
+     * @param sql {Alter}
+     * @param args {[]}
+     * @returns {PgResult}
+     */
+    #alter_sequence(sql, args) {
+        const name = sql.sequence[0].table;
+        const sequence = this.#sequences.get(name);
+        if (!sequence) {
+            if (sql.if_exists) {
+                this.#notices.push(pg_notice('00000', `relation "${name}" does not exist, skipping`));
+                return {};
+            }
+            throw pg_error('42P01', `relation "${name}" does not exist`);
+        }
+
+        const {restart, ...options} = parse_sequence_options(sql.expr);
+        Object.assign(sequence.options, options);
+        if (restart !== undefined)
+            sequence.restart(restart === true ? undefined : restart);
+        return {};
+    }
+
+    /**
+     * Applies single "ALTER TABLE" action
+     * @param schema {TableSchema}
+     * @param action {any} - alter table action
+     * @param args {[]}
+     */
+    #alter_action(schema, action, args) {
+        switch (`${action.action} ${action.resource}`) {
+            case 'add column':
+                return this.#add_column(schema, action, args);
+
+            case 'drop column':
+                return this.#drop_column(schema, action);
+
+            case 'alter column':
+                return this.#alter_column(schema, action, args);
+
+            case 'add constraint':
+                const constraint = create_constraint(schema, action.create_definitions);
+                this.#check_foreign_key_target(schema, constraint);
+                add_constraint(schema, constraint);
+                return;
+
+            case 'drop constraint':
+                return this.#drop_constraint(schema, action);
+
+            case 'rename table':
+                return this.#rename_table(schema, action.table);
+
+            case 'rename column':
+                return this.#rename_column(schema, action.old_name, action.new_name);
+
+            case 'rename constraint':
+                const renamed = schema.constraints.find(x => x.name == action.old_name && !x.index);
+                if (!renamed)
+                    throw pg_error('42704', `constraint "${action.old_name}" for table "${schema.name}" does not exist`);
+                if (schema.constraints.some(x => x.name == action.new_name && !x.index))
+                    throw pg_error('42710', `constraint "${action.new_name}" for relation "${schema.name}" already exists`);
+                // primary keys and unique constraints have indexes of the same name
+                if (['primary key', 'unique'].includes(renamed.type) && this.#relation_exists(action.new_name))
+                    throw pg_error('42P07', `relation "${action.new_name}" already exists`);
+                renamed.name = action.new_name;
+                return;
+
+            default:
+                throw not_supported(`Unsupported alter table action: ${action.action} ${action.resource}`);
+        }
+    }
+
+    /**
+     * Adds column, existing rows get its default value
+     * @param schema {TableSchema}
+     * @param action {any} - "ADD COLUMN" action, the same as "CREATE TABLE" column definition
+     * @param args {[]}
+     */
+    #add_column(schema, action, args) {
+        const column = create_column_schema(action, schema.name);
+        if (schema.columns.some(x => x.name == column.name)) {
+            if (action.if_not_exists) {
+                this.#notices.push(pg_notice('42701', `column "${column.name}" of relation "${schema.name}" already exists, skipping`));
+                return;
+            }
+            throw pg_error('42701', `column "${column.name}" of relation "${schema.name}" already exists`);
+        }
+
+        if (column.sequence)
+            this.#create_column_sequence(column);
+        schema.columns.push(column);
+
+        // volatile defaults like nextval() are evaluated for each row
+        this.#map_rows(schema.name, row => ({
+            ...row,
+            [column.name]: coerce_value(get_value(null, column.default, args, this.#context), column.type, column.length, column.scale),
+        }));
+
+        for (let definition of column_constraints(action, column.name)) {
+            const constraint = create_constraint(schema, definition);
+            this.#check_foreign_key_target(schema, constraint);
+            add_constraint(schema, constraint);
+        }
+    }
+
+    /**
+     * Drops column together with constraints, indexes and sequences involving it.
+     * Foreign keys of other tables referencing the column are dropped with CASCADE only
+     * @param schema {TableSchema}
+     * @param action {any} - "DROP COLUMN" action
+     */
+    #drop_column(schema, action) {
+        const name = get_name(action.column);
+        if (!schema.columns.some(x => x.name == name)) {
+            if (action.if_exists) {
+                this.#notices.push(pg_notice('00000', `column "${name}" of relation "${schema.name}" does not exist, skipping`));
+                return;
+            }
+            throw pg_error('42703', `column "${name}" of relation "${schema.name}" does not exist`);
+        }
+
+        const dependent = this.#foreign_keys_to(schema.name)
+            .filter(x => x.schema !== schema && x.fk.references.columns.includes(name));
+        this.#drop_dependent(dependent, `column ${name} of table ${schema.name}`, action.cascade);
+
+        schema.columns = schema.columns.filter(x => x.name != name);
+        schema.constraints = schema.constraints.filter(x => !x.columns.includes(name)
+            && !(x.type == 'foreign key' && x.references.table == schema.name && x.references.columns.includes(name)));
+        schema.indexes = schema.indexes.filter(x => !find_column_refs([x.keys, x.where]).includes(name));
+        for (let [seq_name, sequence] of this.#sequences) {
+            const {owned_by} = sequence.options;
+            if (owned_by?.table == schema.name && owned_by.column == name)
+                this.#sequences.delete(seq_name);
+        }
+
+        this.#map_rows(schema.name, row => _.omit(row, name));
+    }
+
+    /**
+     * Changes column type, default or NOT NULL. Rows are converted to new type
+     * with USING expression or assignment conversion
+     * @param schema {TableSchema}
+     * @param action {any} - "ALTER COLUMN" action
+     * @param args {[]}
+     */
+    #alter_column(schema, action, args) {
+        const name = get_name(action.column);
+        const column = schema.columns.find(x => x.name == name);
+        if (!column)
+            throw pg_error('42703', `column "${name}" of relation "${schema.name}" does not exist`);
+
+        if (action.default_val) {
+            const set = action.default_val.type == 'set default';
+            if (column.identity) {
+                throw pg_error('42601', `column "${name}" of relation "${schema.name}" is an identity column`, set
+                    ? {hint: 'Use ALTER TABLE ... ALTER COLUMN ... DROP IDENTITY instead.'}
+                    : {});
+            }
+
+            column.default = set ? action.default_val.value : undefined;
+            // serial column becomes plain one, its sequence stays owned by column
+            delete column.sequence;
+            return;
+        }
+
+        if (action.nullable) {
+            if (action.nullable.action == 'drop') {
+                if (schema.constraints.some(x => x.type == 'primary key' && x.columns.includes(name)))
+                    throw pg_error('42P16', `column "${name}" is in a primary key`);
+                if (column.identity)
+                    throw pg_error('42601', `column "${name}" of relation "${schema.name}" is an identity column`);
+            }
+            // rows are checked after all actions
+            column.not_null = action.nullable.action == 'set';
+            return;
+        }
+
+        if (!action.definition)
+            throw not_supported('Unsupported alter column action');
+
+        const type = normalize_type(action.definition);
+        if (!action.using && !is_assignable(column.type, type)) {
+            throw pg_error('42804', `column "${name}" cannot be cast automatically to type ${type}`, {
+                hint: `You might need to specify "USING ${name}::${type}".`,
+            });
+        }
+
+        const {length, scale} = action.definition;
+        Object.assign(column, {type, length: /char|numeric/.test(type) ? length : undefined, scale});
+        this.#map_rows(schema.name, row => {
+            const value = action.using ? get_value(row, action.using, args, this.#context) : row[name];
+            return {...row, [name]: coerce_value(value, type, column.length, column.scale)};
+        });
+    }
+
+    /**
+     * Drops table constraint. Foreign keys referencing primary key or unique constraint
+     * are dropped with CASCADE only
+     * @param schema {TableSchema}
+     * @param action {any} - "DROP CONSTRAINT" action
+     */
+    #drop_constraint(schema, action) {
+        const constraint = schema.constraints.find(x => x.name == action.constraint && !x.index);
+        if (!constraint) {
+            if (action.if_exists) {
+                this.#notices.push(pg_notice('00000', `constraint "${action.constraint}" of relation "${schema.name}" does not exist, skipping`));
+                return;
+            }
+            throw pg_error('42704', `constraint "${action.constraint}" of relation "${schema.name}" does not exist`);
+        }
+
+        if (['primary key', 'unique'].includes(constraint.type)) {
+            const columns = [...constraint.columns].sort();
+            const dependent = this.#foreign_keys_to(schema.name)
+                .filter(x => _.isEqual([...x.fk.references.columns].sort(), columns));
+            this.#drop_dependent(dependent, `constraint ${constraint.name} on table ${schema.name}`, action.cascade,
+                `index ${constraint.name}`);
+        }
+
+        schema.constraints = schema.constraints.filter(x => x !== constraint);
+    }
+
+    /**
+     * Renames table, foreign keys and sequences referencing it follow the new name
+     * @param schema {TableSchema}
+     * @param new_name {string}
+     */
+    #rename_table(schema, new_name) {
+        if (this.#relation_exists(new_name))
+            throw pg_error('42P07', `relation "${new_name}" already exists`);
+
+        const name = schema.name;
+        // keeping tables order
+        for (let map of [this.#tables, this.#schemas]) {
+            const entries = [...map];
+            map.clear();
+            for (let [key, value] of entries)
+                map.set(key == name ? new_name : key, value);
+        }
+
+        schema.name = new_name;
+        for (let {fk} of this.#foreign_keys_to(name))
+            fk.references.table = new_name;
+        for (let sequence of this.#sequences.values()) {
+            if (sequence.options.owned_by?.table == name)
+                sequence.options.owned_by.table = new_name;
+        }
+        this.#changed.add(new_name);
+    }
+
+    /**
+     * Renames column in rows, constraints, indexes and foreign keys referencing it
+     * @param schema {TableSchema}
+     * @param name {string}
+     * @param new_name {string}
+     */
+    #rename_column(schema, name, new_name) {
+        const column = schema.columns.find(x => x.name == name);
+        if (!column)
+            throw pg_error('42703', `column "${name}" does not exist`);
+        if (schema.columns.some(x => x.name == new_name))
+            throw pg_error('42701', `column "${new_name}" of relation "${schema.name}" already exists`);
+
+        column.name = new_name;
+        const rename = columns => columns.map(x => x == name ? new_name : x);
+        for (let constraint of schema.constraints) {
+            constraint.columns = rename(constraint.columns);
+            rename_column_refs(constraint.check, name, new_name);
+        }
+        for (let index of schema.indexes) {
+            rename_column_refs(index.keys, name, new_name);
+            rename_column_refs(index.where, name, new_name);
+        }
+        for (let {fk} of this.#foreign_keys_to(schema.name))
+            fk.references.columns = rename(fk.references.columns);
+        for (let sequence of this.#sequences.values()) {
+            const {owned_by} = sequence.options;
+            if (owned_by?.table == schema.name && owned_by.column == name)
+                owned_by.column = new_name;
+        }
+
+        this.#map_rows(schema.name, row => _.mapKeys(row, (value, key) => key == name ? new_name : key));
+    }
+
+    /**
+     * Drops tables, sequences and indexes
+     * @param sql {Drop}
      * @param args {[]}
-     * @returns {({[key: string]: any})[]}
+     * @returns {PgResult}
+     */
+    #drop(sql, args) {
+        switch (sql.keyword) {
+            case 'table':
+                const tables = sql.name.map(x => x.table);
+                for (let table of tables.filter(x => !this.#tables.has(x))) {
+                    if (!sql.prefix)
+                        throw pg_error('42P01', `table "${table}" does not exist`);
+                    this.#notices.push(pg_notice('00000', `table "${table}" does not exist, skipping`));
+                }
+
+                // foreign keys of tables dropped together don't prevent dropping
+                const dropped = tables.filter(x => this.#tables.has(x));
+                for (let table of dropped) {
+                    const dependent = this.#foreign_keys_to(table).filter(x => !dropped.includes(x.schema.name));
+                    this.#drop_dependent(dependent, `table ${table}`, sql.cascade);
+                }
+
+                for (let table of dropped) {
+                    this.#tables.delete(table);
+                    this.#schemas.delete(table);
+                    this.#schemas_changed = true;
+
+                    // owned sequences are dropped together with table
+                    for (let [name, sequence] of this.#sequences) {
+                        if (sequence.options.owned_by?.table == table)
+                            this.#sequences.delete(name);
+                    }
+                }
+                return {};
+
+            case 'sequence':
+                for (let {table} of sql.name) {
+                    if (!this.#sequences.has(table)) {
+                        if (sql.prefix) {
+                            this.#notices.push(pg_notice('00000', `sequence "${table}" does not exist, skipping`));
+                            continue;
+                        }
+                        throw pg_error('42P01', `sequence "${table}" does not exist`);
+                    }
+                    this.#sequences.delete(table);
+                }
+                return {};
+
+            case 'index':
+                for (let {table: name} of sql.name) {
+                    const schemas = [...this.#schemas.values()];
+                    // indexes of primary keys and unique constraints are dropped with constraint
+                    const owner = schemas.find(x => x.constraints
+                        .some(c => c.name == name && !c.index && ['primary key', 'unique'].includes(c.type)));
+                    if (owner)
+                        throw pg_error('2BP01', `cannot drop index ${name} because constraint ${name} on table ${owner.name} requires it`);
+
+                    const schema = schemas.find(x => x.indexes.some(i => i.name == name) || x.constraints.some(c => c.name == name && c.index));
+                    if (!schema) {
+                        if (sql.prefix) {
+                            this.#notices.push(pg_notice('00000', `index "${name}" does not exist, skipping`));
+                            continue;
+                        }
+                        throw pg_error('42704', `index "${name}" does not exist`);
+                    }
+
+                    this.#schemas_changed = true;
+                    schema.indexes = schema.indexes.filter(x => x.name != name);
+                    schema.constraints = schema.constraints.filter(x => x.name != name || !x.index);
+                }
+                return {};
+
+            default:
+                throw not_supported('Unsupported drop keyword: ' + sql.keyword);
+        }
+    }
+
+    /**
+     * Removes all rows of tables. CASCADE truncates tables referencing them too,
+     * RESTART IDENTITY restarts sequences owned by their columns
+     * @param sql {any} - "TRUNCATE" AST
+     * @param args {[]}
+     * @returns {PgResult}
+     */
+    #truncate(sql, args) {
+        const options = (sql.suffix || []).map(x => x.value.toLowerCase());
+        const tables = sql.name.map(x => x.table);
+        for (let table of tables) {
+            if (!this.#tables.has(table))
+                throw pg_error('42P01', `relation "${table}" does not exist`);
+        }
+
+        // tables referencing truncated ones are added to the end of the list
+        for (let i = 0; i < tables.length; i++) {
+            for (let {schema} of this.#foreign_keys_to(tables[i])) {
+                if (tables.includes(schema.name))
+                    continue;
+                if (!options.includes('cascade')) {
+                    throw pg_error('0A000', 'cannot truncate a table referenced in a foreign key constraint', {
+                        detail: `Table "${schema.name}" references "${tables[i]}".`,
+                        hint: `Truncate table "${schema.name}" at the same time, or use TRUNCATE ... CASCADE.`,
+                    });
+                }
+                this.#notices.push(pg_notice('00000', `truncate cascades to table "${schema.name}"`));
+                tables.push(schema.name);
+            }
+        }
+
+        for (let table of tables) {
+            this.#tables.get(table).splice(0);
+            this.#changed.add(table);
+        }
+        if (options.includes('restart identity')) {
+            for (let sequence of this.#sequences.values()) {
+                if (tables.includes(sequence.options.owned_by?.table))
+                    sequence.restart();
+            }
+        }
+        return {};
+    }
+
+    // endregion
+
+    // region constraints
+
+    /**
+     * Returns foreign keys referencing table
+     * @param table {string}
+     * @returns {{schema: TableSchema, fk: Constraint}[]} - foreign keys with schemas of their tables
+     */
+    #foreign_keys_to(table) {
+        return [...this.#schemas.values()].flatMap(schema => schema.constraints
+            .filter(x => x.type == 'foreign key' && x.references.table == table)
+            .map(fk => ({schema, fk})));
+    }
+
+    /**
+     * Drops foreign keys depending on dropped object with CASCADE, fails without it
+     * @param dependent {{schema: TableSchema, fk: Constraint}[]} - foreign keys with schemas of their tables
+     * @param object {string} - dropped object, e.g. "table users"
+     * @param cascade {boolean}
+     * @param required {string} - object foreign keys depend on, the dropped one by default
+     */
+    #drop_dependent(dependent, object, cascade, required = object) {
+        if (!dependent.length)
+            return;
+
+        const objects = dependent.map(({schema, fk}) => `constraint ${fk.name} on table ${schema.name}`);
+        if (!cascade) {
+            throw pg_error('2BP01', `cannot drop ${object} because other objects depend on it`, {
+                detail: objects.map(x => `${x} depends on ${required}`).join('\n'),
+                hint: 'Use DROP ... CASCADE to drop the dependent objects too.',
+            });
+        }
+
+        this.#notices.push(pg_notice('00000', objects.length == 1
+            ? `drop cascades to ${objects[0]}`
+            : `drop cascades to ${objects.length} other objects`));
+        for (let {schema, fk} of dependent)
+            schema.constraints = schema.constraints.filter(x => x !== fk);
+        this.#schemas_changed = true;
+    }
+
+    /**
+     * Checks if table, sequence or index with such name exists. Primary keys and unique constraints have indexes
+     * of the same name
+     * @param name {string}
+     * @returns {boolean}
+     */
+    #relation_exists(name) {
+        if (this.#tables.has(name) || this.#sequences.has(name))
+            return true;
+        return [...this.#schemas.values()].some(schema => schema.indexes.some(x => x.name == name)
+            || schema.constraints.some(x => x.name == name && ['primary key', 'unique'].includes(x.type)));
+    }
+
+    /**
+     * Returns planned changes of table, creates them from current table content if missing
+     * @param plan {Map<string, TableChange>}
+     * @param table {string}
+     * @returns {TableChange}
      */
-    #resolve_from(arr_from, args) {
-        this.#check_from_and_throw(arr_from);
+    #plan_table(plan, table) {
+        if (!plan.has(table))
+            plan.set(table, {rows: [...this.#tables.get(table)], added: [], removed: []});
+        return plan.get(table);
+    }
 
-        if (arr_from.length == 1)
-            return this.#tables.get(arr_from[0].table)?.map(x => ({[arr_from[0].table]: x})) || [];
+    /**
+     * Returns table content respecting planned changes
+     * @param plan {Map<string, TableChange>}
+     * @param table {string}
+     * @returns {[]}
+     */
+    #planned_rows(plan, table) {
+        return plan.get(table)?.rows || this.#tables.get(table) || [];
+    }
 
-        /**
-         * @type {{[key: string]: any}[][]}
-         */
-        const raw_results = [];
+    /**
+     * Checks all constraints and writes planned changes to tables
+     * @param plan {Map<string, TableChange>}
+     */
+    #apply_plan(plan) {
+        this.#check_plan(plan);
+
+        for (let [table, {rows}] of plan) {
+            // keeping the same array instance
+            const arr_source = this.#tables.get(table);
+            arr_source.splice(0, arr_source.length, ...rows);
+            this.#changed.add(table);
+        }
+    }
 
-        for (let i = 1; i < arr_from.length; i++) {
-            const from = arr_from[i];
-            const {left, right, operator, type} = from.on;
+    /**
+     * Plans referential actions (ON DELETE / ON UPDATE) of foreign keys referencing changed rows
+     * @param plan {Map<string, TableChange>}
+     * @param table {string} - changed table
+     * @param changes {[any, any][]} - pairs of old row and new row. New row is null for deleted ones
+     */
+    #plan_references(plan, table, changes) {
+        for (let schema of this.#schemas.values()) {
+            for (let fk of schema.constraints) {
+                if (fk.type != 'foreign key' || fk.references.table != table)
+                    continue;
+
+                const child_changes = [];
+                for (let [old_row, new_row] of changes) {
+                    const old_key = fk.references.columns.map(x => old_row[x]);
+                    if (old_key.some(x => x == null))
+                        continue;
+                    if (new_row && _.isEqual(old_key, fk.references.columns.map(x => new_row[x])))
+                        continue;
 
-            if (type == 'binary_expr') {
+                    const action = new_row ? fk.on_update : fk.on_delete;
+                    // "restrict" and "no action" are checked after planning
+                    if (!['cascade', 'set null', 'set default'].includes(action))
+                        continue;
+
+                    const change = this.#plan_table(plan, schema.name);
+                    for (let child of [...change.rows]) {
+                        if (!_.isEqual(fk.columns.map(x => child[x]), old_key))
+                            continue;
 
+                        let new_child = null;
+                        if (action == 'cascade' && new_row) {
+                            new_child = {...child};
+                            fk.columns.forEach((x, i) => new_child[x] = new_row[fk.references.columns[i]]);
+                        }
+                        if (action == 'set null' || action == 'set default') {
+                            new_child = {...child};
+                            for (let column of fk.columns) {
+                                new_child[column] = action == 'set null'
+                                    ? null
+                                    : get_value(null, schema.columns.find(x => x.name == column).default, [], this.#context);
+                            }
+                        }
+
+                        const index = change.rows.indexOf(child);
+                        if (new_child) {
+                            check_not_null(schema, new_child);
+                            change.rows[index] = new_child;
+                            change.added.push(new_child);
+                        } else {
+                            change.rows.splice(index, 1);
+                        }
+                        change.removed.push(child);
+                        child_changes.push([child, new_child]);
+                    }
+                }
+
+                if (child_changes.length)
+                    this.#plan_references(plan, schema.name, child_changes);
+            }
+        }
+    }
+
+    /**
+     * Checks planned changes against CHECK, UNIQUE, PRIMARY KEY and FOREIGN KEY constraints
+     * @param plan {Map<string, TableChange>}
+     */
+    #check_plan(plan) {
+        for (let [table, change] of plan) {
+            const schema = this.#schemas.get(table);
+            if (schema) {
+                for (let constraint of schema.constraints) {
+                    switch (constraint.type) {
+                        case 'check':
+                            this.#check_check_constraint(schema, constraint, change);
+                            break;
+
+                        case 'primary key':
+                        case 'unique':
+                            this.#check_unique_constraint(schema, constraint, change);
+                            break;
+
+                        case 'foreign key':
+                            this.#check_foreign_key(plan, schema, constraint, change);
+                            break;
+                    }
+                }
             }
 
-            // TODO: support binary_expr
+            // rows referencing removed ones
+            if (change.removed.length)
+                this.#check_referenced(plan, table, change);
+        }
+    }
 
-            const left_collection = this.#tables.get(left.table);
-            const right_collection = this.#tables.get(right.table);
+    /**
+     * @param schema {TableSchema}
+     * @param constraint {Constraint}
+     * @param change {TableChange}
+     */
+    #check_check_constraint(schema, constraint, change) {
+        for (let row of change.added) {
+            // CHECK is satisfied by unknown result, unlike WHERE
+            if (get_value(row, constraint.check, [], this.#context) === false) {
+                throw pg_error('23514', `new row for relation "${schema.name}" violates check constraint "${constraint.name}"`, {
+                    table: schema.name,
+                    constraint: constraint.name,
+                    detail: failing_row_detail(row),
+                });
+            }
+        }
+    }
 
-            let merged = [];
+    /**
+     * @param schema {TableSchema}
+     * @param constraint {Constraint}
+     * @param change {TableChange}
+     */
+    #check_unique_constraint(schema, constraint, change) {
+        if (!change.added.length)
+            return;
 
-            for (let left_el of left_collection) {
-                const mapped_right = right_collection.find(x => this.#check_binary_exp(left_el[left.column], x[right.column], operator, args));
-                merged.push({left: left_el, right: mapped_right});
+        const keys = new Set();
+        for (let row of change.rows) {
+            const values = constraint.columns.map(x => row[x]);
+            // NULL values are never equal to each other
+            if (values.some(x => x == null))
+                continue;
+
+            const key = values_key(values);
+            if (keys.has(key)) {
+                throw pg_error('23505', `duplicate key value violates unique constraint "${constraint.name}"`, {
+                    table: schema.name,
+                    constraint: constraint.name,
+                    detail: `Key (${constraint.columns.join(', ')})=(${values.join(', ')}) already exists.`,
+                });
             }
+            keys.add(key);
+        }
+    }
 
-            for (let right_el of right_collection) {
-                if (!merged.find(x => x.right == right_el)) {
-                    const mapped_left = left_collection.find(x => this.#check_binary_exp(x[left.column], right_el[right.column], operator, args));
-                    merged.push({left: mapped_left, right: right_el});
+    /**
+     * Checks that added rows are referencing existing ones
+     * @param plan {Map<string, TableChange>}
+     * @param schema {TableSchema}
+     * @param fk {Constraint}
+     * @param change {TableChange}
+     */
+    #check_foreign_key(plan, schema, fk, change) {
+        const parent_rows = this.#planned_rows(plan, fk.references.table);
+        for (let row of change.added) {
+            const values = fk.columns.map(x => row[x]);
+            if (values.some(x => x == null))
+                continue;
+
+            if (!parent_rows.some(x => _.isEqual(fk.references.columns.map(c => x[c]), values))) {
+                throw pg_error('23503', `insert or update on table "${schema.name}" violates foreign key constraint "${fk.name}"`, {
+                    table: schema.name,
+                    constraint: fk.name,
+                    detail: `Key (${fk.columns.join(', ')})=(${values.join(', ')}) is not present in table "${fk.references.table}".`,
+                });
+            }
+        }
+    }
+
+    /**
+     * Checks that removed rows are not referenced anymore ("RESTRICT" and "NO ACTION")
+     * @param plan {Map<string, TableChange>}
+     * @param table {string} - changed table
+     * @param change {TableChange}
+     */
+    #check_referenced(plan, table, change) {
+        for (let schema of this.#schemas.values()) {
+            for (let fk of schema.constraints) {
+                if (fk.type != 'foreign key' || fk.references.table != table)
+                    continue;
+
+                const child_rows = this.#planned_rows(plan, schema.name);
+                for (let row of change.removed) {
+                    const values = fk.references.columns.map(x => row[x]);
+                    if (values.some(x => x == null))
+                        continue;
+
+                    // key still exists, e.g. row was updated without key changes
+                    if (change.rows.some(x => _.isEqual(fk.references.columns.map(c => x[c]), values)))
+                        continue;
+
+                    if (child_rows.some(x => _.isEqual(fk.columns.map(c => x[c]), values))) {
+                        throw pg_error('23503', `update or delete on table "${table}" violates foreign key constraint "${fk.name}" on table "${schema.name}"`, {
+                            table: schema.name,
+                            constraint: fk.name,
+                            detail: `Key (${fk.references.columns.join(', ')})=(${values.join(', ')}) is still referenced from table "${schema.name}".`,
+                        });
+                    }
                 }
             }
+        }
+    }
 
-            let join_result;
+    /**
+     * Checks that foreign key references existing unique columns. Reference without column list
+     * gets primary key columns of referenced table
+     * @param schema {TableSchema} - table with foreign key
+     * @param constraint {Constraint}
+     */
+    #check_foreign_key_target(schema, constraint) {
+        if (constraint.type != 'foreign key')
+            return;
+
+        const {table} = constraint.references;
+        if (!this.#tables.has(table) && table != schema.name)
+            throw pg_error('42P01', `relation "${table}" does not exist`);
+
+        const parent = table == schema.name ? schema : this.#schemas.get(table);
+        if (_.isEqual(constraint.references.columns, ['pg_mock_primary_key'])) {
+            const primary_key = parent?.constraints.find(x => x.type == 'primary key');
+            if (!primary_key)
+                throw pg_error('42830', `there is no primary key for referenced table "${table}"`);
+            if (primary_key.columns.length != constraint.columns.length)
+                throw pg_error('42830', 'number of referencing and referenced columns for foreign key disagree');
+            constraint.references.columns = [...primary_key.columns];
+        }
+        // tables without schema can't be checked
+        if (!parent)
+            return;
 
-            switch (from.join) {
-                case 'INNER JOIN':
-                    join_result = merged.filter(x => x.left && x.right);
-                    break;
+        const {columns} = constraint.references;
 
-                case 'LEFT JOIN':
-                    join_result = merged.filter(x => x.left);
-                    break;
+        for (let column of columns) {
+            if (!parent.columns.some(x => x.name == column))
+                throw pg_error('42703', `column "${column}" referenced in foreign key constraint does not exist`);
+        }
 
-                case 'RIGHT JOIN':
-                    join_result = merged.filter(x => x.right);
-                    break;
+        const unique = parent.constraints.some(x => ['primary key', 'unique'].includes(x.type)
+            && _.isEqual([...x.columns].sort(), [...columns].sort()));
+        if (!unique)
+            throw pg_error('42830', `there is no unique constraint matching given keys for referenced table "${table}"`);
+    }
 
-                case 'CROSS JOIN':
-                case 'FULL JOIN':
-                    join_result = merged;
-                    break;
+    // endregion
 
-                default:
-                    throw new Error('Unknonwn join function: ' + from.join);
+    // region helping methods
+
+    /**
+     * Evaluates common table expressions and executes query within their scope
+     * @param definitions {any[]} - "WITH" clause definitions
+     * @param args {[]}
+     * @param execute {() => PgResult} - main query
+     * @returns {PgResult}
+     */
+    #with(definitions, args, execute) {
+        const scope = new Map();
+        this.#ctes.push(scope);
+        try {
+            for (let cte of definitions) {
+                const name = get_name(cte.name);
+                if (scope.has(name))
+                    throw pg_error('42712', `WITH query name "${name}" specified more than once`);
+                const columns = cte.columns?.map(get_name);
+                const rows = cte.recursive && cte.stmt._next
+                    ? this.#recursive_cte(scope, name, cte.stmt, columns, args)
+                    : this.#cte_rows(cte.stmt, columns, args);
+                scope.set(name, {rows, columns: columns || _.uniq(rows.flatMap(Object.keys))});
             }
+            return execute();
+        } finally {
+            this.#ctes.pop();
+        }
+    }
 
-            merged = merged.map(x => ({
-                ...x.left && {[left.table]: x.left},
-                ...x.right && {[right.table]: x.right},
-            }));
+    /**
+     * Executes common table expression statement. Data modifying statements return "RETURNING" rows
+     * @param stmt {Select | Insert_Replace | Update | Delete}
+     * @param columns {string[] | undefined} - column names declared by "WITH name(columns)"
+     * @param args {[]}
+     * @returns {[]}
+     */
+    #cte_rows(stmt, columns, args) {
+        let rows;
+        switch (stmt.type) {
+            case 'select':
+                // naming select list directly, unnamed columns can have the same name
+                const named = columns && !stmt.columns.some(x => x.expr.type == 'column_ref' && get_name(x.expr) == '*');
+                if (named)
+                    stmt = {...stmt, columns: stmt.columns.map((x, i) => ({...x, as: columns[i] ?? x.as}))};
+                rows = this.#select(stmt, args).rows;
+                if (named)
+                    return rows;
+                break;
+            case 'insert':
+                rows = this.#insert(stmt, args).rows;
+                break;
+            case 'update':
+                rows = this.#update(stmt, args).rows;
+                break;
+            case 'delete':
+                rows = this.#delete(stmt, args).rows;
+                break;
+
+            default:
+                throw not_supported('Unsupported WITH statement: ' + stmt.type);
+        }
+
+        rows = rows || [];
+        return columns ? rows.map(x => _.zipObject(columns, Object.values(x))) : rows;
+    }
+
+    /**
+     * Evaluates "WITH RECURSIVE" expression: non-recursive term UNION [ALL] recursive term,
+     * recursive term is repeated over rows of previous iteration until it returns nothing new
+     * @param scope {Map<string, {rows: [], columns: string[]}>} - scope the expression is declared in
+     * @param name {string}
+     * @param stmt {Select}
+     * @param columns {string[] | undefined} - column names declared by "WITH name(columns)"
+     * @param args {[]}
+     * @returns {[]}
+     */
+    #recursive_cte(scope, name, stmt, columns, args) {
+        const distinct = stmt.set_op == 'union';
+        const seen = new Set();
+        // UNION removes duplicates from result
+        const add_new = rows => rows.filter(x => {
+            if (!distinct)
+                return true;
+            const key = values_key(Object.values(x));
+            return !seen.has(key) && seen.add(key);
+        });
+
+        const result = add_new(this.#cte_rows({...stmt, _next: null, set_op: null}, columns, args));
+        let working = result;
+        while (working.length) {
+            const names = columns || Object.keys(working[0]);
+            scope.set(name, {rows: working, columns: names});
+            working = add_new(this.#cte_rows(stmt._next, names, args));
+            result.push(...working);
+        }
+        return result;
+    }
+
+    /**
+     * Returns common table expression visible in current query
+     * @param name {string}
+     * @returns {{rows: [], columns: string[]} | undefined}
+     */
+    #find_cte(name) {
+        for (let i = this.#ctes.length - 1; i >= 0; i--) {
+            if (this.#ctes[i].has(name))
+                return this.#ctes[i].get(name);
+        }
+    }
+
+    /**
+     * Builds data item for update expressions. Contains target row columns
+     * plus rows from "UPDATE ... FROM" accessible by table name
+     * @param from_item {{[key: string]: any}} - joined source item. Key = table name
+     * @param row {any} - target table row
+     * @param table {string} - target table name
+     * @param alias {string | null} - target table alias
+     * @returns {{[key: string]: any}}
+     */
+    #update_item(from_item, row, table, alias) {
+        return Object.assign({}, ...Object.values(from_item), row, from_item, {
+            [table]: row,
+            ...alias && {[alias]: row},
+        });
+    }
+
+    /**
+     * Maps affected rows by "RETURNING" clause
+     * @param sql {Insert_Replace | Update | Delete}
+     * @param rows {[]} - affected rows
+     * @param from_items {{[key: string]: any}[]} - joined items of "UPDATE ... FROM" matching affected rows
+     * @returns {[] | undefined}
+     */
+    #returning(sql, rows, from_items = []) {
+        if (!sql.returning)
+            return;
+
+        switch (sql.returning.type) {
+            case "returning":
+                // expressions reference target table by name or alias, and tables joined by "UPDATE ... FROM"
+                const {table, as} = sql.table[0];
+                const complete = this.#row_completer(table);
+                const items = rows.map((x, i) => this.#update_item(from_items[i] || {}, complete(x), table, as));
+                if (Array.isArray(sql.returning.columns))
+                    return this.#map_by_columns(items, sql.returning.columns);
+
+                // columns of joined tables follow target table ones
+                if (sql.returning.columns == '*')
+                    return rows.map((x, i) => from_items[i] ? _.defaults({...x}, this.#expand_star(from_items[i])) : x);
+
+                throw not_supported('Unsupported RETURNING clause');
+
+            default:
+                throw not_supported('Unsupported RETURNING type: ' + sql.returning.type);
+        }
+    }
 
-            raw_results.push(merged);
+    /**
+     * Describes returned columns. Types are inferred from query expressions and table schemas,
+     * otherwise guessed by values
+     * @param sql {AST | null}
+     * @param rows {[]} - returned rows
+     * @param columns {{name: string, type?: string, length?: number, scale?: number}[]} - returned columns when known
+     * @returns {FieldDef[]}
+     */
+    #fields(sql, rows, columns = this.#result_columns(sql)) {
+        const names = rows.length ? Object.keys(rows[0]) : columns.map(x => x.name);
+
+        return names.map((name, i) => {
+            // columns match row keys by position, unless there are duplicate names
+            const column = columns.length == names.length ? columns[i] : columns.find(x => x.name == name);
+            const type = column?.type || value_type(rows.find(x => x[name] != null)?.[name]);
+            return {
+                name,
+                tableID: 0,
+                columnID: 0,
+                dataTypeID: type_oid(type),
+                dataTypeSize: -1,
+                dataTypeModifier: column?.type ? type_modifier(type, column.length, column.scale) : -1,
+                format: 'text',
+            };
+        });
+    }
+
+    /**
+     * Returns columns selected by query with their types when known. Types of derived tables,
+     * common table expressions and scalar subqueries are taken from their select lists
+     * @param sql {AST}
+     * @param ctes {Map<string, ColumnSchema[]>} - columns of common table expressions in scope
+     * @returns {{name: string, type?: string, length?: number, scale?: number}[]}
+     */
+    #result_columns(sql, ctes = new Map()) {
+        if (sql.with) {
+            ctes = new Map(ctes);
+            for (let cte of sql.with) {
+                const columns = this.#result_columns(cte.stmt, ctes);
+                const names = cte.columns?.map(get_name) || [];
+                ctes.set(get_name(cte.name), columns.map((x, i) => ({...x, name: names[i] ?? x.name})));
+            }
         }
 
-        const compressed = [];
+        const tables = [(sql.type == 'select' ? sql.from : sql.table) || []].flat();
+        const sources = tables
+            .map(x => ({alias: parse_alias(x.as).name || x.table, schema: this.#typed_source(x, ctes)}))
+            .filter(x => x.schema);
+        const schema_columns = table => sources
+            .filter(x => !table || x.alias == table)
+            .flatMap(x => x.schema.columns);
+        const column_type = (table, name) => schema_columns(table).find(x => x.name == name);
+
+        const columns = sql.type == 'select' ? sql.columns : sql.returning?.columns;
+        if (columns == '*')
+            return schema_columns(null);
+        if (!Array.isArray(columns))
+            return [];
+
+        const query_type = ast => _.pick(this.#result_columns(ast, ctes)[0], ['type', 'length', 'scale']);
+        return columns.flatMap(x => {
+            if (x.expr.type == 'column_ref' && get_name(x.expr) == '*')
+                return schema_columns(get_name(x.expr.table));
+            return [{name: x.as || get_column_name(x.expr), ...expression_type(x.expr, column_type, query_type)}];
+        });
+    }
+
+    /**
+     * Returns typed columns of source in "FROM" clause: table, derived table or common table expression.
+     * Column names of alias list replace source ones
+     * @param from {From}
+     * @param ctes {Map<string, ColumnSchema[]>} - columns of common table expressions in scope
+     * @returns {{columns: ColumnSchema[]} | undefined}
+     */
+    #typed_source(from, ctes) {
+        let schema;
+        if (from.expr?.ast)
+            schema = {columns: this.#result_columns(from.expr.ast, ctes)};
+        else if (from.table && !from.db && ctes.has(from.table))
+            schema = {columns: ctes.get(from.table)};
+        else if (from.table)
+            schema = this.#source_schema(from);
+
+        const names = parse_alias(from.as).columns;
+        if (!schema || !names.length)
+            return schema;
+        return {columns: schema.columns.map((x, i) => ({...x, name: names[i] ?? x.name}))};
+    }
+
+    /**
+     * Returns schema of table in "FROM" clause, information_schema views have their own ones
+     * @param from {From}
+     * @returns {{columns: ColumnSchema[]} | undefined}
+     */
+    #source_schema(from) {
+        return from.db == 'information_schema' ? information_schema_view(from.table) : this.#schemas.get(from.table);
+    }
+
+    /**
+     * Map source items by passed columns expressions
+     * @param arr {{[key: string]: any}[]} - selected sources. Can be from different tables.
+     * Key = table name, value = data item
+     * @param columns {Column[]}
+     * @param args {[]} - sql args
+     */
+    #map_by_columns(arr, columns, args = []) {
+        if (!arr || !columns)
+            return;
+        if (!arr.length)
+            return [];
+
+        return arr.map(x => {
+            const copy = {};
 
-        for (let per_table of raw_results) {
-            for (let mapped_value of per_table) {
-                const keys = Object.keys(mapped_value);
-                let existing = compressed.find(x => _.isEqual(_.pick(x, keys), mapped_value));
-                if (!existing)
-                    compressed.push(existing = mapped_value);
-                else
-                    Object.assign(existing, mapped_value);
+            for (let column of columns) {
+                if (!column.expr)
+                    throw not_supported('Unsupported column in select list');
+
+                if (column.expr.type == 'column_ref' && get_name(column.expr) == '*') {
+                    Object.assign(copy, this.#expand_star(x, get_name(column.expr.table)));
+                    continue;
+                }
+
+                copy[column.as || get_column_name(column.expr)] = get_value(x, column.expr, args, this.#context);
             }
+
+            return copy;
+        });
+    }
+
+    /**
+     * Returns columns selected by "*" or "table.*"
+     * @param item {{[key: string]: any}} - source item
+     * @param table {string | null} - table name or alias, all tables if missing
+     * @returns {{[key: string]: any}}
+     */
+    #expand_star(item, table) {
+        if (table) {
+            if (!_.isPlainObject(item[table]))
+                throw pg_error('42P01', `missing FROM-clause entry for table "${table}"`);
+            return item[table];
         }
 
-        return compressed;
+        // merged "USING" columns go first and only once
+        const using = item[USING_COLUMNS] || {};
+        const result = {...using};
+        for (let source of Object.values(item).filter(_.isPlainObject)) {
+            for (let [key, value] of Object.entries(source)) {
+                if (!using.hasOwnProperty(key))
+                    result[key] = value;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Checks if data item matches condition
+     * @param item {any} - data item
+     * @param exp {Expr | Function} - SQL where clause
+     * @param args {[]} - sql args
+     * @returns {boolean}
+     */
+    #check_where(item, exp, args) {
+        return !!get_value(item, exp, args, this.#context);
+    }
+
+    /**
+     * Resolves "FROM" clause into source items, joining tables left to right
+     * @param arr_from {From[]}
+     * @param args {[]}
+     * @param outer {any} - outer query data item for subqueries
+     * @returns {({[key: string]: any})[]} - source items. Key = table alias or name, value = table row
+     */
+    #resolve_from(arr_from, args, outer = undefined) {
+        /** @type {{name: string, columns: string[]}[]}*/
+        const sources = [];
+        let items = [outer ? {[OUTER_ITEM]: outer} : {}];
+
+        for (let from of arr_from) {
+            const fn_name = from.expr?.type == 'function' && get_function_name(from.expr);
+            const alias = parse_alias(from.as);
+            const name = alias.name || from.table || fn_name || 'unnamed_subquery';
+            if (sources.some(x => x.name == name))
+                throw pg_error('42712', `table name "${name}" specified more than once`);
+
+            let rows, columns;
+            const cte = from.table && !from.db && this.#find_cte(from.table);
+            if (from.db == 'information_schema') {
+                const view = information_schema_view(from.table);
+                rows = view.rows(this);
+                columns = view.columns.map(x => x.name);
+            } else if (cte) {
+                ({rows, columns} = cte);
+            } else if (from.expr?.ast) {
+                // derived table "FROM (SELECT ...) AS t"
+                rows = this.#select(from.expr.ast, args).rows;
+                columns = _.uniq(rows.flatMap(Object.keys));
+            } else if (fn_name) {
+                rows = this.#function_rows(from, args);
+                columns = this.#function_columns(from);
+            } else if (from.expr?.type == 'values') {
+                // "FROM (VALUES ...) AS t" has columns column1, column2 and so on
+                const values = from.expr.values.map(x => x.value.map(exp => get_value(null, exp, args, this.#context)));
+                columns = values[0].map((x, i) => 'column' + (i + 1));
+                if (values.some(x => x.length != columns.length))
+                    throw pg_error('42601', 'VALUES lists must all be the same length');
+                rows = values.map(x => _.zipObject(columns, x));
+            } else {
+                rows = get_table_from_sql(this.#tables, from).map(this.#row_completer(from.table));
+                columns = this.#table_columns(from.table);
+            }
+
+            // "AS t(a, b)" renames leading columns
+            if (alias.columns.length) {
+                if (alias.columns.length > columns.length)
+                    throw pg_error('42P10', `table "${name}" has ${columns.length} columns available but ${alias.columns.length} columns specified`);
+                const [source_columns, source_rows] = [columns, rows];
+                const renamed = columns.map((x, i) => alias.columns[i] ?? x);
+                const rename = row => _.zipObject(renamed, source_columns.map(x => row[x]));
+                rows = typeof rows == 'function' ? left => source_rows(left).map(rename) : rows.map(rename);
+                columns = renamed;
+            }
+
+            const source = {name, columns};
+            items = this.#join(items, sources, source, rows, from, args);
+            sources.push(source);
+        }
+
+        return items;
+    }
+
+    /**
+     * Returns column names of function in "FROM" clause. Alias names the only column
+     * @param from {From}
+     * @returns {string[]}
+     */
+    #function_columns(from) {
+        const name = get_function_name(from.expr);
+        const alias = parse_alias(from.as).name;
+        if (!is_set_function(name))
+            return [alias || name.toLowerCase()];
+
+        const columns = set_function_columns(name);
+        return columns.length == 1 && alias ? [alias] : columns;
+    }
+
+    /**
+     * Returns rows of function in "FROM" clause. Function arguments can refer to tables on the left,
+     * like LATERAL does, so rows are returned for each left source item
+     * @param from {From}
+     * @param args {[]}
+     * @returns {(left: {[key: string]: any}) => {[key: string]: any}[]}
+     */
+    #function_rows(from, args) {
+        const name = get_function_name(from.expr);
+        const columns = this.#function_columns(from);
+        return left => {
+            const fn_args = (from.expr.args?.value || []).map(x => get_value(left, x, args, this.#context));
+            // scalar function gives single row
+            const rows = is_set_function(name)
+                ? call_set_function(name, fn_args, this.#context).rows
+                : [[call_function(name, fn_args, this.#context)]];
+            return rows.map(values => _.zipObject(columns, values));
+        };
+    }
+
+    /**
+     * Joins table rows to source items using nested loop
+     * @param items {{[key: string]: any}[]} - source items joined so far
+     * @param sources {{name: string, columns: string[]}[]} - tables joined so far
+     * @param source {{name: string, columns: string[]}} - joined table
+     * @param rows {[] | ((left: {[key: string]: any}) => [])} - joined table rows or function returning them
+     * for left source item
+     * @param from {From} - join definition
+     * @param args {[]}
+     * @returns {{[key: string]: any}[]}
+     */
+    #join(items, sources, source, rows, from, args) {
+        // comma separated tables are cross joined
+        const kind = from.join?.replace(/\s*(OUTER\s+)?JOIN$/i, '').toUpperCase() || 'CROSS';
+
+        // NATURAL join is a join without condition, see compat.js
+        let using = from.using?.map(get_name);
+        if (!using && !from.on && kind != 'CROSS')
+            using = source.columns.filter(x => sources.some(s => s.columns.includes(x)));
+
+        const join_item = (left, row) => {
+            const item = {...left, [source.name]: row};
+            // "USING" columns are merged into single one
+            if (using?.length) {
+                item[USING_COLUMNS] = {...left[USING_COLUMNS]};
+                for (let column of using)
+                    item[USING_COLUMNS][column] = get_value(left, {type: 'column_ref', column}, args) ?? row[column];
+            }
+            return item;
+        };
+
+        const matches = (left, item, row) => {
+            if (using) {
+                return using.every(column => {
+                    const value = get_value(left, {type: 'column_ref', column}, args);
+                    return value != null && calc_binary(value, row[column], '=');
+                });
+            }
+            return !from.on || this.#check_where(item, from.on, args);
+        };
+
+        const result = [];
+        const matched_rows = new Set();
+        for (let left of items) {
+            let matched = false;
+            for (let row of typeof rows == 'function' ? rows(left) : rows) {
+                const item = join_item(left, row);
+                if (!matches(left, item, row))
+                    continue;
+
+                matched = true;
+                matched_rows.add(row);
+                result.push(item);
+            }
+
+            // outer joins keep unmatched rows, filling missing side with NULLs
+            if (!matched && (kind == 'LEFT' || kind == 'FULL'))
+                result.push(join_item(left, this.#null_row(source.columns)));
+        }
+
+        if ((kind == 'RIGHT' || kind == 'FULL') && typeof rows != 'function') {
+            const null_left = Object.fromEntries(sources.map(x => [x.name, this.#null_row(x.columns)]));
+            for (let row of rows) {
+                if (!matched_rows.has(row))
+                    result.push(join_item(null_left, row));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Returns table column names. Tables without schema have columns of their rows
+     * @param table {string}
+     * @returns {string[]}
+     */
+    #table_columns(table) {
+        const schema = this.#schemas.get(table);
+        if (schema)
+            return schema.columns.map(x => x.name);
+        return _.uniq(this.#tables.get(table)?.flatMap(Object.keys) || []);
+    }
+
+    /**
+     * Replaces every row of table with changed copy, rows are never changed in place
+     * @param table {string}
+     * @param change {(row: any) => any}
+     */
+    #map_rows(table, change) {
+        const rows = this.#tables.get(table);
+        rows.splice(0, rows.length, ...rows.map(change));
+        this.#changed.add(table);
+    }
+
+    /**
+     * Returns function adding missing columns to table rows. Rows of tables without schema
+     * can miss columns other rows have, but every column should be resolvable
+     * @param table {string}
+     * @returns {(row: any) => any}
+     */
+    #row_completer(table) {
+        if (this.#schemas.has(table))
+            return row => row;
+
+        const empty = this.#null_row(this.#table_columns(table));
+        return row => ({...empty, ...row});
+    }
+
+    /**
+     * Builds row with NULL in every column, used for missing side of outer joins
+     * @param columns {string[]}
+     * @returns {{[key: string]: null}}
+     */
+    #null_row(columns) {
+        return Object.fromEntries(columns.map(x => [x, null]));
     }
 
     // endregion
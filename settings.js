@@ -0,0 +1,146 @@
+const {pg_error, not_supported} = require('./errors.js');
+
+/**
+ * Run-time parameters known to the mock with their default values. Key = parameter name the way SHOW reports it
+ * @type {{[key: string]: string}}
+ */
+const DEFAULT_SETTINGS = {
+    server_version: '16.0',
+    server_version_num: '160000',
+    server_encoding: 'UTF8',
+    client_encoding: 'UTF8',
+    max_identifier_length: '63',
+    integer_datetimes: 'on',
+    standard_conforming_strings: 'on',
+    DateStyle: 'ISO, MDY',
+    IntervalStyle: 'postgres',
+    TimeZone: 'UTC',
+    search_path: '"$user", public',
+    application_name: '',
+    client_min_messages: 'notice',
+    statement_timeout: '0',
+    lock_timeout: '0',
+    idle_in_transaction_session_timeout: '0',
+    transaction_isolation: 'read committed',
+    default_transaction_isolation: 'read committed',
+    check_function_bodies: 'on',
+    row_security: 'on',
+    xmloption: 'content',
+    default_tablespace: '',
+    default_table_access_method: 'heap',
+    extra_float_digits: '1',
+    synchronous_commit: 'on',
+};
+
+/**
+ * Parameters set by server, "SET" fails for them
+ * @type {string[]}
+ */
+const READ_ONLY_SETTINGS = ['server_version', 'server_version_num', 'server_encoding', 'max_identifier_length', 'integer_datetimes'];
+
+/**
+ * Time zone names "SET TIME ZONE" accepts, session time zone is always UTC
+ * @type {string[]}
+ */
+const UTC_NAMES = ['utc', 'etc/utc', 'gmt', 'z', 'zulu', '0', '+00', '+00:00'];
+
+/**
+ * Run-time parameters of client connection. Values are kept and reported back by "SHOW",
+ * only the time zone is checked, since date and time functions work in UTC.
+ * Session values are not rolled back together with transaction
+ */
+class Settings {
+    /**
+     * Values changed by "SET". Key = lower cased name
+     * @type {Map<string, {name: string, value: string}>}
+     */
+    #values = new Map();
+    /**
+     * Values of "SET LOCAL", they last until the end of transaction
+     * @type {{transaction: Transaction, values: Map<string, {name: string, value: string}>} | null}
+     */
+    #local = null;
+
+    /**
+     * Returns parameter value
+     * @param name {string} - lower cased name
+     * @param transaction {Transaction | null} - current transaction
+     * @returns {{name: string, value: string}}
+     */
+    get(name, transaction) {
+        if (name == 'transaction_isolation')
+            return {name, value: transaction?.isolation || this.get('default_transaction_isolation', null).value};
+
+        const local = this.#local?.transaction === transaction ? this.#local.values.get(name) : null;
+        const setting = local || this.#values.get(name) || this.#default(name);
+        if (!setting)
+            throw pg_error('42704', `unrecognized configuration parameter "${name}"`);
+        return setting;
+    }
+
+    /**
+     * Returns all parameters, "SHOW ALL"
+     * @param transaction {Transaction | null}
+     * @returns {{name: string, value: string}[]}
+     */
+    all(transaction) {
+        const names = new Set([...Object.keys(DEFAULT_SETTINGS).map(x => x.toLowerCase()), ...this.#values.keys()]);
+        return [...names].sort().map(x => this.get(x, transaction));
+    }
+
+    /**
+     * Changes parameter value. Names containing dot are custom parameters, any of them is accepted
+     * @param name {string} - lower cased name
+     * @param value {string | null} - null resets parameter to default
+     * @param transaction {Transaction | null} - transaction of "SET LOCAL", null for session value
+     */
+    set(name, value, transaction) {
+        const setting = this.#default(name);
+        if (!setting && !name.includes('.'))
+            throw pg_error('42704', `unrecognized configuration parameter "${name}"`);
+        if (READ_ONLY_SETTINGS.includes(name))
+            throw pg_error('55P02', `parameter "${name}" cannot be changed`);
+        if (name == 'timezone' && value != null && !UTC_NAMES.includes(value.toLowerCase()))
+            throw not_supported(`time zone "${value}" is not supported, session time zone is UTC`);
+
+        let values = this.#values;
+        if (transaction) {
+            if (this.#local?.transaction !== transaction)
+                this.#local = {transaction, values: new Map()};
+            values = this.#local.values;
+        }
+
+        if (value == null && !transaction)
+            values.delete(name);
+        else
+            values.set(name, {name: setting?.name || name, value: value ?? setting?.value ?? ''});
+    }
+
+    /**
+     * Returns parameter to default value, "RESET ALL" resets all of them
+     * @param name {string} - lower cased name
+     */
+    reset(name) {
+        if (name == 'all') {
+            this.#values.clear();
+            this.#local = null;
+            return;
+        }
+        this.set(name, null, null);
+    }
+
+    /**
+     * Returns default value of known parameter
+     * @param name {string} - lower cased name
+     * @returns {{name: string, value: string} | undefined}
+     */
+    #default(name) {
+        const key = Object.keys(DEFAULT_SETTINGS).find(x => x.toLowerCase() == name);
+        return key && {name: key, value: DEFAULT_SETTINGS[key]};
+    }
+}
+
+module.exports = {
+    Settings,
+    DEFAULT_SETTINGS,
+};
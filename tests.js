@@ -1,8 +1,14 @@
 process.env.TESTS = 'true';
 
 const _ = require('lodash');
-const {ok, deepEqual} = require('assert');
-const {PgMock} = require('./index.js');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const {ok, deepEqual, rejects} = require('assert');
+const {PgMock, PgMockPool, PgMockServer, Database, DatabaseSnapshot, DatabaseError, NotSupportedError} = require('./index.js');
 
 
 describe('select', () => {
@@ -39,7 +45,7 @@ describe('select', () => {
         await client.connect();
 
         const map = client._tests_only_table_map;
-        map.set('users', users);
+        map.set('users', users.map(x => ({...x})));
     });
 
     it('works', async () => {
@@ -62,6 +68,12 @@ describe('select', () => {
         const {rows} = await client.query('select * from users limit 2 offset 1');
         ok(_.isEqual(rows, users.slice(1, 3)))
     });
+    it('offset without limit and limit 0', async () => {
+        let {rows} = await client.query('select * from users offset 3');
+        deepEqual(rows, users.slice(3));
+        ({rows} = await client.query('select * from users limit 0'));
+        deepEqual(rows, []);
+    });
     it('[SQL params] limit with offset', async () => {
         const {rows} = await client.query('select * from users limit $2 offset $1',
             [
@@ -110,12 +122,12 @@ describe('select', () => {
         ok(_.isEqual(rows, slice));
     });
     it('[SQL params] select where LIKE', async () => {
-        const {rows} = await client.query('select * from users where money LIKE $1', [567]);
+        const {rows} = await client.query('select * from users where money LIKE $1', ['%567%']);
         const slice = users.filter(x => ('' + x.money).includes('567'));
         ok(_.isEqual(rows, slice));
     });
     it('[SQL params] select where NOT LIKE', async () => {
-        const {rows} = await client.query('select * from users where money not like $1', [567]);
+        const {rows} = await client.query('select * from users where money not like $1', ['%567%']);
         const slice = users.filter(x => !('' + x.money).includes('567'));
         ok(_.isEqual(rows, slice));
     });
@@ -195,6 +207,963 @@ describe('select', () => {
                 price: x.price,
             }));
         });
+        it('one to many', async () => {
+            const {rows} = await client.query(`select u.name, h.name as product from users u
+                                               join history h on h.client_id = u.id and h.price > 100`);
+            deepEqual(rows, [
+                {name: 'Richy', product: 'Computer'},
+                {name: 'Richy', product: 'Car'},
+                {name: 'Richy', product: 'House'},
+                {name: 'Regular', product: 'Restaurant'},
+            ]);
+        });
+        it('left join', async () => {
+            const {rows} = await client.query(`select u.id, h.name as product from users u
+                                               left join history h on h.client_id = u.id where u.id < 3`);
+            deepEqual(rows, [
+                {id: 1, product: null},
+                {id: 2, product: 'Computer'},
+                {id: 2, product: 'Car'},
+                {id: 2, product: 'House'},
+            ]);
+        });
+        it('right and full join', async () => {
+            client._tests_only_table_map.set('orders', [{user_id: 3, total: 10}, {user_id: 99, total: 20}]);
+            let {rows} = await client.query('select users.id, orders.total from users right join orders on orders.user_id = users.id');
+            deepEqual(rows, [{id: 3, total: 10}, {id: null, total: 20}]);
+
+            ({rows} = await client.query('select users.id, orders.total from users full outer join orders on orders.user_id = users.id'));
+            deepEqual(rows, [
+                {id: 1, total: null},
+                {id: 2, total: null},
+                {id: 3, total: 10},
+                {id: 4, total: null},
+                {id: null, total: 20},
+            ]);
+        });
+        it('self join', async () => {
+            client._tests_only_table_map.set('staff', [
+                {id: 1, name: 'Boss', manager_id: null},
+                {id: 2, name: 'Worker', manager_id: 1},
+                {id: 3, name: 'Intern', manager_id: 2},
+            ]);
+            const {rows} = await client.query(`select e.name, m.name as manager from staff e
+                                               left join staff m on e.manager_id = m.id order by e.id`);
+            deepEqual(rows, [
+                {name: 'Boss', manager: null},
+                {name: 'Worker', manager: 'Boss'},
+                {name: 'Intern', manager: 'Worker'},
+            ]);
+        });
+        it('cross and comma joins', async () => {
+            client._tests_only_table_map.set('sizes', [{size: 'S'}, {size: 'L'}]);
+            client._tests_only_table_map.set('colors', [{color: 'red'}, {color: 'blue'}]);
+            const expected = [
+                {size: 'S', color: 'red'},
+                {size: 'S', color: 'blue'},
+                {size: 'L', color: 'red'},
+                {size: 'L', color: 'blue'},
+            ];
+            let {rows} = await client.query('select * from sizes cross join colors');
+            deepEqual(rows, expected);
+            ({rows} = await client.query('select size, color from sizes, colors'));
+            deepEqual(rows, expected);
+        });
+        it('join keywords inside quotes', async () => {
+            await client.query('create table "natural join" ("cross join" text)');
+            await client.query('insert into "natural join" values (\'a cross join b\') -- natural left join');
+            const {rows} = await client.query(`select "cross join", 'x is distinct from y' as text, 'uuid[]' as type
+                                               from "natural join" /* cross join */`);
+            deepEqual(rows, [{'cross join': 'a cross join b', text: 'x is distinct from y', type: 'uuid[]'}]);
+        });
+        it('using and natural', async () => {
+            client._tests_only_table_map.set('emails', [{id: 2, email: 'rich@mail.com'}, {id: 5, email: 'nobody@mail.com'}]);
+            let {rows} = await client.query('select * from users join emails using (id)');
+            deepEqual(rows, [{...users[1], email: 'rich@mail.com'}]);
+
+            ({rows} = await client.query('select id, email from emails natural left join users order by id desc'));
+            deepEqual(rows, [{id: 5, email: 'nobody@mail.com'}, {id: 2, email: 'rich@mail.com'}]);
+        });
+        it('multiple tables', async () => {
+            client._tests_only_table_map.set('reviews', [{product: 'Car', stars: 5}, {product: 'Bread', stars: 1}]);
+            const {rows} = await client.query(`select u.name, h.name as product, r.stars from users u
+                                               join history h on h.client_id = u.id
+                                               join reviews r on r.product = h.name`);
+            deepEqual(rows, [
+                {name: 'Richy', product: 'Car', stars: 5},
+                {name: 'Mister', product: 'Bread', stars: 1},
+            ]);
+        });
+        it('ambiguous column', async () => {
+            await rejects(client.query('select name from users join history on history.client_id = users.id'), {code: '42702', message: 'column reference "name" is ambiguous'});
+        });
+    });
+});
+
+describe('aggregates', () => {
+    const history = [
+        {client_id: 1, name: 'Phone', price: 1_000, paid: true},
+        {client_id: 2, name: 'Car', price: 24_000, paid: false},
+        {client_id: 3, name: 'Bread', price: 4, paid: true},
+        {client_id: 2, name: 'House', price: 100_000, paid: true},
+        {client_id: 3, name: 'Milk', price: 2, paid: true},
+        {client_id: 4, name: 'Gift', price: null, paid: null},
+    ];
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        client._tests_only_table_map.set('history', history);
+        client._tests_only_table_map.set('empty', []);
+    });
+
+    it('count', async () => {
+        const {rows} = await client.query('select count(*), count(price) as prices, count(distinct client_id) as clients from history');
+        deepEqual(rows, [{count: '6', prices: '5', clients: '4'}]);
+    });
+    it('over zero rows', async () => {
+        const {rows} = await client.query('select count(*), sum(price), avg(price), max(price), array_agg(price) from empty');
+        deepEqual(rows, [{count: '0', sum: null, avg: null, max: null, array_agg: null}]);
+    });
+    it('sum, avg, min, max', async () => {
+        const {rows} = await client.query('select sum(price), avg(price), min(price), max(price) from history where client_id = 3');
+        deepEqual(rows, [{sum: '6', avg: '3.0000000000000000', min: 2, max: 4}]);
+    });
+    it('avg scale', async () => {
+        let {rows} = await client.query('select avg(price) from history where client_id = 1 or name = \'Milk\'');
+        deepEqual(rows, [{avg: '501.0000000000000000'}]);
+        ({rows} = await client.query('select avg(price) from history where client_id <> 2'));
+        deepEqual(rows, [{avg: '335.3333333333333333'}]);
+    });
+    it('[SQL params] group by', async () => {
+        const {rows} = await client.query('select client_id, sum(price) as total, count(*) from history where price > $1 group by client_id', [3]);
+        deepEqual(rows, [
+            {client_id: 1, total: '1000', count: '1'},
+            {client_id: 2, total: '124000', count: '2'},
+            {client_id: 3, total: '4', count: '1'},
+        ]);
+    });
+    it('[SQL params] having', async () => {
+        const {rows} = await client.query('select client_id, sum(price) from history group by client_id having sum(price) > $1', [999]);
+        deepEqual(rows, [
+            {client_id: 1, sum: '1000'},
+            {client_id: 2, sum: '124000'},
+        ]);
+    });
+    it('group by position and order by aggregate', async () => {
+        const {rows} = await client.query('select client_id, count(*) as cnt from history group by 1 order by cnt desc, client_id');
+        deepEqual(rows.map(x => x.client_id), [2, 3, 1, 4]);
+    });
+    it('aggregates are compared as numbers', async () => {
+        client._tests_only_table_map.set('history', [...history, ..._.times(10, i => ({client_id: 5, name: 'Pen', price: i, paid: true}))]);
+        let {rows} = await client.query(`select client_id, count(*) from history group by client_id
+                                         having count(*) > 9 or sum(price) > 100000 order by count(*) desc`);
+        deepEqual(rows, [{client_id: 5, count: '10'}, {client_id: 2, count: '2'}]);
+        ({rows} = await client.query(`select max(cnt) as most, max(total) as top
+                                      from (select count(*) as cnt, sum(price) as total from history group by client_id) as t`));
+        deepEqual(rows, [{most: '10', top: '124000'}]);
+    });
+    it('ungrouped columns', async () => {
+        await client.query(`create table clients (id int primary key, name text, city text);
+                            insert into clients values (1, 'Ann', 'Oslo'), (2, 'Bob', 'Oslo')`);
+        const queries = {
+            'select name, count(*) from clients': 'name',
+            'select name from clients group by city': 'name',
+            'select city from clients group by city order by name': 'name',
+            'select * from clients group by city': 'id',
+        };
+        for (let [sql, column] of Object.entries(queries)) {
+            await rejects(client.query(sql), {code: '42803', message: `column "clients.${column}" must appear in the GROUP BY clause or be used in an aggregate function`});
+        }
+
+        // grouping by primary key makes other columns grouped
+        const {rows} = await client.query(`select c.name, count(h.name) as bought from clients c left join history h on h.client_id = c.id
+                                           group by c.id order by c.id`);
+        deepEqual(rows, [{name: 'Ann', bought: '1'}, {name: 'Bob', bought: '2'}]);
+    });
+    it('filter', async () => {
+        const {rows} = await client.query('select count(*) filter (where price > 100) as expensive, sum(price) filter (where paid = true) as paid from history');
+        deepEqual(rows, [{expensive: '3', paid: '101006'}]);
+    });
+    it('bool_and, bool_or', async () => {
+        const {rows} = await client.query('select client_id, bool_and(paid), bool_or(paid) from history group by client_id');
+        deepEqual(rows, [
+            {client_id: 1, bool_and: true, bool_or: true},
+            {client_id: 2, bool_and: false, bool_or: true},
+            {client_id: 3, bool_and: true, bool_or: true},
+            {client_id: 4, bool_and: null, bool_or: null},
+        ]);
+    });
+    it('string_agg, array_agg, json_agg', async () => {
+        const {rows} = await client.query(`select string_agg(name, ', ') as names, array_agg(price order by price desc) as prices,
+                                           json_agg(paid) as paid from history where client_id = 2 or client_id = 3`);
+        deepEqual(rows, [{
+            names: 'Car, Bread, House, Milk',
+            prices: [100_000, 24_000, 4, 2],
+            paid: [false, true, true, true],
+        }]);
+    });
+});
+
+describe('subqueries', () => {
+    const users = [
+        {id: 1, name: 'John', money: 0},
+        {id: 2, name: 'Richy', money: 1_000},
+        {id: 3, name: 'Mister', money: 100},
+    ];
+    const orders = [
+        {user_id: 2, total: 50},
+        {user_id: 2, total: 700},
+        {user_id: 3, total: 10},
+        {user_id: null, total: 1},
+    ];
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        client._tests_only_table_map.set('users', users);
+        client._tests_only_table_map.set('orders', orders);
+    });
+
+    it('[SQL params] in', async () => {
+        const {rows} = await client.query('select name from users where id in (select user_id from orders where total > $1)', [20]);
+        deepEqual(rows, [{name: 'Richy'}]);
+    });
+    it('in list and not in', async () => {
+        let {rows} = await client.query('select name from users where id in (1, 3)');
+        deepEqual(rows, [{name: 'John'}, {name: 'Mister'}]);
+
+        // NULL inside NOT IN list makes result unknown
+        ({rows} = await client.query('select name from users where id not in (select user_id from orders)'));
+        deepEqual(rows, []);
+        ({rows} = await client.query('select name from users where id not in (select user_id from orders where user_id is not null)'));
+        deepEqual(rows, [{name: 'John'}]);
+    });
+    it('correlated exists', async () => {
+        let {rows} = await client.query('select name from users u where exists (select 1 from orders o where o.user_id = u.id)');
+        deepEqual(rows, [{name: 'Richy'}, {name: 'Mister'}]);
+
+        ({rows} = await client.query('select name from users where not exists (select 1 from orders where user_id = users.id)'));
+        deepEqual(rows, [{name: 'John'}]);
+    });
+    it('scalar subquery in select list', async () => {
+        const {rows} = await client.query(`select name, (select count(*) from orders where orders.user_id = users.id) as cnt,
+                                           (select max(total) from orders where user_id = users.id) as max from users`);
+        deepEqual(rows, [
+            {name: 'John', cnt: '0', max: null},
+            {name: 'Richy', cnt: '2', max: 700},
+            {name: 'Mister', cnt: '1', max: 10},
+        ]);
+    });
+    it('scalar subquery in where', async () => {
+        const {rows} = await client.query('select name from users where money > (select avg(money) from users)');
+        deepEqual(rows, [{name: 'Richy'}]);
+    });
+    it('any and all', async () => {
+        let {rows} = await client.query('select name from users where money > all (select total from orders where user_id is not null)');
+        deepEqual(rows, [{name: 'Richy'}]);
+        ({rows} = await client.query('select name from users where id = any (select user_id from orders)'));
+        deepEqual(rows, [{name: 'Richy'}, {name: 'Mister'}]);
+    });
+    it('more than one row', async () => {
+        await rejects(client.query('select (select total from orders where user_id = 2) from users'), {
+            code: '21000',
+            message: 'more than one row returned by a subquery used as an expression',
+        });
+    });
+    it('VALUES list', async () => {
+        const {rows} = await client.query(`select u.name, v.label from (values (1, 'first'), (2, 'second')) as v(id, label)
+                                           join users u on u.id = v.id order by v.id`);
+        deepEqual(rows, [{name: 'John', label: 'first'}, {name: 'Richy', label: 'second'}]);
+        deepEqual((await client.query('select * from (values (1), (null)) v')).rows, [{column1: 1}, {column1: null}]);
+        await rejects(client.query('select * from (values (1), (2, 3)) v'), {code: '42601', message: 'VALUES lists must all be the same length'});
+    });
+    it('derived table', async () => {
+        const {rows} = await client.query(`select u.name, t.spent from users u
+                                           join (select user_id, sum(total) as spent from orders group by user_id) as t
+                                           on t.user_id = u.id order by t.spent desc`);
+        deepEqual(rows, [{name: 'Richy', spent: '750'}, {name: 'Mister', spent: '10'}]);
+    });
+    it('subquery in update and delete', async () => {
+        client._tests_only_table_map.set('users', users.map(x => ({...x})));
+        await client.query('update users set money = (select sum(total) from orders where user_id = users.id) where id in (select user_id from orders)');
+        await client.query('delete from users where not exists (select 1 from orders where orders.user_id = users.id)');
+        deepEqual(client._tests_only_table_map.get('users'), [
+            {id: 2, name: 'Richy', money: '750'},
+            {id: 3, name: 'Mister', money: '10'},
+        ]);
+    });
+});
+
+describe('with', () => {
+    const categories = [
+        {id: 1, parent_id: null, name: 'Root'},
+        {id: 2, parent_id: 1, name: 'Books'},
+        {id: 3, parent_id: 2, name: 'Fiction'},
+        {id: 4, parent_id: 1, name: 'Music'},
+        {id: 5, parent_id: 3, name: 'Fantasy'},
+    ];
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        client._tests_only_table_map.set('categories', categories.map(x => ({...x})));
+    });
+
+    it('[SQL params] chained expressions', async () => {
+        const {rows} = await client.query(`with children as (select * from categories where parent_id = $1),
+                                                grandchildren as (select c.name from categories c join children p on c.parent_id = p.id)
+                                           select name from grandchildren`, [1]);
+        deepEqual(rows, [{name: 'Fiction'}]);
+    });
+    it('shadows table and declares columns', async () => {
+        const {rows} = await client.query('with categories(x, y) as (select 1, 2) select * from categories');
+        deepEqual(rows, [{x: 1, y: 2}]);
+    });
+    it('recursive tree walk', async () => {
+        const {rows} = await client.query(`with recursive tree as (
+                                               select id, name, 0 as depth from categories where id = 2
+                                               union all
+                                               select c.id, c.name, t.depth + 1 from categories c join tree t on c.parent_id = t.id
+                                           )
+                                           select name, depth from tree`);
+        deepEqual(rows, [
+            {name: 'Books', depth: 0},
+            {name: 'Fiction', depth: 1},
+            {name: 'Fantasy', depth: 2},
+        ]);
+    });
+    it('recursive counter with column list', async () => {
+        const {rows} = await client.query('with recursive t(n) as (select 1 union all select n + 1 from t where n < 5) select sum(n) from t');
+        deepEqual(rows, [{sum: '15'}]);
+    });
+    it('recursive union stops on cycles', async () => {
+        client._tests_only_table_map.set('edges', [{a: 1, b: 2}, {a: 2, b: 3}, {a: 3, b: 1}]);
+        const {rows} = await client.query(`with recursive reachable(node) as (
+                                               select 1 union select e.b from edges e join reachable r on e.a = r.node
+                                           ) select node from reachable order by node`);
+        deepEqual(rows, [{node: 1}, {node: 2}, {node: 3}]);
+    });
+    it('duplicate names', async () => {
+        await rejects(client.query('with a as (select 1), a as (select 2) select * from a'),
+            {code: '42712', message: 'WITH query name "a" specified more than once'});
+    });
+    it('data modifying', async () => {
+        client._tests_only_table_map.set('archive', []);
+        const {rowCount} = await client.query(`with moved as (delete from categories where parent_id = 2 or parent_id = 3 returning *)
+                                               insert into archive select * from moved`);
+        deepEqual(rowCount, 2);
+        deepEqual(client._tests_only_table_map.get('archive'), [categories[2], categories[4]]);
+        deepEqual(client._tests_only_table_map.get('categories').map(x => x.id), [1, 2, 4]);
+    });
+    it('in update', async () => {
+        await client.query(`with renamed as (select id, upper(name) as name from categories where parent_id = 1)
+                            update categories set name = renamed.name from renamed where categories.id = renamed.id`);
+        deepEqual(client._tests_only_table_map.get('categories').map(x => x.name), ['Root', 'BOOKS', 'Fiction', 'MUSIC', 'Fantasy']);
+    });
+});
+
+describe('set operations', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        client._tests_only_table_map.set('a', [{x: 1}, {x: 2}, {x: 2}, {x: 3}, {x: null}]);
+        client._tests_only_table_map.set('b', [{y: 2}, {y: 2}, {y: 2}, {y: 4}, {y: null}]);
+    });
+
+    it('union and union all', async () => {
+        let {rows} = await client.query('select x from a union all select y from b');
+        deepEqual(rows.map(r => r.x), [1, 2, 2, 3, null, 2, 2, 2, 4, null]);
+        ({rows} = await client.query('select x from a union select y from b'));
+        deepEqual(rows.map(r => r.x), [1, 2, 3, null, 4]);
+    });
+    it('intersect and except', async () => {
+        let {rows} = await client.query('select x from a intersect select y from b');
+        deepEqual(rows, [{x: 2}, {x: null}]);
+        ({rows} = await client.query('select x from a except select y from b'));
+        deepEqual(rows, [{x: 1}, {x: 3}]);
+    });
+    it('intersect all and except all', async () => {
+        let {rows} = await client.query('select y from b intersect all select x from a');
+        deepEqual(rows, [{y: 2}, {y: 2}, {y: null}]);
+        ({rows} = await client.query('select y from b except all select x from a'));
+        deepEqual(rows, [{y: 2}, {y: 4}]);
+    });
+    it('intersect binds tighter', async () => {
+        const {rows} = await client.query('select 1 as n union select 2 intersect select 3');
+        deepEqual(rows, [{n: 1}]);
+    });
+    it('[SQL params] order by and limit apply to whole result', async () => {
+        const {rows} = await client.query('select x as v from a where x > $1 union select y from b order by v desc nulls last limit 2 offset 1', [1]);
+        deepEqual(rows, [{v: 3}, {v: 2}]);
+
+        const parenthesized = await client.query('(select x from a order by x desc nulls last limit 1) union all (select y from b order by y limit 1)');
+        deepEqual(parenthesized.rows, [{x: 3}, {x: 2}]);
+    });
+    it('column count mismatch', async () => {
+        await rejects(client.query('select 1, 2 union select 3'), {code: '42601', message: 'each UNION query must have the same number of columns'});
+    });
+    it('in subquery', async () => {
+        const {rows} = await client.query('select * from (select x from a except select y from b) t where x > 1');
+        deepEqual(rows, [{x: 3}]);
+    });
+});
+
+describe('expressions', () => {
+    const products = [
+        {id: 1, name: 'Phone', nickname: null, price: 1_000, stock: 3},
+        {id: 2, name: 'Car', nickname: 'Wheels', price: 24_000, stock: 0},
+        {id: 3, name: '  Bread ', nickname: null, price: 4, stock: 120},
+    ];
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        client._tests_only_table_map.set('products', products.map(x => ({...x})));
+    });
+
+    it('literal select', async () => {
+        const {rows} = await client.query('select 1, \'one\' as word, null as nothing, -2 + 3 * 4 as math');
+        deepEqual(rows, [{'?column?': 1, word: 'one', nothing: null, math: 10}]);
+    });
+    it('[SQL params] computed columns', async () => {
+        const {rows} = await client.query('select id, price * $1 as doubled, name || \' #\' || id as label from products where id < 3', [2]);
+        deepEqual(rows, [
+            {id: 1, doubled: 2_000, label: 'Phone #1'},
+            {id: 2, doubled: 48_000, label: 'Car #2'},
+        ]);
+    });
+    it('integer division', async () => {
+        const {rows} = await client.query('select 7 / 2 as int, 7.5 / 2 as num, 7 % 3 as rest');
+        deepEqual(rows, [{int: 3, num: 3.75, rest: 1}]);
+    });
+    it('arithmetic depends on operand types', async () => {
+        const {rows} = await client.query(`select 5 / 2.0 as a, 5.0 / 2 as b, 5::numeric / 2 as c, 1 / 3::numeric as d,
+                                           -7 / 2 as e, price / 3 as f, '5' + 1 as g, 2147483647::bigint + 1 as h from products where id = 1`);
+        deepEqual(rows, [{a: '2.5000000000000000', b: '2.5000000000000000', c: '2.5000000000000000', d: '0.33333333333333333333',
+            e: -3, f: 333, g: 6, h: '2147483648'}]);
+
+        for (let [sql, code, message] of [
+            ['select \'abc\' + 1', '22P02', 'invalid input syntax for type integer: "abc"'],
+            ['select 2147483647 + 1', '22003', 'integer out of range'],
+            ['select 9223372036854775807 + 1', '22003', 'bigint out of range'],
+            ['select 1 / 0.0', '22012', 'division by zero'],
+        ]) {
+            await rejects(client.query(sql), {code, message});
+        }
+    });
+    it('division by zero', async () => {
+        await rejects(client.query('select price / (stock - stock) from products'), {code: '22012', message: 'division by zero'});
+    });
+    it('case', async () => {
+        const {rows} = await client.query(`select case when stock = 0 then 'none' when stock < 10 then 'few' else 'many' end as stock,
+                                           case id when 1 then 'first' end from products`);
+        deepEqual(rows, [
+            {stock: 'few', case: 'first'},
+            {stock: 'none', case: null},
+            {stock: 'many', case: null},
+        ]);
+    });
+    it('coalesce, nullif, greatest, least', async () => {
+        const {rows} = await client.query(`select coalesce(nickname, name), nullif(stock, 0) as stock,
+                                           greatest(price, 500, null), least(price, 500) from products where id < 3`);
+        deepEqual(rows, [
+            {coalesce: 'Phone', stock: 3, greatest: 1_000, least: 500},
+            {coalesce: 'Wheels', stock: null, greatest: 24_000, least: 500},
+        ]);
+    });
+    it('string functions', async () => {
+        const {rows} = await client.query(`select lower(name), upper(name) as up, length(name) as len, substring(name, 2, 3) as sub,
+                                           trim(name) as trimmed, trim(leading ' ' from name) as ltrimmed, position('o' in name) as pos,
+                                           concat(name, nickname, id) as concatenated, lpad(id, 3, '0') as padded,
+                                           replace(name, 'e', 'E') as replaced, split_part('a.b.c', '.', 2) as part from products where id = 1`);
+        deepEqual(rows, [{
+            lower: 'phone', up: 'PHONE', len: 5, sub: 'hon', trimmed: 'Phone', ltrimmed: 'Phone', pos: 3,
+            concatenated: 'Phone1', padded: '001', replaced: 'PhonE', part: 'b',
+        }]);
+    });
+    it('functions return null on null argument', async () => {
+        const {rows} = await client.query('select upper(nickname), length(nickname) as len from products where id = 1');
+        deepEqual(rows, [{upper: null, len: null}]);
+    });
+    it('math functions', async () => {
+        const {rows} = await client.query(`select abs(-2), round(2.345, 2) as round, round(2.5) as half, floor(-1.5),
+                                           ceil(1.2), mod(7, 3), power(2, 10), sqrt(16), trunc(-1.7)`);
+        deepEqual(rows, [{abs: 2, round: 2.35, half: 3, floor: -2, ceil: 2, mod: 1, power: 1024, sqrt: 4, trunc: -1}]);
+
+        // double precision halves are rounded to even, numeric ones away from zero
+        const halves = await client.query(`select round(2.5::float8) as even, round(3.5::float8) as odd, round(-0.5::float8) as negative,
+                                           round(-0.5) as numeric`);
+        ok(_.isEqual(halves.rows, [{even: 2, odd: 4, negative: -0, numeric: '-1'}]));
+    });
+    it('unknown function', async () => {
+        await rejects(client.query('select unknown_fn(1)'), {code: '42883'});
+    });
+    it('where and order by expressions', async () => {
+        const {rows} = await client.query('select name from products where strpos(lower(name), \'a\') > 0 or not stock > 0 order by price * stock desc');
+        deepEqual(rows, [{name: '  Bread '}, {name: 'Car'}]);
+    });
+    it('insert values and update set expressions', async () => {
+        await client.query('insert into products (id, name, price, stock) values (2 * 2, upper(\'tea\'), 10 / 4, coalesce(null, 5))');
+        await client.query('update products set name = name || \'!\', price = price + stock where id = 4');
+        deepEqual(client._tests_only_table_map.get('products').at(-1), {id: 4, name: 'TEA!', price: 7, stock: 5});
+    });
+    it('null comparisons and three-valued logic', async () => {
+        const {rows} = await client.query(`select null = null as eq, 1 = null as eq_value, null and false as and_false,
+                                           null and true as and_true, null or true as or_true, not (null = 1) as negated,
+                                           1 in (2, null) as in_null, 1 not in (2, null) as not_in_null, 1 in (1, null) as in_found`);
+        deepEqual(rows, [{eq: null, eq_value: null, and_false: false, and_true: null, or_true: true, negated: null,
+            in_null: null, not_in_null: null, in_found: true}]);
+
+        const filtered = await client.query('select id from products where nickname <> \'Wheels\' or not (nickname = \'Wheels\')');
+        deepEqual(filtered.rows, []);
+    });
+    it('is null and is distinct from', async () => {
+        const {rows} = await client.query(`select id, nickname is null as no_nick, nickname is distinct from null as has_nick,
+                                           nickname is not distinct from 'Wheels' as wheels from products where nickname is not null or id = 1`);
+        deepEqual(rows, [
+            {id: 1, no_nick: true, has_nick: false, wheels: false},
+            {id: 2, no_nick: false, has_nick: true, wheels: true},
+        ]);
+    });
+    it('[SQL params] comparison coerces parameters, but not mismatching types', async () => {
+        const {rows} = await client.query('select id from products where id = $1 or stock = \'120\'', ['1']);
+        deepEqual(rows, [{id: 1}, {id: 3}]);
+        await rejects(client.query('select id from products where (stock > 0) = 1'), {code: '42883', message: 'operator does not exist: boolean = integer'});
+        await rejects(client.query('select id from products where nickname = 1'), {code: '42883', message: 'operator does not exist: text = integer'});
+        const params = await client.query('select id from products where nickname = $1', [1]);
+        deepEqual(params.rows, []);
+    });
+    it('like patterns', async () => {
+        const {rows} = await client.query(`select 'abc' like 'a%' as prefix, 'a' like 'abc' as longer, 'abc' like 'A%' as cased,
+                                           'abc' ilike 'A_C' as insensitive, 'a%c' like 'a\\%c' as escaped, 'abc' like 'a\\%c' as escaped_miss,
+                                           'a_c' like 'a!_c' escape '!' as custom_escape, 'abc' not ilike '%B%' as not_ilike`);
+        deepEqual(rows, [{prefix: true, longer: false, cased: false, insensitive: true, escaped: true, escaped_miss: false,
+            custom_escape: true, not_ilike: false}]);
+    });
+    it('similar to and regular expressions', async () => {
+        const {rows} = await client.query(`select 'abc' similar to '(a|x)%' as similar, 'abc' similar to 'b%' as similar_miss,
+                                           'a.c' similar to 'a.c' as literal_dot, 'abc' not similar to 'a.c' as not_similar,
+                                           'abc' ~ 'b' as match, 'abc' ~ 'B' as cased, 'abc' ~* 'B' as insensitive,
+                                           'abc' !~ '^b' as no_match, 'abc' !~* 'A' as no_match_insensitive`);
+        deepEqual(rows, [{similar: true, similar_miss: false, literal_dot: true, not_similar: true,
+            match: true, cased: false, insensitive: true, no_match: true, no_match_insensitive: false}]);
+    });
+});
+
+describe('types and casts', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query('create table items (id bigint primary key, price numeric(10, 2), qty int, active boolean, ref uuid)');
+        await client.query(`insert into items values (1, 5, 3, 't', 'A0EEBC99-9C0B-4EF8-BB6D-6BB9BD380A11'),
+                                                     (2, 2.5, 1, false, gen_random_uuid())`);
+    });
+
+    it('returns bigint and numeric as strings', async () => {
+        const {rows, fields} = await client.query('select id, price, qty, active, ref, qty + 1 as next, max(price) as top from items where id = 1 group by id, price, qty, active, ref');
+        deepEqual(rows, [{id: '1', price: '5.00', qty: 3, active: true, ref: 'a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11', next: 4, top: '5.00'}]);
+        deepEqual(fields.map(x => x.dataTypeID), [20, 1700, 23, 16, 2950, 23, 1700]);
+
+        const aggregated = await client.query('select count(*), sum(qty), avg(price) from items');
+        deepEqual(aggregated.rows, [{count: '2', sum: '4', avg: '3.7500000000000000'}]);
+    });
+    it('[SQL params] casts', async () => {
+        const {rows, fields} = await client.query(`select '42'::int as int, cast($1 as numeric(5, 1)) as num, 'yes'::boolean as bool,
+                                                   true::text as text, 'abcdef'::varchar(3) as short, 2.7::int as rounded, '7'::text::bigint as chained`, ['1.25']);
+        deepEqual(rows, [{int: 42, num: '1.3', bool: true, text: 'true', short: 'abc', rounded: 3, chained: '7'}]);
+        deepEqual(fields.map(x => x.dataTypeID), [23, 1700, 16, 25, 1043, 23, 20]);
+    });
+    it('uuid', async () => {
+        const {rows} = await client.query('select ref from items where id = 2');
+        ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(rows[0].ref));
+        const found = await client.query('select id from items where ref = $1::uuid', ['{A0EEBC99-9C0B-4EF8-BB6D-6BB9BD380A11}']);
+        deepEqual(found.rows, [{id: '1'}]);
+    });
+    it('bigint and numeric keep all digits', async () => {
+        await client.query(`insert into items (id, price) values (9223372036854775807, 12345678.12), (9223372036854775806, '1.1'),
+                                                                 (9007199254740993, 0.1::numeric * 3)`);
+        let {rows} = await client.query('select id, price from items where id > 9007199254740992 order by id');
+        deepEqual(rows, [
+            {id: '9007199254740993', price: '0.30'},
+            {id: '9223372036854775806', price: '1.10'},
+            {id: '9223372036854775807', price: '12345678.12'},
+        ]);
+        ({rows} = await client.query(`select 12345678901234567890.12 as big, '1.10'::numeric as scale, 0.1::numeric * 3 as exact,
+                                      -9223372036854775808 as min`));
+        deepEqual(rows, [{big: '12345678901234567890.12', scale: '1.10', exact: '0.3', min: '-9223372036854775808'}]);
+    });
+    it('types of subqueries and common table expressions', async () => {
+        await client.query('insert into items (id, price, qty) values (9007199254740993, 1.5, 2)');
+        const derived = await client.query('select * from (select id, price, qty from items where qty = 2) t (key)');
+        deepEqual(derived.rows, [{key: '9007199254740993', price: '1.50', qty: 2}]);
+        deepEqual(derived.fields.map(x => [x.dataTypeID, x.dataTypeModifier]), [[20, -1], [1700, 655366], [23, -1]]);
+
+        const computed = await client.query('select t.id + 2 as next, t.id * 1 as same from (select id, qty from items) t where t.qty = 2');
+        deepEqual(computed.rows, [{next: '9007199254740995', same: '9007199254740993'}]);
+        deepEqual(computed.fields.map(x => x.dataTypeID), [20, 20]);
+
+        const {rows, fields} = await client.query(`with totals as (select sum(qty) as qty, count(*) as n from items),
+                                                        top as (select id * 1 as id from items where qty = 2)
+                                                   select totals.*, top.id, (select max(id) from items) as max_id,
+                                                          (select count(*) from top) as tops, (select qty from totals) + 1 as next
+                                                   from totals, top`);
+        deepEqual(rows, [{qty: '6', n: '3', id: '9007199254740993', max_id: '9007199254740993', tops: '1', next: '7'}]);
+        deepEqual(fields.map(x => x.dataTypeID), [20, 20, 20, 20, 20, 20]);
+    });
+    it('numeric and bigint out of range', async () => {
+        for (let [sql, message] of [
+            ['insert into items (id, price) values (3, 123456789)', 'numeric field overflow'],
+            ['select \'9223372036854775808\'::bigint', 'bigint out of range'],
+            ['select 32768::smallint', 'smallint out of range'],
+        ]) {
+            await rejects(client.query(sql), {code: '22003', message});
+        }
+    });
+    it('invalid casts', async () => {
+        for (let [sql, message] of [
+            ['select \'abc\'::int', 'invalid input syntax for type integer: "abc"'],
+            ['select \'1.5\'::integer', 'invalid input syntax for type integer: "1.5"'],
+            ['select \'maybe\'::boolean', 'invalid input syntax for type boolean: "maybe"'],
+            ['select \'x\'::uuid', 'invalid input syntax for type uuid: "x"'],
+            ['insert into items (id, ref) values (3, \'not-uuid\')', 'invalid input syntax for type uuid: "not-uuid"'],
+        ]) {
+            await rejects(client.query(sql), {code: '22P02', message});
+        }
+    });
+});
+
+describe('json', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query('create table docs (id int primary key, data jsonb, raw json)');
+        await client.query(`insert into docs values (1, '{"status": "open", "tags": ["a", "b"], "n": {"x": 1}, "status": "closed"}', '{"b": 1, "a": 2}'),
+                                                    (2, $1, $2)`, [{status: 'open', tags: []}, [1, 'x']]);
+    });
+
+    it('stores jsonb normalized and json as is', async () => {
+        const {rows, fields} = await client.query('select data, raw from docs where id = 1');
+        deepEqual(rows, [{data: {n: {x: 1}, tags: ['a', 'b'], status: 'closed'}, raw: {b: 1, a: 2}}]);
+        deepEqual(Object.keys(rows[0].data), ['n', 'tags', 'status']);
+        deepEqual(fields.map(x => x.dataTypeID), [3802, 114]);
+
+        const text = await client.query({text: 'select data from docs where id = 1', rowMode: 'array', types: {getTypeParser: () => x => x}});
+        deepEqual(text.rows, [['{"n": {"x": 1}, "tags": ["a", "b"], "status": "closed"}']]);
+    });
+    it('[SQL params] operators', async () => {
+        const {rows} = await client.query(`select id, data->>'status' as status, data->'tags'->0 as tag, data#>>'{n,x}' as x,
+                                           data ? 'n' as has_n, data ?| array['n', 'z'] as any_key, data ?& array['status', 'tags'] as all_keys
+                                           from docs order by id`);
+        deepEqual(rows, [
+            {id: 1, status: 'closed', tag: 'a', x: '1', has_n: true, any_key: true, all_keys: true},
+            {id: 2, status: 'open', tag: null, x: null, has_n: false, any_key: false, all_keys: true},
+        ]);
+
+        const contained = await client.query('select id from docs where data @> $1::jsonb', ['{"tags": ["b"]}']);
+        deepEqual(contained.rows, [{id: 1}]);
+        const scalars = await client.query(`select '1'::jsonb @> '1' as number, '"a"'::jsonb <@ '"a"' as string,
+                                            '["a"]'::jsonb @> '"a"' as element, '{"n": 1}'::jsonb @> '1' as object`);
+        deepEqual(scalars.rows, [{number: true, string: true, element: true, object: false}]);
+        const changed = await client.query(`select data || '{"z": 1}' as merged, data - 'tags' as removed, data #- '{n,x}' as path_removed
+                                            from docs where id = 1`);
+        deepEqual(changed.rows, [{
+            merged: {n: {x: 1}, z: 1, tags: ['a', 'b'], status: 'closed'},
+            removed: {n: {x: 1}, status: 'closed'},
+            path_removed: {n: {}, tags: ['a', 'b'], status: 'closed'},
+        }]);
+    });
+    it('row_to_json', async () => {
+        const {rows, fields} = await client.query(`select row_to_json(d) as doc from (select id, raw from docs) d order by id`);
+        deepEqual(rows, [{doc: {id: 1, raw: {b: 1, a: 2}}}, {doc: {id: 2, raw: [1, 'x']}}]);
+        deepEqual(fields.map(x => x.dataTypeID), [114]);
+        await rejects(client.query('select row_to_json(id) from docs'), {code: '42883', message: 'function row_to_json(integer) does not exist'});
+    });
+    it('functions and aggregates', async () => {
+        await client.query(`update docs set data = jsonb_set(data, '{status}', '"done"') where id = 2`);
+        const {rows} = await client.query(`select jsonb_build_object('b', 1, 'a', id) as obj, jsonb_typeof(data->'tags') as type,
+                                           jsonb_array_length(data->'tags') as length, data->>'status' as status from docs order by id`);
+        deepEqual(rows, [
+            {obj: {a: 1, b: 1}, type: 'array', length: 2, status: 'closed'},
+            {obj: {a: 2, b: 1}, type: 'array', length: 0, status: 'done'},
+        ]);
+
+        const aggregated = await client.query(`select jsonb_agg(id) as ids, jsonb_object_agg(id, data->>'status') as statuses from docs`);
+        deepEqual(aggregated.rows, [{ids: [1, 2], statuses: {1: 'closed', 2: 'done'}}]);
+    });
+    it('set-returning functions', async () => {
+        const each = await client.query(`select d.id, e.key, e.value from docs d, jsonb_each(d.data) e where d.id = 2`);
+        deepEqual(each.rows, [{id: 2, key: 'tags', value: []}, {id: 2, key: 'status', value: 'open'}]);
+
+        const elements = await client.query(`select id, jsonb_array_elements_text(data->'tags') as tag from docs`);
+        deepEqual(elements.rows, [{id: 1, tag: 'a'}, {id: 1, tag: 'b'}]);
+
+        const literal = await client.query(`select * from jsonb_array_elements('[1, {"a": 2}]') as x`);
+        deepEqual(literal.rows, [{x: 1}, {x: {a: 2}}]);
+    });
+    it('[SQL params] returned values are copies', async () => {
+        const doc = {n: {x: 1}};
+        await client.query('insert into docs (id, data) values (3, $1)', [doc]);
+        doc.n.x = 2;
+        const {rows} = await client.query('select data, data->\'tags\' as tags from docs where id < 4 order by id');
+        rows[0].data.n.x = 3;
+        rows[0].tags.push('c');
+        rows[2].data.n.x = 4;
+        const stored = await client.query('select data->\'n\'->\'x\' as x, data->\'tags\' as tags from docs where id in (1, 3) order by id');
+        deepEqual(stored.rows, [{x: 1, tags: ['a', 'b']}, {x: 1, tags: null}]);
+    });
+    it('invalid json', async () => {
+        for (let [sql, code, message] of [
+            ['select \'{"a": \'::jsonb', '22P02', 'invalid input syntax for type json'],
+            ['select jsonb_array_length(data) from docs', '22023', 'cannot get array length of a non-array'],
+            ['select jsonb_build_object(\'a\')', '22023', 'argument list must have even number of elements'],
+            ['select jsonb_each(data->\'tags\') from docs', '22023', 'cannot call jsonb_each on a non-object'],
+        ]) {
+            await rejects(client.query(sql), {code, message});
+        }
+    });
+});
+
+describe('arrays', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query('create table posts (id int primary key, tags text[], scores int[], refs uuid[])');
+        await client.query(`insert into posts (id, tags, scores, refs) values (1, '{a,b}', '{1,2,3}', null),
+                                                                       (2, array['b', 'c'], array[5], '{A0EEBC99-9C0B-4EF8-BB6D-6BB9BD380A11}'),
+                                                                       (3, $1, $2, null)`, [['x', null], []]);
+    });
+
+    it('stores typed arrays', async () => {
+        const {rows, fields} = await client.query('select * from posts order by id');
+        deepEqual(rows, [
+            {id: 1, tags: ['a', 'b'], scores: [1, 2, 3], refs: null},
+            {id: 2, tags: ['b', 'c'], scores: [5], refs: ['a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11']},
+            {id: 3, tags: ['x', null], scores: [], refs: null},
+        ]);
+        deepEqual(fields.map(x => x.dataTypeID), [23, 1009, 1007, 2951]);
+
+        const text = await client.query({text: 'select tags, scores from posts where id = 1', types: {getTypeParser: () => x => x}});
+        deepEqual(text.rows, [{tags: '{a,b}', scores: '{1,2,3}'}]);
+        const cast = await client.query(`select '{1,2}'::int[] as ints, array[1, 2] = '{1,2}' as equal, tags[2] as second, tags[5] as missing
+                                         from posts where id = 1`);
+        deepEqual(cast.rows, [{ints: [1, 2], equal: true, second: 'b', missing: null}]);
+    });
+    it('[SQL params] any and all', async () => {
+        for (let [sql, args, expected] of [
+            ['select id from posts where id = any($1) order by id', [[1, 3]], [1, 3]],
+            ['select id from posts where id = any(\'{2,3}\') order by id', [], [2, 3]],
+            ['select id from posts where id <> all(array[1, 2])', [], [3]],
+            ['select id from posts where \'b\' = any(tags) order by id', [], [1, 2]],
+            ['select id from posts where 5 > all(scores) order by id', [], [1, 3]],
+            ['select id from posts where id = any(array[]::int[])', [], []],
+            ['select id from posts where id <> all(array[]::int[]) order by id', [], [1, 2, 3]],
+        ]) {
+            const {rows} = await client.query(sql, args);
+            deepEqual(rows.map(x => x.id), expected, sql);
+        }
+
+        await client.query('update posts set tags = array[]::text[] where id = 1');
+        const {rows} = await client.query('select array[]::text[] as empty, tags from posts where id = 1');
+        deepEqual(rows, [{empty: [], tags: []}]);
+    });
+    it('[SQL params] operators', async () => {
+        for (let [sql, args, expected] of [
+            ['select id from posts where tags @> \'{b}\' order by id', [], [1, 2]],
+            ['select id from posts where tags <@ array[\'a\', \'b\', \'z\']', [], [1]],
+            ['select id from posts where tags && $1 order by id', [['c', 'x']], [2, 3]],
+            ['select id from posts where scores @> \'{2}\'', [], [1]],
+        ]) {
+            const {rows} = await client.query(sql, args);
+            deepEqual(rows.map(x => x.id), expected, sql);
+        }
+
+        const {rows} = await client.query('select tags || \'{z}\' as concatenated, tags || \'w\'::text as appended from posts where id = 2');
+        deepEqual(rows, [{concatenated: ['b', 'c', 'z'], appended: ['b', 'c', 'w']}]);
+    });
+    it('functions', async () => {
+        const {rows} = await client.query(`select array_length(tags, 1) as length, cardinality(scores) as cardinality,
+                                           array_append(tags, 'q') as appended, array_remove(scores, 2) as removed
+                                           from posts order by id`);
+        deepEqual(rows, [
+            {length: 2, cardinality: 3, appended: ['a', 'b', 'q'], removed: [1, 3]},
+            {length: 2, cardinality: 1, appended: ['b', 'c', 'q'], removed: [5]},
+            {length: 2, cardinality: 0, appended: ['x', null, 'q'], removed: []},
+        ]);
+
+        await client.query('update posts set scores = array_append(scores, 4) where id = 3');
+        const updated = await client.query('select scores, array_length(scores, 1) as length from posts where id = 3');
+        deepEqual(updated.rows, [{scores: [4], length: 1}]);
+    });
+    it('unnest', async () => {
+        const listed = await client.query('select id, unnest(tags) as tag from posts where id < 3 order by id');
+        deepEqual(listed.rows, [{id: 1, tag: 'a'}, {id: 1, tag: 'b'}, {id: 2, tag: 'b'}, {id: 2, tag: 'c'}]);
+
+        const joined = await client.query('select p.id, t from posts p, unnest(p.tags) as t where t = \'b\' order by p.id');
+        deepEqual(joined.rows, [{id: 1, t: 'b'}, {id: 2, t: 'b'}]);
+
+        const {rows, fields} = await client.query('select * from unnest(array[1, 2]) as x');
+        deepEqual(rows, [{x: 1}, {x: 2}]);
+        deepEqual(fields.map(x => x.dataTypeID), [23]);
+
+        // alias column list names function columns
+        const aliased = await client.query('select u.x from unnest(array[1, 2, 3]) as u(x) where x > 1');
+        deepEqual(aliased.rows, [{x: 2}, {x: 3}]);
+        const pairs = await client.query('select * from jsonb_each(\'{"a": 1}\') as e(k, v), (select 1 as one, 2 as two) as t(first)');
+        deepEqual(pairs.rows, [{k: 'a', v: 1, first: 1, two: 2}]);
+        await rejects(client.query('select * from unnest(array[1]) as u(x, y)'),
+            {code: '42P10', message: 'table "u" has 1 columns available but 2 columns specified'});
+    });
+});
+
+describe('dates and times', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        client.clock.freeze('2024-03-15 10:30:00+00');
+        await client.query(`create table sessions (id int primary key, day date, starts time, created_at timestamp,
+                                                   expires_at timestamptz default now() + interval '1 hour', ttl interval)`);
+        await client.query(`insert into sessions (id, day, starts, created_at, expires_at, ttl)
+                            values (1, '2024-01-31', '09:15', '2024-01-31 12:00:00', '2024-03-14 10:00:00+00', '1 day 2 hours'),
+                                   (2, $1, '18:00:30.5', $2, default, $3)`,
+            ['2024-02-29', new Date('2024-03-01T08:00:00Z'), '30 minutes']);
+    });
+
+    it('stores dates, times and intervals', async () => {
+        const {rows, fields} = await client.query('select * from sessions order by id');
+        deepEqual(rows, [
+            {
+                id: 1,
+                day: new Date('2024-01-31T00:00:00Z'),
+                starts: '09:15:00',
+                created_at: new Date('2024-01-31T12:00:00Z'),
+                expires_at: new Date('2024-03-14T10:00:00Z'),
+                ttl: {days: 1, hours: 2},
+            },
+            {
+                id: 2,
+                day: new Date('2024-02-29T00:00:00Z'),
+                starts: '18:00:30.5',
+                created_at: new Date('2024-03-01T08:00:00Z'),
+                expires_at: new Date('2024-03-15T11:30:00Z'),
+                ttl: {minutes: 30},
+            },
+        ]);
+        deepEqual(fields.map(x => x.dataTypeID), [23, 1082, 1083, 1114, 1184, 1186]);
+
+        const text = await client.query({text: 'select day, created_at, expires_at, ttl from sessions where id = 1', types: {getTypeParser: () => x => x}});
+        deepEqual(text.rows, [{day: '2024-01-31', created_at: '2024-01-31 12:00:00', expires_at: '2024-03-14 10:00:00+00', ttl: '1 day 02:00:00'}]);
+    });
+    it('[SQL params] arithmetic and comparison', async () => {
+        for (let [sql, args, expected] of [
+            ['select id from sessions where expires_at < now()', [], [1]],
+            ['select id from sessions where expires_at > now() - interval \'2 days\' order by id', [], [1, 2]],
+            ['select id from sessions where created_at >= $1', ['2024-02-01'], [2]],
+            ['select id from sessions where day + 1 = \'2024-03-01\'', [], [2]],
+            ['select id from sessions where ttl > \'1 hour\'', [], [1]],
+            ['select id from sessions where created_at + ttl > \'2024-02-01 15:00\'::timestamp', [], [2]],
+        ]) {
+            const {rows} = await client.query(sql, args);
+            deepEqual(rows.map(x => x.id), expected, sql);
+        }
+
+        const {rows} = await client.query(`select day + interval '1 month' as next_month, day - date '2024-01-01' as days,
+                                           expires_at - created_at as lifetime, ttl * 2 as doubled from sessions where id = 1`);
+        deepEqual(rows, [{next_month: new Date('2024-02-29T00:00:00Z'), days: 30, lifetime: {days: 42, hours: 22}, doubled: {days: 2, hours: 4}}]);
+    });
+    it('time arithmetic', async () => {
+        const {rows, fields} = await client.query(`select '13:45'::time + interval '11 hours' as wrapped, starts - interval '10 hours' as earlier,
+                                                   interval '30 minutes' + starts as later, starts - time '08:00' as since_eight,
+                                                   starts + ttl as plus_ttl from sessions order by id`);
+        deepEqual(rows, [
+            {wrapped: '00:45:00', earlier: '23:15:00', later: '09:45:00', since_eight: {hours: 1, minutes: 15}, plus_ttl: '11:15:00'},
+            {wrapped: '00:45:00', earlier: '08:00:30.5', later: '18:30:30.5', since_eight: {hours: 10, seconds: 30, milliseconds: 500}, plus_ttl: '18:30:30.5'},
+        ]);
+        deepEqual(fields.map(x => x.dataTypeID), [1083, 1083, 1083, 1186, 1083]);
+        await rejects(client.query('select starts + 1 from sessions'), {code: '42883', message: 'operator does not exist: time without time zone + integer'});
+    });
+    it('intervals in aggregates, arrays and JSON', async () => {
+        const {rows} = await client.query(`select sum(ttl) as total, avg(ttl) as average, array_agg(ttl order by id) as list,
+                                           json_agg(ttl) as texts from sessions`);
+        deepEqual(rows, [{
+            total: {days: 1, hours: 2, minutes: 30},
+            average: {hours: 13, minutes: 15},
+            list: [{days: 1, hours: 2}, {minutes: 30}],
+            texts: ['1 day 02:00:00', '00:30:00'],
+        }]);
+    });
+    it('functions', async () => {
+        const {rows} = await client.query(`select date_trunc('month', created_at) as month, extract(dow from day) as dow,
+                                           date_part('hour', created_at) as hour, age(created_at, '2020-01-15') as age,
+                                           to_char(created_at, 'YYYY-MM-DD HH24:MI Dy') as formatted,
+                                           make_interval(days => 3, mins => 5) as made, current_date as today,
+                                           extract(hour from interval '3 days 4 hours') as interval_hours
+                                           from sessions where id = 1`);
+        deepEqual(rows, [{
+            month: new Date('2024-01-01T00:00:00Z'),
+            dow: '3',
+            hour: 12,
+            age: {years: 4, days: 16, hours: 12},
+            formatted: '2024-01-31 12:00 Wed',
+            made: {days: 3, minutes: 5},
+            today: new Date('2024-03-15T00:00:00Z'),
+            interval_hours: '4',
+        }]);
+
+        const local = await client.query('select localtime, localtimestamp, localtime(0) as seconds, current_time');
+        deepEqual(local.rows, [{
+            localtime: '10:30:00',
+            localtimestamp: new Date('2024-03-15T10:30:00Z'),
+            seconds: '10:30:00',
+            current_time: '10:30:00+00',
+        }]);
+        deepEqual(local.fields.map(x => x.dataTypeID), [1083, 1114, 1083, 1266]);
+
+        for (let [sql, code] of [
+            ['select date_trunc(\'fortnight\', now())', '22023'],
+            ['select \'2024-02-30\'::date', '22008'],
+            ['select \'tomorrow-ish\'::interval', '22007'],
+        ]) {
+            await rejects(client.query(sql), {code}, sql);
+        }
+    });
+    it('clock', async () => {
+        const now = async () => (await client.query('select now() as now')).rows[0].now;
+        deepEqual(await now(), new Date('2024-03-15T10:30:00Z'));
+
+        client.clock.advance('1 day');
+        deepEqual(await now(), new Date('2024-03-16T10:30:00Z'));
+        const {rows} = await client.query('select id from sessions where expires_at < now() order by id');
+        deepEqual(rows.map(x => x.id), [1, 2]);
+
+        client.clock.unfreeze();
+        ok(Math.abs(await now() - new Date('2024-03-16T10:30:00Z')) < 1000);
+        client.clock.reset();
+        ok(Math.abs(await now() - Date.now()) < 1000);
+    });
+    it('now() is stable within transaction', async () => {
+        await client.query('begin');
+        const started = (await client.query('select now() as now')).rows[0].now;
+        client.clock.advance(5000);
+        const {rows} = await client.query('select now() as now, statement_timestamp() as statement, clock_timestamp() as clock');
+        deepEqual(rows, [{now: started, statement: new Date('2024-03-15T10:30:05Z'), clock: new Date('2024-03-15T10:30:05Z')}]);
+        await client.query('commit');
+
+        deepEqual((await client.query('select now() as now')).rows[0].now, new Date('2024-03-15T10:30:05Z'));
     });
 });
 
@@ -204,6 +1173,7 @@ describe('insert', () => {
     beforeEach(async () => {
         client = new PgMock();
         await client.connect();
+        await client.query('create table users (id int, name text, surname text, money int)');
     });
 
     async function check_insertion(expected, sql, args) {
@@ -262,14 +1232,405 @@ describe('insert', () => {
     ));
 });
 
-describe('delete', () => {
-    const users = [
-        {
-            id: 1,
-            name: 'John',
-            surname: 'Doe',
-            money: 0,
-        },
+describe('create table', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query(`create table users (
+            id int not null,
+            name varchar(10) not null default 'anonymous',
+            money numeric(10, 2) default 0,
+            active boolean default true,
+            note text
+        )`);
+    });
+
+    it('creates empty table', async () => {
+        const {rows} = await client.query('select * from users');
+        deepEqual(rows, []);
+    });
+    it('already exists', () => rejects(
+        client.query('create table users (id int)'),
+        {message: 'relation "users" already exists'}
+    ));
+    it('if not exists', async () => {
+        await client.query('create table if not exists users (other int)');
+        deepEqual(client._tests_only_table_map.get('users'), []);
+    });
+    it('unknown table', () => rejects(
+        client.query('select * from clients'),
+        {message: 'relation "clients" does not exist'}
+    ));
+    it('[SQL params] insert into unknown table', () => rejects(
+        client.query('insert into clients (id) values ($1)', [1]),
+        {message: 'relation "clients" does not exist'}
+    ));
+    it('applies defaults', async () => {
+        const {rows} = await client.query('insert into users (id, note) values (1, \'first\') returning *');
+        deepEqual(rows, [{id: 1, name: 'anonymous', money: 0, active: true, note: 'first'}]);
+    });
+    it('DEFAULT keyword', async () => {
+        const {rows} = await client.query('insert into users values (1, default, 5, false) returning *');
+        deepEqual(rows, [{id: 1, name: 'anonymous', money: 5, active: false, note: null}]);
+    });
+    it('[SQL params] coerces values', async () => {
+        const {rows} = await client.query('insert into users (id, name, money, active) values ($1, $2, $3, $4) returning *',
+            ['42', 100, '10.129', 'yes']);
+        deepEqual(rows, [{id: 42, name: '100', money: 10.13, active: true, note: null}]);
+    });
+    it('unknown column', () => rejects(
+        client.query('insert into users (id, age) values (1, 20)'),
+        {message: 'column "age" of relation "users" does not exist'}
+    ));
+    it('NOT NULL', () => rejects(
+        client.query('insert into users (name) values (\'John\')'),
+        {message: 'null value in column "id" of relation "users" violates not-null constraint'}
+    ));
+    it('[SQL params] NOT NULL on update', async () => {
+        await client.query('insert into users (id) values (1)');
+        await rejects(
+            client.query('update users set name = $1', [null]),
+            {message: 'null value in column "name" of relation "users" violates not-null constraint'}
+        );
+    });
+    it('[SQL params] invalid integer', () => rejects(
+        client.query('insert into users (id) values ($1)', ['abc']),
+        {message: 'invalid input syntax for type integer: "abc"'}
+    ));
+    it('too long value', () => rejects(
+        client.query('insert into users (id, name) values (1, \'very long user name\')'),
+        {message: 'value too long for type character varying(10)'}
+    ));
+});
+
+describe('constraints', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query(`create table users (
+            id int primary key,
+            email text unique,
+            age int check (age >= 18),
+            name text,
+            surname text,
+            constraint users_full_name unique (name, surname)
+        )`);
+        await client.query(`create table orders (
+            id int primary key,
+            user_id int references users (id) on delete cascade,
+            reviewer_id int references users (id) on delete set null,
+            manager_id int,
+            constraint orders_manager_fk foreign key (manager_id) references users (id) on delete restrict
+        )`);
+        await client.query(`insert into users (id, email, age, name, surname) values
+            (1, 'john@mail.com', 20, 'John', 'Doe'),
+            (2, 'jane@mail.com', 30, 'Jane', 'Doe'),
+            (3, 'boss@mail.com', 50, 'Big', 'Boss')`);
+    });
+
+    it('PRIMARY KEY', () => rejects(
+        client.query('insert into users (id, email) values (1, \'other@mail.com\')'),
+        {
+            code: '23505',
+            constraint: 'users_pkey',
+            message: 'duplicate key value violates unique constraint "users_pkey"',
+            detail: 'Key (id)=(1) already exists.',
+        }
+    ));
+    it('PRIMARY KEY is NOT NULL', () => rejects(
+        client.query('insert into users (email) values (\'other@mail.com\')'),
+        {code: '23502', column: 'id', table: 'users'}
+    ));
+    it('[SQL params] UNIQUE on update', () => rejects(
+        client.query('update users set email = $1 where id = $2', ['john@mail.com', 2]),
+        {code: '23505', constraint: 'users_email_key'}
+    ));
+    it('UNIQUE allows NULL duplicates', async () => {
+        await client.query('insert into users (id) values (4), (5)');
+        deepEqual(client._tests_only_table_map.get('users').length, 5);
+    });
+    it('multi-column UNIQUE', async () => {
+        await client.query('insert into users (id, name, surname) values (4, \'John\', \'Smith\')');
+        await rejects(
+            client.query('insert into users (id, name, surname) values (5, \'John\', \'Doe\')'),
+            {code: '23505', constraint: 'users_full_name', detail: 'Key (name, surname)=(John, Doe) already exists.'}
+        );
+    });
+    it('failed insert is atomic', async () => {
+        await rejects(
+            client.query('insert into users (id) values (10), (11), (10)'),
+            {code: '23505'}
+        );
+        deepEqual(client._tests_only_table_map.get('users').length, 3);
+    });
+    it('CHECK', () => rejects(
+        client.query('insert into users (id, age) values (4, 17)'),
+        {code: '23514', constraint: 'users_age_check'}
+    ));
+    it('FOREIGN KEY on insert', () => rejects(
+        client.query('insert into orders (id, user_id) values (1, 100)'),
+        {
+            code: '23503',
+            constraint: 'orders_user_id_fkey',
+            detail: 'Key (user_id)=(100) is not present in table "users".',
+        }
+    ));
+    it('FOREIGN KEY to primary key', async () => {
+        await client.query('create table reviews (id int primary key, user_id int references users, parent_id int references reviews)');
+        await client.query('insert into reviews values (1, 1, null), (2, 2, 1)');
+        await rejects(client.query('insert into reviews values (3, 100, null)'),
+            {code: '23503', constraint: 'reviews_user_id_fkey', detail: 'Key (user_id)=(100) is not present in table "users".'});
+        await rejects(client.query('alter table reviews add foreign key (parent_id) references orders'), {code: '23503'});
+
+        await client.query('create table tags (name text)');
+        await rejects(client.query('create table post_tags (tag text references tags)'),
+            {code: '42830', message: 'there is no primary key for referenced table "tags"'});
+    });
+    it('ON DELETE CASCADE', async () => {
+        await client.query('insert into orders (id, user_id) values (1, 1), (2, 1), (3, 2)');
+        await client.query('delete from users where id = 1');
+        deepEqual(client._tests_only_table_map.get('orders').map(x => x.id), [3]);
+    });
+    it('ON DELETE SET NULL', async () => {
+        await client.query('insert into orders (id, user_id, reviewer_id) values (1, 1, 2)');
+        await client.query('delete from users where id = 2');
+        deepEqual(client._tests_only_table_map.get('orders'), [
+            {id: 1, user_id: 1, reviewer_id: null, manager_id: null},
+        ]);
+    });
+    it('ON DELETE RESTRICT', async () => {
+        await client.query('insert into orders (id, user_id, manager_id) values (1, 1, 3)');
+        await rejects(
+            client.query('delete from users where id = 3'),
+            {
+                code: '23503',
+                constraint: 'orders_manager_fk',
+                message: 'update or delete on table "users" violates foreign key constraint "orders_manager_fk" on table "orders"',
+            }
+        );
+        deepEqual(client._tests_only_table_map.get('users').length, 3);
+    });
+    it('NO ACTION on referenced key update', async () => {
+        await client.query('insert into orders (id, user_id) values (1, 1)');
+        await rejects(
+            client.query('update users set id = 10 where id = 1'),
+            {code: '23503', constraint: 'orders_user_id_fkey'}
+        );
+    });
+    it('ALTER TABLE ADD CONSTRAINT', async () => {
+        await client.query('alter table users add constraint users_not_too_old check (age < 60)');
+        await rejects(
+            client.query('insert into users (id, age) values (4, 61)'),
+            {code: '23514', constraint: 'users_not_too_old'}
+        );
+    });
+    it('generated CHECK names', async () => {
+        await client.query('create table dd (a int check (a > 0), b int, check (a < 100))');
+        await client.query('alter table dd add check (a <> 50)');
+        await rejects(client.query('insert into dd values (100, 1)'), {constraint: 'dd_a_check1'});
+        await rejects(client.query('insert into dd values (50, 1)'), {constraint: 'dd_a_check2'});
+    });
+    it('ALTER TABLE ADD CHECK validates existing rows', async () => {
+        await rejects(client.query('alter table users add check (age > 25)'), {
+            code: '23514',
+            constraint: 'users_age_check1',
+            message: 'check constraint "users_age_check1" of relation "users" is violated by some row',
+        });
+        await client.query('insert into users (id, age) values (4, 20)');
+    });
+    it('ALTER TABLE ADD CONSTRAINT validates existing rows', async () => {
+        await rejects(
+            client.query('alter table users add unique (surname)'),
+            {code: '23505', constraint: 'users_surname_key'}
+        );
+        await client.query('insert into users (id, surname) values (4, \'Doe\')');
+    });
+    it('ALTER TABLE ADD second PRIMARY KEY', () => rejects(
+        client.query('alter table users add primary key (email)'),
+        {code: '42P16', message: 'multiple primary keys for table "users" are not allowed'}
+    ));
+    it('ALTER TABLE DROP CONSTRAINT', async () => {
+        await client.query('alter table users drop constraint users_email_key');
+        await client.query('insert into users (id, email) values (4, \'john@mail.com\')');
+    });
+});
+
+describe('sequences', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+    });
+
+    it('serial column', async () => {
+        await client.query('create table users (id serial primary key, name text)');
+        const {rows} = await client.query('insert into users (name) values (\'John\'), (\'Jane\') returning id');
+        deepEqual(rows, [{id: 1}, {id: 2}]);
+        deepEqual((await client.query('select currval(\'users_id_seq\')')).rows, [{currval: 2}]);
+    });
+    it('[SQL params] explicit value for serial column', async () => {
+        await client.query('create table users (id serial, name text)');
+        const {rows} = await client.query('insert into users (id, name) values ($1, \'John\'), (default, \'Jane\') returning *', [10]);
+        deepEqual(rows, [{id: 10, name: 'John'}, {id: 1, name: 'Jane'}]);
+    });
+    it('GENERATED BY DEFAULT AS IDENTITY', async () => {
+        await client.query('create table users (id int generated by default as identity (start with 100 increment by 10), name text)');
+        const {rows} = await client.query('insert into users (name) values (\'John\'), (\'Jane\') returning id');
+        deepEqual(rows, [{id: 100}, {id: 110}]);
+    });
+    it('GENERATED ALWAYS AS IDENTITY', async () => {
+        await client.query('create table users (id bigint generated always as identity, name text)');
+        await client.query('insert into users (id, name) values (default, \'John\')');
+        await rejects(
+            client.query('insert into users (id, name) values (5, \'Jane\')'),
+            {code: '428C9', message: 'cannot insert a non-DEFAULT value into column "id"'}
+        );
+        await rejects(
+            client.query('update users set id = 5'),
+            {code: '428C9', message: 'column "id" can only be updated to DEFAULT'}
+        );
+    });
+    it('CREATE SEQUENCE', async () => {
+        await client.query('create sequence counter start with 5 increment by 5 maxvalue 15');
+        const values = [];
+        for (let i = 0; i < 3; i++)
+            values.push((await client.query('select nextval(\'counter\') as value')).rows[0].value);
+        deepEqual(values, [5, 10, 15]);
+        await rejects(
+            client.query('select nextval(\'counter\')'),
+            {code: '2200H', message: 'nextval: reached maximum value of sequence "counter" (15)'}
+        );
+    });
+    it('CYCLE', async () => {
+        await client.query('create sequence counter maxvalue 2 cycle');
+        const values = [];
+        for (let i = 0; i < 3; i++)
+            values.push((await client.query('select nextval(\'counter\') as value')).rows[0].value);
+        deepEqual(values, [1, 2, 1]);
+    });
+    it('currval before nextval', async () => {
+        await client.query('create sequence counter');
+        await rejects(
+            client.query('select currval(\'counter\')'),
+            {code: '55000', message: 'currval of sequence "counter" is not yet defined in this session'}
+        );
+    });
+    it('[SQL params] setval', async () => {
+        await client.query('create sequence counter');
+        await client.query('select setval(\'counter\', $1)', [42]);
+        deepEqual((await client.query('select nextval(\'counter\')')).rows, [{nextval: 43}]);
+        await client.query('select setval(\'counter\', $1, false)', [42]);
+        deepEqual((await client.query('select nextval(\'counter\')')).rows, [{nextval: 42}]);
+    });
+    it('ALTER SEQUENCE RESTART', async () => {
+        await client.query('create sequence counter');
+        await client.query('select nextval(\'counter\')');
+        await client.query('alter sequence counter restart with 7');
+        deepEqual((await client.query('select nextval(\'counter\')')).rows, [{nextval: 7}]);
+    });
+    it('DROP SEQUENCE', async () => {
+        await client.query('create sequence counter');
+        await client.query('drop sequence counter');
+        await rejects(
+            client.query('select nextval(\'counter\')'),
+            {code: '42P01'}
+        );
+        await client.query('drop sequence if exists counter');
+    });
+    it('is not rolled back', async () => {
+        await client.query('create sequence counter');
+        await client.query('begin');
+        await client.query('select nextval(\'counter\')');
+        await client.query('rollback');
+        deepEqual((await client.query('select nextval(\'counter\')')).rows, [{nextval: 2}]);
+    });
+});
+
+describe('update', () => {
+    let users;
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        users = [
+            {id: 1, name: 'John', surname: 'Doe', money: 0, visits: 1},
+            {id: 2, name: 'Richy', surname: 'Rich', money: 1_123_567, visits: 2},
+            {id: 3, name: 'Mister', surname: 'Poor', money: 100, visits: 3},
+        ];
+        client = new PgMock();
+        await client.connect();
+
+        const map = client._tests_only_table_map;
+        map.set('users', users);
+    });
+
+    it('[SQL params] works', async () => {
+        const untouched = users.slice(1);
+        const {rowCount} = await client.query('update users set money = $1, visits = visits + 1 where id = $2', [10, 1]);
+        deepEqual(rowCount, 1);
+        deepEqual(client._tests_only_table_map.get('users'), [
+            {id: 1, name: 'John', surname: 'Doe', money: 10, visits: 2},
+            ...untouched,
+        ]);
+    });
+    it('without where', async () => {
+        const expected = users.map(x => x.money * 2);
+        const {rowCount} = await client.query('update users set money = money * 2');
+        deepEqual(rowCount, expected.length);
+        deepEqual(client._tests_only_table_map.get('users').map(x => x.money), expected);
+    });
+    it('no matching rows', async () => {
+        const {rowCount, rows} = await client.query('update users set money = 1 where id = 100 returning *');
+        deepEqual(rowCount, 0);
+        deepEqual(rows, []);
+    });
+    it('[SQL params] returning *', async () => {
+        const {rows} = await client.query('update users set money = money + $1 where money < $2 returning *', [5, 200]);
+        deepEqual(rows, [
+            {id: 1, name: 'John', surname: 'Doe', money: 5, visits: 1},
+            {id: 3, name: 'Mister', surname: 'Poor', money: 105, visits: 3},
+        ]);
+    });
+    it('returning columns', async () => {
+        const {rows} = await client.query('update users set name = \'Jack\' where id = 1 returning id, name as new_name');
+        deepEqual(rows, [{id: 1, new_name: 'Jack'}]);
+    });
+    it('from other table', async () => {
+        client._tests_only_table_map.set('bonuses', [
+            {user_id: 1, amount: 50},
+            {user_id: 3, amount: 7},
+            {user_id: 3, amount: 1000},
+        ]);
+        const {rowCount} = await client.query(`update users set money = users.money + b.amount
+                                               from bonuses b where users.id = b.user_id`);
+        deepEqual(rowCount, 2);
+        deepEqual(client._tests_only_table_map.get('users').map(x => x.money), [50, 1_123_567, 107]);
+    });
+    it('returning alias and joined tables', async () => {
+        client._tests_only_table_map.set('bonuses', [{user_id: 1, amount: 50}]);
+        const aliased = await client.query('update users u set visits = u.visits + 1 where u.id = 2 returning u.id, u.visits');
+        deepEqual(aliased.rows, [{id: 2, visits: 3}]);
+
+        const joined = await client.query(`update users set money = b.amount from bonuses b
+                                           where users.id = b.user_id returning users.name, b.amount`);
+        deepEqual(joined.rows, [{name: 'John', amount: 50}]);
+        const all = await client.query('update users set visits = 0 from bonuses where users.id = bonuses.user_id returning *');
+        deepEqual(all.rows, [{id: 1, name: 'John', surname: 'Doe', money: 50, visits: 0, user_id: 1, amount: 50}]);
+    });
+});
+
+describe('delete', () => {
+    const users = [
+        {
+            id: 1,
+            name: 'John',
+            surname: 'Doe',
+            money: 0,
+        },
         {
             id: 2,
             name: 'Richy',
@@ -296,7 +1657,7 @@ describe('delete', () => {
         await client.connect();
 
         const map = client._tests_only_table_map;
-        map.set('users', users);
+        map.set('users', users.map(x => ({...x})));
     });
     it('[SQL params] works', async () => {
         let expected = [...users];
@@ -341,7 +1702,7 @@ describe('drop', () => {
         await client.connect();
 
         const map = client._tests_only_table_map;
-        map.set('users', users);
+        map.set('users', users.map(x => ({...x})));
     });
 
     it('works', async () => {
@@ -360,4 +1721,1034 @@ describe('drop', () => {
         deepEqual(client._tests_only_table_map.get('users'), undefined);
         deepEqual(client._tests_only_table_map.get('clients'), undefined);
     });
-});
\ No newline at end of file
+
+    it('missing tables and foreign keys', async () => {
+        await client.query('create table accounts (id int primary key)');
+        await client.query('create table payments (id int, account_id int references accounts (id))');
+
+        const notices = [];
+        client.on('notice', x => notices.push(x.message));
+        await client.query('drop table if exists clients, users');
+        deepEqual(notices, ['table "clients" does not exist, skipping']);
+        deepEqual(client._tests_only_table_map.get('users'), undefined);
+
+        for (let sql of ['drop table clients', 'drop table accounts', 'drop table accounts restrict']) {
+            await rejects(client.query(sql), {code: sql == 'drop table clients' ? '42P01' : '2BP01'});
+        }
+
+        await client.query('drop table accounts cascade');
+        deepEqual(notices[1], 'drop cascades to constraint payments_account_id_fkey on table payments');
+        await client.query('insert into payments values (1, 100)');
+    });
+});
+
+describe('alter table and truncate', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query('create table users (id serial primary key, name text, age text)');
+        await client.query('create table orders (id serial primary key, user_id int references users (id), total int)');
+        await client.query(`insert into users (name, age) values ('John', '30'), ('Jane', '25')`);
+        await client.query('insert into orders (user_id, total) values (1, 10), (2, 20)');
+    });
+
+    it('adds and drops columns', async () => {
+        await client.query('alter table users add column active boolean not null default true, add column code serial');
+        deepEqual((await client.query('select * from users order by id')).rows, [
+            {id: 1, name: 'John', age: '30', active: true, code: 1},
+            {id: 2, name: 'Jane', age: '25', active: true, code: 2},
+        ]);
+
+        await rejects(client.query('alter table users add column email text not null'), {code: '23502'});
+        await rejects(client.query('alter table users add column name text'), {code: '42701'});
+        await rejects(client.query('alter table users drop column id'), {code: '2BP01'});
+
+        await client.query('alter table users drop column age, drop column if exists nickname');
+        await client.query('alter table users drop column id cascade');
+        deepEqual((await client.query('select * from users')).rows[0], {name: 'John', active: true, code: 1});
+        // foreign key was dropped with referenced column
+        await client.query('insert into orders (user_id, total) values (100, 1)');
+    });
+
+    it('renames tables, columns and constraints', async () => {
+        await client.query('alter table users rename to people');
+        await client.query('alter table people rename column name to full_name');
+        await client.query('alter table people rename constraint users_pkey to people_pkey');
+        deepEqual((await client.query('select full_name, total from orders join people on people.id = orders.user_id order by total')).rows, [
+            {full_name: 'John', total: 10},
+            {full_name: 'Jane', total: 20},
+        ]);
+
+        await rejects(client.query('select * from users'), {code: '42P01'});
+        await rejects(client.query('alter table people rename column full_name to id'), {code: '42701'});
+        await rejects(client.query('insert into orders (user_id, total) values (100, 1)'), {code: '23503'});
+        // serial sequence keeps its name and follows the table
+        deepEqual((await client.query(`insert into people (full_name) values ('Jack') returning id`)).rows, [{id: 3}]);
+    });
+
+    it('changes column type, default and not null', async () => {
+        await rejects(client.query('alter table users alter column age type int'), {code: '42804'});
+        await client.query('alter table users alter column age type int using age::int, alter column name set not null');
+        deepEqual((await client.query('select age from users order by id')).rows, [{age: 30}, {age: 25}]);
+
+        await client.query('alter table users alter column age set default 18');
+        await client.query(`insert into users (name) values ('Jack')`);
+        deepEqual((await client.query(`select age from users where name = 'Jack'`)).rows, [{age: 18}]);
+        await rejects(client.query('insert into users (name) values (null)'), {code: '23502'});
+
+        // failed alter table changes nothing
+        await client.query('insert into users (name, age) values ($1, null)', ['Jim']);
+        await rejects(client.query('alter table users alter column age drop default, alter column age set not null'), {code: '23502'});
+        await client.query(`insert into users (name) values ('Joe')`);
+        deepEqual((await client.query(`select age from users where name = 'Joe'`)).rows, [{age: 18}]);
+        await rejects(client.query('alter table users alter column id drop not null'), {code: '42P16'});
+    });
+
+    it('truncates tables', async () => {
+        await rejects(client.query('truncate users'), {code: '0A000'});
+
+        const result = await client.query('truncate table users restart identity cascade');
+        deepEqual(result.command, 'TRUNCATE');
+        deepEqual((await client.query('select * from orders')).rows, []);
+        deepEqual((await client.query(`insert into users (name) values ('Jack') returning id`)).rows, [{id: 1}]);
+
+        // sequences of cascaded tables are restarted too, they continue without RESTART IDENTITY
+        await client.query('insert into orders (user_id, total) values (1, 5)');
+        await client.query('truncate orders');
+        deepEqual((await client.query('insert into orders (user_id, total) values (1, 5) returning id')).rows, [{id: 2}]);
+    });
+
+    it('alter table in transaction and if exists', async () => {
+        await client.query('begin');
+        await client.query('alter table users add column email text');
+        await client.query('truncate orders');
+        await client.query('rollback');
+        deepEqual((await client.query('select * from users order by id')).rows[0], {id: 1, name: 'John', age: '30'});
+        deepEqual((await client.query('select count(*)::int as count from orders')).rows, [{count: 2}]);
+
+        const notices = [];
+        client.on('notice', x => notices.push(x.message));
+        await client.query('alter table if exists clients add column email text');
+        await client.query('alter table orders drop constraint if exists orders_total_check');
+        deepEqual(notices, [
+            'relation "clients" does not exist, skipping',
+            'constraint "orders_total_check" of relation "orders" does not exist, skipping',
+        ]);
+    });
+});
+
+describe('seed', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query(`create table users (id serial primary key, name text not null, created date default '2024-01-01')`);
+        await client.query('create table orders (id int primary key, user_id int references users(id), total numeric(10, 2))');
+    });
+
+    it('validates rows like insert', async () => {
+        const seeded = await client.seed({
+            orders: [{id: 1, user_id: 1, total: '9.999'}],
+            users: [{name: 'John'}, {id: 5, name: 'Jane', created: '2024-02-03'}],
+        });
+        deepEqual(seeded.users.map(x => x.id), [1, 5]);
+        const {rows} = await client.query('select u.id, name, created, total from users u left join orders o on o.user_id = u.id order by u.id');
+        deepEqual(rows, [
+            {id: 1, name: 'John', created: new Date('2024-01-01T00:00:00Z'), total: '10.00'},
+            {id: 5, name: 'Jane', created: new Date('2024-02-03T00:00:00Z'), total: null},
+        ]);
+
+        for (let [data, code] of [
+            [{users: [{name: null}]}, '23502'],
+            [{users: [{name: 'Bob', age: 30}]}, '42703'],
+            [{users: [{id: 1, name: 'Bob'}]}, '23505'],
+            [{users: [{id: 7, name: 'Bob'}], orders: [{id: 2, user_id: 8}]}, '23503'],
+        ]) {
+            await rejects(client.seed(data), {code});
+        }
+        // failed seeds change nothing
+        deepEqual((await client.query('select count(*)::int as count from users')).rows, [{count: 2}]);
+    });
+    it('factories and foreign key order', async () => {
+        const seeded = await client.seed({
+            orders: {count: 4, factory: (i, {users}) => ({id: i + 1, user_id: users[i % users.length].id, total: 10 * i})},
+            users: {count: 2, factory: i => ({name: 'user ' + i})},
+        }, {resolve_order: true});
+        deepEqual(Object.keys(seeded), ['users', 'orders']);
+
+        const {rows} = await client.query('select user_id, count(*)::int as count from orders group by user_id order by user_id');
+        deepEqual(rows, [{user_id: 1, count: 2}, {user_id: 2, count: 2}]);
+        const inserted = await client.query('insert into users (name) values (\'next\') returning id');
+        deepEqual(inserted.rows, [{id: 3}]);
+    });
+    it('returns rows like query', async () => {
+        await client.query(`create table clicks (id bigserial primary key, user_id int references users(id), details jsonb,
+                                                 price numeric(6, 2), duration interval, seen timestamp default '2024-01-01 10:00')`);
+        const details = {tags: ['a']};
+        const seeded = await client.seed({
+            users: [{name: 'John'}],
+            clicks: [{user_id: 1, details, price: 2.5, duration: '90 minutes'}],
+        });
+        deepEqual(seeded, {
+            users: [{id: 1, name: 'John', created: new Date('2024-01-01T00:00:00Z')}],
+            clicks: [{
+                id: '1', user_id: 1, details: {tags: ['a']}, price: '2.50', duration: {hours: 1, minutes: 30},
+                seen: new Date('2024-01-01T10:00:00Z'),
+            }],
+        });
+        deepEqual(seeded.clicks, (await client.query('select * from clicks')).rows);
+
+        // seeded rows are copies
+        details.tags.push('b');
+        seeded.clicks[0].details.tags.push('c');
+        deepEqual((await client.query('select details from clicks')).rows, [{details: {tags: ['a']}}]);
+    });
+    it('unknown tables', async () => {
+        await rejects(client.seed({user: [{name: 'John'}]}), {code: '42P01', message: 'relation "user" does not exist'});
+        await rejects(client.seed({users: [{name: 'John'}], events: [{kind: 'click'}]}), {code: '42P01'});
+        deepEqual((await client.query('select count(*)::int as count from users')).rows, [{count: 0}]);
+
+        await client.query('begin');
+        await client.seed({users: [{name: 'John'}]});
+        await client.query('rollback');
+        deepEqual((await client.query('select count(*)::int as count from users')).rows, [{count: 0}]);
+    });
+    it('fixture files', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pg-mock-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify({users: [{name: 'John'}, {name: 'Jane'}]}));
+            fs.writeFileSync(path.join(dir, 'orders.sql'), `
+                -- orders of John; totals in dollars
+                insert into orders values (1, 1, 5.5);
+                insert into orders (id, user_id, total) values (2, 1, 7), (3, 2, 1);
+            `);
+            await client.seed_file(path.join(dir, 'users.json'));
+            await client.seed_file(path.join(dir, 'orders.sql'));
+            const {rows} = await client.query('select o.id, name, total from users join orders o on user_id = users.id order by o.id');
+            deepEqual(rows, [{id: 1, name: 'John', total: '5.50'}, {id: 2, name: 'John', total: '7.00'}, {id: 3, name: 'Jane', total: '1.00'}]);
+
+            fs.writeFileSync(path.join(dir, 'broken.sql'), 'insert into orders values (4, 2, 1); insert into orders values (5, 99, 1);');
+            await rejects(client.seed_file(path.join(dir, 'broken.sql')), {code: '23503'});
+            deepEqual((await client.query('select count(*)::int as count from orders')).rows, [{count: 3}]);
+            deepEqual(client.transaction_status, 'I');
+        } finally {
+            fs.rmSync(dir, {recursive: true});
+        }
+    });
+    it('YAML fixture files', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pg-mock-'));
+        try {
+            const file = path.join(dir, 'users.yml');
+            fs.writeFileSync(file, 'users:\n  - name: John\n  - id: 5\n    name: Jane\n');
+
+            // "yaml" is optional peer dependency
+            let installed = true;
+            try {
+                require.resolve('yaml');
+            } catch (e) {
+                installed = false;
+            }
+            if (!installed) {
+                await rejects(client.seed_file(file), {message: 'Install "yaml" package to load YAML fixtures'});
+                return;
+            }
+
+            await client.seed_file(file);
+            const {rows} = await client.query('select id, name from users order by id');
+            deepEqual(rows, [{id: 1, name: 'John'}, {id: 5, name: 'Jane'}]);
+        } finally {
+            fs.rmSync(dir, {recursive: true});
+        }
+    });
+});
+
+describe('snapshots', () => {
+    /** @type {PgMock}*/
+    let client;
+    /** @type {DatabaseSnapshot}*/
+    let baseline;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query('create table users (id serial primary key, name text not null)');
+        await client.query('create table logs (message text)');
+        await client.seed({users: [{name: 'John'}, {name: 'Jane'}]});
+        await client.query('select nextval(\'users_id_seq\')');
+        baseline = client.snapshot();
+    });
+
+    const names = async () => (await client.query('select name from users order by id')).rows.map(x => x.name);
+
+    it('restores tables, schemas and sequences', async () => {
+        await client.query('insert into users (name) values (\'Bob\')');
+        await client.query('delete from users where id = 1');
+        await client.query('alter table users add constraint short_name check (length(name) < 10)');
+        await client.query('create table extra (id int)');
+        await client.query('drop table logs');
+
+        await client.restore(baseline);
+        deepEqual(await names(), ['John', 'Jane']);
+        await client.query('insert into logs values (\'restored\')');
+        await client.query('insert into users (name) values (\'A very long name\')');
+        const {rows} = await client.query('select id from users where name = \'A very long name\'');
+        deepEqual(rows, [{id: 4}]);
+        await rejects(client.query('select * from extra'), {code: '42P01'});
+
+        // snapshot can be restored many times
+        await client.restore(baseline);
+        deepEqual(await names(), ['John', 'Jane']);
+    });
+    it('reset', async () => {
+        client.reset();
+        await client.query('create table users (id serial primary key, name text)');
+        const {rows} = await client.query('insert into users (name) values (\'new\') returning id');
+        deepEqual(rows, [{id: 1}]);
+    });
+    it('unchanged tables are shared', async () => {
+        await client.query('insert into logs values (\'one\')');
+        const next = client.snapshot();
+        ok(next.state.tables.get('users') === baseline.state.tables.get('users'));
+        ok(next.state.tables.get('logs') !== baseline.state.tables.get('logs'));
+        ok(next.state.schemas === baseline.state.schemas);
+
+        await client.query('update users set name = \'Jack\' where id = 1');
+        await client.restore(next);
+        deepEqual(await names(), ['John', 'Jane']);
+        deepEqual((await client.query('select message from logs')).rows, [{message: 'one'}]);
+    });
+    it('changes of query results don\'t reach snapshot', async () => {
+        await client.query('create table settings (data jsonb, tags text[])');
+        await client.query('insert into settings values (\'{"theme": {"dark": false}}\', array[\'a\'])');
+        const saved = client.snapshot();
+
+        const {rows} = await client.query('select * from settings');
+        rows[0].data.theme.dark = true;
+        rows[0].tags.push('b');
+        await client.query('delete from settings');
+        await client.restore(saved);
+        deepEqual((await client.query('select * from settings')).rows, [{data: {theme: {dark: false}}, tags: ['a']}]);
+    });
+    it('transactions after restore', async () => {
+        const other = new PgMock({database: client.database});
+        await other.connect();
+        await client.query('update users set name = \'Jack\' where id = 1');
+        await client.restore(baseline);
+
+        await client.query('begin');
+        await other.query('begin');
+        await client.query('insert into logs values (\'client\')');
+        await other.query('update users set name = \'Joan\' where id = 2');
+        await client.query('commit');
+        await other.query('commit');
+        deepEqual(await names(), ['John', 'Joan']);
+        deepEqual((await client.query('select message from logs')).rows, [{message: 'client'}]);
+    });
+    it('clone into independent database', async () => {
+        const copy = new PgMock({database: baseline.clone()});
+        await copy.connect();
+        await copy.query('insert into users (name) values (\'Copy\')');
+        await client.query('insert into users (name) values (\'Original\')');
+
+        const {rows} = await copy.query('select id, name from users order by id');
+        deepEqual(rows, [{id: 1, name: 'John'}, {id: 2, name: 'Jane'}, {id: 4, name: 'Copy'}]);
+        deepEqual(await names(), ['John', 'Jane', 'Original']);
+    });
+});
+
+describe('dump and restore', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query(`create table users (id serial primary key, name varchar(20) not null default 'anon',
+                                                 score numeric(5, 2) check (score >= 0), tags text[], profile jsonb, unique (name))`);
+        await client.query(`create table orders (id int generated always as identity primary key,
+                                                 user_id int references users (id) on delete cascade, placed date)`);
+        await client.query('create sequence invoice_numbers start 100 increment 10');
+        await client.query(`insert into users (name, score, tags, profile) values ('O''Brien', 1.5, '{a,"b c"}', '{"age": 30}'), ('Jane', null, null, null)`);
+        await client.query('insert into orders (user_id, placed) values (1, \'2024-01-31\'), (2, null)');
+        await client.query('select nextval(\'invoice_numbers\')');
+    });
+
+    it('dumps schema and data as SQL', async () => {
+        const sql = client.dump();
+        for (let statement of [
+            'CREATE SEQUENCE invoice_numbers AS bigint INCREMENT BY 10',
+            'name varchar(20) DEFAULT \'anon\' NOT NULL',
+            'id integer GENERATED ALWAYS AS IDENTITY (INCREMENT BY 1',
+            'CONSTRAINT users_score_check CHECK (score >= 0)',
+            'INSERT INTO orders (id, user_id, placed) OVERRIDING SYSTEM VALUE VALUES',
+            '(1, \'O\'\'Brien\', 1.50, \'{a,"b c"}\', \'{"age": 30}\')',
+            'SELECT setval(\'users_id_seq\', 2, true)',
+            'ALTER TABLE orders ADD CONSTRAINT orders_user_id_fkey FOREIGN KEY (user_id) REFERENCES users (id) ON UPDATE NO ACTION ON DELETE CASCADE',
+        ])
+            ok(sql.includes(statement), statement);
+    });
+    it('restores dump', async () => {
+        const sql = client.dump();
+        const copy = new PgMock();
+        await copy.connect();
+        await copy.restore(sql);
+        deepEqual(copy.dump(), sql);
+
+        const {rows} = await copy.query('select u.name, u.tags, u.profile, o.placed from users u join orders o on o.user_id = u.id order by u.id');
+        deepEqual(rows, [
+            {name: 'O\'Brien', tags: ['a', 'b c'], profile: {age: 30}, placed: new Date('2024-01-31T00:00:00Z')},
+            {name: 'Jane', tags: null, profile: null, placed: null},
+        ]);
+        const next = await copy.query('select nextval(\'invoice_numbers\') as invoice, nextval(\'users_id_seq\') as user_id');
+        deepEqual(next.rows, [{invoice: '110', user_id: '3'}]);
+        await copy.query('delete from users where id = 1');
+        deepEqual((await copy.query('select id from orders')).rows, [{id: 2}]);
+    });
+    it('failed restore keeps database', async () => {
+        const sql = client.dump().replace('(2, 2, NULL)', '(2, 99, NULL)');
+        await rejects(client.restore(sql), {code: '23503'});
+        deepEqual(client.transaction_status, 'I');
+        deepEqual((await client.query('select count(*)::int as count from orders')).rows, [{count: 2}]);
+    });
+    it('tables without schema', async () => {
+        client._tests_only_table_map.set('events', [{kind: 'click', count: 2}, {kind: 'view', seen: true}]);
+        const sql = client.dump();
+        ok(sql.includes('CREATE TABLE events (\n    kind text,\n    count integer,\n    seen boolean\n)'));
+
+        await client.restore(sql);
+        const {rows} = await client.query('select * from events order by kind');
+        deepEqual(rows, [{kind: 'click', count: 2, seen: null}, {kind: 'view', count: null, seen: true}]);
+    });
+    it('sequence bounds', async () => {
+        await client.query('create sequence countdown increment by -1');
+        const sql = client.dump();
+        ok(sql.includes('CREATE SEQUENCE invoice_numbers AS bigint INCREMENT BY 10 MINVALUE 1 MAXVALUE 9223372036854775807 START WITH 100'));
+        ok(sql.includes('CREATE SEQUENCE countdown AS bigint INCREMENT BY -1 MINVALUE -9223372036854775808 MAXVALUE -1 START WITH -1'));
+
+        const copy = new PgMock();
+        await copy.connect();
+        await copy.restore(sql);
+        deepEqual(copy.dump(), sql);
+    });
+    it('schemas other than public', async () => {
+        await client.query('create table public.logs (id int)');
+        await rejects(client.query('create table app.items (id int)'), NotSupportedError);
+        await rejects(client.query('select * from app.users'), NotSupportedError);
+        await rejects(client.query('drop table app.users'), NotSupportedError);
+        await rejects(client.query('create schema app'), NotSupportedError);
+        await rejects(client.query('create view names as select name from users'), NotSupportedError);
+        ok(!client.dump().includes('items'));
+    });
+    it('overriding identity values', async () => {
+        await client.query('insert into orders (id, user_id) overriding system value values (10, 1)');
+        await client.query('insert into orders (id, user_id) overriding user value values (20, 1)');
+        const {rows} = await client.query('select id from orders order by id');
+        deepEqual(rows.map(x => x.id), [1, 2, 3, 10]);
+    });
+});
+
+describe('multiple statements and migrations', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+    });
+
+    it('returns result of each statement', async () => {
+        const results = await client.query(`
+            create table users (id serial primary key, name text);
+            -- comment only statement is skipped
+            insert into users (name) values ('John'), ('Jane');
+            select name from users order by id;
+        `);
+        deepEqual(results.map(x => [x.command, x.rowCount]), [['CREATE', null], ['INSERT', 2], ['SELECT', 2]]);
+        deepEqual(results[2].rows, [{name: 'John'}, {name: 'Jane'}]);
+
+        await rejects(client.query('select 1; select 2', [1]), {code: '42601'});
+        deepEqual((await client.query('select 1 as one;')).rows, [{one: 1}]);
+
+        // empty query has no command
+        for (let sql of ['', ' ;', '-- nothing'])
+            deepEqual(_.pick(await client.query(sql), ['command', 'rowCount', 'rows', 'fields']), {command: null, rowCount: null, rows: [], fields: []});
+    });
+    it('runs statements in implicit transaction', async () => {
+        await client.query('create table users (id int primary key)');
+        await rejects(client.query('insert into users values (1); insert into users values (2), (1)'), {code: '23505'});
+        deepEqual((await client.query('select * from users')).rows, []);
+        deepEqual(client.transaction_status, 'I');
+
+        // BEGIN turns implicit transaction into regular one, failure leaves it aborted
+        await rejects(client.query('insert into users values (1); begin; insert into users values (2); insert into users values (2)'));
+        deepEqual(client.transaction_status, 'E');
+        await client.query('rollback');
+        deepEqual((await client.query('select id from users')).rows, []);
+
+        const results = await client.query('insert into users values (1); begin; insert into users values (2); commit; insert into users values (3)');
+        deepEqual(results.map(x => x.command), ['INSERT', 'BEGIN', 'INSERT', 'COMMIT', 'INSERT']);
+        deepEqual((await client.query('select id from users order by id')).rows, [{id: 1}, {id: 2}, {id: 3}]);
+    });
+    it('set and show run-time parameters', async () => {
+        await client.query('set search_path to "public"; set statement_timeout = 0');
+        deepEqual((await client.query('show search_path')).rows, [{search_path: 'public'}]);
+        deepEqual((await client.query('show server_version')).rows, [{server_version: '16.0'}]);
+        deepEqual((await client.query('SHOW TimeZone')).rows, [{TimeZone: 'UTC'}]);
+
+        const [, before] = await client.query('begin; show lock_timeout; set local lock_timeout = \'5s\'');
+        deepEqual(before.rows, [{lock_timeout: '0'}]);
+        deepEqual((await client.query('show lock_timeout')).rows, [{lock_timeout: '5s'}]);
+        await client.query('commit');
+        deepEqual((await client.query('show lock_timeout')).rows, [{lock_timeout: '0'}]);
+
+        await client.query('set app.tenant = \'acme\'');
+        deepEqual((await client.query('show app.tenant')).rows, [{'app.tenant': 'acme'}]);
+        await client.query('reset all');
+        await rejects(client.query('show app.tenant'), {code: '42704'});
+        await rejects(client.query('set unknown_parameter = 1'), {code: '42704'});
+        await rejects(client.query('set time zone \'Europe/Paris\''), NotSupportedError);
+    });
+    it('advisory locks', async () => {
+        const other = new PgMock({database: client.database});
+        await other.connect();
+        const try_lock = async (c, key) => (await c.query('select pg_try_advisory_lock($1) as locked', [key])).rows[0].locked;
+
+        ok(await try_lock(client, 42));
+        ok(await try_lock(client, 42));
+        ok(!await try_lock(other, 42));
+        ok(await try_lock(other, 7));
+
+        deepEqual((await other.query('select pg_advisory_unlock(42) as unlocked')).rows, [{unlocked: false}]);
+        await client.query('select pg_advisory_unlock(42)');
+        ok(!await try_lock(other, 42));
+        await client.end();
+        ok(await try_lock(other, 42));
+    });
+    it('migration tool bookkeeping', async () => {
+        await client.query(`create table migrations (id serial primary key, name varchar(255) not null, run_on timestamp not null);
+                            create unique index migrations_name on migrations (name);
+                            create index migrations_run_on on migrations (run_on desc)`);
+        const exists = await client.query(`select table_name from information_schema.tables
+                                           where table_schema = current_schema() and table_name = $1`, ['migrations']);
+        deepEqual(exists.rows, [{table_name: 'migrations'}]);
+        const constraints = await client.query(`select constraint_name from information_schema.table_constraints
+                                                where table_name = 'migrations' and constraint_type = 'PRIMARY KEY'`);
+        deepEqual(constraints.rows, [{constraint_name: 'migrations_pkey'}]);
+        const columns = await client.query(`select column_name, data_type, is_nullable, character_maximum_length
+                                            from information_schema.columns where table_name = 'migrations' order by ordinal_position`);
+        deepEqual(columns.rows[1], {column_name: 'name', data_type: 'character varying', is_nullable: 'NO', character_maximum_length: 255});
+        deepEqual((await client.query('select to_regclass(\'public.migrations\') as t, to_regclass(\'missing\') as m')).rows, [{t: 'migrations', m: null}]);
+
+        await client.query('insert into migrations (name, run_on) values (\'001_init\', now())');
+        await rejects(client.query('insert into migrations (name, run_on) values (\'001_init\', now())'), {constraint: 'migrations_name'});
+        deepEqual((await client.query('select name from migrations order by run_on for update')).rows, [{name: '001_init'}]);
+
+        const sql = client.dump();
+        ok(sql.includes('CREATE UNIQUE INDEX migrations_name ON migrations (name);'));
+        ok(sql.includes('CREATE INDEX migrations_run_on ON migrations (run_on DESC);'));
+        await client.query('drop index migrations_name, migrations_run_on');
+        await client.query('insert into migrations (name, run_on) values (\'001_init\', now())');
+    });
+});
+
+describe('transactions', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query('create table users (id int primary key, name text)');
+        await client.query('insert into users values (1, \'John\'), (2, \'Richy\')');
+    });
+
+    const names = async () => (await client.query('select name from users order by id')).rows.map(x => x.name);
+
+    it('sees committed data and own writes', async () => {
+        await client.query('begin');
+        await client.query('insert into users values (3, \'Mister\')');
+        deepEqual(await names(), ['John', 'Richy', 'Mister']);
+        await client.query('commit');
+        deepEqual(await names(), ['John', 'Richy', 'Mister']);
+    });
+    it('rollback discards changes', async () => {
+        await client.query('BEGIN');
+        await client.query('update users set name = \'Jack\' where id = 1');
+        await client.query('create table temp (id int)');
+        await client.query('ROLLBACK');
+        deepEqual(await names(), ['John', 'Richy']);
+        await rejects(client.query('select * from temp'), {code: '42P01'});
+    });
+    it('[SQL params] commit does not re-evaluate statements', async () => {
+        await client.query('create sequence ids start 10');
+        await client.query('Start Transaction');
+        await client.query('insert into users values (nextval(\'ids\'), $1)', ['Random']);
+        await client.query('end');
+        deepEqual((await client.query('select id from users where name = \'Random\'')).rows, [{id: 10}]);
+    });
+    it('failed statement aborts transaction', async () => {
+        await client.query('begin isolation level serializable');
+        await client.query('insert into users values (3, \'Mister\')');
+        await rejects(client.query('insert into users values (1, \'Duplicate\')'), {code: '23505'});
+        await rejects(client.query('select * from users'), {code: '25P02'});
+        // commit of aborted transaction rolls it back
+        await client.query('commit');
+        deepEqual(await names(), ['John', 'Richy']);
+    });
+    it('savepoints', async () => {
+        await client.query('begin');
+        await client.query('insert into users values (3, \'Mister\')');
+        await client.query('savepoint first');
+        await client.query('insert into users values (4, \'Regular\')');
+        await client.query('SAVEPOINT second');
+        await rejects(client.query('insert into users values (4, \'Duplicate\')'), {code: '23505'});
+        await client.query('rollback to savepoint first');
+        deepEqual(await names(), ['John', 'Richy', 'Mister']);
+
+        await client.query('insert into users values (5, \'Last\')');
+        await client.query('release savepoint first');
+        await client.query('savepoint second');
+        await client.query('rollback to second');
+        deepEqual(await names(), ['John', 'Richy', 'Mister', 'Last']);
+
+        // failed "ROLLBACK TO" aborts transaction
+        await rejects(client.query('rollback to first'), {code: '3B001'});
+        await rejects(client.query('select * from users'), {code: '25P02'});
+        deepEqual((await client.query('commit')).command, 'ROLLBACK');
+        deepEqual(await names(), ['John', 'Richy']);
+    });
+    it('savepoint outside of transaction', async () => {
+        await rejects(client.query('savepoint first'), {code: '25P01'});
+    });
+    it('read only', async () => {
+        await client.query('begin read only');
+        deepEqual(await names(), ['John', 'Richy']);
+        await rejects(client.query('update users set name = \'Jack\''),
+            {code: '25006', message: 'cannot execute UPDATE in a read-only transaction'});
+        await client.query('rollback');
+
+        await client.query('start transaction isolation level serializable, read only');
+        await rejects(client.query('create table temp (id int)'), {message: 'cannot execute CREATE TABLE in a read-only transaction'});
+        await client.query('rollback');
+        await client.query('begin read write');
+        await client.query('update users set name = \'Jack\' where id = 1');
+        await client.query('commit');
+        deepEqual(await names(), ['Jack', 'Richy']);
+    });
+});
+
+describe('database and pool', () => {
+    /** @type {Database}*/
+    let database;
+    /** @type {PgMock}*/
+    let first;
+    /** @type {PgMock}*/
+    let second;
+    beforeEach(async () => {
+        database = new Database();
+        first = new PgMock({database});
+        second = new PgMock({database});
+        await first.connect();
+        await second.connect();
+        await first.query('create table users (id int primary key, name text)');
+        await first.query('insert into users values (1, \'John\'), (2, \'Richy\')');
+    });
+
+    const names = async client => (await client.query('select name from users order by id')).rows.map(x => x.name);
+
+    it('clients share database', async () => {
+        await second.query('insert into users values (3, \'Mister\')');
+        deepEqual(await names(first), ['John', 'Richy', 'Mister']);
+    });
+    it('read committed sees changes committed by others', async () => {
+        await first.query('begin');
+        await second.query('begin');
+        await first.query('update users set name = \'Jack\' where id = 1');
+        await second.query('insert into users values (3, \'Mister\')');
+        deepEqual(await names(second), ['John', 'Richy', 'Mister']);
+        deepEqual(await names(first), ['Jack', 'Richy']);
+
+        await first.query('commit');
+        deepEqual(await names(second), ['Jack', 'Richy', 'Mister']);
+        await second.query('commit');
+        deepEqual(await names(first), ['Jack', 'Richy', 'Mister']);
+    });
+    it('repeatable read uses transaction snapshot', async () => {
+        await second.query('begin isolation level repeatable read');
+        deepEqual(await names(second), ['John', 'Richy']);
+        await first.query('insert into users values (3, \'Mister\')');
+        deepEqual(await names(second), ['John', 'Richy']);
+        await second.query('commit');
+        deepEqual(await names(second), ['John', 'Richy', 'Mister']);
+    });
+    it('concurrent update waits for transaction end', async () => {
+        await first.query('begin');
+        await first.query('update users set name = \'Jack\' where id = 1');
+
+        let finished = false;
+        const update = second.query('update users set name = name || \'!\' where id = 1').then(() => finished = true);
+        await new Promise(resolve => setImmediate(resolve));
+        ok(!finished);
+
+        await first.query('commit');
+        await update;
+        deepEqual(await names(first), ['Jack!', 'Richy']);
+    });
+    it('deadlock', async () => {
+        await first.query('begin');
+        await second.query('begin');
+        await first.query('update users set name = \'Jack\' where id = 1');
+        await second.query('update users set name = \'Regular\' where id = 2');
+
+        const update = first.query('update users set name = \'Mister\' where id = 2');
+        await new Promise(resolve => setImmediate(resolve));
+        await rejects(second.query('update users set name = \'Poor\' where id = 1'), {code: '40P01', message: 'deadlock detected'});
+        deepEqual(second.transaction_status, 'E');
+
+        await second.query('rollback');
+        await update;
+        await first.query('commit');
+        deepEqual(await names(first), ['Jack', 'Mister']);
+    });
+    it('concurrent update after rollback', async () => {
+        await first.query('begin');
+        await first.query('delete from users where id = 2');
+        const update = second.query('update users set name = \'Regular\' where id = 2');
+        await first.query('rollback');
+        await update;
+        deepEqual(await names(first), ['John', 'Regular']);
+    });
+    it('serialization failure', async () => {
+        await second.query('begin isolation level repeatable read');
+        await second.query('select * from users');
+        await first.query('update users set name = \'Jack\' where id = 1');
+        await rejects(second.query('update users set name = \'Mister\' where id = 1'), {code: '40001'});
+        await second.query('rollback');
+        deepEqual(await names(first), ['Jack', 'Richy']);
+    });
+    it('concurrent inserts of the same key', async () => {
+        await first.query('begin');
+        await second.query('begin');
+        await first.query('insert into users values (3, \'Mister\')');
+        await second.query('insert into users values (3, \'Regular\')');
+        await first.query('commit');
+        await rejects(second.query('commit'), {code: '23505'});
+        deepEqual(await names(second), ['John', 'Richy', 'Mister']);
+    });
+    it('pool', async () => {
+        const pool = new PgMockPool({database, max: 2});
+        const a = await pool.connect();
+        const b = await pool.connect();
+        deepEqual([pool.totalCount, pool.idleCount, pool.waitingCount], [2, 0, 0]);
+
+        const waiting = pool.connect();
+        deepEqual(pool.waitingCount, 1);
+        a.release();
+        const c = await waiting;
+        ok(c === a);
+        deepEqual([pool.totalCount, pool.idleCount, pool.waitingCount], [2, 0, 0]);
+
+        b.release();
+        c.release();
+        deepEqual(pool.idleCount, 2);
+        deepEqual((await pool.query('select count(*) from users')).rows, [{count: '2'}]);
+        deepEqual(pool.idleCount, 2);
+
+        await pool.end();
+        deepEqual(pool.totalCount, 0);
+        await rejects(pool.connect());
+    });
+    it('pool client released with error is removed', async () => {
+        const pool = new PgMockPool({database, max: 1});
+        const client = await pool.connect();
+        const waiting = pool.connect();
+        client.release(true);
+        const next = await waiting;
+        ok(next !== client);
+        deepEqual(pool.totalCount, 1);
+        next.release();
+        await pool.end();
+    });
+    it('pool removes idle client on error', async () => {
+        const pool = new PgMockPool({database, max: 1});
+        const errors = [];
+        pool.on('error', (err, client) => errors.push([err.message, client]));
+        const client = await pool.connect();
+        client.release();
+        await client.end();
+        await client.query('select 1').catch(() => null);
+        deepEqual(errors, [['Client was closed and is not queryable', client]]);
+        deepEqual(pool.totalCount, 0);
+
+        const next = await pool.connect();
+        ok(next !== client);
+        deepEqual((await next.query('select 1 as one')).rows, [{one: 1}]);
+        next.release();
+        await pool.end();
+    });
+});
+
+describe('node-postgres api', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query('create table users (id int primary key, name text)');
+    });
+
+    it('result shape', async () => {
+        const inserted = await client.query('insert into users values (1, \'John\'), (2, \'Richy\')');
+        deepEqual(_.pick(inserted, ['command', 'rowCount', 'oid', 'rows', 'fields']), {command: 'INSERT', rowCount: 2, oid: 0, rows: [], fields: []});
+
+        const selected = await client.query('select id, name from users where id = 3');
+        deepEqual(_.pick(selected, ['command', 'rowCount', 'oid', 'rows']), {command: 'SELECT', rowCount: 0, oid: null, rows: []});
+        deepEqual(selected.fields.map(x => [x.name, x.dataTypeID]), [['id', 23], ['name', 25]]);
+
+        const begin = await client.query('begin');
+        deepEqual(_.pick(begin, ['command', 'rowCount', 'rows']), {command: 'BEGIN', rowCount: null, rows: []});
+        deepEqual((await client.query('commit')).command, 'COMMIT');
+        deepEqual((await client.query('drop table users')).rows, []);
+    });
+    it('[SQL params] query config and row mode', async () => {
+        await client.query({text: 'insert into users values ($1, $2)', values: [1, 'John']});
+        const result = await client.query({text: 'select * from users where id = $1', rowMode: 'array'}, [1]);
+        deepEqual(result.rows, [[1, 'John']]);
+        deepEqual(result.fields.map(x => x.name), ['id', 'name']);
+    });
+    it('[SQL params] callbacks', async () => {
+        const result = await new Promise((resolve, reject) => client.query('insert into users values ($1, $2) returning id', [1, 'John'], (err, res) => err ? reject(err) : resolve(res)));
+        deepEqual(result.rows, [{id: 1}]);
+
+        const err = await new Promise(resolve => client.query('select * from missing', resolve));
+        deepEqual(err.code, '42P01');
+
+        // exception of callback is uncaught, not unhandled rejection
+        const listeners = process.listeners('uncaughtException');
+        process.removeAllListeners('uncaughtException');
+        try {
+            const uncaught = new Promise(resolve => process.once('uncaughtException', resolve));
+            client.query('select 1', () => { throw new Error('callback failed'); });
+            deepEqual((await uncaught).message, 'callback failed');
+        } finally {
+            listeners.forEach(x => process.on('uncaughtException', x));
+        }
+    });
+    it('submittable', async () => {
+        await client.query('insert into users values (1, \'John\'), (2, \'Richy\')');
+        const submittable = Object.assign(new EventEmitter(), {text: 'select name from users', submit() {}});
+        const rows = [];
+        submittable.on('row', row => rows.push(row));
+        ok(client.query(submittable) === submittable);
+        await new Promise(resolve => submittable.on('end', resolve));
+        deepEqual(rows, [{name: 'John'}, {name: 'Richy'}]);
+    });
+    it('events', async () => {
+        const notices = [];
+        client.on('notice', x => notices.push(x));
+        await client.query('create table if not exists users (id int)');
+        await client.query('commit');
+        deepEqual(notices.map(x => [x.severity, x.message]), [
+            ['NOTICE', 'relation "users" already exists, skipping'],
+            ['WARNING', 'there is no transaction in progress'],
+        ]);
+
+        let ended = false;
+        client.on('end', () => ended = true);
+        await client.end();
+        ok(ended);
+
+        const errors = [];
+        client.on('error', err => errors.push(err.message));
+        await rejects(client.query('select 1'), {message: 'Client was closed and is not queryable'});
+        deepEqual(errors, ['Client was closed and is not queryable']);
+    });
+    it('type parsers', async () => {
+        await client.query('insert into users values (1, \'John\')');
+        const parsers = {getTypeParser: oid => oid == 23 ? x => 'id_' + x : undefined};
+        const {rows} = await client.query({text: 'select * from users', types: parsers});
+        deepEqual(rows, [{id: 'id_1', name: 'John'}]);
+    });
+});
+
+describe('errors', () => {
+    /** @type {PgMock}*/
+    let client;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query('create table users (id int primary key, name varchar(5))');
+        await client.query('insert into users values (1, \'John\')');
+    });
+
+    it('syntax error', async () => {
+        await rejects(client.query('select * form users'), DatabaseError);
+        await rejects(client.query('select * form users'), {
+            name: 'error',
+            severity: 'ERROR',
+            code: '42601',
+            message: 'syntax error at or near "form"',
+            position: '10',
+        });
+        await rejects(client.query('select * from'),
+            {code: '42601', message: 'syntax error at end of input', position: '14'});
+        await rejects(client.query('select (select id, name from users)'), {code: '42601', message: 'subquery must return only one column'});
+    });
+    it('undefined table and column', async () => {
+        await rejects(client.query('select id from missing'),
+            {code: '42P01', message: 'relation "missing" does not exist', position: '16'});
+        await rejects(client.query('select \'nmae\', id from users where nmae = 1'),
+            {code: '42703', message: 'column "nmae" does not exist', position: '36'});
+        await rejects(client.query('select u.id from users x'), {code: '42P01', position: '8'});
+        await rejects(client.query('select unknown(id) from users'), {code: '42883', position: '8'});
+        await rejects(client.query('select unknown(id, name, null) from users'),
+            {code: '42883', message: 'function unknown(integer, text, unknown) does not exist'});
+        await rejects(client.query('insert into users values (5, nosuchcol)'),
+            {code: '42703', message: 'column "nosuchcol" does not exist'});
+        deepEqual((await client.query('select count(*)::int as count from users')).rows, [{count: 1}]);
+    });
+    it('type errors', async () => {
+        await rejects(client.query('insert into users values (\'one\', \'Richy\')'),
+            {code: '22P02', message: 'invalid input syntax for type integer: "one"'});
+        await rejects(client.query('insert into users values (2, \'Richard\')'), {code: '22001'});
+        await client.query('insert into users values (4, \'Ann     \'), (5, \'Bobby \')');
+        deepEqual((await client.query('select name, \'abc   \'::varchar(3) as cast from users where id > 3')).rows,
+            [{name: 'Ann  ', cast: 'abc'}, {name: 'Bobby', cast: 'abc'}]);
+        await rejects(client.query('insert into users values (3000000000, \'Big\')'), {code: '22003'});
+    });
+    it('constraint violations', async () => {
+        await rejects(client.query('insert into users values (1, \'Twin\')'),
+            {code: '23505', table: 'users', constraint: 'users_pkey'});
+        await rejects(client.query('create table users (id int)'), {code: '42P07'});
+    });
+    it('not supported by mock', async () => {
+        const sql = 'create unique index users_name on users (lower(name))';
+        await rejects(client.query(sql), NotSupportedError);
+        await rejects(client.query(sql), {code: '0A000'});
+        await rejects(client.query('select * from missing'), e => !(e instanceof NotSupportedError));
+    });
+});
+
+describe('wire protocol', () => {
+    /** @type {PgMock}*/
+    let client;
+    /** @type {PgMockServer}*/
+    let server;
+    let port;
+    beforeEach(async () => {
+        client = new PgMock();
+        await client.connect();
+        await client.query('create table users (id int primary key, name text)');
+        await client.query('insert into users values (1, \'John\'), (2, \'Richy\')');
+        server = await client.listen({auth: 'md5', users: {admin: 'secret'}});
+        port = server.address().port;
+    });
+    afterEach(async () => {
+        await server.close();
+    });
+
+    const cstring = x => Buffer.from(x + '\0');
+    const int16 = x => Buffer.from([x >> 8 & 0xFF, x & 0xFF]);
+    const int32 = x => Buffer.from([x >>> 24, x >> 16 & 0xFF, x >> 8 & 0xFF, x & 0xFF]);
+    const frame = (type, ...parts) => {
+        const body = Buffer.concat(parts);
+        return Buffer.concat([Buffer.from(type), int32(body.length + 4), body]);
+    };
+
+    /**
+     * Connects with md5 password and returns function sending messages and waiting for backend message type
+     */
+    const open = async password => {
+        const socket = net.connect(port, '127.0.0.1');
+        let buffer = Buffer.alloc(0);
+        let waiting = null;
+        const messages = [];
+        const check = () => {
+            while (buffer.length >= 5 && buffer.length >= buffer.readInt32BE(1) + 1) {
+                const length = buffer.readInt32BE(1) + 1;
+                messages.push({type: String.fromCharCode(buffer[0]), body: buffer.subarray(5, length)});
+                buffer = buffer.subarray(length);
+            }
+            const index = messages.findIndex(x => x.type == waiting?.type);
+            if (index >= 0) {
+                const resolve = waiting.resolve;
+                waiting = null;
+                resolve(messages.splice(0, index + 1));
+            }
+        };
+        socket.on('data', data => {
+            buffer = Buffer.concat([buffer, data]);
+            check();
+        });
+        const send = (type, ...data) => new Promise(resolve => {
+            waiting = {type, resolve};
+            socket.write(Buffer.concat(data));
+            check();
+        });
+
+        const startup = Buffer.concat([int32(196608), cstring('user'), cstring('admin'), Buffer.from([0])]);
+        const [auth] = await send('R', int32(startup.length + 4), startup);
+        const salt = auth.body.subarray(4);
+        const md5 = data => crypto.createHash('md5').update(data).digest('hex');
+        const hash = 'md5' + md5(Buffer.concat([Buffer.from(md5(password + 'admin')), salt]));
+        const result = await send(password == 'secret' ? 'Z' : 'E', frame('p', cstring(hash)));
+        return {send, socket, result};
+    };
+    const texts = message => {
+        const values = [];
+        for (let offset = 2, i = 0; i < message.body.readInt16BE(0); i++) {
+            const length = message.body.readInt32BE(offset);
+            values.push(message.body.toString('utf8', offset + 4, offset + 4 + length));
+            offset += 4 + length;
+        }
+        return values;
+    };
+    const tag = message => message.body.toString('utf8', 0, message.body.length - 1);
+
+    it('md5 authentication', async () => {
+        const {result, socket} = await open('wrong');
+        ok(result.at(-1).body.toString().includes('28P01'));
+        socket.destroy();
+    });
+    it('simple query shares database with in-process clients', async () => {
+        const {send, socket} = await open('secret');
+        let messages = await send('Z', frame('Q', cstring('insert into users values (3, \'Mister\')')));
+        deepEqual(messages.map(x => x.type), ['C', 'Z']);
+        deepEqual(tag(messages[0]), 'INSERT 0 1');
+        deepEqual((await client.query('select count(*) from users')).rows, [{count: '3'}]);
+
+        messages = await send('Z', frame('Q', cstring('select id, name from users where id > 1 order by id')));
+        deepEqual(messages.map(x => x.type), ['T', 'D', 'D', 'C', 'Z']);
+        deepEqual(messages.slice(1, 3).map(texts), [['2', 'Richy'], ['3', 'Mister']]);
+        deepEqual(tag(messages[3]), 'SELECT 2');
+
+        messages = await send('Z', frame('Q', cstring('select interval \'1 day 2 hours\' as ttl, now() - now() as zero')));
+        deepEqual(texts(messages[1]), ['1 day 02:00:00', '00:00:00']);
+
+        messages = await send('Z', frame('Q', cstring('select * from missing')));
+        deepEqual(messages.map(x => x.type), ['E', 'Z']);
+
+        // EmptyQueryResponse
+        messages = await send('Z', frame('Q', cstring('-- nothing')));
+        deepEqual(messages.map(x => x.type), ['I', 'Z']);
+        socket.destroy();
+    });
+    it('extended query', async () => {
+        const {send, socket} = await open('secret');
+        const messages = await send('Z',
+            frame('P', cstring('s1'), cstring('select id, name from users where id = $1'), int16(0)),
+            frame('D', Buffer.from('S'), cstring('s1')),
+            frame('B', cstring(''), cstring('s1'), int16(0), int16(1), int32(1), Buffer.from('2'), int16(2), int16(1), int16(0)),
+            frame('D', Buffer.from('P'), cstring('')),
+            frame('E', cstring(''), int32(0)),
+            frame('S'),
+        );
+        deepEqual(messages.map(x => x.type), ['1', 't', 'T', '2', 'T', 'D', 'C', 'Z']);
+        // parameter type is taken from compared column
+        deepEqual(messages[1].body.readInt32BE(2), 23);
+
+        const row = messages[5].body;
+        deepEqual([row.readInt32BE(2), row.readInt32BE(6), row.toString('utf8', 14)], [4, 2, 'Richy']);
+        deepEqual(tag(messages[6]), 'SELECT 1');
+        socket.destroy();
+    });
+});
@@ -0,0 +1,595 @@
+const _ = require('lodash');
+const {pg_error} = require('./errors.js');
+const {INTEGER_TYPES, Numeric, to_numeric, integer_value, numeric_round} = require('./numeric.js');
+const {
+    Interval,
+    parse_timestamp,
+    parse_date,
+    parse_time,
+    parse_interval_value,
+    interval_object,
+    format_date,
+    format_time,
+    format_timestamp,
+    format_interval,
+} = require('./datetime.js');
+
+/**
+ * Data type aliases, maps parser data type to canonical postgres type name
+ * @type {{[key: string]: string}}
+ */
+const TYPE_ALIASES = {
+    int: 'integer',
+    int4: 'integer',
+    int2: 'smallint',
+    int8: 'bigint',
+    serial: 'integer',
+    serial4: 'integer',
+    smallserial: 'smallint',
+    serial2: 'smallint',
+    bigserial: 'bigint',
+    serial8: 'bigint',
+    decimal: 'numeric',
+    float4: 'real',
+    float8: 'double precision',
+    float: 'double precision',
+    bool: 'boolean',
+    'character varying': 'varchar',
+    character: 'char',
+    bpchar: 'char',
+    'timestamp with time zone': 'timestamptz',
+    'timestamp without time zone': 'timestamp',
+    'time without time zone': 'time',
+    'time with time zone': 'timetz',
+};
+
+const UUID_REGEX = /^\{?([0-9a-f]{8})-?([0-9a-f]{4})-?([0-9a-f]{4})-?([0-9a-f]{4})-?([0-9a-f]{12})\}?$/i;
+
+const BOOLEAN_VALUES = {
+    true: true, t: true, yes: true, y: true, on: true, 1: true,
+    false: false, f: false, no: false, n: false, off: false, 0: false,
+};
+
+/**
+ * Resolves canonical postgres type name from parser data type definition
+ * @param definition {{dataType: string, length?: number, parentheses?: boolean, suffix?: string[] | null,
+ * array?: {dimension: number}}}
+ * @returns {string}
+ */
+function normalize_type(definition) {
+    let type = [definition.dataType, ...(Array.isArray(definition.suffix) ? definition.suffix : [])]
+        .join(' ')
+        .toLowerCase()
+        .replace(/^"(.*)"$/, '$1');
+
+    // "text[]" and array types quoted by compat.js have brackets in data type name.
+    // Multidimensional arrays are the same type as one-dimensional ones
+    const array = definition.array || type.endsWith('[]');
+    type = type.replace(/(\[\])+$/, '');
+
+    // int4, int8, float8 are parsed as data type with length
+    if (definition.length && !definition.parentheses && /^(int|float)$/.test(type))
+        type += definition.length;
+
+    type = TYPE_ALIASES[type] || type;
+    if (array)
+        type += '[]';
+    return type;
+}
+
+/**
+ * Coerces value to the column data type, throws on invalid input
+ * @param value {any}
+ * @param type {string} - canonical postgres type name
+ * @param length {number} - max length for character types or numeric precision
+ * @param scale {number} - numeric scale
+ * @returns {any}
+ */
+function coerce_value(value, type, length = undefined, scale = undefined) {
+    if (value == null)
+        return null;
+
+    if (type.endsWith('[]')) {
+        if (typeof value == 'string')
+            value = parse_array(value);
+        if (!Array.isArray(value))
+            throw pg_error('22P02', `malformed array literal: "${value}"`);
+        // nested arrays are dimensions of the same array type
+        const element_type = type.slice(0, -2);
+        return value.map(x => coerce_value(x, Array.isArray(x) ? type : element_type, length, scale));
+    }
+
+    if (INTEGER_TYPES[type]) {
+        if (typeof value == 'boolean' || (typeof value == 'string' && !/^\s*[+-]?\d+\s*$/.test(value)))
+            throw pg_error('22P02', `invalid input syntax for type ${type}: "${value}"`);
+        if (typeof value == 'number' && !Number.isFinite(value))
+            throw pg_error('22003', `${type} out of range`);
+        return integer_value(numeric_round(value, 0).mantissa, type);
+    }
+
+    switch (type) {
+        case 'numeric':
+            if (typeof value == 'boolean')
+                throw pg_error('22P02', `invalid input syntax for type numeric: "${value}"`);
+            // "numeric(5)" has zero scale
+            return length == null ? to_numeric(value) : numeric_precision(to_numeric(value), length, scale || 0);
+
+        case 'real':
+        case 'double precision':
+            const num = typeof value == 'string' && !value.trim() ? NaN : +value;
+            if (typeof value == 'boolean' || Number.isNaN(num))
+                throw pg_error('22P02', `invalid input syntax for type ${type}: "${value}"`);
+            return num;
+
+        case 'boolean':
+            const bool = BOOLEAN_VALUES[('' + value).trim().toLowerCase()];
+            if (bool == null)
+                throw pg_error('22P02', `invalid input syntax for type boolean: "${value}"`);
+            return bool;
+
+        case 'text':
+        case 'varchar':
+        case 'char':
+            let str = value instanceof Date || value instanceof Interval || value instanceof Numeric
+                ? to_text(value)
+                : typeof value == 'object' ? JSON.stringify(value) : '' + value;
+            // excess trailing spaces are truncated silently as in postgres
+            if (length != null && str.length > length && /^ *$/.test(str.slice(length)))
+                str = str.slice(0, length);
+            if (length != null && str.length > length)
+                throw pg_error('22001', `value too long for type ${type == 'varchar' ? 'character varying' : 'character'}(${length})`);
+            if (type == 'char')
+                str = str.padEnd(length || 1);
+            return str;
+
+        case 'json':
+        case 'jsonb':
+            let json = value;
+            if (typeof value == 'string') {
+                try {
+                    json = JSON.parse(value);
+                } catch (e) {
+                    throw pg_error('22P02', 'invalid input syntax for type json', {detail: e.message});
+                }
+            }
+            return normalize_json(json, type == 'jsonb');
+
+        case 'timestamp':
+        case 'timestamptz':
+            return value instanceof Date ? value : parse_timestamp('' + value, type);
+
+        case 'date':
+            return value instanceof Date ? format_date(value) : parse_date('' + value);
+
+        case 'time':
+            if (value instanceof Date)
+                return format_time(value.getTime() - Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+            return parse_time('' + value);
+
+        case 'interval':
+            return parse_interval_value(value);
+
+        case 'uuid':
+            const uuid = ('' + value).trim().match(UUID_REGEX);
+            if (!uuid)
+                throw pg_error('22P02', `invalid input syntax for type uuid: "${value}"`);
+            return uuid.slice(1).join('-').toLowerCase();
+
+        default:
+            return value;
+    }
+}
+
+/**
+ * Rounds numeric to scale of "numeric(precision, scale)", throws when integer digits don't fit precision
+ * @param value {Numeric}
+ * @param precision {number}
+ * @param scale {number}
+ * @returns {Numeric}
+ */
+function numeric_precision(value, precision, scale) {
+    const rounded = numeric_round(value, scale);
+    const integer_digits = numeric_round(rounded, 0, true).mantissa.toString().replace(/^-?0?/, '').length;
+    if (integer_digits > precision - scale) {
+        throw pg_error('22003', 'numeric field overflow', {
+            detail: `A field with precision ${precision}, scale ${scale} must round to an absolute value less than 10^${precision - scale}.`,
+        });
+    }
+    return rounded;
+}
+
+/**
+ * Converts JavaScript value into JSON one. Jsonb stores object keys sorted by length, then bytewise,
+ * keeping the last of duplicate keys
+ * @param value {any}
+ * @param sort_keys {boolean} - order keys the way jsonb does
+ * @returns {any}
+ */
+function normalize_json(value, sort_keys) {
+    if (value === undefined)
+        return null;
+    if (value instanceof Date)
+        return value.toISOString();
+    if (value instanceof Numeric)
+        return +value;
+    if (value instanceof Interval)
+        return format_interval(value);
+    if (Array.isArray(value))
+        return value.map(x => normalize_json(x, sort_keys));
+    if (!value || typeof value != 'object')
+        return value;
+
+    const keys = Object.keys(value).filter(x => value[x] !== undefined);
+    if (sort_keys)
+        keys.sort((a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0));
+    return Object.fromEntries(keys.map(x => [x, normalize_json(value[x], sort_keys)]));
+}
+
+/**
+ * Copies JSON objects, arrays, dates and buffers, so rows given to caller and stored ones don't share them.
+ * Numerics are immutable and kept as is
+ * @param value {any}
+ * @returns {any}
+ */
+function clone_value(value) {
+    return _.cloneDeepWith(value, x => x instanceof Numeric ? x : undefined);
+}
+
+/**
+ * Parses postgres array literal like '{a,"b c",NULL}' into array of strings and NULLs
+ * @param text {string}
+ * @returns {any[]}
+ */
+function parse_array(text) {
+    let i = 0;
+    const error = () => pg_error('22P02', `malformed array literal: "${text}"`);
+    const skip_spaces = () => {
+        while (/\s/.test(text[i]))
+            i++;
+    };
+    const parse_element = () => {
+        if (text[i] == '{')
+            return parse_level();
+
+        let value = '';
+        const quoted = text[i] == '"';
+        if (quoted)
+            i++;
+        while (i < text.length && (quoted ? text[i] != '"' : !',}'.includes(text[i]))) {
+            if (text[i] == '\\')
+                i++;
+            value += text[i++];
+        }
+        if (quoted) {
+            if (text[i++] != '"')
+                throw error();
+            return value;
+        }
+
+        value = value.trim();
+        if (!value)
+            throw error();
+        return /^null$/i.test(value) ? null : value;
+    };
+    const parse_level = () => {
+        const result = [];
+        i++;
+        skip_spaces();
+        if (text[i] == '}') {
+            i++;
+            return result;
+        }
+        for (;;) {
+            skip_spaces();
+            result.push(parse_element());
+            skip_spaces();
+            if (text[i++] == '}')
+                return result;
+            if (text[i - 1] != ',')
+                throw error();
+        }
+    };
+
+    skip_spaces();
+    if (text[i] != '{')
+        throw error();
+    const result = parse_level();
+    skip_spaces();
+    if (i < text.length)
+        throw error();
+    return result;
+}
+
+/**
+ * Formats JSON value the way jsonb outputs it, with space after colons and commas
+ * @param value {any}
+ * @returns {string}
+ */
+function jsonb_text(value) {
+    if (Array.isArray(value))
+        return '[' + value.map(jsonb_text).join(', ') + ']';
+    if (value && typeof value == 'object')
+        return '{' + Object.entries(value).map(([key, x]) => JSON.stringify(key) + ': ' + jsonb_text(x)).join(', ') + '}';
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Converts value with explicit cast "x::type" or "CAST(x AS type)". Unlike assignment to column,
+ * cast truncates strings to type length and converts between booleans, numbers and text
+ * @param value {any}
+ * @param type {string} - canonical postgres type name
+ * @param length {number} - max length for character types or numeric precision
+ * @param scale {number} - numeric scale
+ * @returns {any}
+ */
+function cast_value(value, type, length = undefined, scale = undefined) {
+    if (value == null)
+        return null;
+
+    if (['text', 'varchar', 'char'].includes(type) && typeof value != 'string')
+        value = typeof value == 'boolean' ? '' + value : to_text(value);
+    if (['varchar', 'char'].includes(type) && length != null)
+        value = value.slice(0, length);
+
+    if (typeof value == 'boolean' && INTEGER_TYPES[type])
+        return +value;
+    if ((typeof value == 'number' || value instanceof Numeric) && type == 'boolean') {
+        if (!Number.isInteger(+value) || value instanceof Numeric)
+            throw pg_error('42846', 'cannot cast type numeric to boolean');
+        return value != 0;
+    }
+    return coerce_value(value, type, length, scale);
+}
+
+/**
+ * Groups of types converted to each other on assignment, without explicit cast
+ * @type {string[][]}
+ */
+const ASSIGNMENT_GROUPS = [
+    ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision'],
+    ['date', 'timestamp', 'timestamptz'],
+    ['time', 'timetz'],
+    ['json', 'jsonb'],
+];
+
+/**
+ * Checks if values of one type are converted to another one on assignment, e.g. by
+ * "ALTER COLUMN ... TYPE" without USING. Any type is converted to character types
+ * @param from {string} - canonical postgres type name
+ * @param to {string}
+ * @returns {boolean}
+ */
+function is_assignable(from, to) {
+    if (from == to || ['text', 'varchar', 'char'].includes(to))
+        return true;
+    if (from.endsWith('[]') && to.endsWith('[]'))
+        return is_assignable(from.slice(0, -2), to.slice(0, -2));
+    return ASSIGNMENT_GROUPS.some(x => x.includes(from) && x.includes(to));
+}
+
+/**
+ * Postgres type OIDs, key = canonical type name
+ * @type {{[key: string]: number}}
+ */
+const TYPE_OIDS = {
+    boolean: 16,
+    bytea: 17,
+    bigint: 20,
+    smallint: 21,
+    integer: 23,
+    text: 25,
+    json: 114,
+    real: 700,
+    'double precision': 701,
+    char: 1042,
+    varchar: 1043,
+    date: 1082,
+    time: 1083,
+    timestamp: 1114,
+    timestamptz: 1184,
+    interval: 1186,
+    timetz: 1266,
+    numeric: 1700,
+    regclass: 2205,
+    void: 2278,
+    uuid: 2950,
+    jsonb: 3802,
+    'boolean[]': 1000,
+    'smallint[]': 1005,
+    'integer[]': 1007,
+    'text[]': 1009,
+    'char[]': 1014,
+    'varchar[]': 1015,
+    'bigint[]': 1016,
+    'real[]': 1021,
+    'double precision[]': 1022,
+    'timestamp[]': 1115,
+    'date[]': 1182,
+    'time[]': 1183,
+    'interval[]': 1187,
+    'timestamptz[]': 1185,
+    'numeric[]': 1231,
+    'uuid[]': 2951,
+    'json[]': 199,
+    'jsonb[]': 3807,
+};
+
+/**
+ * Returns type OID, unknown types are described as text
+ * @param type {string} - canonical postgres type name
+ * @returns {number}
+ */
+function type_oid(type) {
+    return TYPE_OIDS[type] || TYPE_OIDS.text;
+}
+
+/**
+ * Returns type modifier postgres reports for column with length or precision, -1 without it
+ * @param type {string} - canonical postgres type name
+ * @param length {number | undefined} - max length for character types or numeric precision
+ * @param scale {number | undefined} - numeric scale
+ * @returns {number}
+ */
+function type_modifier(type, length = undefined, scale = undefined) {
+    if (length == null)
+        return -1;
+    if (type == 'numeric')
+        return ((length << 16) | (scale || 0)) + 4;
+    if (['varchar', 'char'].includes(type))
+        return length + 4;
+    return -1;
+}
+
+/**
+ * Guesses postgres type of computed value
+ * @param value {any}
+ * @returns {string} - canonical postgres type name
+ */
+function value_type(value) {
+    if (typeof value == 'boolean')
+        return 'boolean';
+    if (typeof value == 'number')
+        return Number.isInteger(value) ? 'integer' : 'double precision';
+    if (value instanceof Numeric)
+        return 'numeric';
+    if (value instanceof Date)
+        return 'timestamptz';
+    if (value instanceof Interval)
+        return 'interval';
+    if (Array.isArray(value)) {
+        const element = value.find(x => x != null);
+        return element == null || typeof element != 'object' || element instanceof Date || element instanceof Numeric
+            ? value_type(element) + '[]'
+            : 'jsonb';
+    }
+    if (value && typeof value == 'object')
+        return 'jsonb';
+    return 'text';
+}
+
+/**
+ * Formats value as postgres text representation, the one type parsers receive
+ * @param value {any}
+ * @param oid {number | undefined} - type OID
+ * @param modifier {number} - type modifier, numeric scale is taken from it
+ * @returns {string | null}
+ */
+function to_text(value, oid = undefined, modifier = -1) {
+    if (value == null)
+        return null;
+    if (oid == TYPE_OIDS.json)
+        return JSON.stringify(value);
+    if (oid == TYPE_OIDS.jsonb)
+        return jsonb_text(value);
+    // numeric scale is taken from type modifier, floats keep 15 significant digits
+    if (oid == TYPE_OIDS.numeric && (value instanceof Numeric || Number.isFinite(value)))
+        return String(modifier >= 4 ? numeric_round(value, (modifier - 4) & 0xFFFF) : to_numeric(value));
+    if (typeof value == 'boolean')
+        return value ? 't' : 'f';
+    if (value instanceof Date)
+        return oid == TYPE_OIDS.date ? format_date(value) : format_timestamp(value, oid != TYPE_OIDS.timestamp);
+    if (value instanceof Interval)
+        return format_interval(value);
+    if (Array.isArray(value)) {
+        return '{' + value.map(x => {
+            const str = to_text(x);
+            if (str == null)
+                return 'NULL';
+            return /^$|[{},"\\\s]|^null$/i.test(str) ? `"${str.replace(/[\\"]/g, '\\$&')}"` : str;
+        }).join(',') + '}';
+    }
+    if (typeof value == 'object' && !(value instanceof Numeric))
+        return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Conversions node-postgres applies to results by default. Bigint and numeric are returned as strings,
+ * as they may not fit JavaScript number, real and double precision as numbers, dates and timestamps
+ * as new Date objects, intervals as objects with fields. Key = type OID
+ * @type {{[key: number]: (value: any, modifier: number) => any}}
+ */
+const DEFAULT_RESULTS = {
+    [TYPE_OIDS.bigint]: value => to_text(value, TYPE_OIDS.bigint),
+    [TYPE_OIDS.numeric]: (value, modifier) => to_text(value, TYPE_OIDS.numeric, modifier),
+    [TYPE_OIDS.real]: value => +value,
+    [TYPE_OIDS['double precision']]: value => +value,
+    [TYPE_OIDS.date]: value => parse_timestamp(to_text(value, TYPE_OIDS.date), 'timestamp'),
+    [TYPE_OIDS.timestamp]: value => new Date(value),
+    [TYPE_OIDS.timestamptz]: value => new Date(value),
+    [TYPE_OIDS.interval]: value => interval_object(value),
+};
+for (let type of ['bigint', 'real', 'double precision', 'date', 'timestamp', 'timestamptz', 'interval']) {
+    const convert = DEFAULT_RESULTS[TYPE_OIDS[type]];
+    DEFAULT_RESULTS[TYPE_OIDS[type + '[]']] = value => value.map(x => x == null ? x : convert(x));
+}
+// unlike numeric, numeric array elements are parsed as floats
+DEFAULT_RESULTS[TYPE_OIDS['numeric[]']] = DEFAULT_RESULTS[TYPE_OIDS['double precision[]']];
+
+/**
+ * Types node-postgres converts by default
+ * @type {number[]}
+ */
+const DEFAULT_RESULT_OIDS = Object.keys(DEFAULT_RESULTS).map(Number);
+
+/**
+ * Converts value to the form node-postgres returns it without custom type parsers.
+ * Numerics of other types, e.g. integer computed from bigint, are returned as text, they may not fit JavaScript number
+ * @param value {any}
+ * @param field {FieldDef}
+ * @returns {any}
+ */
+function default_result(value, field) {
+    if (value == null)
+        return value;
+    if (DEFAULT_RESULTS[field.dataTypeID])
+        return DEFAULT_RESULTS[field.dataTypeID](value, field.dataTypeModifier);
+    if (Array.isArray(value))
+        return value.map(x => x instanceof Numeric ? String(x) : x);
+    return value instanceof Numeric ? String(value) : value;
+}
+
+/**
+ * Custom type parsers, mirrors pg.types. Without custom parser values are returned as is.
+ * Key = type OID
+ * @type {Map<number, (value: string) => any>}
+ */
+const TYPE_PARSERS = new Map();
+
+const types = {
+    /**
+     * @param oid {number}
+     * @param format {'text' | ((value: string) => any)}
+     * @param parser {(value: string) => any}
+     */
+    setTypeParser(oid, format, parser = undefined) {
+        TYPE_PARSERS.set(oid, typeof format == 'function' ? format : parser);
+    },
+
+    /**
+     * @param oid {number}
+     * @param format {'text'}
+     * @returns {((value: string) => any) | undefined}
+     */
+    getTypeParser(oid, format = 'text') {
+        return TYPE_PARSERS.get(oid);
+    },
+};
+
+module.exports = {
+    normalize_type,
+    coerce_value,
+    cast_value,
+    is_assignable,
+    normalize_json,
+    clone_value,
+    parse_array,
+    jsonb_text,
+    type_oid,
+    type_modifier,
+    value_type,
+    to_text,
+    DEFAULT_RESULT_OIDS,
+    default_result,
+    types,
+};